@@ -1,4 +1,4 @@
-const { useState, useEffect, useRef, useCallback } = React;
+const { useState, useEffect, useRef, useCallback, useMemo } = React;
 
 const DEFAULT_SYSTEM_PROMPT = `You are LoanLens AI, an expert loan document analyst. You help users:
 - Understand complex loan terms and conditions
@@ -11,6 +11,8 @@ const DEFAULT_SYSTEM_PROMPT = `You are LoanLens AI, an expert loan document anal
 
 Always provide clear, accurate information while noting that users should consult with licensed financial professionals for final decisions.`;
 
+const MAX_TOOL_ROUNDS = 5;
+
 const generateId = () => Math.random().toString(36).substring(2, 15);
 
 const detectHtmlCode = (text) => {
@@ -22,416 +24,7257 @@ const extractHtmlContent = (codeBlock) => {
   return codeBlock.replace(/```html\n/, '').replace(/```$/, '');
 };
 
-const CodeBlock = ({ code, language }) => {
-  const [copied, setCopied] = useState(false);
+const LOAN_TYPES = [
+  { id: 'fixed', label: 'Fixed Rate' },
+  { id: 'interestOnly', label: 'Interest Only' },
+  { id: 'balloon', label: 'Balloon' },
+  { id: 'arm', label: 'Adjustable (ARM)' }
+];
 
-  const copyCode = () => {
-    navigator.clipboard.writeText(code);
-    setCopied(true);
-    setTimeout(() => setCopied(false), 2000);
+const COMPOUNDING_OPTIONS = [
+  { id: 'monthly', label: 'Monthly (US standard)' },
+  { id: 'daily365', label: 'Daily (Actual/365)' },
+  { id: 'daily360', label: 'Daily (360-day year)' },
+  { id: 'semiannual', label: 'Semi-annual (Canadian)' },
+  { id: 'annual', label: 'Annual' },
+  { id: 'continuous', label: 'Continuous' }
+];
+
+const DEFAULT_LOAN_INPUT = {
+  loanType: 'fixed',
+  principal: 300000,
+  annualRate: 6.5,
+  termMonths: 360,
+  compounding: 'monthly',
+  interestOnlyMonths: 120,
+  balloonAmortizationMonths: 360,
+  arm: {
+    initialFixedMonths: 60,
+    adjustmentIntervalMonths: 12,
+    indexRate: 4.5,
+    margin: 2.75,
+    initialCap: 2,
+    periodicCap: 1,
+    lifetimeCap: 5,
+    scenario: 'indexed'
+  },
+  extraMonthly: 0,
+  extraPayments: []
+};
+
+const roundCents = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const formatCurrency = (value) => (Number(value) || 0).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+
+const formatPercent = (value, digits = 3) => `${(Number(value) || 0).toFixed(digits).replace(/0+$/, '').replace(/\.$/, '')}%`;
+
+const formatTerm = (months) => {
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  if (!rest) return `${years} yr`;
+  return years ? `${years} yr ${rest} mo` : `${rest} mo`;
+};
+
+// Converts a nominal annual rate (in percent) to the effective rate for one monthly period.
+const monthlyRateFor = (annualRate, compounding = 'monthly') => {
+  const r = (Number(annualRate) || 0) / 100;
+  switch (compounding) {
+    case 'daily365': return Math.pow(1 + r / 365, 365 / 12) - 1;
+    case 'daily360': return Math.pow(1 + r / 360, 360 / 12) - 1;
+    case 'semiannual': return Math.pow(1 + r / 2, 2 / 12) - 1;
+    case 'annual': return Math.pow(1 + r, 1 / 12) - 1;
+    case 'continuous': return Math.exp(r / 12) - 1;
+    default: return r / 12;
+  }
+};
+
+const amortizingPayment = (balance, periodicRate, periods) => {
+  if (periods <= 0) return balance;
+  if (periodicRate === 0) return balance / periods;
+  return balance * periodicRate / (1 - Math.pow(1 + periodicRate, -periods));
+};
+
+const normalizeLoanInput = (input = {}) => {
+  const merged = { ...DEFAULT_LOAN_INPUT, ...input, arm: { ...DEFAULT_LOAN_INPUT.arm, ...(input.arm || {}) } };
+  const termMonths = Math.max(1, Math.round(Number(merged.termMonths) || 0));
+  return {
+    ...merged,
+    principal: Math.max(0, Number(merged.principal) || 0),
+    annualRate: Math.max(0, Number(merged.annualRate) || 0),
+    termMonths,
+    interestOnlyMonths: Math.min(termMonths, Math.max(0, Math.round(Number(merged.interestOnlyMonths) || 0))),
+    balloonAmortizationMonths: Math.max(termMonths, Math.round(Number(merged.balloonAmortizationMonths) || termMonths)),
+    extraMonthly: Math.max(0, Number(merged.extraMonthly) || 0),
+    extraPayments: (merged.extraPayments || [])
+      .map(p => ({ month: Math.round(Number(p.month) || 0), amount: Math.max(0, Number(p.amount) || 0) }))
+      .filter(p => p.month > 0 && p.amount > 0)
   };
+};
 
-  const launchHtml = () => {
-    const blob = new Blob([code], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    window.open(url, '_blank');
+const nextArmRate = (arm, startRate, currentRate, isFirstAdjustment) => {
+  const cap = isFirstAdjustment ? Number(arm.initialCap) : Number(arm.periodicCap);
+  const ceiling = startRate + Number(arm.lifetimeCap);
+  const floor = Math.min(startRate, Number(arm.margin));
+  const target = arm.scenario === 'worstCase'
+    ? ceiling
+    : Math.round((Number(arm.indexRate) + Number(arm.margin)) * 8) / 8;
+  const capped = Math.min(currentRate + cap, Math.max(currentRate - cap, target));
+  return Math.min(ceiling, Math.max(floor, capped));
+};
+
+const calculateLoanSchedule = (input, { includeBaseline = true } = {}) => {
+  const loan = normalizeLoanInput(input);
+  const { loanType, principal, termMonths, compounding, arm } = loan;
+  const lumpSums = {};
+  loan.extraPayments.forEach(p => { lumpSums[p.month] = (lumpSums[p.month] || 0) + p.amount; });
+
+  const amortizationMonths = loanType === 'balloon' ? loan.balloonAmortizationMonths : termMonths;
+  const ioMonths = loanType === 'interestOnly' ? loan.interestOnlyMonths : 0;
+
+  let rate = loan.annualRate;
+  let periodicRate = monthlyRateFor(rate, compounding);
+  let payment = ioMonths > 0 ? 0 : roundCents(amortizingPayment(principal, periodicRate, amortizationMonths));
+  let balance = principal;
+  let adjustments = 0;
+  const rows = [];
+
+  for (let month = 1; month <= termMonths && balance > 0.004; month++) {
+    if (loanType === 'arm' && month > arm.initialFixedMonths &&
+        (month - arm.initialFixedMonths - 1) % Math.max(1, arm.adjustmentIntervalMonths) === 0) {
+      rate = nextArmRate(arm, loan.annualRate, rate, adjustments === 0);
+      adjustments++;
+      periodicRate = monthlyRateFor(rate, compounding);
+      payment = roundCents(amortizingPayment(balance, periodicRate, termMonths - month + 1));
+    }
+    if (ioMonths > 0 && month === ioMonths + 1) {
+      payment = roundCents(amortizingPayment(balance, periodicRate, termMonths - ioMonths));
+    }
+
+    const interest = roundCents(balance * periodicRate);
+    let principalPaid = month <= ioMonths ? 0 : Math.max(0, payment - interest);
+    if (principalPaid > balance || month === termMonths) principalPaid = balance;
+    principalPaid = roundCents(principalPaid);
+    const extra = roundCents(Math.min(balance - principalPaid, loan.extraMonthly + (lumpSums[month] || 0)));
+    balance = roundCents(balance - principalPaid - extra);
+
+    rows.push({
+      month,
+      rate,
+      payment: roundCents(interest + principalPaid),
+      principal: principalPaid,
+      interest,
+      extra,
+      balance
+    });
+  }
+
+  const years = [];
+  rows.forEach(row => {
+    const yearIndex = Math.ceil(row.month / 12) - 1;
+    if (!years[yearIndex]) {
+      years[yearIndex] = { year: yearIndex + 1, payment: 0, principal: 0, interest: 0, extra: 0, balance: 0 };
+    }
+    const year = years[yearIndex];
+    year.payment = roundCents(year.payment + row.payment);
+    year.principal = roundCents(year.principal + row.principal);
+    year.interest = roundCents(year.interest + row.interest);
+    year.extra = roundCents(year.extra + row.extra);
+    year.balance = row.balance;
+  });
+
+  const totalInterest = roundCents(rows.reduce((sum, r) => sum + r.interest, 0));
+  const totalExtra = roundCents(rows.reduce((sum, r) => sum + r.extra, 0));
+  const lastRow = rows[rows.length - 1];
+  const hasExtras = loan.extraMonthly > 0 || loan.extraPayments.length > 0;
+  const baseline = hasExtras && includeBaseline
+    ? calculateLoanSchedule({ ...loan, extraMonthly: 0, extraPayments: [] }, { includeBaseline: false }).summary
+    : null;
+  const regularRows = rows.filter(r => r.month < termMonths || rows.length < termMonths);
+
+  const summary = {
+    monthlyPayment: rows[0] ? rows[0].payment : 0,
+    maxPayment: regularRows.reduce((max, r) => Math.max(max, r.payment), 0),
+    balloonPayment: loanType === 'balloon' && lastRow && lastRow.month === termMonths ? lastRow.payment : 0,
+    totalInterest,
+    totalExtra,
+    totalPaid: roundCents(principal + totalInterest),
+    payoffMonth: lastRow ? lastRow.month : 0,
+    interestSaved: baseline ? roundCents(baseline.totalInterest - totalInterest) : 0,
+    monthsSaved: baseline ? baseline.payoffMonth - (lastRow ? lastRow.month : 0) : 0
   };
 
-  const isHtml = language === 'html';
+  return { inputs: loan, rows, years, summary };
+};
 
-  return React.createElement('div', { className: 'code-block-container relative my-3 rounded-lg overflow-hidden' },
-    React.createElement('div', { className: 'code-header flex items-center justify-between px-4 py-2 bg-slate-800 border-b border-slate-700' },
-      React.createElement('span', { className: 'text-xs font-mono text-slate-400 uppercase' }, language || 'code'),
-      React.createElement('div', { className: 'flex gap-2' },
-        isHtml && React.createElement('button', {
-          onClick: launchHtml,
-          className: 'launch-btn flex items-center gap-1.5 px-3 py-1.5 bg-emerald-600 hover:bg-emerald-500 text-white text-xs font-medium rounded-md transition-all'
-        },
-          React.createElement('svg', { className: 'w-3.5 h-3.5', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
-            React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z' }),
-            React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M21 12a9 9 0 11-18 0 9 9 0 0118 0z' })
-          ),
-          'Launch'
-        ),
-        React.createElement('button', {
-          onClick: copyCode,
-          className: 'flex items-center gap-1.5 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-300 text-xs font-medium rounded-md transition-all'
-        },
-          React.createElement('svg', { className: 'w-3.5 h-3.5', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
-            React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z' })
-          ),
-          copied ? 'Copied!' : 'Copy'
-        )
-      )
-    ),
-    React.createElement('pre', { className: 'code-content bg-slate-900 p-4 overflow-x-auto' },
-      React.createElement('code', { className: 'text-sm font-mono text-slate-300 whitespace-pre-wrap break-words' }, code)
-    )
-  );
+const describeLoanInput = (input) => {
+  const loan = normalizeLoanInput(input);
+  const type = LOAN_TYPES.find(t => t.id === loan.loanType)?.label || 'Fixed Rate';
+  let text = `${type} loan of ${formatCurrency(loan.principal)} at ${formatPercent(loan.annualRate)} for ${formatTerm(loan.termMonths)}`;
+  if (loan.loanType === 'interestOnly') text += `, interest-only for the first ${formatTerm(loan.interestOnlyMonths)}`;
+  if (loan.loanType === 'balloon') text += `, amortized over ${formatTerm(loan.balloonAmortizationMonths)}`;
+  if (loan.loanType === 'arm') {
+    text += `, fixed for ${formatTerm(loan.arm.initialFixedMonths)} then index ${formatPercent(loan.arm.indexRate)} + margin ${formatPercent(loan.arm.margin)} (caps ${loan.arm.initialCap}/${loan.arm.periodicCap}/${loan.arm.lifetimeCap})`;
+  }
+  if (loan.compounding !== 'monthly') {
+    text += `, ${COMPOUNDING_OPTIONS.find(c => c.id === loan.compounding)?.label.toLowerCase()} compounding`;
+  }
+  if (loan.extraMonthly > 0) text += `, plus ${formatCurrency(loan.extraMonthly)}/mo extra principal`;
+  loan.extraPayments.forEach(p => { text += `, plus a ${formatCurrency(p.amount)} lump sum in month ${p.month}`; });
+  return text;
 };
 
-const MessageContent = ({ content }) => {
-  const parts = [];
-  let lastIndex = 0;
-  const codeRegex = /```(\w*)\n([\s\S]*?)```/g;
-  let match;
+const APR_UNIT_PERIODS = {
+  monthly: { label: 'Monthly', perYear: 12, days: 30 },
+  semimonthly: { label: 'Semi-monthly', perYear: 24, days: 15 },
+  biweekly: { label: 'Biweekly', perYear: 26, days: 14 },
+  weekly: { label: 'Weekly', perYear: 52, days: 7 }
+};
 
-  while ((match = codeRegex.exec(content)) !== null) {
-    if (match.index > lastIndex) {
-      parts.push({ type: 'text', content: content.slice(lastIndex, match.index) });
+// 12 CFR 1026.22(a)(2) and (a)(3).
+const APR_TOLERANCES = { regular: 0.125, irregular: 0.25 };
+
+const expandPaymentSchedule = (streams) => {
+  const payments = [];
+  streams.forEach(stream => {
+    const count = Math.max(0, Math.round(Number(stream.count) || 0));
+    for (let i = 0; i < count; i++) payments.push(roundCents(Number(stream.amount) || 0));
+  });
+  return payments;
+};
+
+// Appendix J counts whole unit periods back from the first payment date; the remaining days
+// form the fractional period, with a month counted as 30 days.
+const oddFirstPeriod = ({ firstPeriodDays, consummationDate, firstPaymentDate }, unitPeriod) => {
+  const unit = APR_UNIT_PERIODS[unitPeriod] || APR_UNIT_PERIODS.monthly;
+  if (consummationDate && firstPaymentDate) {
+    const start = new Date(`${consummationDate}T00:00:00Z`);
+    const first = new Date(`${firstPaymentDate}T00:00:00Z`);
+    if (isNaN(start) || isNaN(first)) throw new Error('The consummation and first payment dates must be valid dates');
+    if (first < start) throw new Error('The first payment date must not be before the consummation date');
+    const cursor = new Date(first);
+    let periods = 0;
+    if (unitPeriod === 'monthly' || !APR_UNIT_PERIODS[unitPeriod]) {
+      // Months are counted from the first payment's own day, so stepping back from the 31st lands on
+      // the last day of a short month without carrying the shorter day into earlier months.
+      const monthsBack = (count) => {
+        const month = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() - count, 1));
+        const lastDay = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth(), Math.min(first.getUTCDate(), lastDay)));
+      };
+      while (monthsBack(periods + 1) >= start) periods++;
+      cursor.setTime(monthsBack(periods).getTime());
+    } else {
+      while (cursor.getTime() - unit.days * 86400000 >= start.getTime()) {
+        cursor.setTime(cursor.getTime() - unit.days * 86400000);
+        periods++;
+      }
     }
-    parts.push({ type: 'code', language: match[1] || 'code', content: match[2] });
-    lastIndex = match.index + match[0].length;
+    const oddDays = Math.round((cursor - start) / 86400000);
+    return { periods, fraction: oddDays / unit.days, days: Math.round((new Date(`${firstPaymentDate}T00:00:00Z`) - start) / 86400000) };
   }
+  const days = Number(firstPeriodDays) > 0 ? Number(firstPeriodDays) : unit.days;
+  const periods = Math.floor(days / unit.days);
+  return { periods, fraction: (days - periods * unit.days) / unit.days, days };
+};
 
-  if (lastIndex < content.length) {
-    parts.push({ type: 'text', content: content.slice(lastIndex) });
+// Appendix J general equation for a single advance: the amount financed equals the sum of
+// P / ((1 + f·i)(1 + i)^t) over all payments, where t counts whole unit periods and f is the odd fraction.
+const appendixJPresentValue = (payments, rate, odd) =>
+  payments.reduce((sum, amount, j) => sum + amount / ((1 + odd.fraction * rate) * Math.pow(1 + rate, odd.periods + j)), 0);
+
+const solveAppendixJRate = (amountFinanced, payments, odd) => {
+  const total = payments.reduce((sum, p) => sum + p, 0);
+  if (!(amountFinanced > 0)) throw new Error('The amount financed must be greater than zero');
+  if (total < amountFinanced - 0.005) throw new Error('The payments add up to less than the amount financed, so no APR can be computed');
+  if (total <= amountFinanced) return 0;
+  let low = 0;
+  let high = 1;
+  while (appendixJPresentValue(payments, high, odd) > amountFinanced && high < 1e6) high *= 2;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (appendixJPresentValue(payments, mid, odd) > amountFinanced) low = mid;
+    else high = mid;
   }
+  return (low + high) / 2;
+};
 
-  if (parts.length === 0) {
-    parts.push({ type: 'text', content });
+// Irregular payment amounts make a transaction irregular, except for an odd first or final payment.
+const isIrregularSchedule = (payments) => new Set(payments.slice(1, -1)).size > 1;
+
+const checkDisclosedApr = (apr, disclosedApr, irregular) => {
+  const disclosed = Number(disclosedApr);
+  if (!(disclosed > 0)) return null;
+  const tolerance = irregular ? APR_TOLERANCES.irregular : APR_TOLERANCES.regular;
+  const difference = disclosed - apr;
+  return {
+    disclosedApr: disclosed,
+    difference: Math.round(difference * 1000) / 1000,
+    tolerance,
+    withinTolerance: Math.abs(difference) <= tolerance + 1e-9
+  };
+};
+
+// Regulation Z Appendix J actuarial APR. The payment schedule is either given as
+// [{ amount, count }] streams or derived as a level payment from the note terms.
+const calculateApr = ({
+  loanAmount, financeCharges = 0, amountFinanced, annualRate, termMonths, payment,
+  paymentSchedule, unitPeriod = 'monthly', firstPeriodDays, consummationDate, firstPaymentDate,
+  disclosedApr, irregular
+}) => {
+  const unitKey = APR_UNIT_PERIODS[unitPeriod] ? unitPeriod : 'monthly';
+  const unit = APR_UNIT_PERIODS[unitKey];
+  const amount = Number(loanAmount) || 0;
+  const financed = Number(amountFinanced) > 0 ? Number(amountFinanced) : amount - (Number(financeCharges) || 0);
+
+  let payments;
+  if (paymentSchedule && paymentSchedule.length) {
+    payments = expandPaymentSchedule(paymentSchedule);
+  } else {
+    const periods = Math.max(1, Math.round((Number(termMonths) || 0) * unit.perYear / 12));
+    const level = Number(payment) || amortizingPayment(amount, (Number(annualRate) || 0) / 100 / unit.perYear, periods);
+    payments = new Array(periods).fill(roundCents(level));
   }
+  if (payments.length === 0) throw new Error('A payment schedule is required to compute the APR');
 
-  return React.createElement('div', { className: 'message-content' },
-    parts.map((part, index) => {
-      if (part.type === 'code') {
-        return React.createElement(CodeBlock, { key: index, code: part.content, language: part.language });
+  const odd = oddFirstPeriod({ firstPeriodDays, consummationDate, firstPaymentDate }, unitKey);
+  const rate = solveAppendixJRate(financed, payments, odd);
+  const apr = rate * unit.perYear * 100;
+  const totalOfPayments = roundCents(payments.reduce((sum, p) => sum + p, 0));
+  const irregularTransaction = typeof irregular === 'boolean' ? irregular : isIrregularSchedule(payments);
+
+  return {
+    method: 'Regulation Z Appendix J (actuarial)',
+    unitPeriod: unitKey,
+    amountFinanced: roundCents(financed),
+    financeCharge: roundCents(totalOfPayments - financed),
+    totalOfPayments,
+    paymentCount: payments.length,
+    monthlyPayment: payments[0],
+    oddFirstPeriod: odd,
+    irregular: irregularTransaction,
+    apr: Math.round(apr * 1000) / 1000,
+    check: checkDisclosedApr(apr, disclosedApr, irregularTransaction)
+  };
+};
+
+const describeAprCheck = (result) => {
+  const lines = [
+    `**APR (${result.method}): ${formatPercent(result.apr)}**`,
+    '',
+    `- Amount financed: ${formatCurrency(result.amountFinanced)}`,
+    `- Finance charge: ${formatCurrency(result.financeCharge)}`,
+    `- Total of payments: ${formatCurrency(result.totalOfPayments)} over ${result.paymentCount} ${APR_UNIT_PERIODS[result.unitPeriod].label.toLowerCase()} payments`,
+    `- First period: ${result.oddFirstPeriod.days} days (${result.oddFirstPeriod.periods} unit period${result.oddFirstPeriod.periods === 1 ? '' : 's'}` +
+      `${result.oddFirstPeriod.fraction > 0 ? ` + ${Math.round(result.oddFirstPeriod.fraction * 1000) / 1000} of a period` : ''})`
+  ];
+  if (result.check) {
+    const { check } = result;
+    lines.push(
+      '',
+      `**Disclosed APR ${formatPercent(check.disclosedApr)}: ${check.withinTolerance ? 'PASS' : 'FAIL'}.** ` +
+      `It differs from the computed APR by ${Math.abs(check.difference).toFixed(3)} percentage points; the tolerance for ${result.irregular ? 'an irregular' : 'a regular'} transaction is ${check.tolerance === APR_TOLERANCES.irregular ? '1/4' : '1/8'} of a point (12 CFR 1026.22).` +
+      (check.withinTolerance ? '' : ' For mortgages, the disclosure may still be treated as accurate if it results from a finance charge that is within its own tolerance (1026.22(a)(4)).')
+    );
+  }
+  return lines.join('\n');
+};
+
+const analyzeRefinance = ({ currentBalance, currentRate, remainingMonths, newRate, newTermMonths, closingCosts = 0, rollCostsIntoLoan = false }) => {
+  const balance = Number(currentBalance) || 0;
+  const costs = Number(closingCosts) || 0;
+  const current = calculateLoanSchedule({ principal: balance, annualRate: currentRate, termMonths: remainingMonths }).summary;
+  const proposed = calculateLoanSchedule({
+    principal: balance + (rollCostsIntoLoan ? costs : 0),
+    annualRate: newRate,
+    termMonths: newTermMonths
+  }).summary;
+  const monthlySavings = roundCents(current.monthlyPayment - proposed.monthlyPayment);
+  return {
+    currentPayment: current.monthlyPayment,
+    newPayment: proposed.monthlyPayment,
+    monthlySavings,
+    breakEvenMonths: monthlySavings > 0 && costs > 0 ? Math.ceil(costs / monthlySavings) : null,
+    remainingInterestCurrent: current.totalInterest,
+    totalInterestNew: proposed.totalInterest,
+    lifetimeSavings: roundCents(current.totalPaid - proposed.totalPaid - (rollCostsIntoLoan ? 0 : costs))
+  };
+};
+
+const MAX_COMPARISON_OFFERS = 5;
+
+const DEFAULT_COMPARISON_OFFER = {
+  label: '',
+  loanType: 'fixed',
+  principal: 300000,
+  annualRate: 6.5,
+  termMonths: 360,
+  pointsPercent: 0,
+  lenderFees: 0,
+  thirdPartyFees: 0,
+  lenderCredit: 0,
+  downPayment: 0
+};
+
+// Upfront cost is what the borrower pays for the loan itself; cash to close adds the down payment.
+const offerUpfrontCost = (offer) => roundCents(
+  (Number(offer.principal) || 0) * (Number(offer.pointsPercent) || 0) / 100 +
+  (Number(offer.lenderFees) || 0) + (Number(offer.thirdPartyFees) || 0) - (Number(offer.lenderCredit) || 0)
+);
+
+// Cumulative cost through each month: upfront costs plus interest paid. Principal repaid is equity, not cost.
+const cumulativeCostSeries = (offer, schedule, months) => {
+  const series = [];
+  let cost = offerUpfrontCost(offer);
+  for (let month = 1; month <= months; month++) {
+    const row = schedule.rows[month - 1];
+    if (row) cost += row.interest;
+    series.push(roundCents(cost));
+  }
+  return series;
+};
+
+const compareLoanOffers = (offers, holdingMonths) => {
+  const horizon = Math.max(1, Math.round(Number(holdingMonths) || 0));
+  const lifetime = offers.reduce((max, o) => Math.max(max, Number(o.termMonths) || 0), horizon);
+  const results = offers.map(offer => {
+    const schedule = calculateLoanSchedule(offer, { includeBaseline: false });
+    const series = cumulativeCostSeries(offer, schedule, lifetime);
+    const held = schedule.rows.slice(0, horizon);
+    const upfrontCost = offerUpfrontCost(offer);
+    return {
+      offer,
+      inputs: schedule.inputs,
+      summary: schedule.summary,
+      series,
+      upfrontCost,
+      cashToClose: roundCents(upfrontCost + (Number(offer.downPayment) || 0)),
+      paymentsOverHolding: roundCents(held.reduce((sum, r) => sum + r.payment, 0)),
+      interestOverHolding: roundCents(held.reduce((sum, r) => sum + r.interest, 0)),
+      costOverHolding: series[horizon - 1],
+      balanceAtHorizon: held.length ? held[held.length - 1].balance : schedule.inputs.principal,
+      lifetimeCost: series[series.length - 1]
+    };
+  });
+
+  // Break-even is measured against the offer with the lowest upfront cost: the first month
+  // from which paying more up front has been recovered through lower interest.
+  const baselineIndex = results.reduce((best, r, i) => r.upfrontCost < results[best].upfrontCost ? i : best, 0);
+  const baseline = results[baselineIndex];
+  results.forEach((r, i) => {
+    if (i === baselineIndex || !baseline) {
+      r.breakEvenMonth = null;
+      return;
+    }
+    let month = null;
+    for (let m = lifetime; m >= 1; m--) {
+      if (r.series[m - 1] <= baseline.series[m - 1]) month = m;
+      else break;
+    }
+    r.breakEvenMonth = month;
+  });
+
+  const lowest = (value) => results.length ? results.reduce((best, r, i) => value(r) < value(results[best]) ? i : best, 0) : -1;
+  return {
+    holdingMonths: horizon,
+    lifetimeMonths: lifetime,
+    baselineIndex,
+    results,
+    best: {
+      monthlyPayment: lowest(r => r.summary.monthlyPayment),
+      cashToClose: lowest(r => r.cashToClose),
+      costOverHolding: lowest(r => r.costOverHolding),
+      lifetimeCost: lowest(r => r.lifetimeCost)
+    }
+  };
+};
+
+const offerLabel = (offer, index) => offer.label || `Offer ${index + 1}`;
+
+const describeComparison = (comparison) => {
+  const { results, holdingMonths, baselineIndex } = comparison;
+  const row = (label, cells) => `| ${label} | ${cells.join(' | ')} |`;
+  const lines = [
+    row('', results.map(r => offerLabel(r.offer, results.indexOf(r)))),
+    row('---', results.map(() => '---')),
+    row('Loan', results.map(r => describeLoanInput(r.inputs))),
+    row('Monthly payment', results.map(r => formatCurrency(r.summary.monthlyPayment))),
+    row('Points and fees (net of credits)', results.map(r => formatCurrency(r.upfrontCost))),
+    row('Cash to close', results.map(r => formatCurrency(r.cashToClose))),
+    row(`Interest over ${formatTerm(holdingMonths)}`, results.map(r => formatCurrency(r.interestOverHolding))),
+    row(`Total cost over ${formatTerm(holdingMonths)}`, results.map(r => formatCurrency(r.costOverHolding))),
+    row(`Balance after ${formatTerm(holdingMonths)}`, results.map(r => formatCurrency(r.balanceAtHorizon))),
+    row(`Break-even vs ${offerLabel(results[baselineIndex].offer, baselineIndex)}`, results.map((r, i) => i === baselineIndex ? 'baseline' : r.breakEvenMonth ? `month ${r.breakEvenMonth}` : 'never')),
+    row('Lifetime cost (fees + interest)', results.map(r => formatCurrency(r.lifetimeCost)))
+  ];
+  return lines.join('\n');
+};
+
+const LOAN_TOOL_PROPERTIES = {
+  principal: { type: 'number', description: 'Loan amount in dollars' },
+  annual_rate: { type: 'number', description: 'Nominal annual interest rate in percent, e.g. 6.5' },
+  term_months: { type: 'integer', description: 'Loan term in months' },
+  loan_type: { type: 'string', enum: LOAN_TYPES.map(t => t.id), description: 'Loan structure, defaults to fixed' },
+  compounding: { type: 'string', enum: COMPOUNDING_OPTIONS.map(c => c.id), description: 'Compounding convention, defaults to monthly' },
+  interest_only_months: { type: 'integer', description: 'Interest-only period for interestOnly loans' },
+  balloon_amortization_months: { type: 'integer', description: 'Amortization period for balloon loans' },
+  extra_monthly_principal: { type: 'number', description: 'Extra principal paid every month' },
+  arm_initial_fixed_months: { type: 'integer', description: 'Initial fixed period for ARM loans' },
+  arm_index_rate: { type: 'number', description: 'Current index rate in percent for ARM loans' },
+  arm_margin: { type: 'number', description: 'Margin in percent for ARM loans' }
+};
+
+const LOAN_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'calculate_payment',
+      description: 'Calculate the monthly payment, total interest and total cost of a loan. Always use this instead of doing payment math yourself.',
+      parameters: { type: 'object', properties: LOAN_TOOL_PROPERTIES, required: ['principal', 'annual_rate', 'term_months'] }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'calculate_apr',
+      description: 'Calculate the APR with the Regulation Z Appendix J actuarial method, including odd first periods and irregular payment schedules, and check a disclosed APR against the 1/8 (regular) or 1/4 (irregular) point tolerance. Always use this to verify a lender\'s APR.',
+      parameters: {
+        type: 'object',
+        properties: {
+          loan_amount: { type: 'number', description: 'Note amount in dollars' },
+          annual_rate: { type: 'number', description: 'Note rate in percent' },
+          term_months: { type: 'integer', description: 'Loan term in months' },
+          finance_charges: { type: 'number', description: 'Prepaid finance charges in dollars, deducted from the note amount to get the amount financed' },
+          amount_financed: { type: 'number', description: 'Disclosed amount financed; overrides loan_amount minus finance_charges' },
+          payment: { type: 'number', description: 'Regular payment if it differs from the fully amortizing payment' },
+          payment_schedule: {
+            type: 'array',
+            description: 'Irregular schedule as consecutive payment streams, e.g. [{"amount": 450, "count": 60}, {"amount": 520, "count": 300}]',
+            items: {
+              type: 'object',
+              properties: { amount: { type: 'number' }, count: { type: 'integer' } },
+              required: ['amount', 'count']
+            }
+          },
+          unit_period: { type: 'string', enum: Object.keys(APR_UNIT_PERIODS), description: 'Payment frequency, defaults to monthly' },
+          first_period_days: { type: 'integer', description: 'Days from consummation to the first payment when it is not one regular period' },
+          consummation_date: { type: 'string', description: 'Consummation date (YYYY-MM-DD); with first_payment_date gives the exact odd first period' },
+          first_payment_date: { type: 'string', description: 'First payment date (YYYY-MM-DD)' },
+          disclosed_apr: { type: 'number', description: 'APR disclosed by the lender, in percent, to check against the tolerance' }
+        },
+        required: ['term_months']
       }
-      return React.createElement('div', { 
-        key: index, 
-        className: 'whitespace-pre-wrap',
-        dangerouslySetInnerHTML: { 
-          __html: part.content
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-            .replace(/\*(.*?)\*/g, '<em>$1</em>')
-            .replace(/\n/g, '<br>')
-        }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'amortization_schedule',
+      description: 'Build a full amortization schedule. The schedule is shown to the user as a table; summarize it rather than repeating rows.',
+      parameters: { type: 'object', properties: LOAN_TOOL_PROPERTIES, required: ['principal', 'annual_rate', 'term_months'] }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'refinance_analysis',
+      description: 'Compare keeping a current loan against refinancing: payment change, break-even month and lifetime savings.',
+      parameters: {
+        type: 'object',
+        properties: {
+          current_balance: { type: 'number', description: 'Remaining balance on the current loan' },
+          current_rate: { type: 'number', description: 'Current note rate in percent' },
+          remaining_months: { type: 'integer', description: 'Months left on the current loan' },
+          new_rate: { type: 'number', description: 'Rate of the new loan in percent' },
+          new_term_months: { type: 'integer', description: 'Term of the new loan in months' },
+          closing_costs: { type: 'number', description: 'Closing costs of the refinance in dollars' },
+          roll_costs_into_loan: { type: 'boolean', description: 'Whether closing costs are added to the new balance' }
+        },
+        required: ['current_balance', 'current_rate', 'remaining_months', 'new_rate', 'new_term_months']
+      }
+    }
+  }
+];
+
+const loanInputFromToolArgs = (args) => {
+  const input = {
+    loanType: args.loan_type,
+    principal: args.principal,
+    annualRate: args.annual_rate,
+    termMonths: args.term_months,
+    compounding: args.compounding,
+    interestOnlyMonths: args.interest_only_months,
+    balloonAmortizationMonths: args.balloon_amortization_months,
+    extraMonthly: args.extra_monthly_principal
+  };
+  if (args.loan_type === 'arm') {
+    input.arm = {
+      initialFixedMonths: args.arm_initial_fixed_months,
+      indexRate: args.arm_index_rate,
+      margin: args.arm_margin
+    };
+    Object.keys(input.arm).forEach(key => input.arm[key] === undefined && delete input.arm[key]);
+  }
+  Object.keys(input).forEach(key => input[key] === undefined && delete input[key]);
+  return normalizeLoanInput(input);
+};
+
+// Runs a tool call locally. Returns the JSON result for the model and, for schedules, a calculation to render.
+const runLoanTool = (name, args) => {
+  switch (name) {
+    case 'calculate_payment': {
+      const { inputs, summary } = calculateLoanSchedule(loanInputFromToolArgs(args));
+      return { result: { description: describeLoanInput(inputs), ...summary } };
+    }
+    case 'amortization_schedule': {
+      const { inputs, summary, years } = calculateLoanSchedule(loanInputFromToolArgs(args));
+      return {
+        result: { description: describeLoanInput(inputs), summary, yearly: years },
+        calculation: { inputs, summary }
+      };
+    }
+    case 'calculate_apr':
+      return {
+        result: calculateApr({
+          loanAmount: args.loan_amount,
+          annualRate: args.annual_rate,
+          termMonths: args.term_months,
+          financeCharges: args.finance_charges,
+          amountFinanced: args.amount_financed,
+          payment: args.payment,
+          paymentSchedule: args.payment_schedule,
+          unitPeriod: args.unit_period,
+          firstPeriodDays: args.first_period_days,
+          consummationDate: args.consummation_date,
+          firstPaymentDate: args.first_payment_date,
+          disclosedApr: args.disclosed_apr
+        })
+      };
+    case 'refinance_analysis':
+      return {
+        result: analyzeRefinance({
+          currentBalance: args.current_balance,
+          currentRate: args.current_rate,
+          remainingMonths: args.remaining_months,
+          newRate: args.new_rate,
+          newTermMonths: args.new_term_months,
+          closingCosts: args.closing_costs,
+          rollCostsIntoLoan: args.roll_costs_into_loan
+        })
+      };
+    default:
+      return { result: { error: `Unknown tool: ${name}` } };
+  }
+};
+
+const executeToolCall = (call) => {
+  let args = {};
+  try {
+    args = call.arguments ? JSON.parse(call.arguments) : {};
+  } catch (e) {
+    return { id: call.id, name: call.name, arguments: {}, result: { error: `Invalid arguments: ${e.message}` } };
+  }
+  try {
+    const { result, calculation } = runLoanTool(call.name, args);
+    return { id: call.id, name: call.name, arguments: args, result, calculation };
+  } catch (e) {
+    return { id: call.id, name: call.name, arguments: args, result: { error: e.message } };
+  }
+};
+
+// Chats keep every message ever sent as a tree: each message records its parentId and the chat's
+// currentLeafId marks the branch on screen. Editing a prompt or regenerating a reply adds a sibling
+// instead of overwriting, so earlier versions stay reachable from the branch switcher.
+const withMessageTree = (chat) => {
+  if ('currentLeafId' in chat) return chat;
+  const messages = chat.messages || [];
+  return {
+    ...chat,
+    messages: messages.map((m, i) => ({ ...m, parentId: i > 0 ? messages[i - 1].id : null })),
+    currentLeafId: messages.length ? messages[messages.length - 1].id : null
+  };
+};
+
+// Messages from the root down to messageId, in conversation order.
+const getBranch = (chat, messageId) => {
+  const byId = new Map((chat?.messages || []).map(m => [m.id, m]));
+  const branch = [];
+  for (let m = byId.get(messageId); m; m = byId.get(m.parentId)) branch.unshift(m);
+  return branch;
+};
+
+const getActiveBranch = (chat) => getBranch(chat, chat?.currentLeafId);
+
+const getSiblings = (chat, message) => chat.messages.filter(m => m.parentId === message.parentId);
+
+// Follows the newest child at each step, so switching to a branch shows its latest turn.
+const findLeaf = (chat, messageId) => {
+  let leafId = messageId;
+  for (;;) {
+    const children = chat.messages.filter(m => m.parentId === leafId);
+    if (children.length === 0) return leafId;
+    leafId = children[children.length - 1].id;
+  }
+};
+
+// Chains newMessages below parentId (the current leaf by default) and makes the last one the leaf.
+const appendMessages = (chat, newMessages, parentId = chat.currentLeafId ?? null) => {
+  const linked = newMessages.map(m => {
+    const message = { ...m, parentId };
+    parentId = m.id;
+    return message;
+  });
+  return { ...chat, messages: [...chat.messages, ...linked], currentLeafId: parentId };
+};
+
+// Expands stored chat messages, including recorded tool rounds, into the chat/completions message format.
+const toApiMessages = (messages) => {
+  const apiMessages = [];
+  messages.forEach(m => {
+    if (m.role === 'assistant' && m.toolCalls?.length) {
+      const rounds = [...new Set(m.toolCalls.map(c => c.round || 0))];
+      rounds.forEach(round => {
+        const calls = m.toolCalls.filter(c => (c.round || 0) === round);
+        apiMessages.push({
+          role: 'assistant',
+          content: null,
+          tool_calls: calls.map(c => ({ id: c.id, type: 'function', function: { name: c.name, arguments: JSON.stringify(c.arguments) } }))
+        });
+        calls.forEach(c => apiMessages.push({ role: 'tool', tool_call_id: c.id, content: JSON.stringify(c.result) }));
       });
-    })
-  );
+    }
+    // A reply stopped before any text arrived has nothing to send back
+    if (m.role === 'assistant' && !m.content) return;
+    apiMessages.push({ role: m.role, content: m.content });
+  });
+  return apiMessages;
 };
 
-const SettingsModal = ({ isOpen, onClose, settings, onSave }) => {
-  const [activeTab, setActiveTab] = useState('api');
-  const [localSettings, setLocalSettings] = useState(settings);
-  const [testStatus, setTestStatus] = useState(null);
+// Chats are stored in IndexedDB, one record per chat, so saving rewrites only the chats that changed
+// and a few pasted closing packages no longer hit localStorage's ~5 MB quota. Settings, the active
+// chat id and the comparison workspace are small and stay in localStorage.
+const CHAT_DB_NAME = 'loanlens';
 
-  useEffect(() => {
-    setLocalSettings(settings);
-  }, [settings]);
+// Database upgrades, one per version: entry i upgrades version i to i + 1. Only ever append.
+const CHAT_DB_MIGRATIONS = [
+  (db) => {
+    db.createObjectStore('chats', { keyPath: 'id' });
+    db.createObjectStore('meta', { keyPath: 'key' });
+  }
+];
 
-  if (!isOpen) return null;
+// Chat record upgrades, keyed by the schemaVersion they upgrade from. Records saved before
+// versioning (including everything imported from localStorage) count as version 1.
+const CHAT_SCHEMA_VERSION = 2;
 
-  const updateSetting = (key, value) => {
-    setLocalSettings(prev => ({ ...prev, [key]: value }));
+const CHAT_RECORD_MIGRATIONS = {
+  1: withMessageTree
+};
+
+const migrateChatRecord = (record) => {
+  let chat = record;
+  for (let version = chat.schemaVersion || 1; version < CHAT_SCHEMA_VERSION; version++) {
+    chat = CHAT_RECORD_MIGRATIONS[version](chat);
+  }
+  return { ...chat, schemaVersion: CHAT_SCHEMA_VERSION };
+};
+
+const LEGACY_CHATS_KEY = 'loanlens-chats';
+
+// Set once IndexedDB has opened, so a later failure to open it is not mistaken for a browser without it.
+const CHAT_STORE_KEY = 'loanlens-chat-store';
+
+const sortChatsByCreation = (chats) => [...chats].sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const idbTransaction = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('The storage transaction was aborted.'));
+});
+
+const openChatDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(CHAT_DB_NAME, CHAT_DB_MIGRATIONS.length);
+  request.onupgradeneeded = (e) => {
+    for (let version = e.oldVersion; version < CHAT_DB_MIGRATIONS.length; version++) {
+      CHAT_DB_MIGRATIONS[version](request.result, request.transaction);
+    }
   };
+  request.onsuccess = () => {
+    const db = request.result;
+    // Let a newer version in another tab upgrade the schema instead of blocking it.
+    db.onversionchange = () => db.close();
+    resolve(db);
+  };
+  request.onerror = () => reject(request.error);
+});
 
-  const testConnection = async () => {
-    setTestStatus('testing');
-    try {
-      const endpoint = localSettings.connectionType === 'cloud' 
-        ? localSettings.cloudEndpoint 
-        : localSettings.localEndpoint;
-      
-      const response = await fetch(endpoint + '/models', {
-        headers: localSettings.connectionType === 'cloud' && localSettings.apiKey 
-          ? { 'Authorization': `Bearer ${localSettings.apiKey}` }
-          : {}
-      });
-      
-      if (response.ok) {
-        setTestStatus('success');
-      } else {
-        setTestStatus('error');
-      }
-    } catch (e) {
-      setTestStatus('error');
+// Vault: an optional passphrase that encrypts chats (attachments included) and API keys at rest.
+// PBKDF2-SHA256 stretches the passphrase into an AES-GCM key; every record gets a fresh IV.
+// Only the key-derivation parameters and an encrypted check value are stored in the clear.
+const VAULT_KDF_ITERATIONS = 600000;
+
+const VAULT_CHECK_VALUE = 'loanlens-vault';
+
+const deriveVaultKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const sealValue = async (key, value) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv, data };
+};
+
+const openSealedValue = async (key, sealed) => {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, key, sealed.data);
+  return JSON.parse(new TextDecoder().decode(data));
+};
+
+const createVault = async (passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveVaultKey(passphrase, salt, VAULT_KDF_ITERATIONS);
+  const meta = {
+    version: 1,
+    kdf: 'PBKDF2-SHA256',
+    iterations: VAULT_KDF_ITERATIONS,
+    salt,
+    check: await sealValue(key, VAULT_CHECK_VALUE),
+    createdAt: new Date().toISOString()
+  };
+  return { key, meta };
+};
+
+// AES-GCM authenticates the ciphertext, so a wrong passphrase fails to decrypt the check value.
+const unlockVaultKey = async (meta, passphrase) => {
+  const key = await deriveVaultKey(passphrase, meta.salt, meta.iterations);
+  try {
+    if (await openSealedValue(key, meta.check) === VAULT_CHECK_VALUE) return key;
+  } catch (e) {
+    // Falls through to the error below
+  }
+  throw new Error('Incorrect passphrase.');
+};
+
+const createIndexedDbChatStore = async () => {
+  const db = await openChatDatabase();
+
+  // Moves chats saved by earlier versions, or during a session that ran on localStorage, out of
+  // localStorage. After the first import only chats the database does not have are added, so stale
+  // copies never overwrite newer records and chats made since are not lost when the key is removed.
+  const legacy = localStorage.getItem(LEGACY_CHATS_KEY);
+  if (legacy) {
+    const imported = await idbRequest(db.transaction('meta').objectStore('meta').get('localStorageImport'));
+    const known = imported ? new Set(await idbRequest(db.transaction('chats').objectStore('chats').getAllKeys())) : new Set();
+    const chats = JSON.parse(legacy).filter(chat => !known.has(chat.id)).map(migrateChatRecord);
+    const tx = db.transaction(['chats', 'meta'], 'readwrite');
+    chats.forEach(chat => tx.objectStore('chats').put(chat));
+    tx.objectStore('meta').put({ key: 'localStorageImport', importedAt: new Date().toISOString(), count: (imported?.count || 0) + chats.length });
+    await idbTransaction(tx);
+    localStorage.removeItem(LEGACY_CHATS_KEY);
+  }
+  localStorage.setItem(CHAT_STORE_KEY, 'IndexedDB');
+
+  // With the vault unlocked, records are stored as { id, sealed } and only the random id stays readable.
+  // Sealing is async, so it happens before the transaction opens; IndexedDB commits idle transactions.
+  let vaultKey = null;
+  const toRecord = async (chat, key = vaultKey) => key
+    ? { id: chat.id, sealed: await sealValue(key, { ...chat, schemaVersion: CHAT_SCHEMA_VERSION }) }
+    : { ...chat, schemaVersion: CHAT_SCHEMA_VERSION };
+  const fromRecord = async (record) => record.sealed ? openSealedValue(vaultKey, record.sealed) : record;
+
+  return {
+    kind: 'IndexedDB',
+    supportsVault: true,
+    loadVault: async () => (await idbRequest(db.transaction('meta').objectStore('meta').get('vault')))?.value || null,
+    setVaultKey: (key) => {
+      vaultKey = key;
+    },
+    loadChats: async () => {
+      const records = await idbRequest(db.transaction('chats').objectStore('chats').getAll());
+      const chats = await Promise.all(records.map(fromRecord));
+      return sortChatsByCreation(chats.map(migrateChatRecord));
+    },
+    saveChats: async (changed, removedIds) => {
+      const records = await Promise.all(changed.map(chat => toRecord(chat)));
+      const tx = db.transaction('chats', 'readwrite');
+      const store = tx.objectStore('chats');
+      records.forEach(record => store.put(record));
+      removedIds.forEach(id => store.delete(id));
+      await idbTransaction(tx);
+    },
+    loadSecrets: async () => {
+      const record = await idbRequest(db.transaction('meta').objectStore('meta').get('vault-secrets'));
+      return record && vaultKey ? openSealedValue(vaultKey, record.sealed) : null;
+    },
+    saveSecrets: async (secrets) => {
+      const sealed = await sealValue(vaultKey, secrets);
+      const tx = db.transaction('meta', 'readwrite');
+      tx.objectStore('meta').put({ key: 'vault-secrets', sealed });
+      await idbTransaction(tx);
+    },
+    // Enabling, disabling or re-keying the vault rewrites every chat, the vault metadata and the
+    // secrets in one transaction, so a failure part-way leaves the previous state intact.
+    rewriteAll: async (chats, { key, meta, secrets }) => {
+      const records = await Promise.all(chats.map(chat => toRecord(chat, key)));
+      const sealedSecrets = key && secrets ? await sealValue(key, secrets) : null;
+      const tx = db.transaction(['chats', 'meta'], 'readwrite');
+      const chatStore = tx.objectStore('chats');
+      const metaStore = tx.objectStore('meta');
+      chatStore.clear();
+      records.forEach(record => chatStore.put(record));
+      if (meta) metaStore.put({ key: 'vault', value: meta });
+      else metaStore.delete('vault');
+      if (sealedSecrets) metaStore.put({ key: 'vault-secrets', sealed: sealedSecrets });
+      else metaStore.delete('vault-secrets');
+      await idbTransaction(tx);
+      vaultKey = key;
     }
-    setTimeout(() => setTestStatus(null), 3000);
   };
+};
 
-  const handleSave = () => {
-    onSave(localSettings);
-    onClose();
+// Fallback for browsers without IndexedDB (some private-browsing modes): same interface, old key.
+const createLocalStorageChatStore = () => {
+  const records = new Map(JSON.parse(localStorage.getItem(LEGACY_CHATS_KEY) || '[]').map(c => [c.id, c]));
+  return {
+    kind: 'localStorage',
+    supportsVault: false,
+    loadVault: async () => null,
+    loadChats: async () => sortChatsByCreation([...records.values()].map(migrateChatRecord)),
+    saveChats: async (changed, removedIds) => {
+      const next = new Map(records);
+      changed.forEach(chat => next.set(chat.id, { ...chat, schemaVersion: CHAT_SCHEMA_VERSION }));
+      removedIds.forEach(id => next.delete(id));
+      localStorage.setItem(LEGACY_CHATS_KEY, JSON.stringify(sortChatsByCreation([...next.values()])));
+      records.clear();
+      next.forEach((chat, id) => records.set(id, chat));
+    }
   };
+};
 
-  const tabs = [
-    { id: 'api', label: 'API Config' },
-    { id: 'generation', label: 'Generation' },
-    { id: 'system', label: 'System Prompt' }
-  ];
+// True when IndexedDB may hold this app's chats, or a vault, that localStorage would not show.
+const chatDatabaseMayExist = async () => {
+  if (localStorage.getItem(CHAT_STORE_KEY)) return true;
+  try {
+    return !indexedDB.databases || (await indexedDB.databases()).some(db => db.name === CHAT_DB_NAME);
+  } catch (e) {
+    return true;
+  }
+};
+
+// IndexedDB can be present and still refuse to open (blocked by browser policy, a damaged database).
+// If it has never held chats, localStorage is used instead and `fallbackReason` tells the user why.
+// Otherwise switching would hide the saved chats and bypass the vault, so the error stands and
+// nothing is saved until the database opens again.
+const createChatStore = () => window.indexedDB
+  ? createIndexedDbChatStore().catch(async error => {
+    if (await chatDatabaseMayExist()) {
+      throw new Error(`your chats are saved in IndexedDB, which could not be opened (${error?.message || 'unknown error'}). Nothing will be saved until it opens; close other LoanLens tabs and reload`);
+    }
+    return { ...createLocalStorageChatStore(), fallbackReason: error?.message || 'IndexedDB could not be opened' };
+  })
+  : Promise.resolve(createLocalStorageChatStore());
+
+const estimateStorage = async () => {
+  if (!navigator.storage?.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+};
+
+const isQuotaError = (error) => !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+
+const describeStorageError = (error, action) => isQuotaError(error)
+  ? `Could not ${action}: browser storage is full. Delete old chats or large attachments to free space.`
+  : `Could not ${action}: ${error?.message || 'unknown storage error'}.`;
+
+const formatBytes = (bytes) => {
+  if (!Number.isFinite(bytes)) return '—';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 || value >= 100 ? 0 : 1)} ${units[unit]}`;
+};
+
+// Prompt templates. Variables are written {{like_this}} in the prompt or system prompt and filled in
+// through a form before use. A template may carry its own system prompt and generation settings;
+// those travel on the user message it produced, so regenerating a reply uses them again.
+const PROMPT_TEMPLATES_KEY = 'loanlens-templates';
+const TEMPLATE_EXPORT_FORMAT = 'loanlens-templates';
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([a-zA-Z][\w]*)\s*\}\}/g;
+const TEMPLATE_GENERATION_KEYS = ['temperature', 'topP', 'maxTokens'];
+
+const DEFAULT_PROMPT_TEMPLATES = [
+  {
+    id: 'analyze-agreement',
+    name: 'Analyze a loan agreement',
+    description: 'Plain-English walkthrough of the key terms',
+    prompt: 'Analyze the attached loan agreement. Summarize the key terms, explain anything unusual in plain English, and list the questions I should ask the lender.',
+    favorite: true
+  },
+  {
+    id: 'apr-vs-rate',
+    name: 'Explain APR vs interest rate',
+    description: 'Why the two numbers differ',
+    prompt: 'Explain the difference between APR and the note interest rate, and what makes the APR higher on a loan like mine.',
+    favorite: true
+  },
+  {
+    id: 'fha-closing-disclosure',
+    name: 'FHA closing disclosure audit',
+    description: 'Compare the Closing Disclosure with FHA rules and the Loan Estimate',
+    prompt: 'Audit the attached Closing Disclosure for an FHA loan of {{loan_amount}} on a property in {{state}}. Check the upfront and annual MIP, compare every fee with the Loan Estimate and the TRID tolerance buckets (zero, 10% and unlimited), and flag anything outside tolerance or not allowed on an FHA loan.',
+    systemPrompt: `${DEFAULT_SYSTEM_PROMPT}\n\nYou are auditing an FHA closing. Cite the Closing Disclosure page and section for every figure you discuss, and state clearly when a conclusion depends on information that is not in the document.`,
+    generation: { temperature: 0.2 },
+    favorite: true
+  },
+  {
+    id: 'auto-dealer-add-ons',
+    name: 'Auto loan dealer add-on check',
+    description: 'Find optional products packed into the contract',
+    prompt: 'Review the attached retail installment contract for a vehicle priced at {{vehicle_price}} from {{dealer}}. List every add-on (GAP, service contracts, etching, paint protection, credit insurance and similar), its price, whether it is financed, and whether it appears optional. Compare the amount financed with the vehicle price minus the down payment.',
+    generation: { temperature: 0.3 },
+    favorite: false
+  },
+  {
+    id: 'refinance-review',
+    name: 'Refinance offer review',
+    description: 'Is the new loan worth the closing costs?',
+    prompt: 'I owe {{current_balance}} at {{current_rate}} and was offered a refinance at {{new_rate}} with {{closing_costs}} in closing costs. Use the refinance calculator to find the break-even point and tell me whether it makes sense if I stay {{years_in_home}} more years.',
+    favorite: false
+  }
+];
+
+const extractTemplateVariables = (template) => {
+  const names = [];
+  [template.prompt, template.systemPrompt].filter(Boolean).forEach(text => {
+    for (const m of text.matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+      if (!names.includes(m[1])) names.push(m[1]);
+    }
+  });
+  return names;
+};
+
+const describeTemplateVariable = (name) => name.replace(/_/g, ' ').replace(/^./, c => c.toUpperCase());
+
+const fillTemplate = (text, values) => (text || '').replace(TEMPLATE_VARIABLE_PATTERN, (match, name) => values[name]?.trim() || match);
+
+// Keeps the known fields of an imported or edited template; returns null if it is unusable.
+const normalizeTemplate = (raw) => {
+  if (!isRecord(raw) || typeof raw.name !== 'string' || !raw.name.trim() || typeof raw.prompt !== 'string' || !raw.prompt.trim()) return null;
+  const generation = {};
+  TEMPLATE_GENERATION_KEYS.forEach(key => {
+    if (Number.isFinite(raw.generation?.[key])) generation[key] = raw.generation[key];
+  });
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : generateId(),
+    name: raw.name.trim(),
+    description: typeof raw.description === 'string' ? raw.description : '',
+    prompt: raw.prompt,
+    ...(typeof raw.systemPrompt === 'string' && raw.systemPrompt.trim() ? { systemPrompt: raw.systemPrompt } : {}),
+    ...(Object.keys(generation).length ? { generation } : {}),
+    favorite: !!raw.favorite
+  };
+};
+
+const parseTemplateFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('This file is not valid JSON.');
+  }
+  const list = Array.isArray(data) ? data : isRecord(data) && Array.isArray(data.templates) ? data.templates : null;
+  if (!list) throw new Error('This file does not contain LoanLens templates.');
+  const templates = list.map(normalizeTemplate).filter(Boolean);
+  if (templates.length === 0) throw new Error('No usable templates were found in this file.');
+  return templates;
+};
+
+// Imported templates replace local ones with the same id and are added otherwise.
+const mergeTemplates = (current, imported) => [
+  ...current.map(t => imported.find(i => i.id === t.id) || t),
+  ...imported.filter(i => !current.some(t => t.id === i.id))
+];
+
+// Workspace backups bundle every chat with the settings, provider profiles, templates and comparison so a
+// workspace can move to another machine. Secrets never go into a backup: API keys stay on the device they
+// were typed on.
+const WORKSPACE_BACKUP_FORMAT = 'loanlens-workspace';
+const WORKSPACE_BACKUP_VERSION = 1;
+
+const buildWorkspaceBackup = ({ chats, settings, templates, comparison }) => ({
+  format: WORKSPACE_BACKUP_FORMAT,
+  version: WORKSPACE_BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  chats: chats.map(chat => ({ ...chat, schemaVersion: CHAT_SCHEMA_VERSION })),
+  settings: withoutSecrets(settings),
+  templates,
+  comparison
+});
+
+const isRecord = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Returns a list of problems; an empty list means the chat can be imported.
+const validateImportedChat = (chat) => {
+  if (!isRecord(chat)) return ['not a chat object'];
+  const problems = [];
+  if (typeof chat.id !== 'string' || !chat.id) problems.push('missing id');
+  if ((chat.schemaVersion || 1) > CHAT_SCHEMA_VERSION) problems.push('saved by a newer version of LoanLens');
+  if (!Array.isArray(chat.messages)) return [...problems, 'missing messages'];
+  const ids = new Set();
+  chat.messages.forEach((m, i) => {
+    if (!isRecord(m) || typeof m.id !== 'string' || !['user', 'assistant'].includes(m.role) || typeof m.content !== 'string') {
+      problems.push(`message ${i + 1} is malformed`);
+    } else if (ids.has(m.id)) {
+      problems.push(`message ${i + 1} repeats id ${m.id}`);
+    } else {
+      ids.add(m.id);
+    }
+  });
+  if ('currentLeafId' in chat) {
+    chat.messages.forEach((m, i) => {
+      if (isRecord(m) && m.parentId != null && !ids.has(m.parentId)) problems.push(`message ${i + 1} points to a missing parent`);
+    });
+    // A parent chain that loops would keep the branch walkers from ever reaching the root.
+    const parentOf = new Map(chat.messages.filter(isRecord).map(m => [m.id, m.parentId]));
+    chat.messages.forEach((m, i) => {
+      if (!isRecord(m)) return;
+      const visited = new Set();
+      for (let id = m.id; id != null && parentOf.has(id); id = parentOf.get(id)) {
+        if (visited.has(id)) {
+          problems.push(`message ${i + 1} has a parent chain that loops`);
+          return;
+        }
+        visited.add(id);
+      }
+    });
+    if (chat.currentLeafId != null && !ids.has(chat.currentLeafId)) problems.push('the selected branch does not exist');
+  }
+  if (chat.documents !== undefined) {
+    const isPage = (page) => isRecord(page) && typeof page.number === 'number' && typeof page.text === 'string';
+    if (!Array.isArray(chat.documents) || !chat.documents.every(doc => isRecord(doc) && Array.isArray(doc.pages) && doc.pages.every(isPage))) {
+      problems.push('attachments are malformed');
+    }
+  }
+  return problems;
+};
+
+// Reads a single-chat JSON export or a workspace backup. Chats that fail validation are reported in
+// `rejected` instead of failing the whole file.
+const parseImportFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  const isBackup = isRecord(data) && data.format === WORKSPACE_BACKUP_FORMAT;
+  if (isBackup && !(data.version <= WORKSPACE_BACKUP_VERSION)) {
+    throw new Error(`This backup was made by a newer version of LoanLens (format version ${data.version}).`);
+  }
+  if (isBackup && !Array.isArray(data.chats)) {
+    throw new Error('This backup has no chat list.');
+  }
+  if (!isBackup && !(isRecord(data) && Array.isArray(data.messages))) {
+    throw new Error('This file is neither a LoanLens chat export nor a workspace backup.');
+  }
+
+  const chats = [];
+  const rejected = [];
+  (isBackup ? data.chats : [data]).forEach((chat, i) => {
+    const problems = validateImportedChat(chat);
+    const title = isRecord(chat) && typeof chat.title === 'string' && chat.title ? chat.title : `Chat ${i + 1}`;
+    if (problems.length) {
+      rejected.push({ title, problems });
+      return;
+    }
+    chats.push(migrateChatRecord({ ...chat, title, createdAt: chat.createdAt || new Date().toISOString() }));
+  });
+  if (chats.length === 0 && rejected.length) {
+    throw new Error(`No chat in this file could be imported: ${rejected[0].title} is ${rejected[0].problems.join(', ')}.`);
+  }
+
+  return {
+    kind: isBackup ? 'workspace' : 'chat',
+    exportedAt: isBackup ? data.exportedAt : null,
+    chats,
+    rejected,
+    settings: isBackup && isRecord(data.settings) ? data.settings : null,
+    templates: isBackup && Array.isArray(data.templates) ? data.templates.map(normalizeTemplate).filter(Boolean) : null,
+    comparison: isBackup && isRecord(data.comparison) && Array.isArray(data.comparison.offers) ? data.comparison : null
+  };
+};
+
+const sameChat = (a, b) => JSON.stringify({ ...a, schemaVersion: 0 }) === JSON.stringify({ ...b, schemaVersion: 0 });
+
+// Describes what an import will do to each chat. mode is 'merge' or 'replace'; on a merge, a chat
+// whose id already exists but whose content differs is handled by `collisions`: 'copy' keeps both
+// under a new id, 'overwrite' replaces the local chat and 'skip' keeps the local one.
+const planImport = (existingChats, importedChats, { mode, collisions }) => {
+  const existingById = new Map(existingChats.map(c => [c.id, c]));
+  const seen = new Set();
+  const changes = [];
+
+  importedChats.forEach(chat => {
+    const repeated = seen.has(chat.id);
+    seen.add(chat.id);
+    const existing = mode === 'merge' ? existingById.get(chat.id) : null;
+    if (repeated) {
+      changes.push({ action: 'copy', chat: { ...chat, id: generateId() } });
+    } else if (!existing) {
+      changes.push({ action: 'add', chat });
+    } else if (sameChat(existing, chat)) {
+      changes.push({ action: 'unchanged', chat });
+    } else if (collisions === 'copy') {
+      changes.push({ action: 'copy', chat: { ...chat, id: generateId(), title: `${chat.title} (imported)` } });
+    } else {
+      changes.push({ action: collisions, chat });
+    }
+  });
+
+  if (mode === 'replace') {
+    existingChats.forEach(chat => changes.push({ action: 'delete', chat }));
+  }
+  return changes;
+};
+
+const applyImportPlan = (existingChats, changes, mode) => {
+  const incoming = changes.filter(c => ['add', 'copy', 'overwrite'].includes(c.action)).map(c => c.chat);
+  if (mode === 'replace') return sortChatsByCreation(incoming);
+  const overwritten = new Map(incoming.map(c => [c.id, c]));
+  const kept = existingChats.map(c => overwritten.get(c.id) || c);
+  const keptIds = new Set(kept.map(c => c.id));
+  return sortChatsByCreation([...kept, ...incoming.filter(c => !keptIds.has(c.id))]);
+};
+
+// Imported profiles replace local ones with the same id and are added otherwise, keeping the local API keys.
+const mergeImportedProfiles = (current, imported) => {
+  const incoming = imported.map(profile => {
+    const local = current.find(p => p.id === profile.id);
+    return { ...profile, ...Object.fromEntries(SECRET_PROFILE_KEYS.map(key => [key, local ? local[key] : ''])) };
+  });
+  return [
+    ...current.map(p => incoming.find(i => i.id === p.id) || p),
+    ...incoming.filter(i => !current.some(p => p.id === i.id))
+  ];
+};
+
+// Imported settings only fill keys this version knows about, with values of the same type, and
+// never touch local secrets.
+const mergeImportedSettings = (current, imported) => {
+  const incoming = migrateProviderSettings(imported);
+  const profiles = Array.isArray(incoming.profiles) ? mergeImportedProfiles(current.profiles, incoming.profiles) : current.profiles;
+  return {
+    ...current,
+    ...Object.fromEntries(Object.entries(incoming).filter(([key, value]) =>
+      key in current && key !== 'profiles' && typeof value === typeof current[key] && Array.isArray(value) === Array.isArray(current[key])
+    )),
+    profiles,
+    activeProfileId: profiles.some(p => p.id === incoming.activeProfileId) ? incoming.activeProfileId : current.activeProfileId
+  };
+};
+
+const summarizeLoanSchedule = (schedule) => {
+  const { inputs, summary, rows } = schedule;
+  const lines = [
+    `**Calculated by LoanLens** for a ${describeLoanInput(inputs)}.`,
+    '',
+    `- Monthly payment: **${formatCurrency(summary.monthlyPayment)}**`
+  ];
+  if (summary.maxPayment > summary.monthlyPayment) {
+    lines.push(`- Highest regular payment: ${formatCurrency(summary.maxPayment)}`);
+  }
+  if (summary.balloonPayment) {
+    lines.push(`- Balloon payment due in month ${summary.payoffMonth}: ${formatCurrency(summary.balloonPayment)}`);
+  }
+  lines.push(`- Total interest: ${formatCurrency(summary.totalInterest)}`);
+  lines.push(`- Total paid: ${formatCurrency(summary.totalPaid)}`);
+  lines.push(`- Paid off after ${formatTerm(summary.payoffMonth)} (${rows.length} payments)`);
+  if (summary.interestSaved > 0) {
+    lines.push(`- Extra principal saves ${formatCurrency(summary.interestSaved)} in interest and ${formatTerm(summary.monthsSaved)}`);
+  }
+  return lines.join('\n');
+};
+
+const DOCUMENT_ACCEPT = '.pdf,.docx,.txt,.md,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,text/plain';
+
+const PASTED_DOCUMENT_MIN_LENGTH = 1500;
+
+const PDFJS_WORKER_SRC = 'https://unpkg.com/pdfjs-dist@3/build/pdf.worker.min.js';
+
+const documentKindFor = (file) => {
+  const name = file.name.toLowerCase();
+  if (file.type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+  if (name.endsWith('.docx')) return 'docx';
+  if (file.type.startsWith('text/') || name.endsWith('.txt') || name.endsWith('.md')) return 'txt';
+  return null;
+};
+
+// Rebuilds reading order from positioned PDF text items so table rows stay on one line.
+const pdfItemsToText = (items) => {
+  const lines = [];
+  items.filter(item => item.str !== undefined).forEach(item => {
+    const y = Math.round(item.transform[5]);
+    const x = item.transform[4];
+    let line = lines.find(l => Math.abs(l.y - y) <= 2);
+    if (!line) {
+      line = { y, items: [] };
+      lines.push(line);
+    }
+    line.items.push({ x, width: item.width || 0, str: item.str });
+  });
+
+  return lines
+    .sort((a, b) => b.y - a.y)
+    .map(line => {
+      const sorted = line.items.sort((a, b) => a.x - b.x);
+      return sorted.reduce((text, item, i) => {
+        if (i === 0) return item.str;
+        const prev = sorted[i - 1];
+        const gap = item.x - (prev.x + prev.width);
+        return text + (gap > 12 ? '    ' : gap > 1 && !text.endsWith(' ') && !item.str.startsWith(' ') ? ' ' : '') + item.str;
+      }, '').trimEnd();
+    })
+    .filter(text => text.trim() !== '')
+    .join('\n');
+};
+
+const extractPdfPages = async (file) => {
+  if (!window.pdfjsLib) throw new Error('PDF support failed to load');
+  window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
+  const pdf = await window.pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+  const pages = [];
+  for (let number = 1; number <= pdf.numPages; number++) {
+    const page = await pdf.getPage(number);
+    const content = await page.getTextContent();
+    pages.push({ number, text: pdfItemsToText(content.items) });
+  }
+  return pages;
+};
+
+// Walks word/document.xml, keeping table rows as " | " separated lines and splitting pages on
+// Word's rendered page breaks (or explicit page breaks when the file was never rendered).
+const extractDocxPages = async (file) => {
+  if (!window.JSZip) throw new Error('DOCX support failed to load');
+  const zip = await window.JSZip.loadAsync(await file.arrayBuffer());
+  const entry = zip.file('word/document.xml');
+  if (!entry) throw new Error('Not a Word document');
+  const xml = new DOMParser().parseFromString(await entry.async('string'), 'application/xml');
+  const hasRenderedBreaks = xml.getElementsByTagNameNS('*', 'lastRenderedPageBreak').length > 0;
+
+  const pages = [[]];
+  const breakPage = () => pages.push([]);
+  const currentPage = () => pages[pages.length - 1];
+
+  const runText = (node) => {
+    let text = '';
+    Array.from(node.childNodes).forEach(child => {
+      switch (child.localName) {
+        case 't': text += child.textContent; break;
+        case 'tab': text += '\t'; break;
+        case 'br':
+          if (child.getAttribute('w:type') === 'page' && !hasRenderedBreaks) {
+            currentPage().push(text);
+            text = '';
+            breakPage();
+          } else {
+            text += '\n';
+          }
+          break;
+        case 'lastRenderedPageBreak':
+          if (text.trim()) currentPage().push(text);
+          text = '';
+          breakPage();
+          break;
+        default:
+          if (child.childNodes && child.localName !== 'instrText' && child.localName !== 'delText') {
+            text += runText(child);
+          }
+      }
+    });
+    return text;
+  };
+
+  const cellText = (cell) => Array.from(cell.getElementsByTagNameNS('*', 't')).map(t => t.textContent).join(' ').trim();
+
+  const body = xml.getElementsByTagNameNS('*', 'body')[0];
+  Array.from(body ? body.childNodes : []).forEach(node => {
+    if (node.localName === 'p') {
+      const text = runText(node);
+      if (text.trim()) currentPage().push(text);
+    } else if (node.localName === 'tbl') {
+      Array.from(node.childNodes).filter(row => row.localName === 'tr').forEach(row => {
+        const cells = Array.from(row.childNodes).filter(cell => cell.localName === 'tc').map(cellText);
+        currentPage().push(cells.join(' | '));
+      });
+    }
+  });
+
+  const texts = pages.map(lines => lines.join('\n').trim());
+  if (texts.length > 1 && !texts[texts.length - 1]) texts.pop();
+  return texts.map((text, i) => ({ number: i + 1, text }));
+};
+
+const extractTextPages = async (file) => {
+  const text = (await file.text()).replace(/\r\n/g, '\n');
+  return text.split('\f').map((pageText, i) => ({ number: i + 1, text: pageText.trim() }));
+};
+
+const extractDocument = async (file) => {
+  const kind = documentKindFor(file);
+  if (!kind) throw new Error(`Unsupported file type: ${file.name}`);
+  const pages = kind === 'pdf'
+    ? await extractPdfPages(file)
+    : kind === 'docx'
+      ? await extractDocxPages(file)
+      : await extractTextPages(file);
+  if (!pages.some(p => p.text.trim())) {
+    throw new Error(`No text found in ${file.name}. Scanned documents need OCR first.`);
+  }
+  return {
+    id: generateId(),
+    name: file.name,
+    kind,
+    size: file.size,
+    pages,
+    addedAt: new Date().toISOString()
+  };
+};
+
+const formatDocumentText = (doc, pages = doc.pages) =>
+  pages.map(p => `[Page ${p.number}]\n${p.text}`).join('\n\n');
+
+const buildDocumentContext = (documents) => {
+  if (!documents || documents.length === 0) return '';
+  return 'The user has attached the following documents. Text was extracted locally; page markers appear as [Page N]. ' +
+    'When you refer to a document, cite its name and page number.\n\n' +
+    documents.map(doc => `=== Document: ${doc.name} (${doc.pages.length} page${doc.pages.length === 1 ? '' : 's'}) ===\n${formatDocumentText(doc)}`).join('\n\n');
+};
+
+// Finds "page 12" / "pages 3-5" references in a question and returns those pages verbatim so
+// the model sees exactly the text the user is pointing at.
+const resolvePageReferences = (text, documents) => {
+  if (!documents || documents.length === 0) return [];
+  const numbers = new Set();
+  const pattern = /\bp(?:age|g)?s?\.?\s*(\d{1,4})(?:\s*(?:-|–|to|through|and|&)\s*(\d{1,4}))?/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const start = Number(match[1]);
+    const end = match[2] ? Number(match[2]) : start;
+    for (let n = start; n <= Math.min(end, start + 20); n++) numbers.add(n);
+  }
+  if (numbers.size === 0) return [];
+
+  const named = documents.filter(doc => text.toLowerCase().includes(doc.name.toLowerCase().replace(/\.[^.]+$/, '')));
+  const candidates = named.length ? named : [documents[documents.length - 1]];
+  const references = [];
+  candidates.forEach(doc => {
+    doc.pages.filter(p => numbers.has(p.number)).forEach(page => references.push({ document: doc, page }));
+  });
+  return references;
+};
+
+const buildPageReferenceNote = (references) => {
+  if (references.length === 0) return '';
+  return '\n\n---\nReferenced pages:\n\n' +
+    references.map(({ document, page }) => `=== ${document.name}, page ${page.number} ===\n${page.text}`).join('\n\n');
+};
+
+const MAP_SECTION_PROMPT = `You are reviewing one section of a longer loan document for LoanLens AI. Extract only what matters for the user's request:
+- loan amounts, rates, fees, payments, dates and deadlines
+- borrower obligations, lender rights, penalties and default terms
+- anything unusual, unfavorable or potentially predatory
+
+Write concise bullet points. Cite the page for every point as (p. N) using the [Page N] markers. If the section contains nothing relevant, reply exactly "No relevant findings."`;
+
+const LONG_PASTE_QUESTION = 'Analyze this loan document: explain the key terms in plain English and flag anything unfavorable, unusual or potentially predatory.';
+
+const REDUCE_PROMPT = `The document was too large to review at once, so it was split into sections and each section was reviewed separately. Merge the section findings below into one final report that answers the user's request. Remove duplicates, resolve conflicts by noting both readings, and keep every fact tied to its source as [S<section>, p. <page>].`;
+
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const estimateMessagesTokens = (messages) =>
+  messages.reduce((sum, m) => sum + 4 + estimateTokens(typeof m.content === 'string' ? m.content : JSON.stringify(m.content || '')), 0);
+
+const splitTextToFit = (text, maxTokens) => {
+  const parts = [];
+  let current = '';
+  text.split(/\n{2,}|\n(?=\S)/).forEach(paragraph => {
+    while (estimateTokens(paragraph) > maxTokens) {
+      if (current) {
+        parts.push(current);
+        current = '';
+      }
+      parts.push(paragraph.slice(0, maxTokens * 4));
+      paragraph = paragraph.slice(maxTokens * 4);
+    }
+    if (estimateTokens(current + '\n' + paragraph) > maxTokens && current) {
+      parts.push(current);
+      current = '';
+    }
+    current = current ? current + '\n' + paragraph : paragraph;
+  });
+  if (current.trim()) parts.push(current);
+  return parts;
+};
+
+// Groups whole pages into sections of at most `maxTokens`, splitting a page only when it is too big on its own.
+const splitDocumentsIntoSections = (documents, maxTokens) => {
+  const sections = [];
+  documents.forEach(doc => {
+    let current = null;
+    const flush = () => {
+      if (current) sections.push(current);
+      current = null;
+    };
+    doc.pages.forEach(page => {
+      const pageText = `[Page ${page.number}]\n${page.text}`;
+      if (estimateTokens(pageText) > maxTokens) {
+        flush();
+        splitTextToFit(page.text, maxTokens - 16).forEach((part, i, all) => {
+          sections.push({ documentName: doc.name, startPage: page.number, endPage: page.number, part: `${i + 1}/${all.length}`, text: `[Page ${page.number}]\n${part}` });
+        });
+        return;
+      }
+      if (current && estimateTokens(current.text + '\n\n' + pageText) > maxTokens) flush();
+      if (!current) current = { documentName: doc.name, startPage: page.number, endPage: page.number, text: pageText };
+      else {
+        current.text += '\n\n' + pageText;
+        current.endPage = page.number;
+      }
+    });
+    flush();
+  });
+  return sections.map((section, i) => ({ ...section, index: i + 1 }));
+};
+
+const describeSection = (section) => {
+  const pages = section.startPage === section.endPage ? `p. ${section.startPage}` : `pp. ${section.startPage}–${section.endPage}`;
+  return `S${section.index} · ${section.documentName}, ${pages}${section.part ? ` (part ${section.part})` : ''}`;
+};
+
+// PII redaction for requests that leave the browser. Detected values are swapped for stable
+// placeholders such as [ACCOUNT_1] before sending and swapped back when replies come in. The mapping
+// is stored on the chat (and encrypted with it when the vault is on), so a value keeps its
+// placeholder across turns and the model can still tell two accounts apart.
+const PII_TYPES = [
+  { id: 'name', label: 'Names', placeholder: 'NAME' },
+  { id: 'ssn', label: 'Social Security numbers', placeholder: 'SSN' },
+  { id: 'account', label: 'Account and loan numbers', placeholder: 'ACCOUNT' },
+  { id: 'address', label: 'Street addresses', placeholder: 'ADDRESS' },
+  { id: 'phone', label: 'Phone numbers', placeholder: 'PHONE' },
+  { id: 'email', label: 'Email addresses', placeholder: 'EMAIL' },
+  { id: 'dob', label: 'Dates of birth', placeholder: 'DOB' }
+];
+
+const DEFAULT_REDACTION_RULES = {
+  cloud: { enabled: true, review: true, types: PII_TYPES.map(t => t.id) },
+  local: { enabled: false, review: false, types: PII_TYPES.map(t => t.id) }
+};
+
+const PII_DATE = '(?:\\d{1,2}[/-]\\d{1,2}[/-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\\.? \\d{1,2},? \\d{4})';
+
+const PII_STREET = '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Ter|Circle|Cir|Parkway|Pkwy|Highway|Hwy)';
+
+// Capitalized loan-form words that follow a label or honorific in headings ("Mr. Payment Due") or run
+// on after a name ("Borrower: John Smith Date:"). Words that are also common names (Will, May, Page)
+// are left out, since missing a name sends it to the provider.
+const NAME_FORM_WORDS = /^(?:payments?|due|dates?|amounts?|loans?|interest|rates?|principal|balances?|fees?|charges?|costs?|closing|disclosures?|estimates?|terms?|agreements?|notes?|mortgages?|property|escrow|taxe?s|insurance|total|monthly|annual|percentage|finance|penalty|default|section|number|lender|borrower|servicer|account|statement|period|schedule|signature|address|information|shall|must|agrees?)$/i;
+
+// `group` picks the value out of a labelled match, e.g. the digits after "Loan No.". With `stopWords`,
+// the value ends before the first stop word, and a value that starts with one is not a match.
+const PII_RULES = [
+  { type: 'ssn', pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g },
+  { type: 'ssn', pattern: /\b(?:SSN|Social Security (?:No\.?|Number|#))\s*[:#]?\s*(\d{9})\b/gi, group: 1 },
+  { type: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  { type: 'phone', pattern: /(?:\+1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g },
+  { type: 'dob', pattern: new RegExp(`\\b(?:date of birth|birth ?date|DOB|born(?: on)?)\\s*[:\\-]?\\s*(${PII_DATE})`, 'gi'), group: 1 },
+  { type: 'account', pattern: /\b(?:account|acct|loan|policy|member|routing|card|reference|MIN)\s*(?:number|no\.?|num|#|ID)?\s*[:#]?\s*((?=[A-Z0-9-]*\d{4})[A-Z0-9][A-Z0-9-]{5,24})\b/gi, group: 1 },
+  { type: 'account', pattern: /\b\d{9,19}\b/g },
+  { type: 'address', pattern: new RegExp(`\\b\\d{1,6} +(?:[NSEW]\\.? +)?(?:[A-Z0-9][A-Za-z0-9'.-]* +){0,3}${PII_STREET}\\.?(?:,? +(?:Apt|Unit|Suite|Ste|#)\\.? *[A-Za-z0-9-]+)?(?:, *[A-Z][A-Za-z .]+, *[A-Z]{2} +\\d{5}(?:-\\d{4})?)?`, 'g') },
+  { type: 'name', pattern: /\b(?:Borrower|Co-Borrower|Applicant|Co-Applicant|Guarantor|Mortgagor|Trustor|Buyer|Seller|Name|Signed by|Mr\.|Mrs\.|Ms\.|Dr\.)(?:\(s\))?[ \t]*[:-]?[ \t]*([A-Z][a-z]+(?: [A-Z]\.)?(?: [A-Z][a-z']+(?:-[A-Z][a-z']+)?){1,2})\b/g, group: 1, stopWords: NAME_FORM_WORDS, minWords: 2 }
+];
+
+// Labelled names the rules must keep finding, and form wording they must leave alone. Checked once
+// at startup; a failure is logged, since a missed name is sent to the provider unredacted.
+const PII_NAME_CHECKS = [
+  ['Borrower: John Smith Date: 01/02/2024', ['John Smith']],
+  ['Borrower: Will Turner', ['Will Turner']],
+  ['Mrs. May Chen signed', ['May Chen']],
+  ['Borrower Name: Jimmy Page', ['Jimmy Page']],
+  ['Borrower: Maria Lopez Signature ____', ['Maria Lopez']],
+  ['Dr. Maria Lopez-Garcia', ['Maria Lopez-Garcia']],
+  ['Mr. Payment Due', []],
+  ['Mr. Payment Due Name: John Smith', ['John Smith']],
+  ['Borrower Signature Date', []]
+];
+
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(?:${PII_TYPES.map(t => t.placeholder).join('|')})_\\d+\\]`, 'g');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const detectPii = (text, types) => {
+  const matches = [];
+  PII_RULES.filter(rule => types.includes(rule.type)).forEach(rule => {
+    const pattern = new RegExp(rule.pattern);
+    let m;
+    while ((m = pattern.exec(text)) !== null) {
+      let value = (rule.group ? m[rule.group] : m[0]).trim();
+      const start = m.index + m[0].indexOf(value);
+      if (rule.stopWords) {
+        const words = value.split(' ');
+        const stop = words.findIndex(word => rule.stopWords.test(word));
+        if (stop !== -1) {
+          value = words.slice(0, stop).join(' ');
+          // The dropped words may hold the next label ("Mr. Payment Due Name: John Smith").
+          pattern.lastIndex = start + value.length + 1;
+        }
+        if (!value || value.split(' ').length < (rule.minWords || 1)) continue;
+      }
+      matches.push({ type: rule.type, value, start, end: start + value.length });
+    }
+  });
+  // Where rules overlap, the earliest and then the longest match wins.
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+  let covered = 0;
+  return matches.filter(m => {
+    if (m.start < covered) return false;
+    covered = m.end;
+    return true;
+  });
+};
+
+const failedNameChecks = PII_NAME_CHECKS.filter(([text, expected]) =>
+  JSON.stringify(detectPii(text, ['name']).map(m => m.value)) !== JSON.stringify(expected));
+if (failedNameChecks.length) console.error('LoanLens name redaction misses these checks:', failedNameChecks.map(([text]) => text));
+
+// redactionMap: { entries: [{ placeholder, type, value }], allowed: [values the user chose to send] }
+const createRedactor = (redactionMap, types) => {
+  const entries = [...(redactionMap?.entries || [])];
+  const allowed = new Set(redactionMap?.allowed || []);
+  const used = new Set();
+
+  const entryFor = (type, value) => {
+    const existing = entries.find(e => e.value === value);
+    if (existing) return existing;
+    const prefix = PII_TYPES.find(t => t.id === type).placeholder;
+    const count = entries.filter(e => e.type === type).length;
+    const entry = { placeholder: `[${prefix}_${count + 1}]`, type, value };
+    entries.push(entry);
+    return entry;
+  };
+
+  const active = () => entries.filter(e => types.includes(e.type) && !allowed.has(e.value));
+
+  return {
+    // Registers values not seen before in this chat and returns them for review.
+    detect: (text) => {
+      const known = new Set(entries.map(e => e.value));
+      const found = [];
+      detectPii(text, types).forEach(m => {
+        if (allowed.has(m.value) || known.has(m.value)) return;
+        known.add(m.value);
+        found.push(entryFor(m.type, m.value));
+      });
+      return found;
+    },
+    allow: (value) => {
+      allowed.add(value);
+    },
+    // Known values are replaced everywhere, so a name found next to "Borrower:" is also hidden
+    // where it appears on its own later in the document.
+    redact: (text) => {
+      if (!text) return text;
+      detectPii(text, types).forEach(m => {
+        if (!allowed.has(m.value)) entryFor(m.type, m.value);
+      });
+      const replacements = active().sort((a, b) => b.value.length - a.value.length);
+      if (replacements.length === 0) return text;
+      const pattern = new RegExp(replacements.map(e => escapeRegExp(e.value)).join('|'), 'g');
+      return text.replace(pattern, value => {
+        const entry = replacements.find(e => e.value === value);
+        used.add(entry.placeholder);
+        return entry.placeholder;
+      });
+    },
+    restore: (text) => text && text.replace(PLACEHOLDER_PATTERN, placeholder => entries.find(e => e.placeholder === placeholder)?.value ?? placeholder),
+    usedCount: () => used.size,
+    toMap: () => ({ entries, allowed: [...allowed] })
+  };
+};
+
+// Provider adapters translate LoanLens' internal chat/completions-style messages to each API's
+// request, stream and response shapes. Everything else in the app only talks to this interface.
+const trimEndpoint = (endpoint) => (endpoint || '').trim().replace(/\/+$/, '');
+
+const newStreamState = () => ({ content: '', toolCalls: [], finishReason: null, usage: null });
+
+const parseJsonArguments = (value) => {
+  if (value && typeof value === 'object') return value;
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+const openAiAdapter = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  description: 'OpenAI, Groq, LM Studio, vLLM, Ollama /v1',
+  defaultEndpoint: 'https://api.openai.com/v1',
+  modelPlaceholder: 'gpt-4o, mistral, etc.',
+  streamFormat: 'sse',
+
+  buildChatRequest: (connection, { messages, tools, stream, temperature, topP, maxTokens }) => ({
+    url: `${trimEndpoint(connection.endpoint)}/chat/completions`,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(connection.apiKey ? { 'Authorization': `Bearer ${connection.apiKey}` } : {})
+    },
+    body: {
+      model: connection.model,
+      messages,
+      temperature,
+      top_p: topP,
+      max_tokens: maxTokens,
+      stream,
+      // Streamed replies only report token usage when asked to
+      ...(stream ? { stream_options: { include_usage: true } } : {}),
+      ...(tools ? { tools, tool_choice: 'auto' } : {})
+    }
+  }),
+
+  parseCompletion: (data) => {
+    const choice = data.choices?.[0] || {};
+    return {
+      content: choice.message?.content || '',
+      toolCalls: (choice.message?.tool_calls || []).map(tc => ({ id: tc.id, name: tc.function?.name, arguments: tc.function?.arguments })),
+      finishReason: choice.finish_reason === 'tool_calls' ? 'tool_calls' : choice.finish_reason === 'length' ? 'length' : 'stop',
+      usage: data.usage ? { promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens } : null
+    };
+  },
+
+  parseStreamEvent: (data, state) => {
+    if (data.trim() === '[DONE]') return;
+    const parsed = JSON.parse(data);
+    const choice = parsed.choices?.[0] || {};
+    const delta = choice.delta || {};
+    (delta.tool_calls || []).forEach(tc => {
+      const index = tc.index ?? 0;
+      const slot = state.toolCalls[index] || (state.toolCalls[index] = { id: '', name: '', arguments: '' });
+      if (tc.id) slot.id = tc.id;
+      if (tc.function?.name) slot.name += tc.function.name;
+      if (tc.function?.arguments) slot.arguments += tc.function.arguments;
+    });
+    state.content += delta.content || '';
+    if (choice.finish_reason) state.finishReason = choice.finish_reason === 'tool_calls' ? 'tool_calls' : choice.finish_reason === 'length' ? 'length' : 'stop';
+    if (parsed.usage) state.usage = { promptTokens: parsed.usage.prompt_tokens, completionTokens: parsed.usage.completion_tokens };
+  },
+
+  buildModelsRequest: (connection) => ({
+    url: `${trimEndpoint(connection.endpoint)}/models`,
+    headers: connection.apiKey ? { 'Authorization': `Bearer ${connection.apiKey}` } : {}
+  }),
+
+  parseModels: (data) => (data.data || data.models || []).map(m => m.id || m.name).filter(Boolean)
+};
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const ANTHROPIC_STOP_REASONS = { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length', tool_use: 'tool_calls' };
+
+const anthropicHeaders = (connection) => ({
+  'Content-Type': 'application/json',
+  'x-api-key': connection.apiKey || '',
+  'anthropic-version': ANTHROPIC_VERSION,
+  // Required for requests made directly from a browser page.
+  'anthropic-dangerous-direct-browser-access': 'true'
+});
+
+// Anthropic takes the system prompt separately, expects tool results as user content blocks
+// and rejects consecutive messages with the same role, so those are merged.
+const toAnthropicMessages = (messages) => {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const result = [];
+  const push = (role, blocks) => {
+    const last = result[result.length - 1];
+    if (last && last.role === role) last.content.push(...blocks);
+    else result.push({ role, content: blocks });
+  };
+  messages.filter(m => m.role !== 'system').forEach(m => {
+    if (m.role === 'tool') {
+      push('user', [{ type: 'tool_result', tool_use_id: m.tool_call_id, content: m.content }]);
+    } else if (m.role === 'assistant') {
+      const blocks = m.content ? [{ type: 'text', text: m.content }] : [];
+      (m.tool_calls || []).forEach(tc => blocks.push({ type: 'tool_use', id: tc.id, name: tc.function.name, input: parseJsonArguments(tc.function.arguments) }));
+      if (blocks.length) push('assistant', blocks);
+    } else {
+      push('user', [{ type: 'text', text: m.content }]);
+    }
+  });
+  return { system, messages: result };
+};
+
+const anthropicAdapter = {
+  id: 'anthropic',
+  label: 'Anthropic Messages',
+  description: 'Claude models via api.anthropic.com',
+  defaultEndpoint: 'https://api.anthropic.com/v1',
+  modelPlaceholder: 'claude-sonnet-4-5, claude-haiku-4-5, etc.',
+  streamFormat: 'sse',
+
+  buildChatRequest: (connection, { messages, tools, stream, temperature, maxTokens }) => {
+    const converted = toAnthropicMessages(messages);
+    return {
+      url: `${trimEndpoint(connection.endpoint)}/messages`,
+      headers: anthropicHeaders(connection),
+      // top_p is left out: several Claude models reject requests that set both it and temperature.
+      body: {
+        model: connection.model,
+        ...(converted.system ? { system: converted.system } : {}),
+        messages: converted.messages,
+        max_tokens: maxTokens,
+        temperature: Math.min(1, temperature),
+        stream,
+        ...(tools ? { tools: tools.map(t => ({ name: t.function.name, description: t.function.description, input_schema: t.function.parameters })) } : {})
+      }
+    };
+  },
+
+  parseCompletion: (data) => ({
+    content: (data.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+    toolCalls: (data.content || []).filter(b => b.type === 'tool_use').map(b => ({ id: b.id, name: b.name, arguments: JSON.stringify(b.input || {}) })),
+    finishReason: ANTHROPIC_STOP_REASONS[data.stop_reason] || 'stop',
+    usage: data.usage ? { promptTokens: data.usage.input_tokens, completionTokens: data.usage.output_tokens } : null
+  }),
+
+  parseStreamEvent: (data, state) => {
+    const event = JSON.parse(data);
+    switch (event.type) {
+      case 'message_start':
+        state.usage = { promptTokens: event.message?.usage?.input_tokens || 0, completionTokens: 0 };
+        break;
+      case 'content_block_start':
+        if (event.content_block?.type === 'tool_use') {
+          state.toolCalls[event.index] = { id: event.content_block.id, name: event.content_block.name, arguments: '' };
+        }
+        break;
+      case 'content_block_delta':
+        if (event.delta?.type === 'text_delta') state.content += event.delta.text;
+        if (event.delta?.type === 'input_json_delta' && state.toolCalls[event.index]) state.toolCalls[event.index].arguments += event.delta.partial_json;
+        break;
+      case 'message_delta':
+        if (event.delta?.stop_reason) state.finishReason = ANTHROPIC_STOP_REASONS[event.delta.stop_reason] || 'stop';
+        if (event.usage) state.usage = { ...(state.usage || { promptTokens: 0 }), completionTokens: event.usage.output_tokens };
+        break;
+      case 'error':
+        throw new Error(event.error?.message || 'Stream error');
+      default:
+        break;
+    }
+  },
+
+  buildModelsRequest: (connection) => ({
+    url: `${trimEndpoint(connection.endpoint)}/models`,
+    headers: anthropicHeaders(connection)
+  }),
+
+  parseModels: (data) => (data.data || []).map(m => m.id).filter(Boolean)
+};
+
+// Ollama's native API ignores the OpenAI-style context settings, so num_ctx is the only way
+// to make it use the context window configured here instead of its small default.
+const ollamaEndpoint = (endpoint) => trimEndpoint(endpoint).replace(/\/v1$/, '');
+
+const toOllamaMessages = (messages) => messages.map(m => {
+  if (m.role === 'assistant' && m.tool_calls) {
+    return {
+      role: 'assistant',
+      content: m.content || '',
+      tool_calls: m.tool_calls.map(tc => ({ function: { name: tc.function.name, arguments: parseJsonArguments(tc.function.arguments) } }))
+    };
+  }
+  if (m.role === 'tool') return { role: 'tool', content: m.content };
+  return { role: m.role, content: m.content };
+});
+
+const ollamaToolCalls = (calls) => (calls || []).map(tc => ({
+  id: generateId(),
+  name: tc.function?.name,
+  arguments: JSON.stringify(tc.function?.arguments || {})
+}));
+
+const ollamaAdapter = {
+  id: 'ollama',
+  label: 'Ollama (native)',
+  description: 'Ollama /api/chat with num_ctx',
+  defaultEndpoint: 'http://localhost:11434',
+  modelPlaceholder: 'llama3.1, mistral, qwen2.5, etc.',
+  streamFormat: 'ndjson',
+
+  buildChatRequest: (connection, { messages, tools, stream, temperature, topP, maxTokens }) => ({
+    url: `${ollamaEndpoint(connection.endpoint)}/api/chat`,
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      model: connection.model,
+      messages: toOllamaMessages(messages),
+      stream,
+      options: {
+        temperature,
+        top_p: topP,
+        num_predict: maxTokens,
+        num_ctx: connection.contextWindow
+      },
+      ...(tools ? { tools } : {})
+    }
+  }),
+
+  parseCompletion: (data) => {
+    const toolCalls = ollamaToolCalls(data.message?.tool_calls);
+    return {
+      content: data.message?.content || '',
+      toolCalls,
+      finishReason: toolCalls.length ? 'tool_calls' : data.done_reason === 'length' ? 'length' : 'stop',
+      usage: data.eval_count !== undefined ? { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count } : null
+    };
+  },
+
+  parseStreamEvent: (data, state) => {
+    const chunk = JSON.parse(data);
+    if (chunk.error) throw new Error(chunk.error);
+    state.content += chunk.message?.content || '';
+    state.toolCalls.push(...ollamaToolCalls(chunk.message?.tool_calls));
+    if (chunk.done) {
+      state.finishReason = state.toolCalls.length ? 'tool_calls' : chunk.done_reason === 'length' ? 'length' : 'stop';
+      state.usage = { promptTokens: chunk.prompt_eval_count || 0, completionTokens: chunk.eval_count || 0 };
+    }
+  },
+
+  buildModelsRequest: (connection) => ({
+    url: `${ollamaEndpoint(connection.endpoint)}/api/tags`,
+    headers: {}
+  }),
+
+  parseModels: (data) => (data.models || []).map(m => m.name || m.model).filter(Boolean)
+};
+
+const PROVIDER_ADAPTERS = {
+  openai: openAiAdapter,
+  anthropic: anthropicAdapter,
+  ollama: ollamaAdapter
+};
+
+const adapterFor = (connection) => PROVIDER_ADAPTERS[connection.provider] || openAiAdapter;
+
+// Provider profiles are named connections, each with its own endpoint, key, model, context window,
+// generation settings and redaction rules. A profile is used directly as the `connection` the adapters
+// take. `kind` only picks the defaults and the label: local models may not need redaction.
+const PROFILE_KINDS = {
+  cloud: { label: 'Cloud API', icon: '☁️', endpoint: 'https://api.openai.com/v1', contextWindow: 128000 },
+  local: { label: 'Local Model', icon: '💻', endpoint: 'http://localhost:11434/v1', contextWindow: 8192 }
+};
+
+// The context window must leave room for input after the reply's max tokens are reserved.
+const MIN_INPUT_TOKENS = 1024;
+
+const clampContextWindow = (contextWindow, maxTokens) => Math.max(contextWindow, maxTokens + MIN_INPUT_TOKENS);
+
+const createProviderProfile = (kind, overrides = {}) => ({
+  id: generateId(),
+  name: PROFILE_KINDS[kind].label,
+  kind,
+  provider: 'openai',
+  endpoint: PROFILE_KINDS[kind].endpoint,
+  apiKey: '',
+  model: '',
+  contextWindow: PROFILE_KINDS[kind].contextWindow,
+  temperature: 0.7,
+  topP: 0.95,
+  maxTokens: 2048,
+  inputPrice: 0,
+  outputPrice: 0,
+  redaction: DEFAULT_REDACTION_RULES[kind],
+  ...overrides
+});
+
+const DEFAULT_PROVIDER_PROFILES = [
+  createProviderProfile('cloud', { id: 'cloud', endpoint: 'https://text.pollinations.ai/openai', model: 'openai' }),
+  createProviderProfile('local', { id: 'local', model: 'llama2' })
+];
+
+// Fills fields a stored or imported profile is missing, so older data and backups still load.
+const normalizeProviderProfile = (raw) => {
+  const kind = PROFILE_KINDS[raw.kind] ? raw.kind : 'cloud';
+  const profile = createProviderProfile(kind, raw);
+  return { ...profile, kind, redaction: { ...DEFAULT_REDACTION_RULES[kind], ...raw.redaction } };
+};
+
+// Settings saved before profiles existed held one cloud and one local connection, switched by
+// `connectionType`. They become the first two profiles so nothing has to be typed in again.
+const migrateProviderSettings = (saved) => {
+  if (Array.isArray(saved.profiles)) {
+    return { ...saved, profiles: saved.profiles.filter(isRecord).map(normalizeProviderProfile) };
+  }
+  const {
+    connectionType, cloudProvider, cloudEndpoint, apiKey, model, cloudContextWindow,
+    localProvider, localEndpoint, localModel, localContextWindow, temperature, topP, maxTokens, redaction, ...rest
+  } = saved;
+  if (connectionType === undefined) return saved;
+  const defined = (fields) => Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  const generation = defined({ temperature, topP, maxTokens });
+  return {
+    ...rest,
+    profiles: [
+      normalizeProviderProfile({
+        id: 'cloud', kind: 'cloud', ...defined({ provider: cloudProvider, endpoint: cloudEndpoint, apiKey, model, contextWindow: cloudContextWindow, redaction: redaction?.cloud }), ...generation
+      }),
+      normalizeProviderProfile({
+        id: 'local', kind: 'local', ...defined({ provider: localProvider, endpoint: localEndpoint, model: localModel, contextWindow: localContextWindow, redaction: redaction?.local }), ...generation
+      })
+    ],
+    activeProfileId: connectionType === 'local' ? 'local' : 'cloud'
+  };
+};
+
+// A chat keeps the profile it was started with; chats from before profiles, or whose profile was
+// deleted, use the active one.
+const resolveProfile = (settings, profileId) =>
+  settings.profiles.find(p => p.id === profileId) ||
+  settings.profiles.find(p => p.id === settings.activeProfileId) ||
+  settings.profiles[0];
+
+const describeProfile = (profile) => `${profile.name}${profile.model ? ` · ${profile.model}` : ''}`;
+
+// Profile fields that hold credentials. They are kept out of backups, and out of localStorage while
+// the vault is on.
+const SECRET_PROFILE_KEYS = ['apiKey'];
+
+const withoutSecrets = (settings) => ({
+  ...settings,
+  profiles: settings.profiles.map(profile => ({ ...profile, ...Object.fromEntries(SECRET_PROFILE_KEYS.map(key => [key, ''])) }))
+});
+
+const collectProfileSecrets = (settings) => ({
+  apiKeys: Object.fromEntries(settings.profiles.filter(p => p.apiKey).map(p => [p.id, p.apiKey]))
+});
+
+const restoreProfileSecrets = (settings, secrets) => {
+  // Vaults created before profiles hold a single key, which belonged to the cloud connection.
+  const apiKeys = secrets.apiKeys || { cloud: secrets.apiKey };
+  return { ...settings, profiles: settings.profiles.map(p => apiKeys[p.id] ? { ...p, apiKey: apiKeys[p.id] } : p) };
+};
+
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const MAX_RETRIES = 3;
+
+// Retry-After is either a number of seconds or an HTTP date.
+const retryAfterDelay = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const abortError = () => new DOMException('The request was stopped.', 'AbortError');
+
+const waitFor = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError());
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Retries rate limits, server errors and failed connections with exponential backoff, honoring
+// Retry-After when the provider sends it. onRetry receives { attempt, retries, delay, reason }.
+const fetchWithRetry = async (url, init, onRetry) => {
+  for (let attempt = 1; ; attempt++) {
+    let response = null;
+    let reason;
+    try {
+      response = await fetch(url, init);
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      if (attempt > MAX_RETRIES) throw new Error(`Could not reach ${url.replace(/^\w+:\/\//, '').split('/')[0]} (${e.message}).`);
+      reason = 'Connection failed';
+    }
+    if (response) {
+      if (response.ok || !RETRY_STATUSES.includes(response.status) || attempt > MAX_RETRIES) return response;
+      reason = response.status === 429 ? 'Rate limited' : `Server error ${response.status}`;
+    }
+    const delay = retryAfterDelay(response?.headers?.get('Retry-After')) ?? Math.min(30000, 1000 * 2 ** (attempt - 1) + Math.random() * 250);
+    if (onRetry) onRetry({ attempt, retries: MAX_RETRIES, delay, reason });
+    await waitFor(delay, init.signal);
+  }
+};
+
+// Turns a failed response into an error carrying the provider's own message when it sent one.
+const apiError = async (response) => {
+  let detail = '';
+  try {
+    const data = await response.json();
+    detail = typeof data.error === 'string' ? data.error : data.error?.message || data.message || '';
+  } catch (e) {
+    // Not JSON; the status code alone will have to do
+  }
+  return new Error(`API Error ${response.status}${detail ? `: ${detail}` : ''}`);
+};
+
+const sendChatRequest = (connection, { signal, onRetry, ...options }) => {
+  const request = adapterFor(connection).buildChatRequest(connection, options);
+  return fetchWithRetry(request.url, {
+    method: 'POST',
+    headers: request.headers,
+    body: JSON.stringify(request.body),
+    signal
+  }, onRetry);
+};
+
+const requestCompletion = async (connection, options) => {
+  const response = await sendChatRequest(connection, { ...options, stream: false });
+  if (!response.ok) {
+    throw await apiError(response);
+  }
+  return adapterFor(connection).parseCompletion(await response.json()).content;
+};
+
+// Incremental parser for streamed bodies. Network chunks can end anywhere, including inside a line,
+// so the unfinished tail is buffered until the next chunk. SSE events are dispatched on the blank
+// line that ends them, with multi-line data fields joined; NDJSON dispatches every line.
+const createStreamParser = (format, onData) => {
+  let buffer = '';
+  let dataLines = [];
+
+  const dispatch = () => {
+    if (dataLines.length) onData(dataLines.join('\n'));
+    dataLines = [];
+  };
+
+  const handleLine = (line) => {
+    if (format === 'ndjson') {
+      if (line.trim()) onData(line);
+      return;
+    }
+    if (line === '') return dispatch();
+    if (line.startsWith(':')) return;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'data') dataLines.push(value);
+  };
+
+  return {
+    push: (text) => {
+      buffer += text;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    },
+    end: () => {
+      if (buffer) handleLine(buffer.replace(/\r$/, ''));
+      buffer = '';
+      dispatch();
+    }
+  };
+};
+
+const readStream = async (response, format, onData) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const parser = createStreamParser(format, onData);
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.push(decoder.decode(value, { stream: true }));
+  }
+  parser.push(decoder.decode());
+  parser.end();
+};
+
+const listModels = async (connection) => {
+  const adapter = adapterFor(connection);
+  const request = adapter.buildModelsRequest(connection);
+  const response = await fetch(request.url, { headers: request.headers });
+  if (!response.ok) {
+    throw await apiError(response);
+  }
+  return adapter.parseModels(await response.json());
+};
+
+// Map step: reviews each section on its own. Reduce step: condenses the findings until they fit the
+// context window, then returns the messages for the final (streamed) report. `history` holds the
+// earlier turns (API format) to keep between the findings and the request.
+const analyzeLongDocuments = async ({ documents, question, systemPrompt, history = [], inputBudget, complete, onProgress }) => {
+  const overhead = estimateTokens(MAP_SECTION_PROMPT) + estimateTokens(question) + 64;
+  const sectionTokens = Math.max(512, Math.floor(inputBudget * 0.75) - overhead);
+  const sections = splitDocumentsIntoSections(documents, sectionTokens);
+
+  for (const section of sections) {
+    onProgress({ phase: 'map', current: section.index, total: sections.length });
+    try {
+      section.findings = (await complete([
+        { role: 'system', content: MAP_SECTION_PROMPT },
+        { role: 'user', content: `User request: ${question}\n\nSection ${section.index} of ${sections.length} (${describeSection(section)}):\n\n${section.text}` }
+      ])).trim() || 'No relevant findings.';
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      section.findings = `⚠️ This section could not be analyzed: ${e.message}`;
+    }
+  }
+
+  let findings = sections
+    .filter(s => !/^no relevant findings\.?$/i.test(s.findings))
+    .map(s => `### ${describeSection(s)}\n${s.findings}`);
+  if (findings.length === 0) findings = ['No section contained findings relevant to the request.'];
+
+  const reduceBudget = Math.floor(inputBudget * 0.75) - estimateTokens(REDUCE_PROMPT) - estimateTokens(systemPrompt) - estimateMessagesTokens(history);
+  let pass = 0;
+  while (estimateTokens(findings.join('\n\n')) > reduceBudget && findings.length > 1) {
+    pass++;
+    const batches = [[]];
+    findings.forEach(f => {
+      const batch = batches[batches.length - 1];
+      if (batch.length && estimateTokens([...batch, f].join('\n\n')) > reduceBudget) batches.push([f]);
+      else batch.push(f);
+    });
+    const condensed = [];
+    for (let i = 0; i < batches.length; i++) {
+      onProgress({ phase: 'reduce', current: i + 1, total: batches.length, pass });
+      condensed.push((await complete([
+        { role: 'system', content: `${REDUCE_PROMPT} This is an intermediate merge: keep every citation and do not drop figures.` },
+        { role: 'user', content: `User request: ${question}\n\n${batches[i].join('\n\n')}` }
+      ])).trim());
+    }
+    if (condensed.length >= findings.length) break;
+    findings = condensed;
+  }
+
+  onProgress({ phase: 'report', current: 1, total: 1 });
+  return {
+    sections: sections.map(s => ({ index: s.index, label: describeSection(s), findings: s.findings })),
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'system', content: REDUCE_PROMPT },
+      { role: 'system', content: `Section findings:\n\n${findings.join('\n\n')}` },
+      ...history,
+      { role: 'user', content: `User request: ${question}` }
+    ]
+  };
+};
+
+// Context budgeting. Requests are estimated against the profile's context window; one that would not
+// fit is compacted before it is sent. Attached documents shrink to the pages that matter for the
+// question, and older turns are folded into a summary. The summary is kept on the reply that first
+// needed it, so later turns on the same branch only summarize the messages that dropped out since.
+const CONTEXT_TARGET = 0.85;
+
+const CONTEXT_SUMMARY_PROMPT = `Summarize the earlier part of a conversation between a borrower and LoanLens AI so the conversation can continue without the full transcript. Keep every figure, loan term, date, document reference (name and page), calculation result, red flag and decision, plus the user's goals and open questions. Write compact bullet points and do not add new advice.`;
+
+const formatTokens = (tokens) => tokens >= 10000 ? `${(tokens / 1000).toFixed(tokens >= 100000 ? 0 : 1)}k` : Math.round(tokens).toLocaleString();
+
+// `clause` is the clause the draft asks about, whose clause list goes with it.
+const estimateChatTokens = (chat, systemPrompt, draft = '', clause = null) => {
+  const clauseView = clause && (chat?.clauseViews || []).find(v => v.sourceKey === clause.sourceKey);
+  return estimateMessagesTokens([
+    { role: 'system', content: systemPrompt },
+    { role: 'system', content: buildDocumentContext(chat?.documents) },
+    { role: 'system', content: buildLoanProfileContext(chat?.loanProfile) },
+    { role: 'system', content: buildScanContext(chat?.scan) },
+    { role: 'system', content: clauseView ? buildClauseContext(clauseView, findClauseSource(chat, clauseView.sourceKey), chat.scan?.findings || [], clause.id) : '' },
+    ...(chat ? toApiMessages(getActiveBranch(chat)) : []),
+    { role: 'user', content: draft }
+  ].filter(m => m.content !== ''));
+};
+
+// Prices are per million tokens, as providers publish them.
+const estimateCost = (usage, profile) =>
+  ((usage.promptTokens * (Number(profile.inputPrice) || 0)) + (usage.completionTokens * (Number(profile.outputPrice) || 0))) / 1e6;
+
+const formatUsageCost = (cost) => cost > 0 && cost < 0.01 ? '<$0.01' : formatCurrency(cost);
+
+const addUsage = (total, usage) => ({
+  promptTokens: total.promptTokens + usage.promptTokens,
+  completionTokens: total.completionTokens + usage.completionTokens,
+  cost: total.cost + (usage.cost || 0),
+  estimated: total.estimated || Boolean(usage.estimated)
+});
+
+// Every branch counts, since regenerated replies were paid for too. A second opinion counts both
+// answers and the adjudication rather than the copy kept on the message.
+const summarizeChatUsage = (chat) => (chat?.messages || [])
+  .flatMap(m => m.secondOpinion ? [...m.secondOpinion.answers, m.secondOpinion.adjudication].filter(Boolean) : [m])
+  .filter(m => m.usage)
+  .reduce((total, m) => addUsage(total, m.usage), { promptTokens: 0, completionTokens: 0, cost: 0, estimated: false });
+
+// The question's own page references come first, then pages with scanner findings or loan profile
+// sources, then pages that share the most words with the question.
+const selectDocumentExcerpts = (documents, { question, scan, loanProfile }, maxTokens) => {
+  const referenced = resolvePageReferences(question, documents);
+  const anchors = [...(scan?.findings || []), ...Object.values(loanProfile?.fields || {})].map(item => item.source).filter(source => source?.documentId);
+  const terms = [...new Set(question.toLowerCase().match(/[a-z]{5,}/g) || [])];
+  const ranked = documents.flatMap((doc, docIndex) => doc.pages.map(page => {
+    const text = page.text.toLowerCase();
+    const score = (referenced.some(r => r.document.id === doc.id && r.page.number === page.number) ? 1000 : 0) +
+      (anchors.some(source => source.documentId === doc.id && source.page === page.number) ? 100 : 0) +
+      terms.filter(term => text.includes(term)).length;
+    return { doc, docIndex, page, score };
+  })).sort((a, b) => b.score - a.score);
+
+  const kept = [];
+  let used = 0;
+  ranked.forEach(item => {
+    const tokens = estimateTokens(item.page.text) + 8;
+    if (used + tokens > maxTokens) return;
+    kept.push(item);
+    used += tokens;
+  });
+  return kept.sort((a, b) => a.docIndex - b.docIndex || a.page.number - b.page.number);
+};
+
+const buildDocumentExcerptContext = (documents, excerpts) => {
+  if (excerpts.length === 0) {
+    return `The user has attached ${documents.map(doc => doc.name).join(', ')}, but the documents are too long to include for this model. Ask the user to quote the part they mean, or to turn on long-document mode.`;
+  }
+  return 'The user has attached the following documents. They are too long to include in full for this model, so only the pages most relevant to this question are shown. ' +
+    'Text was extracted locally; page markers appear as [Page N]. Cite the document name and page, and say so when the answer may depend on pages that are not shown.\n\n' +
+    documents.map(doc => {
+      const pages = excerpts.filter(e => e.doc.id === doc.id).map(e => e.page);
+      if (pages.length === 0) return `=== Document: ${doc.name} (${doc.pages.length} pages, none shown) ===`;
+      return `=== Document: ${doc.name} (excerpt: ${pages.length} of ${doc.pages.length} page${doc.pages.length === 1 ? '' : 's'}) ===\n${formatDocumentText(doc, pages)}`;
+    }).join('\n\n');
+};
+
+// System context, then the summary of older turns if there is one, then the recent turns verbatim.
+const assembleReplyMessages = ({ systemPrompt, documentContext, profileContext, scanContext, clauseContext, regulationContext, summary, history, pageNote }) => {
+  const apiHistory = toApiMessages(history);
+  const last = apiHistory[apiHistory.length - 1];
+  if (last && pageNote) apiHistory[apiHistory.length - 1] = { ...last, content: last.content + pageNote };
+  return [
+    { role: 'system', content: systemPrompt },
+    ...(documentContext ? [{ role: 'system', content: documentContext }] : []),
+    ...(profileContext ? [{ role: 'system', content: profileContext }] : []),
+    ...(scanContext ? [{ role: 'system', content: scanContext }] : []),
+    ...(clauseContext ? [{ role: 'system', content: clauseContext }] : []),
+    ...(regulationContext ? [{ role: 'system', content: regulationContext }] : []),
+    ...(summary ? [{ role: 'system', content: `Summary of the earlier conversation (${summary.messageCount} messages), written because the full transcript no longer fits:\n${summary.content}` }] : []),
+    ...apiHistory
+  ];
+};
+
+// Keeps the newest messages that fit in `maxTokens`, always including the question being answered,
+// and starts the kept part at a user message so no reply is separated from its question.
+const splitHistoryForBudget = (history, maxTokens) => {
+  let cut = history.length - 1;
+  let used = estimateMessagesTokens(toApiMessages([history[cut]]));
+  while (cut > 0) {
+    const tokens = estimateMessagesTokens(toApiMessages([history[cut - 1]]));
+    if (used + tokens > maxTokens) break;
+    used += tokens;
+    cut--;
+  }
+  while (cut < history.length - 1 && history[cut].role !== 'user') cut++;
+  return { older: history.slice(0, cut), recent: history.slice(cut) };
+};
+
+const describeTranscript = (messages) => messages
+  .filter(m => m.content)
+  .map(m => `${m.role === 'user' ? 'User' : 'LoanLens AI'}: ${m.content}`)
+  .join('\n\n');
+
+// Returns the messages to send and, when anything was compacted, a note for the reply. `summarize`
+// sends one summary request; long transcripts are summarized in parts, each part extending the last.
+const fitRequestToContext = async ({ request, inputBudget, summarize }) => {
+  const target = Math.floor(inputBudget * CONTEXT_TARGET);
+  const full = assembleReplyMessages(request);
+  if (estimateMessagesTokens(full) <= target) return { messages: full, context: null };
+
+  const context = { originalTokens: estimateMessagesTokens(full) };
+  let { documentContext } = request;
+  if (documentContext && estimateTokens(documentContext) > target / 2) {
+    const excerpts = selectDocumentExcerpts(request.documents, { question: request.messageText, scan: request.scan, loanProfile: request.loanProfile }, Math.floor(target / 2));
+    documentContext = buildDocumentExcerptContext(request.documents, excerpts);
+    context.excerptPages = excerpts.length;
+    context.totalPages = request.documents.reduce((sum, doc) => sum + doc.pages.length, 0);
+  }
+
+  const fixedTokens = estimateMessagesTokens(assembleReplyMessages({ ...request, documentContext, history: [] }));
+  // A quarter of what is left is held back for the summary itself.
+  const { older, recent } = splitHistoryForBudget(request.history, Math.floor((target - fixedTokens) * 0.75));
+  let summary = null;
+  if (older.length) {
+    const throughId = older[older.length - 1].id;
+    const cached = request.summary;
+    const coveredAt = cached ? older.findIndex(m => m.id === cached.throughId) : -1;
+    if (cached && cached.throughId === throughId) {
+      summary = cached;
+    } else {
+      const partBudget = Math.max(512, Math.floor(inputBudget * 0.6) - estimateTokens(CONTEXT_SUMMARY_PROMPT));
+      let content = coveredAt >= 0 ? cached.content : '';
+      for (const part of splitTextToFit(describeTranscript(older.slice(coveredAt + 1)), partBudget)) {
+        content = (await summarize(content ? `Summary so far:\n${content}\n\nThe conversation continued:\n${part}` : part)).trim();
+      }
+      summary = { throughId, content, messageCount: older.length };
+      context.summary = summary;
+    }
+    context.summarizedMessages = older.length;
+  }
+
+  const messages = assembleReplyMessages({ ...request, documentContext, summary, history: recent });
+  context.tokens = estimateMessagesTokens(messages);
+  return { messages, context };
+};
+
+// The newest summary on the branch; fitRequestToContext extends it instead of starting over.
+const findContextSummary = (history) => {
+  for (let i = history.length - 1; i >= 0; i--) {
+    const summary = history[i].context?.summary;
+    if (summary) return summary;
+  }
+  return null;
+};
+
+// Disclosure forms answer feature questions in a table row, such as "Prepayment Penalty   NO" on the
+// Closing Disclosure. Returns 'yes' or 'no' when such an answer follows the matched words on the same
+// line, before the sentence ends; null otherwise. Lower-case answers count only in a table cell.
+const statedAnswer = (text, start, end) => {
+  const lineEnd = text.indexOf('\n', end);
+  const rest = text.slice(end, Math.min(lineEnd === -1 ? text.length : lineEnd, end + 80));
+  const answers = [
+    rest.match(/^[^.]*?(?:^|[\s|:?])(YES|NO)(?![A-Za-z])/),
+    rest.match(/^[^.]*?[|:?]\s*(yes|no)(?![a-z])/i)
+  ].filter(Boolean).sort((a, b) => a[0].length - b[0].length);
+  return answers.length ? answers[0][1].toLowerCase() : null;
+};
+
+// True when a negating word comes shortly before the matched words in the same clause: "does not
+// have a negative amortization feature", "is not an interest-only loan", "no balloon payment".
+// Wrapped lines continue the clause, but a line that ends in a form answer ("Balloon Payment NO") does not.
+const isNegatedMention = (text, start, span = 5) => {
+  const clause = text.slice(Math.max(0, start - 80), start).split(/[.;:,!?|•]|\b(?:YES|NO)[^\S\n]*\n/).pop();
+  const words = clause.trim().split(/\s+/).slice(-span).join(' ');
+  return /\b(?:no|not|never|without|none|neither|nor|cannot)\b|n['’]t\b/i.test(words);
+};
+
+const LOAN_PROFILE_FIELDS = [
+  { id: 'principal', label: 'Principal', type: 'currency' },
+  { id: 'noteRate', label: 'Note Rate', type: 'percent' },
+  { id: 'apr', label: 'APR', type: 'percent' },
+  { id: 'termMonths', label: 'Term', type: 'months' },
+  { id: 'payment', label: 'Monthly Payment', type: 'currency' },
+  { id: 'fees', label: 'Fees (prepaid finance charges)', type: 'currency' },
+  { id: 'amountFinanced', label: 'Amount Financed', type: 'currency' },
+  { id: 'financeCharge', label: 'Finance Charge', type: 'currency' },
+  { id: 'prepaymentPenalty', label: 'Prepayment Penalty', type: 'yesno' },
+  { id: 'balloon', label: 'Balloon Payment', type: 'yesno' },
+  { id: 'escrow', label: 'Escrow Account', type: 'yesno' },
+  { id: 'lateFee', label: 'Late Fees', type: 'text' },
+  { id: 'arbitration', label: 'Arbitration Clause', type: 'yesno' }
+];
+
+const parseAmount = (text) => Number(String(text).replace(/[$,\s]/g, ''));
+
+const AMOUNT = '\\$\\s?([\\d,]+(?:\\.\\d{1,2})?)';
+
+// Ordered most-specific first; the first rule that matches anywhere in the sources wins.
+const LOAN_PROFILE_RULES = {
+  principal: [
+    { pattern: new RegExp(`${AMOUNT}[^.]{0,80}?\\(this amount is called ["“]?principal`, 'i'), parse: m => parseAmount(m[1]) },
+    { pattern: new RegExp(`(?:original principal(?: amount)?|principal amount|loan amount|amount of (?:the |this )?loan|note amount)\\s*(?:of|is|:|=)?\\s*(?:U\\.?S\\.?\\s*)?${AMOUNT}`, 'i'), parse: m => parseAmount(m[1]) }
+  ],
+  apr: [
+    { pattern: /(?:annual percentage rate|\bAPR\b)[^\d%]{0,60}?(\d{1,2}(?:\.\d{1,4})?)\s*%/i, parse: m => parseFloat(m[1]) }
+  ],
+  noteRate: [
+    { pattern: /(?:yearly rate of|note rate|interest rate|fixed rate)\s*(?:of|is|:|=)?\s*(\d{1,2}(?:\.\d{1,4})?)\s*%/i, parse: m => parseFloat(m[1]) },
+    { pattern: /(\d{1,2}(?:\.\d{1,4})?)\s*%\s*(?:fixed |variable |adjustable )?(?:interest rate|per annum|annual interest)/i, parse: m => parseFloat(m[1]) }
+  ],
+  termMonths: [
+    { pattern: /(?:loan term|term of (?:the |this )?(?:loan|note)|term)\s*(?:of|is|:|=)?\s*(\d{1,3})\s*(years?|yrs?|months?)/i, parse: m => Number(m[1]) * (/^y/i.test(m[2]) ? 12 : 1) },
+    { pattern: /(\d{1,2})[- ]year (?:fixed|loan|term|mortgage|note)/i, parse: m => Number(m[1]) * 12 },
+    { pattern: /(\d{2,3}) (?:consecutive )?(?:equal )?monthly (?:payments|installments)/i, parse: m => Number(m[1]) }
+  ],
+  payment: [
+    { pattern: new RegExp(`(?:monthly principal (?:and|&) interest|principal (?:and|&) interest(?: payment)?|monthly payment(?: amount)?|each (?:monthly )?payment|my monthly payment)[^$\\d]{0,60}?${AMOUNT}`, 'i'), parse: m => parseAmount(m[1]) }
+  ],
+  fees: [
+    { pattern: new RegExp(`prepaid finance charges?[^$\\d]{0,40}?${AMOUNT}`, 'i'), parse: m => parseAmount(m[1]) },
+    { pattern: new RegExp(`(?:total )?origination charges?[^$\\d]{0,40}?${AMOUNT}`, 'i'), parse: m => parseAmount(m[1]) },
+    { pattern: new RegExp(`(?:total )?loan costs[^$\\d]{0,40}?${AMOUNT}`, 'i'), parse: m => parseAmount(m[1]) },
+    { pattern: new RegExp(`(?:total )?(?:closing costs|loan fees|lender fees)[^$\\d]{0,40}?${AMOUNT}`, 'i'), parse: m => parseAmount(m[1]) }
+  ],
+  amountFinanced: [
+    { pattern: new RegExp(`amount financed[^$\\d]{0,80}?${AMOUNT}`, 'i'), parse: m => parseAmount(m[1]) }
+  ],
+  financeCharge: [
+    { pattern: new RegExp(`(?<!prepaid )finance charge(?!s)[^$\\d]{0,80}?${AMOUNT}`, 'i'), parse: m => parseAmount(m[1]) }
+  ],
+  prepaymentPenalty: [
+    { pattern: /(?:no prepayment (?:penalty|charge|fee)|without (?:any )?(?:prepayment )?(?:penalty|charge)|will not (?:have to )?pay (?:a|any) (?:prepayment )?penalty|does not have a prepayment penalty)/i, parse: () => false },
+    { pattern: /(?<term>prepayment (?:penalty|charge|premium|fee)|may have to pay a penalty|yield maintenance)[^.]{0,160}/i, feature: true, parse: () => true, note: m => m[0].trim() }
+  ],
+  balloon: [
+    { pattern: /(?:no balloon payment|does not have a balloon)/i, parse: () => false },
+    { pattern: new RegExp(`(?<term>balloon payment)[^$.]{0,80}?${AMOUNT}`, 'i'), feature: true, parse: () => true, note: m => `${formatCurrency(parseAmount(m[2]))} due at maturity` },
+    { pattern: /(?<term>balloon (?:payment|note|loan))[^.]{0,120}/i, feature: true, parse: () => true, note: m => m[0].trim() }
+  ],
+  escrow: [
+    { pattern: /(?:will not have an escrow account|no escrow(?: account)?|escrow(?: is)? waived|declined (?:an )?escrow)/i, parse: () => false },
+    { pattern: new RegExp(`(?:monthly escrow(?: payment)?|escrow (?:payment|deposit|amount))[^$\\d]{0,40}?${AMOUNT}`, 'i'), parse: () => true, note: m => `${formatCurrency(parseAmount(m[1]))} per month` },
+    { pattern: /(?:escrow account|escrow items|initial escrow)[^.]{0,120}/i, parse: () => true, note: m => m[0].trim() }
+  ],
+  lateFee: [
+    { pattern: /\b[^.]{0,120}\blate (?:charge|fee|payment charge)s?\b[^.]{0,160}?(?:\d+(?:\.\d+)?\s*%|\$\s?[\d,]+(?:\.\d{2})?)[^.]{0,80}/i, parse: m => m[0].replace(/\s+/g, ' ').trim() },
+    { pattern: /\b[^.]{0,120}\blate (?:charge|fee|payment charge)s?\b[^.]{10,160}/i, parse: m => m[0].replace(/\s+/g, ' ').trim() }
+  ],
+  arbitration: [
+    { pattern: /(?:(?:not|never) (?:be )?(?:subject to |require |(?:required|obligated) to (?:\w+ ){0,3}?)(?:binding |mandatory )?arbitration|arbitration (?:is )?not required|no (?:binding |mandatory )?arbitration)/i, parse: () => false },
+    { pattern: /(?:binding|mandatory)? ?(?<term>arbitration)[^.]{0,160}/i, feature: true, parse: () => true, note: m => m[0].trim() }
+  ]
+};
+
+// Treats attached documents and long pasted user messages as extraction sources.
+const collectProfileSources = (chat) => {
+  const sources = (chat.documents || []).map(doc => ({ documentId: doc.id, name: doc.name, pages: doc.pages }));
+  getActiveBranch(chat).filter(m => m.role === 'user' && m.content.length >= PASTED_DOCUMENT_MIN_LENGTH).forEach(m => {
+    sources.push({ messageId: m.id, name: 'Pasted text', pages: [{ number: 1, text: m.content }] });
+  });
+  return sources;
+};
+
+const makeSourceRef = (source, page, start, end) => ({
+  documentId: source.documentId || null,
+  messageId: source.messageId || null,
+  name: source.name,
+  page: page.number,
+  start,
+  end,
+  excerpt: page.text.slice(Math.max(0, start - 80), Math.min(page.text.length, end + 80)).replace(/\s+/g, ' ').trim()
+});
+
+// Feature rules name the feature in a `term` group. A form answer next to the term ("Balloon Payment
+// NO") decides the value, and a negated mention of the term without one says nothing either way.
+const readFeatureMatch = (text, match) => {
+  const start = match.index + match[0].indexOf(match.groups.term);
+  const answer = statedAnswer(text, start, start + match.groups.term.length);
+  if (answer) return answer === 'yes';
+  return isNegatedMention(text, start) ? null : true;
+};
+
+const extractLoanProfile = (sources) => {
+  const fields = {};
+  LOAN_PROFILE_FIELDS.forEach(field => {
+    const rules = LOAN_PROFILE_RULES[field.id] || [];
+    for (const rule of rules) {
+      for (const source of sources) {
+        for (const page of source.pages) {
+          const matches = rule.feature ? page.text.matchAll(new RegExp(rule.pattern.source, rule.pattern.flags + 'g')) : [rule.pattern.exec(page.text)];
+          for (const match of matches) {
+            if (!match) continue;
+            const value = rule.feature ? readFeatureMatch(page.text, match) && rule.parse(match) : rule.parse(match);
+            if (value === null || (typeof value === 'number' && !(value > 0))) continue;
+            fields[field.id] = {
+              value,
+              ...(rule.note && value !== false ? { note: rule.note(match).replace(/\s+/g, ' ').slice(0, 200) } : {}),
+              method: 'pattern',
+              source: makeSourceRef(source, page, match.index, match.index + match[0].length)
+            };
+            return;
+          }
+        }
+      }
+    }
+  });
+  return fields;
+};
+
+const normalizeForSearch = (text) => text.toLowerCase().replace(/\s+/g, ' ');
+
+// Finds where a quoted snippet (from the model) lives in the sources so the field can link back to it.
+const locateQuote = (sources, quote) => {
+  if (!quote || quote.length < 4) return null;
+  const needle = normalizeForSearch(quote).slice(0, 120);
+  for (const source of sources) {
+    for (const page of source.pages) {
+      const haystack = normalizeForSearch(page.text);
+      const index = haystack.indexOf(needle);
+      if (index === -1) continue;
+      const ratio = page.text.length / Math.max(1, haystack.length);
+      const start = Math.round(index * ratio);
+      return makeSourceRef(source, page, start, start + Math.round(needle.length * ratio));
+    }
+  }
+  return null;
+};
+
+const PROFILE_EXTRACTION_PROMPT = `Extract loan terms from the document text. Reply with JSON only, no prose, in exactly this shape:
+{${LOAN_PROFILE_FIELDS.map(f => `"${f.id}": {"value": ${f.type === 'yesno' ? 'true|false|null' : f.type === 'text' ? '"string"|null' : 'number|null'}, "quote": "exact words from the document"}`).join(', ')}}
+Rules: amounts in dollars without symbols, rates as percents (6.5 not 0.065), termMonths in months, fees = points plus lender and other prepaid finance charges, amountFinanced and financeCharge are the Truth in Lending disclosure figures. "quote" must be copied verbatim from the document so it can be found again. Use null when the document does not say.`;
+
+const parseJsonObject = (text) => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('The model did not return JSON');
+  return JSON.parse(text.slice(start, end + 1));
+};
+
+const profileFieldsFromModel = (json, sources) => {
+  const fields = {};
+  LOAN_PROFILE_FIELDS.forEach(field => {
+    const entry = json[field.id];
+    if (!entry || entry.value === null || entry.value === undefined || entry.value === '') return;
+    let value = entry.value;
+    if (['currency', 'percent', 'months'].includes(field.type)) {
+      value = parseAmount(value);
+      if (!(value > 0)) return;
+    }
+    if (field.type === 'yesno') value = value === true || value === 'true' || value === 'yes';
+    fields[field.id] = {
+      value,
+      ...(field.type === 'yesno' && entry.quote ? { note: String(entry.quote).slice(0, 200) } : {}),
+      method: 'ai',
+      source: locateQuote(sources, entry.quote)
+    };
+  });
+  return fields;
+};
+
+// Fields the user corrected are never overwritten by a later extraction.
+const mergeLoanProfile = (profile, extracted) => {
+  const fields = { ...(profile?.fields || {}) };
+  Object.entries(extracted).forEach(([id, record]) => {
+    if (fields[id]?.edited) return;
+    fields[id] = record;
+  });
+  return { ...(profile || {}), fields, extractedAt: new Date().toISOString() };
+};
+
+const formatProfileValue = (field, record) => {
+  if (!record || record.value === null || record.value === undefined || record.value === '') return '—';
+  switch (field.type) {
+    case 'currency': return formatCurrency(record.value);
+    case 'percent': return formatPercent(record.value);
+    case 'months': return `${record.value} months (${formatTerm(record.value)})`;
+    case 'yesno': return `${record.value ? 'Yes' : 'No'}${record.note ? ` — ${record.note}` : ''}`;
+    default: return String(record.value);
+  }
+};
+
+const buildLoanProfileContext = (profile) => {
+  const lines = LOAN_PROFILE_FIELDS
+    .filter(field => profile?.fields?.[field.id] && profile.fields[field.id].value !== null && profile.fields[field.id].value !== '')
+    .map(field => {
+      const record = profile.fields[field.id];
+      const origin = record.edited ? 'confirmed by the user' : record.source ? `${record.source.name}, p. ${record.source.page}` : 'extracted';
+      return `- ${field.label}: ${formatProfileValue(field, record)} (${origin})`;
+    });
+  if (lines.length === 0) return '';
+  const aprCheck = verifyProfileApr(profile);
+  if (aprCheck) {
+    lines.push(`- APR check (Regulation Z Appendix J, computed by LoanLens): computed ${formatPercent(aprCheck.apr)} vs disclosed ${formatPercent(aprCheck.check.disclosedApr)}, ` +
+      `${aprCheck.check.withinTolerance ? 'within' : 'OUTSIDE'} the ${aprCheck.check.tolerance} point tolerance${aprCheck.assumedAmountFinanced ? ' (amount financed assumed to be principal minus fees)' : ''}`);
+  }
+  return `Loan profile for this chat. Values confirmed by the user override anything in the document text or earlier replies; use them for all calculations:\n${lines.join('\n')}`;
+};
+
+// Checks the disclosed APR in a profile. A disclosed amount financed is preferred; otherwise fees are
+// treated as prepaid finance charges, which is an assumption the panel shows to the user.
+const verifyProfileApr = (profile) => {
+  const value = (id) => profile?.fields?.[id]?.value;
+  if (!(value('apr') > 0) || !(value('termMonths') > 0)) return null;
+  if (!(value('principal') > 0 || value('amountFinanced') > 0)) return null;
+  if (!(value('noteRate') > 0 || value('payment') > 0)) return null;
+  try {
+    const result = calculateApr({
+      loanAmount: value('principal'),
+      annualRate: value('noteRate'),
+      termMonths: value('termMonths'),
+      payment: value('payment'),
+      financeCharges: value('fees') || 0,
+      amountFinanced: value('amountFinanced'),
+      disclosedApr: value('apr')
+    });
+    return { ...result, assumedAmountFinanced: !(value('amountFinanced') > 0) };
+  } catch (e) {
+    return null;
+  }
+};
+
+const profileToAprInput = (profile) => {
+  const value = (id) => profile?.fields?.[id]?.value;
+  const input = {};
+  if (value('principal') > 0) input.loanAmount = value('principal');
+  if (value('noteRate') > 0) input.annualRate = value('noteRate');
+  if (value('termMonths') > 0) input.termMonths = value('termMonths');
+  if (value('payment') > 0) input.payment = value('payment');
+  if (value('fees') > 0) input.financeCharges = value('fees');
+  if (value('amountFinanced') > 0) input.amountFinanced = value('amountFinanced');
+  if (value('apr') > 0) input.disclosedApr = value('apr');
+  return input;
+};
+
+const profileToLoanInput = (profile) => {
+  const value = (id) => profile?.fields?.[id]?.value;
+  const input = {};
+  if (value('principal') > 0) input.principal = value('principal');
+  if (value('noteRate') > 0) input.annualRate = value('noteRate');
+  if (value('termMonths') > 0) input.termMonths = value('termMonths');
+  return input;
+};
+
+const SEVERITY_STYLES = {
+  high: { label: 'High', badge: 'bg-red-600/20 text-red-300 border-red-500/40', mark: 'bg-red-500/30 text-red-100' },
+  medium: { label: 'Medium', badge: 'bg-amber-600/20 text-amber-300 border-amber-500/40', mark: 'bg-amber-500/30 text-amber-100' },
+  low: { label: 'Low', badge: 'bg-sky-600/20 text-sky-300 border-sky-500/40', mark: 'bg-sky-500/30 text-sky-100' }
+};
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Bump `version` whenever a rule or threshold changes so stored findings can be traced to the rules that produced them.
+// HOEPA dollar thresholds are adjusted every year by the CFPB.
+const SCANNER_RULESET = {
+  version: '1.2.0',
+  hoepa: {
+    year: 2025,
+    // 12 CFR 1026.34(a)(8): late charges on a high-cost mortgage are capped at 4% of the past-due payment.
+    lateFeePercent: 4,
+    aporSpreadFirstLien: 6.5,
+    pointsAndFeesPercent: 5,
+    loanAmountThreshold: 27592,
+    smallLoanPercent: 8,
+    smallLoanFeeCap: 1380
+  },
+  rules: [
+    {
+      id: 'prepayment-penalty',
+      title: 'Prepayment penalty',
+      severity: 'high',
+      patterns: [/prepayment (?:penalty|charge|premium)/i, /penalty for (?:early )?(?:payoff|prepayment|paying (?:off )?early)/i, /yield maintenance/i, /may have to pay a penalty/i],
+      exclude: /\b(?:no|without(?: a| any)?|will not (?:have to )?pay (?:a|any)|does not have a|not subject to (?:a|any)) (?:prepayment )?(?:penalty|charge)/i,
+      explanation: 'You would owe a fee for paying the loan off early, including when you sell or refinance. Prepayment penalties are banned on most qualified mortgages after three years and on HOEPA loans entirely.'
+    },
+    {
+      id: 'balloon-payment',
+      title: 'Balloon payment',
+      severity: 'high',
+      patterns: [/balloon (?:payment|note|loan)/i, /final (?:lump[- ]sum )?payment of \$/i, /(?:remaining|unpaid|entire) (?:principal )?balance (?:is|will be|shall be) due (?:and payable )?(?:in full )?(?:at|on|upon)/i],
+      exclude: /no balloon|does not have a balloon/i,
+      explanation: 'A large lump sum comes due at the end of the term. If you cannot refinance or sell in time, you risk default or foreclosure.'
+    },
+    {
+      id: 'negative-amortization',
+      title: 'Negative amortization',
+      severity: 'high',
+      patterns: [/negative(?:ly)? amortiz/i, /deferred interest/i, /(?:loan|principal) balance (?:may|can|could|will) (?:increase|grow)/i, /(?:minimum )?payment (?:may|will|might) not (?:be enough to )?(?:cover|pay) (?:all )?(?:of )?(?:the )?interest/i],
+      exclude: /\b(?:no|not (?:have|allow|permit|include)|never) (?:an? |any )?(?:negative(?:ly)? amortiz|deferred interest)|balance (?:will|can|may) not (?:increase|grow)/i,
+      explanation: 'Payments may not cover the interest due, so unpaid interest is added to the balance and you can end up owing more than you borrowed.'
+    },
+    {
+      id: 'single-premium-credit-insurance',
+      title: 'Single-premium credit insurance',
+      severity: 'high',
+      patterns: [/single[- ]premium (?:credit )?(?:life|disability|unemployment|insurance)/i, /(?:credit (?:life|disability) insurance|debt cancellation)[^.]{0,80}financed/i],
+      explanation: 'The whole insurance premium is financed up front, so you pay interest on it for the life of the loan. It is prohibited on most mortgages and is optional on other credit.'
+    },
+    {
+      id: 'credit-insurance',
+      title: 'Credit insurance or add-on product',
+      severity: 'medium',
+      patterns: [/credit (?:life|disability|unemployment|property) insurance/i, /debt (?:cancellation|suspension)/i, /(?:GAP|guaranteed asset protection) (?:insurance|waiver|coverage)/i, /(?:extended warranty|service contract)/i],
+      exclude: /single[- ]premium/i,
+      explanation: 'Add-on products raise the cost of the loan. They must be voluntary; ask for the price without them and confirm you can decline.'
+    },
+    {
+      id: 'mandatory-arbitration',
+      title: 'Mandatory arbitration',
+      severity: 'medium',
+      patterns: [/(?:binding|mandatory) arbitration/i, /waive (?:your|the|any) right to (?:a )?(?:jury )?trial/i, /class[- ]action waiver/i, /(?:agree|consent) to (?:resolve|settle) (?:any |all )?(?:disputes|claims) (?:by|through) arbitration/i],
+      explanation: 'You give up the right to sue in court or join a class action. Mandatory arbitration is prohibited in residential mortgage contracts under TILA but common in auto and personal loans.'
+    },
+    {
+      id: 'confession-of-judgment',
+      title: 'Confession of judgment',
+      severity: 'high',
+      patterns: [/confess(?:ion of|es)? judgment/i, /cognovit/i, /warrant of attorney/i],
+      explanation: 'The lender can obtain a court judgment against you without notice or a chance to defend. This is banned in consumer credit contracts by the FTC Credit Practices Rule.'
+    },
+    {
+      id: 'demand-feature',
+      title: 'Demand feature / call provision',
+      severity: 'medium',
+      patterns: [/(?:lender|note holder|bank) may (?:demand|require|call)[^.]{0,40}(?:payment )?(?:in full )?at any time/i, /payable (?:in full )?on demand/i, /demand feature/i],
+      explanation: 'The lender can require full repayment at any time, not just when you default.'
+    },
+    {
+      id: 'interest-only',
+      title: 'Interest-only period',
+      severity: 'medium',
+      patterns: [/interest[- ]only/i],
+      exclude: /\b(?:no|not|never) (?:an? |any )?interest[- ]only/i,
+      explanation: 'Payments do not reduce the balance during the interest-only period, and the payment rises sharply when it ends.'
+    },
+    {
+      id: 'arm-no-caps',
+      title: 'Adjustable rate without stated caps',
+      severity: 'high',
+      scope: 'document',
+      patterns: [/adjustable[- ]rate|variable rate|interest rate (?:may|can|will) (?:change|adjust|increase)|rate (?:may|can|will) (?:change|adjust) (?:every|each|annually)/i],
+      requiresAbsent: /\bcaps?\b|will never be (?:greater|more|higher) than|maximum (?:interest )?rate|limits? on (?:interest )?rate (?:increases|changes)|(?:rate|interest) (?:can|may) not (?:increase|rise|exceed)/i,
+      explanation: 'The rate can change but no initial, periodic or lifetime caps were found, so there may be no limit on how high your payment can go.'
+    },
+    {
+      id: 'arm-rate-caps',
+      title: 'Adjustable rate: review caps',
+      severity: 'low',
+      scope: 'document',
+      patterns: [/adjustable[- ]rate|variable rate|interest rate (?:may|can|will) (?:change|adjust|increase)/i],
+      requiresPresent: /\bcaps?\b|will never be (?:greater|more|higher) than|maximum (?:interest )?rate|limits? on (?:interest )?rate (?:increases|changes)/i,
+      explanation: 'The rate can change. Check the first-adjustment, periodic and lifetime caps and run the worst case in the calculator.'
+    }
+  ]
+};
+
+const sentenceAround = (text, start, end) => {
+  const before = text.lastIndexOf('.', start - 1);
+  const after = text.indexOf('.', end);
+  const from = Math.max(before + 1, start - 160);
+  const to = after === -1 ? Math.min(text.length, end + 160) : Math.min(after + 1, end + 160);
+  return text.slice(from, to);
+};
+
+// Every place the rule's wording appears in `text`, marked `denied` when the text says the feature is
+// absent or the rule excludes it. A stated YES overrides both. A form label answered by a denial later
+// in the same paragraph ("Negative Amortization ... you do not have a negative amortization feature")
+// is denied as well.
+const findRuleMentions = (rule, text) => {
+  const mentions = [];
+  rule.patterns.forEach(pattern => {
+    for (const match of text.matchAll(new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g'))) {
+      const start = match.index;
+      const end = start + match[0].length;
+      const answer = statedAnswer(text, start, end);
+      const negated = answer ? answer === 'no' : isNegatedMention(text, start);
+      const excluded = !answer && !!rule.exclude && rule.exclude.test(sentenceAround(text, start, end));
+      mentions.push({ start, end, answer, negated, denied: negated || excluded });
+    }
+  });
+  return mentions.map(m => m.denied || m.answer ? m : {
+    ...m,
+    denied: mentions.some(d => d.negated && d.start >= m.end && d.start - m.end < 300 && !/\n\s*\n/.test(text.slice(m.end, d.start)))
+  });
+};
+
+const scanPatternRule = (rule, sources) => {
+  const findings = [];
+  sources.forEach(source => {
+    source.pages.forEach(page => {
+      findRuleMentions(rule, page.text).filter(m => !m.denied).forEach(({ start, end }) => {
+        if (findings.some(f => f.page === page.number && f.sourceKey === (source.documentId || source.messageId) && start < f.end && end > f.start)) return;
+        findings.push({
+          sourceKey: source.documentId || source.messageId,
+          ...makeSourceRef(source, page, start, end)
+        });
+      });
+    });
+  });
+  return findings;
+};
+
+const scanDocumentRule = (rule, sources) => {
+  const allText = sources.map(s => s.pages.map(p => p.text).join('\n')).join('\n');
+  if (rule.requiresAbsent && rule.requiresAbsent.test(allText)) return [];
+  if (rule.requiresPresent && !rule.requiresPresent.test(allText)) return [];
+  for (const source of sources) {
+    for (const page of source.pages) {
+      const mention = findRuleMentions(rule, page.text).find(m => !m.denied);
+      if (mention) return [makeSourceRef(source, page, mention.start, mention.end)];
+    }
+  }
+  return [];
+};
+
+// Threshold tests that need numbers rather than wording. They use the (possibly user-corrected) loan profile.
+const scanProfileThresholds = (profile, options = {}) => {
+  const findings = [];
+  const fields = profile?.fields || {};
+  const value = (id) => fields[id]?.value;
+  const { hoepa } = SCANNER_RULESET;
+
+  const apr = value('apr');
+  const apor = Number(options.apor);
+  if (apr > 0 && apor > 0 && apr - apor > hoepa.aporSpreadFirstLien) {
+    findings.push({
+      ruleId: 'hoepa-apr',
+      title: 'APR above HOEPA high-cost threshold',
+      severity: 'high',
+      explanation: `The APR of ${formatPercent(apr)} is ${(apr - apor).toFixed(2)} percentage points above the average prime offer rate of ${formatPercent(apor)}. A first-lien mortgage more than ${hoepa.aporSpreadFirstLien} points above APOR is a high-cost (HOEPA) loan with extra protections and restrictions.`,
+      source: fields.apr.source || null
+    });
+  }
+
+  const principal = value('principal');
+  const fees = value('fees');
+  if (principal > 0 && fees > 0) {
+    const percent = fees / principal * 100;
+    const exceeds = principal >= hoepa.loanAmountThreshold
+      ? percent > hoepa.pointsAndFeesPercent
+      : fees > Math.min(principal * hoepa.smallLoanPercent / 100, hoepa.smallLoanFeeCap);
+    if (exceeds) {
+      findings.push({
+        ruleId: 'hoepa-points-fees',
+        title: 'Points and fees above HOEPA threshold',
+        severity: 'high',
+        explanation: `Fees of ${formatCurrency(fees)} are ${formatPercent(percent, 2)} of the ${formatCurrency(principal)} loan. HOEPA (${hoepa.year} thresholds) treats a mortgage as high-cost when points and fees exceed ${hoepa.pointsAndFeesPercent}% of the loan amount, or the lesser of ${hoepa.smallLoanPercent}% and ${formatCurrency(hoepa.smallLoanFeeCap)} for loans under ${formatCurrency(hoepa.loanAmountThreshold)}.`,
+        source: fields.fees.source || null
+      });
+    }
+  }
+
+  const lateFeeText = typeof value('lateFee') === 'string' ? value('lateFee') : '';
+  const latePercent = parseFloat((lateFeeText.match(/(\d+(?:\.\d+)?)\s*%/) || [])[1]);
+  if (latePercent > hoepa.lateFeePercent) {
+    findings.push({
+      ruleId: 'late-fee-high',
+      title: `Late fee above ${hoepa.lateFeePercent}%`,
+      severity: 'medium',
+      explanation: `The late charge of ${formatPercent(latePercent, 2)} is above the ${hoepa.lateFeePercent}% of the past-due payment that HOEPA (12 CFR 1026.34(a)(8)) allows on high-cost mortgages; many state laws set similar limits.`,
+      source: fields.lateFee.source || null
+    });
+  }
+
+  return findings;
+};
+
+const scanLoanDocuments = (sources, profile, options = {}) => {
+  const findings = [];
+  SCANNER_RULESET.rules.forEach(rule => {
+    const matches = rule.scope === 'document' ? scanDocumentRule(rule, sources) : scanPatternRule(rule, sources);
+    matches.forEach(({ sourceKey, ...source }) => {
+      findings.push({
+        id: generateId(),
+        ruleId: rule.id,
+        title: rule.title,
+        severity: rule.severity,
+        explanation: rule.explanation,
+        source
+      });
+    });
+  });
+  scanProfileThresholds(profile, options).forEach(f => findings.push({ id: generateId(), ...f }));
+  findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+  return {
+    rulesetVersion: SCANNER_RULESET.version,
+    scannedAt: new Date().toISOString(),
+    aporChecked: Number(options.apor) > 0,
+    findings
+  };
+};
+
+const withScan = (chat) => ({ ...chat, scan: scanLoanDocuments(collectProfileSources(chat), chat.loanProfile, chat.scanOptions) });
+
+// One entry per rule for prompts and summaries; the document view still shows every match.
+const groupFindings = (findings) => {
+  const groups = [];
+  findings.forEach(f => {
+    const group = groups.find(g => g.ruleId === f.ruleId);
+    if (group) group.findings.push(f);
+    else groups.push({ ruleId: f.ruleId, title: f.title, severity: f.severity, explanation: f.explanation, findings: [f] });
+  });
+  return groups;
+};
+
+const describeFindingLocation = (finding) => finding.source ? `${finding.source.name}, p. ${finding.source.page}` : 'loan profile';
+
+const buildScanContext = (scan) => {
+  if (!scan || scan.findings.length === 0) return '';
+  const groups = groupFindings(scan.findings);
+  return `The LoanLens rule scanner (rules v${scan.rulesetVersion}, deterministic, no AI) confirmed these issues in the document text. ` +
+    'Discuss each confirmed issue, quote the wording, and explain its impact. Do not contradict them; you may raise other concerns only with a quote as evidence.\n' +
+    groups.map((g, i) => {
+      const locations = g.findings.slice(0, 3).map(f => `${describeFindingLocation(f)}${f.source ? `: "${f.source.excerpt}"` : ''}`).join('; ');
+      return `${i + 1}. [${g.severity.toUpperCase()}] ${g.title} (${locations}). ${g.explanation}`;
+    }).join('\n');
+};
+
+const summarizeScan = (scan) => {
+  const groups = groupFindings(scan.findings);
+  if (groups.length === 0) {
+    return `**LoanLens red-flag scan** (rules v${scan.rulesetVersion}) found no matches for known predatory or high-risk terms. This does not guarantee the loan is fair; review the key terms with a professional.`;
+  }
+  const counts = ['high', 'medium', 'low'].map(s => [s, groups.filter(g => g.severity === s).length]).filter(([, n]) => n > 0);
+  return `**LoanLens red-flag scan** (rules v${scan.rulesetVersion}) found ${groups.length} issue${groups.length === 1 ? '' : 's'}: ` +
+    counts.map(([s, n]) => `${n} ${s}`).join(', ') + '.\n\n' +
+    groups.map(g => `- **[${SEVERITY_STYLES[g.severity].label}] ${g.title}** (${g.findings.map(describeFindingLocation).filter((l, i, a) => a.indexOf(l) === i).slice(0, 3).join('; ')}): ${g.explanation}`).join('\n');
+};
+
+// Clause view. A pasted agreement or attached document is split into numbered clauses (C1, C2, ...)
+// so explanations, risk levels and scanner findings can sit next to the wording they are about, and
+// replies can point back at a clause by id. The boundaries are stored with the chat, so ids in
+// earlier replies keep pointing at the same text.
+const CLAUSE_MIN_LENGTH = 60;
+const CLAUSE_MAX_LENGTH = 1500;
+const CLAUSE_HEADING_PATTERN = /^\s*(?:(?:section|article|paragraph|clause)\s+[\dIVXLC]+(?:\.\d+)*|\d+(?:\.\d+)*[.)]|\(\d+\))(?=\s)/i;
+const CLAUSE_RISK_LEVELS = ['none', 'low', 'medium', 'high'];
+const CLAUSE_RISK_STYLES = {
+  ...SEVERITY_STYLES,
+  none: { label: 'No concern', badge: 'bg-emerald-600/20 text-emerald-300 border-emerald-500/40' }
+};
+const CLAUSE_BATCH_SIZE = 12;
+
+const sourceKeyOf = (source) => source.documentId || source.messageId;
+
+// Attached documents and pasted user messages on any branch can be opened as clauses.
+const findClauseSource = (chat, sourceKey) => {
+  const doc = (chat.documents || []).find(d => d.id === sourceKey);
+  if (doc) return { documentId: doc.id, name: doc.name, pages: doc.pages };
+  const message = chat.messages.find(m => m.id === sourceKey && m.role === 'user');
+  return message ? { messageId: message.id, name: 'Pasted text', pages: [{ number: 1, text: message.content }] } : null;
+};
+
+// Cuts a block that is too long at the sentence ends nearest the length limit.
+const splitLongBlock = (text, start, end) => {
+  const pieces = [];
+  let from = start;
+  let previous = null;
+  [...text.slice(start, end).matchAll(/[.;]\s+/g)].forEach(m => {
+    const boundary = { end: start + m.index + 1, next: start + m.index + m[0].length };
+    if (boundary.end - from > CLAUSE_MAX_LENGTH && previous && previous.end > from) {
+      pieces.push([from, previous.end]);
+      from = previous.next;
+    }
+    previous = boundary;
+  });
+  if (end - from > CLAUSE_MAX_LENGTH && previous && previous.end > from) {
+    pieces.push([from, previous.end]);
+    from = previous.next;
+  }
+  pieces.push([from, end]);
+  return pieces;
+};
+
+// A clause starts at a blank line or a numbered heading ("4.", "4.2)", "Section 12", "Article IV").
+// Blocks too short to stand alone, such as a heading on its own line, join the clause that follows.
+const splitIntoClauses = (source) => {
+  const clauses = [];
+  source.pages.forEach(page => {
+    const text = page.text;
+    const blocks = [];
+    let blockStart = null;
+    let blockEnd = 0;
+    let offset = 0;
+    text.split('\n').forEach(line => {
+      const lineStart = offset;
+      offset += line.length + 1;
+      if (!line.trim() || (blockStart !== null && CLAUSE_HEADING_PATTERN.test(line))) {
+        if (blockStart !== null) blocks.push([blockStart, blockEnd]);
+        blockStart = null;
+        if (!line.trim()) return;
+      }
+      if (blockStart === null) blockStart = lineStart + line.length - line.trimStart().length;
+      blockEnd = lineStart + line.trimEnd().length;
+    });
+    if (blockStart !== null) blocks.push([blockStart, blockEnd]);
+
+    const merged = [];
+    let carry = null;
+    blocks.forEach(([start, end]) => {
+      const from = carry ?? start;
+      if (end - from < CLAUSE_MIN_LENGTH) {
+        carry = from;
+        return;
+      }
+      carry = null;
+      merged.push(...splitLongBlock(text, from, end));
+    });
+    if (carry !== null) {
+      const end = blocks[blocks.length - 1][1];
+      if (merged.length) merged[merged.length - 1][1] = end;
+      else merged.push([carry, end]);
+    }
+
+    merged.forEach(([start, end]) => {
+      const firstLine = text.slice(start, end).split('\n')[0].trim();
+      clauses.push({
+        id: `C${clauses.length + 1}`,
+        page: page.number,
+        start,
+        end,
+        title: firstLine.length > 80 ? `${firstLine.slice(0, 80)}…` : firstLine
+      });
+    });
+  });
+  return clauses;
+};
+
+const createClauseView = (source) => ({
+  sourceKey: sourceKeyOf(source),
+  name: source.name,
+  clauses: splitIntoClauses(source),
+  notes: {},
+  model: null,
+  annotatedAt: null,
+  createdAt: new Date().toISOString()
+});
+
+const clauseTextOf = (source, clause) =>
+  (source.pages.find(p => p.number === clause.page)?.text || '').slice(clause.start, clause.end);
+
+const findingsInClause = (findings, sourceKey, clause) => findings.filter(f => f.source &&
+  (f.source.documentId || f.source.messageId) === sourceKey &&
+  f.source.page === clause.page &&
+  f.source.start >= clause.start && f.source.start < clause.end);
+
+// The model's rating, raised to the severity of any scanner finding in the clause, since those are
+// confirmed by the rules. null when the clause has neither.
+const clauseRisk = (note, findings) => {
+  const levels = [note?.risk, ...findings.map(f => f.severity)].filter(level => CLAUSE_RISK_LEVELS.includes(level));
+  if (levels.length === 0) return null;
+  return levels.reduce((a, b) => CLAUSE_RISK_LEVELS.indexOf(b) > CLAUSE_RISK_LEVELS.indexOf(a) ? b : a);
+};
+
+// Replies cite clauses as [C4]; this lists the ids a reply mentions, in order of first mention.
+const clauseIdsIn = (text) => [...new Set([...(text || '').matchAll(/\[(C\d+)\]/g)].map(m => m[1]))];
+
+// The replies that cite each clause of a document, keyed by clause id.
+const collectClauseDiscussions = (messages, sourceKey) => {
+  const found = {};
+  messages.filter(m => m.role === 'assistant' && m.clauseSource === sourceKey).forEach(m => {
+    clauseIdsIn(m.content).forEach(id => { (found[id] = found[id] || []).push(m); });
+  });
+  return found;
+};
+
+const CLAUSE_ANNOTATION_PROMPT = `You are annotating a loan agreement clause by clause for a borrower. For each clause, write one or two sentences in plain English saying what it means for the borrower, and rate its risk to the borrower as "none", "low", "medium" or "high". Where the LoanLens rule scanner flagged a clause, take that finding into account. Reply with JSON only, no prose, in exactly this shape:
+{"clauses": [{"id": "C1", "explanation": "...", "risk": "low"}]}
+Include every clause id you were given and no others.`;
+
+// Consecutive clauses grouped so each request stays under maxTokens.
+const batchClausesForAnnotation = (source, view, findings, maxTokens) => {
+  const batches = [];
+  let current = null;
+  view.clauses.forEach(clause => {
+    const flagged = findingsInClause(findings, view.sourceKey, clause);
+    const text = `[${clause.id}]${flagged.length ? ` (scanner: ${[...new Set(flagged.map(f => `${f.title}, ${f.severity}`))].join('; ')})` : ''}\n${clauseTextOf(source, clause)}`;
+    const tokens = estimateTokens(text);
+    if (!current || current.ids.length >= CLAUSE_BATCH_SIZE || (current.tokens + tokens > maxTokens && current.ids.length)) {
+      current = { ids: [], text: '', tokens: 0 };
+      batches.push(current);
+    }
+    current.ids.push(clause.id);
+    current.text += `${current.text ? '\n\n' : ''}${text}`;
+    current.tokens += tokens;
+  });
+  return batches;
+};
+
+const clauseNotesFromModel = (json, ids) => {
+  const notes = {};
+  (Array.isArray(json.clauses) ? json.clauses : []).forEach(entry => {
+    if (!entry || !ids.includes(entry.id) || typeof entry.explanation !== 'string' || !entry.explanation.trim()) return;
+    const risk = String(entry.risk || '').toLowerCase();
+    notes[entry.id] = { explanation: entry.explanation.trim(), risk: CLAUSE_RISK_LEVELS.includes(risk) ? risk : null };
+  });
+  return notes;
+};
+
+// Tells the model how to refer to clauses, and for a clause question, which clause it is about.
+const buildClauseContext = (view, source, findings, clauseId) => {
+  if (!view || !source) return '';
+  const excerpt = (clause) => {
+    const words = clauseTextOf(source, clause).replace(/\s+/g, ' ').trim().split(' ');
+    return words.slice(0, 8).join(' ') + (words.length > 8 ? '…' : '');
+  };
+  const scoped = clauseId && view.clauses.find(c => c.id === clauseId);
+  let context = `The document "${view.name}" is split into numbered clauses. Whenever you discuss a clause, cite its id in square brackets, such as [C3], so the reader can jump to it. Clauses:\n` +
+    view.clauses.map(c => `${c.id} (p. ${c.page}): "${excerpt(c)}"`).join('\n');
+  if (scoped) {
+    const flagged = findingsInClause(findings, view.sourceKey, scoped);
+    context += `\n\nThe user's question is about clause ${scoped.id}. Its full text:\n${clauseTextOf(source, scoped)}` +
+      (flagged.length ? `\n\nThe rule scanner flagged this clause for: ${[...new Set(flagged.map(f => f.title))].join(', ')}.` : '');
+  }
+  return context;
+};
+
+// Second opinions send one question to two provider profiles. The reconciliation compares the
+// figures, the scanner-flagged terms and the overall recommendation of the two answers; it is a
+// heuristic reading of the text, so it points the reviewer at differences rather than deciding them.
+const ANSWER_FIELDS = ['content', 'toolCalls', 'analysis', 'truncated', 'stopped', 'interrupted', 'redactedCount', 'context', 'usage', 'citations', 'clauseSource', 'model'];
+
+const ANSWER_FIGURE_PATTERNS = [
+  { kind: 'amount', pattern: /\$\s?\d[\d,]*(?:\.\d+)?/g, tolerance: (v) => Math.max(1, v * 0.005) },
+  { kind: 'percent', pattern: /\d+(?:\.\d+)?\s?%/g, tolerance: () => 0.01 },
+  { kind: 'term', pattern: /\b\d+(?:\.\d+)?[ -](?:months?|years?|yrs?)\b/gi, tolerance: () => 0 }
+];
+
+const parseAnswerFigure = (kind, text) => {
+  const number = parseFloat(text.replace(/[$,\s]/g, ''));
+  return kind === 'term' && /y/i.test(text) ? number * 12 : number;
+};
+
+const extractAnswerFigures = (text) => {
+  const figures = [];
+  ANSWER_FIGURE_PATTERNS.forEach(({ kind, pattern }) => {
+    for (const m of (text || '').matchAll(pattern)) {
+      const value = parseAnswerFigure(kind, m[0]);
+      if (Number.isFinite(value) && !figures.some(f => f.kind === kind && f.value === value)) figures.push({ kind, text: m[0].trim(), value });
+    }
+  });
+  return figures;
+};
+
+const figureIn = (figure, figures) => {
+  const { tolerance } = ANSWER_FIGURE_PATTERNS.find(p => p.kind === figure.kind);
+  return figures.some(f => f.kind === figure.kind && Math.abs(f.value - figure.value) <= tolerance(figure.value));
+};
+
+// Scanner rules whose wording the answer uses, skipping negated mentions such as "no prepayment penalty".
+const flaggedTermsIn = (text) => SCANNER_RULESET.rules
+  .filter(rule => rule.scope !== 'document')
+  .filter(rule => findRuleMentions(rule, text || '').some(m => !m.denied))
+  .map(rule => ({ id: rule.id, title: rule.title, severity: rule.severity }));
+
+const ANSWER_VERDICTS = {
+  favorable: { label: 'Looks acceptable', pattern: /\b(?:good deal|reasonable|fair terms|favorable|competitive|makes sense|worth it|go ahead|recommend (?:accepting|taking|proceeding))\b/gi },
+  caution: { label: 'Proceed with caution', pattern: /\b(?:negotiate|ask the lender|clarify|be cautious|caution|review carefully|before signing|get it in writing|shop around|compare (?:offers|quotes))\b/gi },
+  unfavorable: { label: 'Advises against', pattern: /\b(?:avoid|walk away|do not sign|don't sign|(?:do not|don't|would not|wouldn't) recommend|predatory|unfavorable|decline the|reject|not worth|bad deal)\b/gi }
+};
+
+// Counts the phrases of each verdict. A phrase negated within a few words does not count, except that
+// a negated favorable phrase ("not a good deal") counts against. A tie is 'unclear'.
+const classifyRecommendation = (text) => {
+  const counts = Object.fromEntries(Object.keys(ANSWER_VERDICTS).map(id => [id, 0]));
+  Object.entries(ANSWER_VERDICTS).forEach(([id, { pattern }]) => {
+    for (const m of (text || '').matchAll(pattern)) {
+      if (!isNegatedMention(text, m.index, 3)) counts[id]++;
+      else if (id === 'favorable') counts.unfavorable++;
+    }
+  });
+  const top = Math.max(...Object.values(counts));
+  const leaders = Object.keys(counts).filter(id => counts[id] === top);
+  return top === 0 || leaders.length > 1 ? 'unclear' : leaders[0];
+};
+
+const describeVerdict = (verdict) => ANSWER_VERDICTS[verdict]?.label || 'No clear recommendation';
+
+const reconcileAnswers = (first, second) => {
+  const figures = [extractAnswerFigures(first), extractAnswerFigures(second)];
+  const flags = [flaggedTermsIn(first), flaggedTermsIn(second)];
+  const verdicts = [classifyRecommendation(first), classifyRecommendation(second)];
+  const reconciliation = {
+    figures: {
+      only: [figures[0].filter(f => !figureIn(f, figures[1])), figures[1].filter(f => !figureIn(f, figures[0]))],
+      shared: figures[0].filter(f => figureIn(f, figures[1])).length
+    },
+    flags: {
+      only: [flags[0].filter(f => !flags[1].some(o => o.id === f.id)), flags[1].filter(f => !flags[0].some(o => o.id === f.id))],
+      shared: flags[0].filter(f => flags[1].some(o => o.id === f.id))
+    },
+    verdicts
+  };
+  reconciliation.disagreements = reconciliation.figures.only[0].length + reconciliation.figures.only[1].length +
+    reconciliation.flags.only[0].length + reconciliation.flags.only[1].length +
+    (verdicts[0] !== verdicts[1] ? 1 : 0);
+  return reconciliation;
+};
+
+const toSecondOpinionAnswer = (message, profile) => ({
+  profileId: profile.id,
+  profileName: profile.name,
+  model: profile.model,
+  ...Object.fromEntries(ANSWER_FIELDS.filter(key => message[key] !== undefined).map(key => [key, message[key]]))
+});
+
+// Keeping an answer copies it onto the message, so later turns, exports and reports use it. The
+// alternatives and the reconciliation stay in `secondOpinion`.
+const keepSecondOpinionAnswer = (message, choice) => {
+  const answer = choice === 'adjudication' ? message.secondOpinion.adjudication : message.secondOpinion.answers[choice];
+  const base = Object.fromEntries(Object.entries(message).filter(([key]) => !ANSWER_FIELDS.includes(key)));
+  return {
+    ...base,
+    ...Object.fromEntries(ANSWER_FIELDS.filter(key => answer[key] !== undefined).map(key => [key, answer[key]])),
+    secondOpinion: { ...message.secondOpinion, chosen: choice }
+  };
+};
+
+const ADJUDICATION_PROMPT = `You are reviewing two answers that different AI models gave to the same loan question. Go through every point where they disagree (figures, flagged loan terms and the overall recommendation), say which answer is right and why, recalculating where you can. Then give one corrected final answer for the borrower. Do not introduce figures that neither the question nor the answers support.`;
+
+const buildAdjudicationRequest = (question, secondOpinion) => {
+  const { answers, reconciliation } = secondOpinion;
+  const label = (i) => `Answer ${'AB'[i]} (${answers[i].profileName}${answers[i].model ? `, ${answers[i].model}` : ''})`;
+  const differences = [0, 1].flatMap(i => [
+    reconciliation.figures.only[i].length ? `- Figures only in ${label(i)}: ${reconciliation.figures.only[i].map(f => f.text).join(', ')}` : null,
+    reconciliation.flags.only[i].length ? `- Terms flagged only in ${label(i)}: ${reconciliation.flags.only[i].map(f => f.title).join(', ')}` : null
+  ]).filter(Boolean);
+  if (reconciliation.verdicts[0] !== reconciliation.verdicts[1]) {
+    differences.push(`- Recommendation: ${label(0)} reads as "${describeVerdict(reconciliation.verdicts[0])}", ${label(1)} as "${describeVerdict(reconciliation.verdicts[1])}"`);
+  }
+  return [
+    `## Question\n\n${question}`,
+    ...answers.map((answer, i) => `## ${label(i)}\n\n${answer.content}`),
+    `## Detected differences\n\n${differences.length ? differences.join('\n') : 'None detected automatically; check the reasoning.'}`
+  ].join('\n\n');
+};
+
+// Offline regulation library. Passages are condensed from the regulation text and CFPB consumer
+// materials, so answers can cite something the reviewer can check without a network connection;
+// each one names the section it comes from. Bump the version whenever a passage changes, since
+// replies record the version they cited.
+const REGULATION_LIBRARY = {
+  version: '1.0.0',
+  asOf: '2025-01-01',
+  passages: [
+    {
+      id: 'z-1026-4-finance-charge',
+      source: 'Regulation Z (TILA)',
+      citation: '12 CFR 1026.4',
+      title: 'What counts as a finance charge',
+      keywords: 'TILA finance charge points fees excluded closing costs',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/4/',
+      text: 'The finance charge is the cost of consumer credit as a dollar amount. It includes any charge payable directly or indirectly by the consumer and imposed directly or indirectly by the creditor as an incident to or a condition of the extension of credit, but not charges of a type payable in a comparable cash transaction. Examples are interest, points, loan fees, finder\'s and service charges, and premiums for credit insurance the creditor requires. For loans secured by real estate, bona fide and reasonable fees for title examination, document preparation, notaries, appraisals, credit reports, and amounts paid into escrow are excluded (§ 1026.4(c)(7)).'
+    },
+    {
+      id: 'z-1026-18-disclosures',
+      source: 'Regulation Z (TILA)',
+      citation: '12 CFR 1026.18',
+      title: 'Required closed-end credit disclosures',
+      keywords: 'TILA disclosure box amount financed finance charge APR total of payments',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/18/',
+      text: 'For closed-end credit the creditor must disclose the amount financed (the principal loan amount plus other amounts financed, minus prepaid finance charges); the finance charge, described as "the dollar amount the credit will cost you"; the annual percentage rate, described as "the cost of your credit as a yearly rate"; the payment schedule; the total of payments, described as "the amount you will have paid after you have made all payments as scheduled"; any prepayment penalty or rebate; late payment charges; and any security interest taken. Most mortgages give these figures on the Loan Estimate and Closing Disclosure instead (§§ 1026.37 and 1026.38).'
+    },
+    {
+      id: 'z-1026-18-d-finance-charge-tolerance',
+      source: 'Regulation Z (TILA)',
+      citation: '12 CFR 1026.18(d)(1)',
+      title: 'Finance charge tolerance for mortgage loans',
+      keywords: 'TILA finance charge accuracy understated $100 tolerance mortgage',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/18/#d-1',
+      text: 'In a transaction secured by real property or a dwelling, the disclosed finance charge and other disclosures affected by it, including the amount financed and the annual percentage rate, are treated as accurate if the disclosed finance charge is not more than $100 below the amount required to be disclosed, or is greater than that amount.'
+    },
+    {
+      id: 'z-1026-22-apr-tolerance',
+      source: 'Regulation Z (TILA)',
+      citation: '12 CFR 1026.22(a)',
+      title: 'APR accuracy tolerances',
+      keywords: 'APR annual percentage rate accurate tolerance 1/8 1/4 eighth quarter percentage point Appendix J actuarial disclosed',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/22/',
+      text: 'The annual percentage rate is computed by the actuarial method in Appendix J. In a regular transaction the disclosed APR is accurate if it is not more than 1/8 of 1 percentage point above or below the APR determined under the rules. In an irregular transaction (multiple advances, irregular payment periods, or irregular payment amounts other than an irregular first period or first or final payment) the tolerance is 1/4 of 1 percentage point. For mortgage loans, an APR that results from a finance charge treated as accurate under § 1026.18(d)(1) is also accurate (§ 1026.22(a)(4)).'
+    },
+    {
+      id: 'z-1026-23-rescission',
+      source: 'Regulation Z (TILA)',
+      citation: '12 CFR 1026.23',
+      title: 'Right of rescission',
+      keywords: 'TILA rescind cancel three business days refinance home equity principal dwelling',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/23/',
+      text: 'In a credit transaction in which a security interest is or will be retained in the consumer\'s principal dwelling, the consumer may rescind until midnight of the third business day following consummation, delivery of the notice of the right to rescind, or delivery of all material disclosures, whichever occurs last. If the notice or material disclosures are not delivered, the right expires three years after consummation. The right does not apply to a loan to buy or build the home, or to a refinance by the same creditor except for any new money advanced.'
+    },
+    {
+      id: 'z-1026-19-trid-timing',
+      source: 'Regulation Z (TRID)',
+      citation: '12 CFR 1026.19(e)–(f)',
+      title: 'Loan Estimate and Closing Disclosure timing',
+      keywords: 'TRID TILA RESPA integrated disclosure Loan Estimate Closing Disclosure three business days waiting period consummation',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/19/',
+      text: 'The creditor must deliver or mail the Loan Estimate no later than the third business day after receiving the consumer\'s application, and at least seven business days before consummation. The consumer must receive the Closing Disclosure no later than three business days before consummation. A new three-business-day waiting period starts if, after the Closing Disclosure is provided, the APR becomes inaccurate beyond tolerance, the loan product changes, or a prepayment penalty is added.'
+    },
+    {
+      id: 'z-1026-19-e-3-fee-tolerance',
+      source: 'Regulation Z (TRID)',
+      citation: '12 CFR 1026.19(e)(3)',
+      title: 'Closing cost tolerances (zero and 10 percent)',
+      keywords: 'TRID good faith fee increase tolerance cure refund Loan Estimate Closing Disclosure closing costs',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/19/#e-3',
+      text: 'Charges on the Closing Disclosure are in good faith if they do not exceed the amounts on the Loan Estimate. Zero tolerance applies to fees paid to the creditor, a mortgage broker or their affiliates, to services the consumer was not allowed to shop for, and to transfer taxes. Recording fees and third-party services the consumer could shop for but chose from the creditor\'s written list may increase by up to 10 percent in total. Prepaid interest, property insurance premiums, escrow deposits and services the consumer shopped for independently are not limited. Excess charges must be refunded within 60 days after consummation.'
+    },
+    {
+      id: 'z-1026-32-hoepa-coverage',
+      source: 'Regulation Z (HOEPA)',
+      citation: '12 CFR 1026.32(a)',
+      title: 'When a mortgage is a high-cost (HOEPA) loan',
+      keywords: 'HOEPA Section 32 high-cost mortgage APOR average prime offer rate points and fees threshold trigger',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/32/',
+      text: 'A consumer credit transaction secured by the consumer\'s principal dwelling is a high-cost mortgage if (1) the APR exceeds the average prime offer rate for a comparable transaction by more than 6.5 percentage points for a first lien, or 8.5 points for a subordinate lien or a first-lien loan under $50,000 secured by personal property; (2) the points and fees exceed 5 percent of the total loan amount for loans of $27,592 or more, or the lesser of 8 percent or $1,380 for smaller loans (2025 figures, adjusted each year); or (3) the creditor can charge a prepayment penalty more than 36 months after consummation or one exceeding 2 percent of the amount prepaid. Reverse mortgages and construction-only loans are excluded.'
+    },
+    {
+      id: 'z-1026-32-d-hoepa-limits',
+      source: 'Regulation Z (HOEPA)',
+      citation: '12 CFR 1026.32(d), 1026.34',
+      title: 'Terms banned in high-cost mortgages',
+      keywords: 'HOEPA high-cost prohibited balloon negative amortization prepayment penalty counseling late fee 4 percent',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/32/#d',
+      text: 'A high-cost mortgage may not have a balloon payment (with limited exceptions for bridge loans and seasonal income), negative amortization, more than two periodic payments paid in advance from the proceeds, a rate increase after default, a rebate calculation less favorable than the actuarial method, or a prepayment penalty. Under § 1026.34 the creditor must also receive certification that the consumer had homeownership counseling, may not finance points and fees, and may not charge a late fee above 4 percent of the past-due payment.'
+    },
+    {
+      id: 'z-1026-35-hpml',
+      source: 'Regulation Z (TILA)',
+      citation: '12 CFR 1026.35',
+      title: 'Higher-priced mortgage loans',
+      keywords: 'HPML higher-priced mortgage APOR 1.5 percentage points escrow appraisal',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/35/',
+      text: 'A higher-priced mortgage loan is a closed-end loan secured by the consumer\'s principal dwelling with an APR that exceeds the average prime offer rate by 1.5 percentage points or more for a first lien, 2.5 points or more for a jumbo first lien, or 3.5 points or more for a subordinate lien. For a first-lien HPML the creditor must establish an escrow account for property taxes and insurance for at least five years, and most HPMLs require a written appraisal by a certified or licensed appraiser who visits the interior of the home.'
+    },
+    {
+      id: 'z-1026-43-atr-qm',
+      source: 'Regulation Z (TILA)',
+      citation: '12 CFR 1026.43(c), (e)',
+      title: 'Ability to repay and qualified mortgages',
+      keywords: 'ATR ability-to-repay QM qualified mortgage debt-to-income DTI points and fees 3 percent interest-only balloon',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/43/',
+      text: 'A creditor may not make a residential mortgage loan without a reasonable, good-faith determination, based on verified information, that the consumer can repay it, considering income or assets, employment, the monthly payment, simultaneous loans, mortgage-related obligations, current debts, debt-to-income ratio or residual income, and credit history. A qualified mortgage is presumed to meet this standard. It may not have negative amortization, interest-only payments or, with limited exceptions, a balloon payment; its term may not exceed 30 years; and its points and fees generally may not exceed 3 percent of the loan amount, with higher caps for smaller loans.'
+    },
+    {
+      id: 'z-1026-43-g-prepayment',
+      source: 'Regulation Z (TILA)',
+      citation: '12 CFR 1026.43(g)',
+      title: 'Limits on prepayment penalties',
+      keywords: 'prepayment penalty early payoff 2 percent 1 percent three years qualified mortgage fixed rate',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/43/#g',
+      text: 'A residential mortgage loan may include a prepayment penalty only if it is a fixed-rate or step-rate qualified mortgage that is not a higher-priced mortgage loan. The penalty may not exceed 2 percent of the outstanding balance prepaid during the first two years after consummation or 1 percent during the third year, and no penalty may be charged after three years. A creditor that offers a loan with a prepayment penalty must also offer the consumer an alternative loan without one.'
+    },
+    {
+      id: 'z-1026-36-originator',
+      source: 'Regulation Z (TILA)',
+      citation: '12 CFR 1026.36(d)–(e)',
+      title: 'Loan originator compensation and steering',
+      keywords: 'loan officer broker compensation yield spread premium steering dual compensation',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/36/',
+      text: 'A loan originator\'s compensation may not be based on the terms of the transaction, such as the interest rate, or on a proxy for them, and an originator paid directly by the consumer may not also be paid by the creditor. An originator may not steer a consumer to a loan because it pays the originator more unless the loan is in the consumer\'s interest. The safe harbor requires presenting options with the lowest interest rate, the lowest total origination points, fees and discount points, and the lowest rate without risky features such as negative amortization, a prepayment penalty, interest-only payments or an early balloon.'
+    },
+    {
+      id: 'z-1026-36-h-i-arbitration-insurance',
+      source: 'Regulation Z (TILA)',
+      citation: '12 CFR 1026.36(h)–(i)',
+      title: 'Mandatory arbitration and financed credit insurance',
+      keywords: 'arbitration clause waiver class action credit insurance single premium credit life disability financed',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/36/#h',
+      text: 'A closed-end consumer credit transaction secured by a dwelling, or a home equity line of credit secured by the principal dwelling, may not require arbitration or any other nonjudicial procedure to resolve disputes, and may not be applied to bar a consumer from bringing a federal claim in court. The creditor also may not finance premiums or fees for credit insurance, such as credit life, disability or unemployment insurance, in such a transaction; insurance premiums calculated and paid in full monthly are permitted.'
+    },
+    {
+      id: 'z-1026-20-arm-notices',
+      source: 'Regulation Z (TILA)',
+      citation: '12 CFR 1026.20(c)–(d)',
+      title: 'Adjustable-rate mortgage change notices',
+      keywords: 'ARM adjustable rate reset notice index margin cap adjustment payment change',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/20/',
+      text: 'For adjustable-rate mortgages, the servicer must send a notice 60 to 120 days before the first payment at a new amount is due whenever a rate adjustment changes the payment, and an initial rate adjustment notice 210 to 240 days before the first payment at the first adjusted rate is due. The notices show the current and new rate and payment, the index and margin, any rate limits and carried-over increases, and, if the new payment does not cover the interest due, that the loan balance will grow.'
+    },
+    {
+      id: 'z-1026-36-c-servicing',
+      source: 'Regulation Z (TILA)',
+      citation: '12 CFR 1026.36(c)',
+      title: 'Payment crediting, late fee pyramiding and payoff statements',
+      keywords: 'servicer payment posting late fee pyramiding payoff statement seven business days',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1026/36/#c',
+      text: 'A servicer must credit a periodic payment to the consumer\'s account as of the date it is received. It may not charge a late fee on a payment that is paid in full and on time only because an earlier late fee is still unpaid (pyramiding). It must send an accurate payoff statement within a reasonable time, and no more than seven business days, after receiving a written request.'
+    },
+    {
+      id: 'x-1024-14-kickbacks',
+      source: 'Regulation X (RESPA)',
+      citation: '12 CFR 1024.14 (RESPA § 8)',
+      title: 'Kickbacks and unearned fees',
+      keywords: 'RESPA section 8 kickback referral fee unearned fee split settlement services',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1024/14/',
+      text: 'No person may give or accept any fee, kickback or thing of value under an agreement or understanding that business incident to a settlement service on a federally related mortgage loan will be referred to any person. No person may give or accept any portion, split or percentage of a settlement service charge other than for services actually performed. Violators face fines, imprisonment of up to one year, and liability to the consumer for three times the amount of the charge paid.'
+    },
+    {
+      id: 'x-1024-15-affiliated',
+      source: 'Regulation X (RESPA)',
+      citation: '12 CFR 1024.15',
+      title: 'Affiliated business arrangements',
+      keywords: 'RESPA affiliated business arrangement disclosure referral title company required provider',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1024/15/',
+      text: 'A referral to a settlement service provider in which the referring party has an ownership interest is permitted only if the consumer receives a written disclosure of the relationship and an estimate of the provider\'s charges, generally at or before the referral; the consumer is not required to use the affiliated provider, with limited exceptions; and the only thing of value received from the arrangement is a return on the ownership interest.'
+    },
+    {
+      id: 'x-1024-17-escrow',
+      source: 'Regulation X (RESPA)',
+      citation: '12 CFR 1024.17',
+      title: 'Escrow account limits and annual analysis',
+      keywords: 'RESPA escrow cushion one-sixth two months annual escrow statement surplus refund shortage taxes insurance',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1024/17/',
+      text: 'A servicer may require a monthly escrow deposit of one-twelfth of the estimated annual disbursements plus a cushion of no more than one-sixth of the estimated annual disbursements. It must analyze the account at least once a year and send an annual escrow statement. If the analysis shows a surplus of $50 or more and the borrower is current, the surplus must be refunded within 30 days; smaller surpluses may be refunded or credited against next year\'s payments. Shortages and deficiencies may only be collected within the repayment limits of § 1024.17(f).'
+    },
+    {
+      id: 'x-1024-35-errors',
+      source: 'Regulation X (RESPA)',
+      citation: '12 CFR 1024.35–1024.36',
+      title: 'Notices of error and requests for information',
+      keywords: 'RESPA servicer error dispute qualified written request information request response deadline',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1024/35/',
+      text: 'A borrower may send the servicer a written notice of error or request for information. The servicer must acknowledge it within five business days and generally respond within 30 business days, either correcting the error or explaining, after a reasonable investigation, why it determined no error occurred. Errors about a payoff balance must be resolved within seven business days, and certain foreclosure-related errors before the foreclosure sale.'
+    },
+    {
+      id: 'x-1024-41-loss-mitigation',
+      source: 'Regulation X (RESPA)',
+      citation: '12 CFR 1024.39, 1024.41',
+      title: 'Early intervention, loss mitigation and the 120-day rule',
+      keywords: 'RESPA delinquency foreclosure 120 days loss mitigation application modification forbearance early intervention',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1024/41/',
+      text: 'A servicer must make good-faith efforts to contact a delinquent borrower by the 36th day of delinquency and give written notice of loss mitigation options by the 45th day. It may not make the first notice or filing required for foreclosure until the loan is more than 120 days delinquent. If a complete loss mitigation application arrives more than 37 days before a foreclosure sale, the servicer must evaluate it for all available options within 30 days and, while it is pending, may not move for a foreclosure judgment or conduct a sale.'
+    },
+    {
+      id: 'x-1024-33-transfer',
+      source: 'Regulation X (RESPA)',
+      citation: '12 CFR 1024.33',
+      title: 'Servicing transfer notices',
+      keywords: 'RESPA servicing transfer new servicer notice 15 days 60 days late payment',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1024/33/',
+      text: 'When servicing of a mortgage loan is transferred, the old servicer must notify the borrower at least 15 days before the effective date of the transfer and the new servicer no more than 15 days after it; a combined notice may be sent at least 15 days before. For 60 days after the transfer, a payment sent to the old servicer on or before its due date may not be treated as late.'
+    },
+    {
+      id: 'b-1002-9-adverse-action',
+      source: 'Regulation B (ECOA)',
+      citation: '12 CFR 1002.9',
+      title: 'Notice of action taken and adverse action reasons',
+      keywords: 'ECOA denial adverse action notice reasons 30 days credit application discrimination',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1002/9/',
+      text: 'A creditor must notify an applicant of action taken within 30 days after receiving a completed application. A notice of adverse action must state the specific principal reasons for the action, or tell the applicant how to request them within 60 days, and must include the Equal Credit Opportunity Act anti-discrimination notice and the name and address of the federal agency that supervises the creditor.'
+    },
+    {
+      id: 'b-1002-14-appraisals',
+      source: 'Regulation B (ECOA)',
+      citation: '12 CFR 1002.14',
+      title: 'Right to a copy of appraisals',
+      keywords: 'ECOA appraisal copy valuation three business days before closing',
+      url: 'https://www.consumerfinance.gov/rules-policy/regulations/1002/14/',
+      text: 'For first-lien loans secured by a dwelling, the creditor must give the applicant a copy of all appraisals and other written valuations promptly upon completion or three business days before consummation, whichever is earlier, and must tell the applicant about this right within three business days of receiving the application.'
+    },
+    {
+      id: 'usury-state-limits',
+      source: 'State usury law',
+      citation: 'State statutes (varies by state)',
+      title: 'State interest rate caps',
+      keywords: 'usury maximum interest rate cap state law licensed lender exemption payday installment',
+      text: 'Usury limits, the maximum interest rates lenders may charge, are set by each state and vary by loan type, lender license and loan amount. Many states exempt licensed lenders, first mortgages, business loans or loans above a set size, and some cap specific products such as payday, title or small installment loans instead. The LoanLens library does not include state rate tables: check the statute of the state where the borrower lives and whether an exemption or federal preemption applies before concluding a rate is usurious.'
+    },
+    {
+      id: 'usury-didmca-first-lien',
+      source: 'Federal preemption',
+      citation: '12 U.S.C. 1735f-7a (DIDMCA § 501)',
+      title: 'Preemption of state usury limits on first-lien home loans',
+      keywords: 'usury DIDMCA preemption first lien residential mortgage manufactured home state override',
+      text: 'State constitutional or statutory limits on the rate of interest, discount points, finance charges or other charges do not apply to federally related loans secured by a first lien on residential real property, a residential manufactured home or stock in a residential cooperative, made after March 31, 1980, unless the state expressly overrode the preemption before April 1, 1983. A small number of states enacted such overrides.'
+    },
+    {
+      id: 'usury-rate-exportation',
+      source: 'Federal preemption',
+      citation: '12 U.S.C. 85, 1831d',
+      title: 'Interest rate exportation by banks',
+      keywords: 'usury exportation national bank out-of-state bank credit card preemption',
+      text: 'A national bank may charge interest at the rate allowed by the law of the state where it is located and may apply that rate to borrowers in other states. Section 521 of DIDMCA gives state-chartered, FDIC-insured banks the same ability. This is why credit cards and some installment loans from out-of-state banks can carry rates above the borrower\'s own state usury cap.'
+    },
+    {
+      id: 'mla-36-percent',
+      source: 'Military Lending Act',
+      citation: '10 U.S.C. 987; 32 CFR 232',
+      title: 'Military Lending Act protections',
+      keywords: 'MLA military servicemember 36 percent MAPR dependents arbitration allotment',
+      url: 'https://www.consumerfinance.gov/consumer-tools/military-financial-lifecycle/know-your-rights/',
+      text: 'For covered members of the armed forces and their dependents, the military annual percentage rate (MAPR) on covered consumer credit may not exceed 36 percent. The MAPR includes finance charges plus most credit insurance premiums, add-on products and fees. Covered credit may not require arbitration, a waiver of legal rights, an allotment from military pay, or a prepayment penalty. Residential mortgages and loans to buy a vehicle secured by that vehicle are generally excluded.'
+    },
+    ...[
+      ['apr', 'Annual percentage rate (APR)', 'APR yearly cost interest rate points fees compare', 'The APR is the yearly cost of a loan expressed as a percentage. It includes the interest rate plus other charges such as points, mortgage broker fees and certain closing costs, so it is usually higher than the interest rate. Comparing APRs is a good way to compare loans with the same term and amount.'],
+      ['amortization', 'Amortization', 'amortization schedule principal interest payment balance', 'Amortization is paying off a loan through regular payments over time. Early payments go mostly to interest and later payments mostly to principal; an amortization schedule shows how much of each payment goes to each and the balance remaining.'],
+      ['balloon-payment', 'Balloon payment', 'balloon lump sum final payment refinance', 'A balloon payment is a large payment due at the end of a loan after smaller monthly payments. If you cannot pay it, refinance or sell in time, you could lose the collateral, including your home.'],
+      ['negative-amortization', 'Negative amortization', 'negative amortization balance grows payment option minimum payment deferred interest', 'Negative amortization means the loan balance grows even though you make payments, because the payments do not cover all the interest due and the unpaid interest is added to the balance.'],
+      ['prepayment-penalty', 'Prepayment penalty', 'prepayment penalty early payoff sell refinance fee', 'A prepayment penalty is a fee some lenders charge if you pay off all or part of the loan early, including by selling or refinancing. The Loan Estimate and Closing Disclosure state whether the loan has one and its maximum amount.'],
+      ['discount-points', 'Discount points', 'points discount points buy down interest rate upfront', 'Discount points are fees paid to the lender at closing in exchange for a lower interest rate. One point usually costs 1 percent of the loan amount. Points pay off only if you keep the loan long enough for the monthly savings to exceed their cost.'],
+      ['arm', 'Adjustable-rate mortgage (ARM)', 'ARM adjustable rate index margin caps initial rate reset', 'An ARM has an interest rate that can change after an initial fixed period. The new rate is an index plus a margin, limited by caps on the first adjustment, on each later adjustment, and over the life of the loan. Your payment can rise substantially when the rate resets.'],
+      ['escrow', 'Escrow account', 'escrow impound property taxes homeowners insurance monthly payment', 'An escrow account is set up by the lender or servicer to pay property taxes and homeowners insurance for you. Part of each monthly payment goes into the account, and the amount can change each year when the servicer reviews it.'],
+      ['pmi', 'Private mortgage insurance (PMI)', 'PMI mortgage insurance down payment 20 percent cancel', 'PMI protects the lender, not you, if you stop making payments on a conventional loan. It is usually required with a down payment below 20 percent. You can ask to cancel it once the balance reaches 80 percent of the home\'s original value, and it generally ends automatically at 78 percent.'],
+      ['dti', 'Debt-to-income ratio (DTI)', 'DTI debt-to-income income monthly debt payments afford', 'Your debt-to-income ratio is all your monthly debt payments divided by your gross monthly income. Lenders use it to judge whether you can manage a new payment; the lower the ratio, the more room you have in your budget.'],
+      ['ltv', 'Loan-to-value ratio (LTV)', 'LTV loan-to-value equity appraisal down payment', 'The loan-to-value ratio is the loan amount divided by the appraised value or purchase price of the property. A higher LTV means less equity and usually a higher rate or required mortgage insurance.'],
+      ['loan-estimate', 'Loan Estimate', 'Loan Estimate three page form application compare offers TRID', 'The Loan Estimate is a three-page form you receive after applying for a mortgage. It shows the estimated interest rate, monthly payment, closing costs, and risky features such as a prepayment penalty or balloon payment, in the same format for every lender so offers are easy to compare.'],
+      ['closing-disclosure', 'Closing Disclosure', 'Closing Disclosure five page final terms three days before closing TRID', 'The Closing Disclosure is a five-page form with the final terms and costs of your mortgage. You must receive it at least three business days before closing; compare it with your Loan Estimate and ask about any change.'],
+      ['cash-to-close', 'Cash to close', 'cash to close closing costs down payment credits', 'Cash to close is the amount you must bring to closing: the down payment plus closing costs, minus any deposits, seller credits and lender credits.'],
+      ['rate-lock', 'Rate lock', 'rate lock float lock period extension fee', 'A rate lock guarantees an interest rate for a set period while the loan is processed. If closing is delayed past the lock period, you may have to pay to extend it or accept the current market rate.'],
+      ['origination-fee', 'Origination charges', 'origination fee underwriting processing lender fees', 'Origination charges are fees the lender charges to make the loan, such as application, underwriting and processing fees. They appear in section A of the Loan Estimate and cannot increase at closing except in limited circumstances.'],
+      ['interest-only', 'Interest-only loan', 'interest-only payment shock principal later', 'With an interest-only loan you pay only interest for a set period, so the balance does not go down. When that period ends, payments rise because principal must be repaid over the remaining term.'],
+      ['forbearance', 'Forbearance', 'forbearance pause reduce payments hardship repayment', 'Forbearance is when the servicer lets you pause or reduce payments for a limited time. The skipped amounts still have to be repaid, through a lump sum, a repayment plan, deferral or a loan modification.'],
+      ['credit-insurance', 'Credit insurance', 'credit life disability unemployment insurance optional single premium', 'Credit insurance pays some or all of a loan if you die, become disabled or lose your job. It is optional for most loans, may cost more than other insurance, and when its premium is added to the loan balance you also pay interest on it.'],
+      ['arbitration', 'Arbitration clause', 'arbitration clause dispute court class action waiver', 'An arbitration clause requires disputes to be decided by a private arbitrator instead of a court, and often bars joining a class action. Such clauses are banned in most residential mortgages but common in auto, personal and credit card agreements.']
+    ].map(([id, title, keywords, text]) => ({
+      id: `cfpb-${id}`,
+      source: 'CFPB glossary',
+      citation: `CFPB: ${title}`,
+      title,
+      keywords,
+      url: 'https://www.consumerfinance.gov/ask-cfpb/',
+      text
+    }))
+  ]
+};
+
+// A small BM25 index over the library, built once at load. Words are lower-cased and lightly stemmed
+// so "penalties" finds "penalty"; the title and keywords count twice so a passage about a term ranks
+// above one that only mentions it.
+const SEARCH_STOPWORDS = new Set('a an and are as at be by can do does for from has have how i if in is it its my of on or our should that the their them there this to was what when where which who will with would you your'.split(' '));
+
+// Strips at most one suffix: "penalties" → "penalty", "taxes" → "tax", "rates" → "rate", "charged" → "charg".
+// A word ending in "ss", "us" or "is" ("loss", "bonus", "basis") is not a plural.
+const stemSearchTerm = (word) => {
+  if (/ies$/.test(word)) return word.replace(/ies$/, 'y');
+  if (/(?<=\w{3})(?:ing|ed)$/.test(word)) return word.replace(/(?<=\w{3})(?:ing|ed)$/, '');
+  if (/(?<=\w{2})(?:s|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  return word.replace(/(?<=\w{2}[^sui])s$/, '');
+};
+
+const tokenizeForSearch = (text) => (text.toLowerCase().match(/[a-z0-9]+(?:[.'/-][a-z0-9]+)*/g) || [])
+  .filter(word => !SEARCH_STOPWORDS.has(word))
+  .map(stemSearchTerm);
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const buildSearchIndex = (documents, fieldsOf) => {
+  const entries = documents.map(doc => {
+    const terms = tokenizeForSearch(fieldsOf(doc));
+    const counts = new Map();
+    terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return { doc, length: terms.length, counts };
+  });
+  const documentFrequency = new Map();
+  entries.forEach(entry => entry.counts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+  const averageLength = entries.reduce((sum, entry) => sum + entry.length, 0) / Math.max(1, entries.length);
+  return { entries, documentFrequency, averageLength };
+};
+
+const searchIndex = (index, query, limit = 5) => {
+  const terms = [...new Set(tokenizeForSearch(query))];
+  const total = index.entries.length;
+  return index.entries
+    .map(entry => {
+      let score = 0;
+      terms.forEach(term => {
+        const frequency = entry.counts.get(term);
+        if (!frequency) return;
+        const df = index.documentFrequency.get(term);
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * entry.length / index.averageLength));
+      });
+      return { doc: entry.doc, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+const REGULATION_INDEX = buildSearchIndex(REGULATION_LIBRARY.passages, p => `${p.title} ${p.keywords} ${p.title} ${p.keywords} ${p.citation} ${p.text}`);
+
+const findRegulationPassage = (id) => REGULATION_LIBRARY.passages.find(p => p.id === id) || null;
+
+// Passages worth adding to a prompt: a clear match, plus any close runners-up.
+const REGULATION_MIN_SCORE = 6;
+
+const retrieveRegulations = (question, limit = 4) => {
+  const results = searchIndex(REGULATION_INDEX, question, limit);
+  if (results.length === 0 || results[0].score < REGULATION_MIN_SCORE) return [];
+  return results.filter(r => r.score >= results[0].score * 0.5).map(r => r.doc);
+};
+
+const buildRegulationContext = (passages) => {
+  if (passages.length === 0) return '';
+  return `Reference passages from the LoanLens regulation library (v${REGULATION_LIBRARY.version}, condensed from the cited sections). ` +
+    'When a statement relies on one, cite it inline as [1], [2] and so on, using only these numbers. If the passages do not cover the question, say so instead of citing them; do not invent citations.\n\n' +
+    passages.map((p, i) => `[${i + 1}] ${p.source}, ${p.citation}: ${p.title}\n${p.text}`).join('\n\n');
+};
+
+// Sidebar organisation. Folders and tags are stored on the chat records themselves, so they are
+// encrypted with the chat when the vault is on and travel with chat exports and backups.
+const CHAT_SORTS = [
+  { id: 'activity', label: 'Last activity' },
+  { id: 'created', label: 'Date created' },
+  { id: 'title', label: 'Title' }
+];
+
+const chatLastActivity = (chat) =>
+  chat.messages.reduce((latest, m) => (m.timestamp || '') > latest ? m.timestamp : latest, chat.createdAt || '');
+
+const sortChatsForSidebar = (chats, sort) => {
+  const compare = sort === 'title'
+    ? (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' })
+    : sort === 'created'
+    ? (a, b) => (b.createdAt || '').localeCompare(a.createdAt || '')
+    : (a, b) => chatLastActivity(b).localeCompare(chatLastActivity(a));
+  return [...chats].sort(compare);
+};
+
+const normalizeTag = (tag) => tag.trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase();
+
+const parseTags = (text) => [...new Set(text.split(',').map(normalizeTag).filter(Boolean))];
+
+// "#refi wells fargo" finds chats tagged refi that mention "wells fargo" anywhere.
+const parseChatQuery = (query) => {
+  const tags = [];
+  const words = [];
+  query.trim().split(/\s+/).filter(Boolean).forEach(word => {
+    if (word.length > 1 && word.startsWith('#')) tags.push(normalizeTag(word));
+    else words.push(word);
+  });
+  return { tags, text: words.join(' ') };
+};
+
+const MAX_SEARCH_HITS = 3;
+
+const snippetAround = (text, index, length, radius = 40) => {
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + length + radius);
+  const clean = (value) => value.replace(/\s+/g, ' ');
+  return {
+    before: (start > 0 ? '…' : '') + clean(text.slice(start, index)),
+    match: clean(text.slice(index, index + length)),
+    after: clean(text.slice(index + length, end)) + (end < text.length ? '…' : '')
+  };
+};
+
+// Searches titles, every message (including other branches) and attachment text. Returns a map of
+// chat id to { count, hits }, where hits are the first few matches with a snippet and a location.
+const searchChats = (chats, query) => {
+  const { tags, text } = parseChatQuery(query);
+  const needle = text.toLowerCase();
+  const results = new Map();
+
+  chats.forEach(chat => {
+    if (tags.some(tag => !(chat.tags || []).includes(tag))) return;
+    if (!needle) {
+      results.set(chat.id, { count: 0, hits: [] });
+      return;
+    }
+    const hits = [];
+    let count = 0;
+    const scan = (value, location) => {
+      const lower = (value || '').toLowerCase();
+      for (let i = lower.indexOf(needle); i !== -1; i = lower.indexOf(needle, i + needle.length)) {
+        count++;
+        if (location && hits.length < MAX_SEARCH_HITS) hits.push({ ...location, snippet: snippetAround(value, i, needle.length) });
+      }
+    };
+    scan(chat.title, null);
+    chat.messages.forEach(m => scan(m.content, { kind: 'message', messageId: m.id, role: m.role }));
+    (chat.documents || []).forEach(doc => {
+      scan(doc.name, null);
+      doc.pages.forEach(page => scan(page.text, { kind: 'attachment', documentId: doc.id, name: doc.name, page: page.number }));
+    });
+    if (count) results.set(chat.id, { count, hits });
+  });
+  return results;
+};
+
+// Everything the Markdown renderer may emit. Anything else in model replies or pasted
+// documents (scripts, event handlers, images, iframes, styles) is stripped by DOMPurify.
+const MARKDOWN_ALLOWED_TAGS = [
+  'p', 'br', 'hr', 'strong', 'em', 'del', 'code', 'pre', 'blockquote',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'input',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td', 'a'
+];
+
+const MARKDOWN_ALLOWED_ATTRIBUTES = ['href', 'title', 'align', 'start', 'type', 'checked', 'disabled'];
+
+const SAFE_LINK_PATTERN = /^(?:https?:|mailto:|#)/i;
+
+let markdownHooksInstalled = false;
+
+const installMarkdownHooks = () => {
+  if (markdownHooksInstalled) return;
+  markdownHooksInstalled = true;
+  window.DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+    if (node.tagName === 'A') {
+      const href = node.getAttribute('href') || '';
+      if (!SAFE_LINK_PATTERN.test(href)) {
+        node.removeAttribute('href');
+      } else if (!href.startsWith('#')) {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer nofollow');
+      }
+    }
+    // Only GFM task-list checkboxes survive, and they are never interactive.
+    if (node.tagName === 'INPUT') {
+      node.setAttribute('type', 'checkbox');
+      node.setAttribute('disabled', '');
+    }
+  });
+};
+
+// Returns sanitized HTML, or null when the Markdown or sanitizer library failed to load;
+// callers then fall back to plain text rather than injecting unsanitized markup.
+const renderMarkdown = (text) => {
+  if (!window.marked || !window.DOMPurify) return null;
+  installMarkdownHooks();
+  const html = window.marked.parse(text, { gfm: true, breaks: true, async: false });
+  return window.DOMPurify.sanitize(html, {
+    ALLOWED_TAGS: MARKDOWN_ALLOWED_TAGS,
+    ALLOWED_ATTR: MARKDOWN_ALLOWED_ATTRIBUTES,
+    ALLOWED_URI_REGEXP: SAFE_LINK_PATTERN
+  });
+};
+
+// Wraps case-insensitive matches of `terms` (a string or a list) in sanitized HTML with <mark>,
+// touching only text nodes.
+const highlightHtml = (html, terms, className = 'search-hit') => {
+  const needles = [].concat(terms || []).filter(Boolean).sort((a, b) => b.length - a.length);
+  if (needles.length === 0) return html;
+  const pattern = new RegExp(needles.map(escapeRegExp).join('|'), 'gi');
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) {
+    pattern.lastIndex = 0;
+    if (pattern.test(walker.currentNode.nodeValue)) nodes.push(walker.currentNode);
+  }
+  nodes.forEach(node => {
+    const value = node.nodeValue;
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    for (const m of value.matchAll(pattern)) {
+      fragment.appendChild(document.createTextNode(value.slice(last, m.index)));
+      const mark = document.createElement('mark');
+      mark.className = className;
+      mark.textContent = m[0];
+      fragment.appendChild(mark);
+      last = m.index + m[0].length;
+    }
+    fragment.appendChild(document.createTextNode(value.slice(last)));
+    node.parentNode.replaceChild(fragment, node);
+  });
+  return template.innerHTML;
+};
+
+// Turns reference markers in sanitized HTML into buttons: [n] citations for n from 1 to
+// `citationCount`, and [C4] clause references for the ids in `clauseIds`. Markers inside code and
+// links are left alone.
+const linkReferences = (html, { citationCount = 0, clauseIds = [] }) => {
+  if (!citationCount && clauseIds.length === 0) return html;
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (/\[C?\d+\]/.test(node.nodeValue) && !node.parentElement?.closest('code, pre, a')) nodes.push(node);
+  }
+  nodes.forEach(node => {
+    const value = node.nodeValue;
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    for (const m of value.matchAll(/\[(C?)(\d+)\]/g)) {
+      const isClause = m[1] === 'C';
+      const n = Number(m[2]);
+      if (isClause ? !clauseIds.includes(`C${n}`) : n < 1 || n > citationCount) continue;
+      fragment.appendChild(document.createTextNode(value.slice(last, m.index)));
+      const button = document.createElement('button');
+      button.type = 'button';
+      if (isClause) {
+        button.className = 'clause-link';
+        button.dataset.clause = `C${n}`;
+      } else {
+        button.className = 'citation-link';
+        button.dataset.citation = String(n);
+      }
+      button.textContent = m[0];
+      fragment.appendChild(button);
+      last = m.index + m[0].length;
+    }
+    fragment.appendChild(document.createTextNode(value.slice(last)));
+    node.parentNode.replaceChild(fragment, node);
+  });
+  return template.innerHTML;
+};
+
+// Generated pages run in an opaque origin (sandbox without allow-same-origin) so they can never
+// read localStorage, where settings and API keys live. The CSP also blocks all network access.
+const PREVIEW_CSP = "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; img-src data: blob:; font-src data:; media-src data: blob:; form-action 'none'; base-uri 'none'";
+
+const PREVIEW_SIZES = [
+  { id: 'mobile', label: 'Mobile', width: 375 },
+  { id: 'tablet', label: 'Tablet', width: 768 },
+  { id: 'full', label: 'Full', width: null }
+];
+
+const escapeHtmlAttribute = (value) => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Forwards console output and uncaught errors to the parent, tagged with a token so the
+// panel ignores messages from any other frame.
+const previewConsoleBridge = (token) => `<script>(function () {
+  var send = function (level, args) {
+    try {
+      parent.postMessage({ source: 'loanlens-preview', token: ${JSON.stringify(token)}, level: level, message: args.map(function (a) {
+        if (a instanceof Error) return a.stack || a.message;
+        if (typeof a === 'object') { try { return JSON.stringify(a); } catch (e) { return String(a); } }
+        return String(a);
+      }).join(' ') }, '*');
+    } catch (e) {}
+  };
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(function (level) {
+    var original = console[level];
+    console[level] = function () { send(level, [].slice.call(arguments)); original.apply(console, arguments); };
+  });
+  window.addEventListener('error', function (e) { send('error', [e.message + (e.lineno ? ' (line ' + e.lineno + ')' : '')]); });
+  window.addEventListener('unhandledrejection', function (e) { send('error', ['Unhandled promise rejection: ', e.reason]); });
+  document.addEventListener('securitypolicyviolation', function (e) { send('warn', ['Blocked by sandbox policy: ' + e.violatedDirective + ' ' + (e.blockedURI || '')]); });
+})();</script>`;
+
+const buildPreviewDocument = (code, token) =>
+  `<!DOCTYPE html><meta http-equiv="Content-Security-Policy" content="${PREVIEW_CSP}">${token ? previewConsoleBridge(token) : ''}` +
+  code.replace(/^\s*<!doctype[^>]*>/i, '');
+
+// A blob page for a new window that only hosts the sandboxed frame; the generated code never runs in the blob's origin.
+const openSandboxedWindow = (code) => {
+  const wrapper = `<!DOCTYPE html><html><head><meta charset="utf-8"><meta http-equiv="Content-Security-Policy" content="${PREVIEW_CSP}"><title>LoanLens preview (sandboxed)</title>` +
+    '<style>html,body{margin:0;height:100%;background:#fff}iframe{border:0;width:100%;height:100%}</style></head><body>' +
+    `<iframe sandbox="allow-scripts allow-modals" srcdoc="${escapeHtmlAttribute(buildPreviewDocument(code))}"></iframe></body></html>`;
+  const url = URL.createObjectURL(new Blob([wrapper], { type: 'text/html' }));
+  window.open(url, '_blank', 'noopener');
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+};
+
+// Loan reports are standalone HTML documents built from the chat's locally computed data: the loan
+// profile, scanner findings, APR check and amortization schedules. Model replies only appear where
+// the user opts in, and always through the Markdown sanitizer. The same document is downloaded as an
+// offline HTML file or printed to PDF from a frame that is not allowed to run scripts.
+const REPORT_CSP = "default-src 'none'; style-src 'unsafe-inline'; img-src data:";
+
+const REPORT_DISCLAIMER = 'This report was prepared with LoanLens AI from the documents and figures provided. ' +
+  'Calculations are estimates based on the stated terms and may differ from the lender\'s figures. Red-flag findings ' +
+  'are produced by a rule-based scanner and indicate terms to review, not legal conclusions. This report is not legal, ' +
+  'tax or financial advice; consult a qualified professional before making decisions about a loan.';
+
+const escapeHtml = (value) => escapeHtmlAttribute(String(value ?? ''));
+
+const reportMarkdown = (text) => renderMarkdown(text || '') ?? `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`;
+
+// Everything the report shows, gathered from the active branch so it matches what is on screen.
+const collectReportData = (chat) => {
+  const profile = chat.loanProfile;
+  const branch = getActiveBranch(chat);
+  const schedules = [];
+  const addSchedule = (input, label) => {
+    const schedule = calculateLoanSchedule(input);
+    const description = describeLoanInput(schedule.inputs);
+    if (!schedules.some(s => s.description === description)) schedules.push({ label, description, schedule });
+  };
+  const profileInput = profileToLoanInput(profile);
+  if (profileInput.principal && profileInput.annualRate && profileInput.termMonths) addSchedule(profileInput, 'Loan profile');
+  branch.filter(m => m.calculation).forEach(m => addSchedule(m.calculation.inputs, 'Calculation'));
+
+  return {
+    title: chat.title,
+    fields: LOAN_PROFILE_FIELDS
+      .filter(field => profile?.fields?.[field.id] && profile.fields[field.id].value !== null && profile.fields[field.id].value !== '')
+      .map(field => ({ field, record: profile.fields[field.id] })),
+    aprCheck: verifyProfileApr(profile),
+    // A scan saved under older rules may list findings the current rules no longer make, so rescan.
+    scan: chat.scan && chat.scan.rulesetVersion === SCANNER_RULESET.version ? chat.scan : scanLoanDocuments(collectProfileSources(chat), profile, chat.scanOptions),
+    schedules,
+    documents: chat.documents || [],
+    analysis: [...branch].reverse().find(m => m.role === 'assistant' && m.content && !m.calculation && !m.scanReport && !m.aprCheck),
+    transcript: branch
+  };
+};
+
+const buildExecutiveSummary = (data) => {
+  const points = [];
+  const [primary] = data.schedules;
+  if (primary) {
+    points.push(`${primary.description[0].toUpperCase()}${primary.description.slice(1)}: ${formatCurrency(primary.schedule.summary.monthlyPayment)} per month, ` +
+      `${formatCurrency(primary.schedule.summary.totalInterest)} total interest over ${formatTerm(primary.schedule.summary.payoffMonth)}.`);
+    if (primary.schedule.summary.balloonPayment) {
+      points.push(`A balloon payment of ${formatCurrency(primary.schedule.summary.balloonPayment)} is due at the end of the term.`);
+    }
+  }
+  if (data.aprCheck) {
+    const { apr, check } = data.aprCheck;
+    points.push(`The disclosed APR of ${formatPercent(check.disclosedApr)} is ${check.withinTolerance ? 'within' : 'outside'} the Regulation Z ` +
+      `tolerance of ${check.tolerance} percentage points (LoanLens computed ${formatPercent(apr)}).`);
+  }
+  const groups = groupFindings(data.scan.findings);
+  if (groups.length === 0) {
+    points.push('The red-flag scanner found no known predatory or high-risk terms.');
+  } else {
+    const counts = ['high', 'medium', 'low'].map(s => [s, groups.filter(g => g.severity === s).length]).filter(([, n]) => n > 0);
+    const high = groups.filter(g => g.severity === 'high').map(g => g.title);
+    points.push(`The red-flag scanner found ${groups.length} issue${groups.length === 1 ? '' : 's'} (${counts.map(([s, n]) => `${n} ${s}`).join(', ')})` +
+      `${high.length ? `, including ${high.slice(0, 3).join(', ')}` : ''}.`);
+  }
+  if (data.documents.length) {
+    points.push(`Reviewed ${data.documents.length} document${data.documents.length === 1 ? '' : 's'}: ${data.documents.map(d => d.name).join(', ')}.`);
+  }
+  return points;
+};
+
+// Remaining balance and cumulative interest over the life of the loan, as inline SVG.
+const buildScheduleChartSvg = (schedule) => {
+  const width = 640;
+  const height = 200;
+  const pad = { left: 64, right: 16, top: 12, bottom: 28 };
+  const { rows, inputs } = schedule;
+  let interest = 0;
+  const points = rows.map(r => ({ month: r.month, balance: r.balance, interest: (interest += r.interest) }));
+  const maxValue = Math.max(1, inputs.principal, interest);
+  const x = (month) => pad.left + (month / Math.max(1, rows.length)) * (width - pad.left - pad.right);
+  const y = (value) => height - pad.bottom - (value / maxValue) * (height - pad.top - pad.bottom);
+  const line = (key, start) => [`${x(0)},${y(start)}`, ...points.map(p => `${x(p.month)},${y(p[key])}`)].join(' ');
+  const yearStep = Math.max(1, Math.ceil(rows.length / 12 / 6));
+  const ticks = [];
+  for (let year = 0; year * 12 <= rows.length; year += yearStep) ticks.push(year);
+
+  return `<svg viewBox="0 0 ${width} ${height}" class="chart" role="img" aria-label="Balance and cumulative interest">` +
+    [0, 0.5, 1].map(f => `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(maxValue * f)}" y2="${y(maxValue * f)}" stroke="#e2e8f0"/>` +
+      `<text x="${pad.left - 6}" y="${y(maxValue * f) + 4}" text-anchor="end" font-size="10" fill="#64748b">$${Math.round(maxValue * f / 1000).toLocaleString('en-US')}k</text>`).join('') +
+    ticks.map(year => `<text x="${x(year * 12)}" y="${height - 8}" text-anchor="middle" font-size="10" fill="#64748b">Yr ${year}</text>`).join('') +
+    `<polyline fill="none" stroke="#2563eb" stroke-width="2" points="${line('balance', inputs.principal)}"/>` +
+    `<polyline fill="none" stroke="#f59e0b" stroke-width="2" points="${line('interest', 0)}"/>` +
+    '</svg><div class="legend"><span><i style="background:#2563eb"></i>Remaining balance</span><span><i style="background:#f59e0b"></i>Cumulative interest</span></div>';
+};
+
+const buildScheduleTableHtml = (schedule, view) => {
+  const rows = view === 'monthly' ? schedule.rows : schedule.years;
+  const showExtra = schedule.summary.totalExtra > 0;
+  const cell = (value) => `<td class="num">${formatCurrency(value)}</td>`;
+  return '<table><thead><tr>' +
+    `<th>${view === 'monthly' ? 'Month' : 'Year'}</th><th class="num">Payment</th><th class="num">Principal</th><th class="num">Interest</th>` +
+    `${showExtra ? '<th class="num">Extra</th>' : ''}<th class="num">Balance</th></tr></thead><tbody>` +
+    rows.map(r => `<tr><td>${view === 'monthly' ? r.month : r.year}</td>${cell(r.payment)}${cell(r.principal)}${cell(r.interest)}${showExtra ? cell(r.extra) : ''}${cell(r.balance)}</tr>`).join('') +
+    '</tbody><tfoot><tr><td>Total</td>' +
+    `${cell(schedule.summary.totalPaid)}${cell(schedule.inputs.principal - schedule.summary.totalExtra)}${cell(schedule.summary.totalInterest)}` +
+    `${showExtra ? cell(schedule.summary.totalExtra) : ''}${cell(0)}</tr></tfoot></table>`;
+};
+
+const REPORT_STYLES = `
+  @page { margin: 18mm 16mm; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.55 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #0f172a; background: #fff; }
+  main { max-width: 820px; margin: 0 auto; padding: 40px 32px; }
+  header.brand { display: flex; align-items: center; justify-content: space-between; border-bottom: 3px solid #2563eb; padding-bottom: 16px; margin-bottom: 28px; }
+  .logo { font-size: 20px; font-weight: 700; color: #1e3a8a; }
+  .logo span { color: #2563eb; }
+  .meta { text-align: right; font-size: 12px; color: #64748b; }
+  h1 { font-size: 26px; margin: 0 0 6px; }
+  h2 { font-size: 18px; margin: 32px 0 12px; padding-bottom: 6px; border-bottom: 1px solid #e2e8f0; color: #1e3a8a; break-after: avoid; }
+  h3 { font-size: 15px; margin: 20px 0 8px; break-after: avoid; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; margin: 8px 0 16px; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #e2e8f0; text-align: left; vertical-align: top; }
+  th { background: #f1f5f9; font-weight: 600; }
+  tfoot td { font-weight: 600; background: #f8fafc; }
+  tr { break-inside: avoid; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; white-space: nowrap; }
+  .summary { background: #eff6ff; border-left: 4px solid #2563eb; padding: 12px 16px 12px 32px; border-radius: 4px; }
+  .cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; margin: 8px 0 12px; }
+  .card { border: 1px solid #e2e8f0; border-radius: 6px; padding: 8px 10px; }
+  .card div:first-child { font-size: 11px; color: #64748b; }
+  .card div:last-child { font-weight: 600; font-variant-numeric: tabular-nums; }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 999px; font-size: 11px; font-weight: 600; }
+  .badge.high { background: #fee2e2; color: #b91c1c; }
+  .badge.medium { background: #fef3c7; color: #b45309; }
+  .badge.low { background: #e0f2fe; color: #0369a1; }
+  .pass { color: #047857; font-weight: 600; }
+  .fail { color: #b91c1c; font-weight: 600; }
+  .muted { color: #64748b; font-size: 12px; }
+  .finding { break-inside: avoid; margin-bottom: 14px; }
+  .finding blockquote, .message blockquote { margin: 6px 0; padding: 4px 12px; border-left: 3px solid #cbd5e1; color: #475569; }
+  .chart { width: 100%; height: auto; }
+  .legend { display: flex; gap: 16px; font-size: 11px; color: #64748b; }
+  .legend i { display: inline-block; width: 12px; height: 3px; margin-right: 6px; vertical-align: middle; }
+  .analysis, .message { font-size: 13px; }
+  .message { border-top: 1px solid #e2e8f0; padding-top: 8px; margin-top: 12px; }
+  .message .role { font-size: 11px; font-weight: 600; text-transform: uppercase; color: #64748b; }
+  pre, code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; }
+  pre { white-space: pre-wrap; background: #f8fafc; padding: 8px; border-radius: 4px; }
+  .appendix { break-before: page; }
+  .disclaimer { margin-top: 36px; padding: 12px 16px; border: 1px solid #e2e8f0; border-radius: 6px; font-size: 11px; color: #475569; }
+  @media print { main { padding: 0; max-width: none; } a { color: inherit; text-decoration: none; } }
+`;
+
+// options: { analysis, monthlySchedule, transcript } turn on the optional sections.
+const buildLoanReportHtml = (chat, options = {}) => {
+  const data = collectReportData(chat);
+  const generatedAt = new Date();
+  const parts = [];
+
+  parts.push('<h2>Executive Summary</h2>');
+  parts.push(`<ul class="summary">${buildExecutiveSummary(data).map(p => `<li>${escapeHtml(p)}</li>`).join('')}</ul>`);
+  if (options.analysis && data.analysis) {
+    parts.push(`<h3>AI Analysis</h3><div class="analysis">${reportMarkdown(data.analysis.content)}</div>`);
+    parts.push('<p class="muted">Written by an AI model. Figures elsewhere in this report are computed by LoanLens and take precedence.</p>');
+  }
+
+  parts.push('<h2>Loan Terms</h2>');
+  if (data.fields.length === 0) {
+    parts.push('<p class="muted">No loan terms have been extracted for this chat.</p>');
+  } else {
+    parts.push('<table><thead><tr><th>Term</th><th>Value</th><th>Source</th></tr></thead><tbody>' +
+      data.fields.map(({ field, record }) => `<tr><td>${escapeHtml(field.label)}</td><td>${escapeHtml(formatProfileValue(field, record))}</td>` +
+        `<td class="muted">${escapeHtml(record.edited ? 'Confirmed by user' : record.source ? `${record.source.name}, p. ${record.source.page}` : 'Extracted')}</td></tr>`).join('') +
+      '</tbody></table>');
+  }
+  if (data.aprCheck) {
+    const { apr, check, assumedAmountFinanced } = data.aprCheck;
+    parts.push(`<p>APR check (Regulation Z, Appendix J): computed ${formatPercent(apr)}, disclosed ${formatPercent(check.disclosedApr)} — ` +
+      `<span class="${check.withinTolerance ? 'pass' : 'fail'}">${check.withinTolerance ? 'within' : 'outside'} tolerance</span> ` +
+      `(${check.tolerance} percentage points).${assumedAmountFinanced ? ' <span class="muted">Amount financed assumed to be principal minus fees.</span>' : ''}</p>`);
+  }
+
+  const groups = groupFindings(data.scan.findings);
+  parts.push('<h2>Red-Flag Findings</h2>');
+  parts.push(`<p class="muted">Rule-based scan, rules v${escapeHtml(data.scan.rulesetVersion)}. No AI was used to produce these findings.</p>`);
+  if (groups.length === 0) {
+    parts.push('<p>No known predatory or high-risk terms were found. This does not guarantee the loan is fair.</p>');
+  } else {
+    groups.forEach(g => {
+      const quotes = g.findings.filter(f => f.source?.excerpt).slice(0, 3);
+      parts.push(`<div class="finding"><h3><span class="badge ${g.severity}">${SEVERITY_STYLES[g.severity].label}</span> ${escapeHtml(g.title)}</h3>` +
+        `<p>${escapeHtml(g.explanation)}</p>` +
+        quotes.map(f => `<blockquote>“${escapeHtml(f.source.excerpt)}” <span class="muted">— ${escapeHtml(describeFindingLocation(f))}</span></blockquote>`).join('') +
+        (quotes.length === 0 ? `<p class="muted">Source: ${escapeHtml(g.findings.map(describeFindingLocation).filter((l, i, a) => a.indexOf(l) === i).join('; '))}</p>` : '') +
+        '</div>');
+    });
+  }
+
+  if (data.schedules.length) {
+    parts.push('<h2>Payment Schedules</h2>');
+    data.schedules.forEach(({ label, description, schedule }) => {
+      const { summary } = schedule;
+      const cards = [
+        ['Monthly Payment', formatCurrency(summary.monthlyPayment)],
+        ['Total Interest', formatCurrency(summary.totalInterest)],
+        ['Total Paid', formatCurrency(summary.totalPaid)],
+        summary.balloonPayment ? ['Balloon Payment', formatCurrency(summary.balloonPayment)] : ['Payoff', formatTerm(summary.payoffMonth)]
+      ];
+      parts.push(`<h3>${escapeHtml(label)}: ${escapeHtml(description)}</h3>`);
+      parts.push(`<div class="cards">${cards.map(([k, v]) => `<div class="card"><div>${k}</div><div>${escapeHtml(v)}</div></div>`).join('')}</div>`);
+      parts.push(buildScheduleChartSvg(schedule));
+      parts.push(buildScheduleTableHtml(schedule, 'yearly'));
+    });
+  }
+
+  const appendices = [];
+  if (options.monthlySchedule && data.schedules.length) {
+    appendices.push('<h2>Appendix: Monthly Schedules</h2>' +
+      data.schedules.map(({ description, schedule }) => `<h3>${escapeHtml(description)}</h3>${buildScheduleTableHtml(schedule, 'monthly')}`).join(''));
+  }
+  if (options.transcript && data.transcript.length) {
+    appendices.push('<h2>Appendix: Conversation Transcript</h2>' +
+      data.transcript.map(m => `<div class="message"><div class="role">${m.role === 'user' ? 'User' : 'LoanLens AI'} · ${escapeHtml(new Date(m.timestamp).toLocaleString())}</div>${reportMarkdown(m.content)}</div>`).join(''));
+  }
+
+  return '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">' +
+    `<meta http-equiv="Content-Security-Policy" content="${REPORT_CSP}">` +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">' +
+    `<title>${escapeHtml(`Loan Report — ${data.title}`)}</title><style>${REPORT_STYLES}</style></head><body><main>` +
+    '<header class="brand"><div class="logo">Loan<span>Lens</span> AI</div>' +
+    `<div class="meta">Loan Document Analysis<br>${escapeHtml(generatedAt.toLocaleString())}</div></header>` +
+    `<h1>${escapeHtml(data.title)}</h1><p class="muted">Loan review report</p>` +
+    parts.join('\n') +
+    `<div class="disclaimer"><strong>Disclaimer.</strong> ${escapeHtml(REPORT_DISCLAIMER)}</div>` +
+    appendices.map(a => `<section class="appendix">${a}</section>`).join('\n') +
+    '</main></body></html>';
+};
+
+// Prints from a hidden frame; without allow-scripts nothing in the report can run, while
+// allow-same-origin lets this page call print() on it.
+const printReport = (html) => {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('sandbox', 'allow-same-origin allow-modals');
+  frame.style.cssText = 'position:fixed;width:0;height:0;border:0;visibility:hidden';
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    setTimeout(() => frame.remove(), 1000);
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+};
+
+const HtmlPreviewModal = ({ code, onClose }) => {
+  const iframeRef = useRef(null);
+  const [size, setSize] = useState('full');
+  const [reloadKey, setReloadKey] = useState(0);
+  const [logs, setLogs] = useState([]);
+  const token = useMemo(() => generateId(), [reloadKey]);
+
+  useEffect(() => {
+    const onMessage = (event) => {
+      if (event.source !== iframeRef.current?.contentWindow) return;
+      const data = event.data;
+      if (!data || data.source !== 'loanlens-preview' || data.token !== token) return;
+      setLogs(prev => [...prev.slice(-199), { id: generateId(), level: data.level, message: String(data.message).slice(0, 2000), time: new Date() }]);
+    };
+    window.addEventListener('message', onMessage);
+    return () => window.removeEventListener('message', onMessage);
+  }, [token]);
+
+  const reload = () => {
+    setLogs([]);
+    setReloadKey(k => k + 1);
+  };
+
+  const width = PREVIEW_SIZES.find(s => s.id === size)?.width;
+  const errorCount = logs.filter(l => l.level === 'error').length;
+  const levelClass = { error: 'text-red-300', warn: 'text-amber-300', info: 'text-sky-300', debug: 'text-slate-500', log: 'text-slate-300' };
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4',
+    onClick: (e) => e.target === e.currentTarget && onClose()
+  },
+    React.createElement('div', { className: 'settings-modal bg-slate-900 rounded-2xl w-full max-w-6xl h-[90vh] flex flex-col overflow-hidden shadow-2xl border border-slate-700' },
+      React.createElement('div', { className: 'flex flex-wrap items-center justify-between gap-3 px-6 py-4 border-b border-slate-700' },
+        React.createElement('div', null,
+          React.createElement('h2', { className: 'text-lg font-semibold text-white' }, 'HTML Preview'),
+          React.createElement('div', { className: 'text-xs text-slate-500' }, 'Sandboxed: no access to LoanLens storage or the network')
+        ),
+        React.createElement('div', { className: 'flex flex-wrap items-center gap-2' },
+          PREVIEW_SIZES.map(s =>
+            React.createElement('button', {
+              key: s.id,
+              onClick: () => setSize(s.id),
+              className: `px-3 py-1.5 rounded-lg text-xs font-medium transition-all ${size === s.id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`
+            }, s.label)
+          ),
+          React.createElement('button', {
+            onClick: reload,
+            className: 'px-3 py-1.5 rounded-lg text-xs font-medium bg-slate-700 text-slate-300 hover:bg-slate-600 transition-all'
+          }, 'Reload'),
+          React.createElement('button', {
+            onClick: () => openSandboxedWindow(code),
+            className: 'px-3 py-1.5 rounded-lg text-xs font-medium bg-slate-700 text-slate-300 hover:bg-slate-600 transition-all'
+          }, 'Open in new window (sandboxed)'),
+          React.createElement('button', { onClick: onClose, className: 'ml-2 text-slate-400 hover:text-white transition-colors' },
+            React.createElement('svg', { className: 'w-6 h-6', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+              React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M6 18L18 6M6 6l12 12' })
+            )
+          )
+        )
+      ),
+      React.createElement('div', { className: 'flex-1 min-h-0 overflow-auto bg-slate-950 p-4 flex justify-center' },
+        React.createElement('div', {
+          className: 'preview-frame bg-white rounded-lg overflow-hidden shadow-lg',
+          style: { width: width ? `${width}px` : '100%', maxWidth: '100%', height: '100%', minWidth: '280px', minHeight: '200px', resize: 'both' }
+        },
+          React.createElement('iframe', {
+            key: reloadKey,
+            ref: iframeRef,
+            title: 'HTML preview',
+            sandbox: 'allow-scripts allow-modals',
+            referrerPolicy: 'no-referrer',
+            srcDoc: buildPreviewDocument(code, token),
+            className: 'w-full h-full border-0'
+          })
+        )
+      ),
+      React.createElement('div', { className: 'preview-console h-40 flex flex-col border-t border-slate-700 bg-slate-950' },
+        React.createElement('div', { className: 'flex items-center justify-between px-4 py-1.5 border-b border-slate-800' },
+          React.createElement('span', { className: 'text-xs font-medium text-slate-400' },
+            `Console${logs.length ? ` · ${logs.length} message${logs.length === 1 ? '' : 's'}` : ''}${errorCount ? ` · ${errorCount} error${errorCount === 1 ? '' : 's'}` : ''}`
+          ),
+          React.createElement('button', { onClick: () => setLogs([]), className: 'text-xs text-slate-500 hover:text-slate-300' }, 'Clear')
+        ),
+        React.createElement('div', { className: 'flex-1 overflow-y-auto px-4 py-2 font-mono text-xs space-y-1' },
+          logs.length === 0 && React.createElement('div', { className: 'text-slate-600' }, 'No console output.'),
+          logs.map(log =>
+            React.createElement('div', { key: log.id, className: `whitespace-pre-wrap break-words ${levelClass[log.level] || 'text-slate-300'}` },
+              React.createElement('span', { className: 'text-slate-600 mr-2' }, log.time.toLocaleTimeString()),
+              log.message
+            )
+          )
+        )
+      )
+    )
+  );
+};
+
+const CodeBlock = ({ code, language }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copyCode = () => {
+    navigator.clipboard.writeText(code);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const [previewOpen, setPreviewOpen] = useState(false);
+
+  const isHtml = language === 'html';
+
+  return React.createElement('div', { className: 'code-block-container relative my-3 rounded-lg overflow-hidden' },
+    React.createElement('div', { className: 'code-header flex items-center justify-between px-4 py-2 bg-slate-800 border-b border-slate-700' },
+      React.createElement('span', { className: 'text-xs font-mono text-slate-400 uppercase' }, language || 'code'),
+      React.createElement('div', { className: 'flex gap-2' },
+        isHtml && React.createElement('button', {
+          onClick: () => setPreviewOpen(true),
+          className: 'launch-btn flex items-center gap-1.5 px-3 py-1.5 bg-emerald-600 hover:bg-emerald-500 text-white text-xs font-medium rounded-md transition-all'
+        },
+          React.createElement('svg', { className: 'w-3.5 h-3.5', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+            React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z' }),
+            React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M21 12a9 9 0 11-18 0 9 9 0 0118 0z' })
+          ),
+          'Launch'
+        ),
+        React.createElement('button', {
+          onClick: copyCode,
+          className: 'flex items-center gap-1.5 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-300 text-xs font-medium rounded-md transition-all'
+        },
+          React.createElement('svg', { className: 'w-3.5 h-3.5', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+            React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z' })
+          ),
+          copied ? 'Copied!' : 'Copy'
+        )
+      )
+    ),
+    React.createElement('pre', { className: 'code-content bg-slate-900 p-4 overflow-x-auto' },
+      React.createElement('code', { className: 'text-sm font-mono text-slate-300 whitespace-pre-wrap break-words' }, code)
+    ),
+    previewOpen && React.createElement(HtmlPreviewModal, { code, onClose: () => setPreviewOpen(false) })
+  );
+};
+
+const MessageContent = ({ content, highlight, highlightClass, citations, onOpenCitation, clauseIds, onOpenClause }) => {
+  const parts = [];
+  let lastIndex = 0;
+  const codeRegex = /```(\w*)\n([\s\S]*?)```/g;
+  let match;
+
+  while ((match = codeRegex.exec(content)) !== null) {
+    if (match.index > lastIndex) {
+      parts.push({ type: 'text', content: content.slice(lastIndex, match.index) });
+    }
+    parts.push({ type: 'code', language: match[1] || 'code', content: match[2] });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < content.length) {
+    parts.push({ type: 'text', content: content.slice(lastIndex) });
+  }
+
+  if (parts.length === 0) {
+    parts.push({ type: 'text', content });
+  }
+
+  // Citation and clause buttons are plain markup, so their clicks are picked up here.
+  const openReference = (e) => {
+    const clause = e.target.closest('[data-clause]');
+    if (clause && onOpenClause) onOpenClause(clause.dataset.clause);
+    const target = e.target.closest('[data-citation]');
+    const passage = target && citations?.[Number(target.dataset.citation) - 1];
+    if (passage && onOpenCitation) onOpenCitation(passage);
+  };
+
+  return React.createElement('div', { className: 'message-content', onClick: citations?.length || clauseIds?.length ? openReference : undefined },
+    parts.map((part, index) => {
+      if (part.type === 'code') {
+        return React.createElement(CodeBlock, { key: index, code: part.content, language: part.language });
+      }
+      const html = renderMarkdown(part.content);
+      if (html === null) {
+        return React.createElement('div', { key: index, className: 'whitespace-pre-wrap' }, part.content);
+      }
+      return React.createElement('div', {
+        key: index,
+        className: 'markdown-body',
+        dangerouslySetInnerHTML: { __html: linkReferences(highlightHtml(html, highlight, highlightClass), { citationCount: citations?.length, clauseIds }) }
+      });
+    })
+  );
+};
+
+const AmortizationTable = ({ calculation }) => {
+  const [view, setView] = useState('yearly');
+  const schedule = useMemo(() => calculateLoanSchedule(calculation.inputs), [calculation]);
+  const { summary } = schedule;
+  const rows = view === 'yearly' ? schedule.years : schedule.rows;
+  const showExtra = summary.totalExtra > 0;
+  const showRate = view === 'monthly' && schedule.inputs.loanType === 'arm';
+
+  const cards = [
+    { label: 'Monthly Payment', value: formatCurrency(summary.monthlyPayment) },
+    { label: 'Total Interest', value: formatCurrency(summary.totalInterest) },
+    { label: 'Total Paid', value: formatCurrency(summary.totalPaid) },
+    summary.balloonPayment
+      ? { label: 'Balloon Payment', value: formatCurrency(summary.balloonPayment) }
+      : { label: 'Payoff', value: formatTerm(summary.payoffMonth) }
+  ];
+
+  return React.createElement('div', { className: 'amortization-table mt-4 rounded-xl border border-slate-700 overflow-hidden' },
+    React.createElement('div', { className: 'grid grid-cols-2 sm:grid-cols-4 gap-px bg-slate-700' },
+      cards.map(card =>
+        React.createElement('div', { key: card.label, className: 'bg-slate-900 px-4 py-3' },
+          React.createElement('div', { className: 'text-xs text-slate-500' }, card.label),
+          React.createElement('div', { className: 'text-sm font-semibold text-white font-mono' }, card.value)
+        )
+      )
+    ),
+    summary.interestSaved > 0 && React.createElement('div', { className: 'px-4 py-2 bg-emerald-600/10 text-xs text-emerald-300 border-t border-slate-700' },
+      `Extra principal saves ${formatCurrency(summary.interestSaved)} in interest and pays off ${formatTerm(summary.monthsSaved)} early.`
+    ),
+    React.createElement('div', { className: 'flex items-center justify-between px-4 py-2 bg-slate-800 border-t border-slate-700' },
+      React.createElement('span', { className: 'text-xs font-medium text-slate-400 uppercase' }, 'Amortization Schedule'),
+      React.createElement('div', { className: 'flex gap-1' },
+        ['yearly', 'monthly'].map(id =>
+          React.createElement('button', {
+            key: id,
+            onClick: () => setView(id),
+            className: `px-3 py-1 rounded-md text-xs font-medium transition-all ${view === id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`
+          }, id === 'yearly' ? 'Yearly' : 'Monthly')
+        )
+      )
+    ),
+    React.createElement('div', { className: 'max-h-80 overflow-auto bg-slate-900' },
+      React.createElement('table', { className: 'w-full text-xs font-mono' },
+        React.createElement('thead', { className: 'sticky top-0 bg-slate-900 text-slate-400' },
+          React.createElement('tr', null,
+            React.createElement('th', { className: 'px-3 py-2 text-left font-medium' }, view === 'yearly' ? 'Year' : 'Month'),
+            showRate && React.createElement('th', { className: 'px-3 py-2 text-right font-medium' }, 'Rate'),
+            React.createElement('th', { className: 'px-3 py-2 text-right font-medium' }, 'Payment'),
+            React.createElement('th', { className: 'px-3 py-2 text-right font-medium' }, 'Principal'),
+            React.createElement('th', { className: 'px-3 py-2 text-right font-medium' }, 'Interest'),
+            showExtra && React.createElement('th', { className: 'px-3 py-2 text-right font-medium' }, 'Extra'),
+            React.createElement('th', { className: 'px-3 py-2 text-right font-medium' }, 'Balance')
+          )
+        ),
+        React.createElement('tbody', { className: 'text-slate-300' },
+          rows.map(row =>
+            React.createElement('tr', { key: row.year || row.month, className: 'border-t border-slate-800 hover:bg-slate-800/50' },
+              React.createElement('td', { className: 'px-3 py-1.5' }, view === 'yearly' ? row.year : row.month),
+              showRate && React.createElement('td', { className: 'px-3 py-1.5 text-right' }, formatPercent(row.rate)),
+              React.createElement('td', { className: 'px-3 py-1.5 text-right' }, formatCurrency(row.payment)),
+              React.createElement('td', { className: 'px-3 py-1.5 text-right' }, formatCurrency(row.principal)),
+              React.createElement('td', { className: 'px-3 py-1.5 text-right' }, formatCurrency(row.interest)),
+              showExtra && React.createElement('td', { className: 'px-3 py-1.5 text-right' }, formatCurrency(row.extra)),
+              React.createElement('td', { className: 'px-3 py-1.5 text-right' }, formatCurrency(row.balance))
+            )
+          )
+        ),
+        React.createElement('tfoot', { className: 'sticky bottom-0 bg-slate-800 text-white' },
+          React.createElement('tr', null,
+            React.createElement('td', { className: 'px-3 py-2 font-medium' }, 'Total'),
+            showRate && React.createElement('td', null),
+            React.createElement('td', { className: 'px-3 py-2 text-right' }, formatCurrency(summary.totalPaid)),
+            React.createElement('td', { className: 'px-3 py-2 text-right' }, formatCurrency(schedule.inputs.principal - summary.totalExtra)),
+            React.createElement('td', { className: 'px-3 py-2 text-right' }, formatCurrency(summary.totalInterest)),
+            showExtra && React.createElement('td', { className: 'px-3 py-2 text-right' }, formatCurrency(summary.totalExtra)),
+            React.createElement('td', { className: 'px-3 py-2 text-right' }, formatCurrency(0))
+          )
+        )
+      )
+    )
+  );
+};
+
+const TOOL_LABELS = {
+  calculate_payment: 'Payment Calculation',
+  calculate_apr: 'APR Calculation',
+  amortization_schedule: 'Amortization Schedule',
+  refinance_analysis: 'Refinance Analysis'
+};
+
+const ToolCallCard = ({ call }) => {
+  const [expanded, setExpanded] = useState(false);
+  const failed = !!call.result?.error;
+  const pending = call.result === undefined;
+
+  return React.createElement('div', { className: `tool-call-card my-2 rounded-lg border ${failed ? 'border-red-500/40' : 'border-slate-700'} bg-slate-900/60 overflow-hidden` },
+    React.createElement('button', {
+      onClick: () => setExpanded(!expanded),
+      className: 'w-full flex items-center justify-between gap-3 px-3 py-2 text-left hover:bg-slate-800/60 transition-colors'
+    },
+      React.createElement('div', { className: 'flex items-center gap-2 min-w-0' },
+        React.createElement('span', { className: `w-2 h-2 rounded-full flex-shrink-0 ${pending ? 'bg-amber-400 animate-pulse' : failed ? 'bg-red-400' : 'bg-emerald-400'}` }),
+        React.createElement('span', { className: 'text-xs font-medium text-slate-200' }, `🧮 ${TOOL_LABELS[call.name] || call.name}`),
+        React.createElement('span', { className: 'text-xs text-slate-500 truncate' },
+          pending ? 'running…' : failed ? call.result.error : 'computed locally by LoanLens'
+        )
+      ),
+      React.createElement('svg', { className: `w-4 h-4 text-slate-500 transition-transform ${expanded ? 'rotate-180' : ''}`, fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+        React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M19 9l-7 7-7-7' })
+      )
+    ),
+    call.name === 'calculate_apr' && call.result?.apr !== undefined && React.createElement('div', { className: 'px-3' },
+      React.createElement(AprCheckCard, { result: call.result })
+    ),
+    expanded && React.createElement('div', { className: 'border-t border-slate-700 px-3 py-2 space-y-2' },
+      React.createElement('div', null,
+        React.createElement('div', { className: 'text-xs text-slate-500 mb-1' }, 'Arguments'),
+        React.createElement('pre', { className: 'text-xs font-mono text-slate-300 whitespace-pre-wrap break-words' }, JSON.stringify(call.arguments, null, 2))
+      ),
+      !pending && React.createElement('div', null,
+        React.createElement('div', { className: 'text-xs text-slate-500 mb-1' }, 'Result'),
+        React.createElement('pre', { className: 'text-xs font-mono text-slate-300 whitespace-pre-wrap break-words max-h-64 overflow-auto' }, JSON.stringify(call.result, null, 2))
+      )
+    )
+  );
+};
+
+const ToolCallList = ({ calls }) => {
+  return React.createElement('div', { className: 'tool-call-list mb-3' },
+    calls.map(call =>
+      React.createElement('div', { key: call.id },
+        React.createElement(ToolCallCard, { call }),
+        call.calculation && React.createElement(AmortizationTable, { calculation: call.calculation })
+      )
+    )
+  );
+};
+
+const AnalysisProgress = ({ progress }) => {
+  const label = progress.phase === 'map'
+    ? `Analyzing section ${progress.current} of ${progress.total}`
+    : progress.phase === 'reduce'
+      ? `Merging findings (pass ${progress.pass}, group ${progress.current} of ${progress.total})`
+      : 'Writing final report';
+  const percent = progress.phase === 'map' ? ((progress.current - 1) / progress.total) * 100 : 100;
+
+  return React.createElement('div', { className: 'analysis-progress mt-3 w-64' },
+    React.createElement('div', { className: 'flex items-center justify-between text-xs text-slate-400 mb-1.5' },
+      React.createElement('span', null, 'Long-document mode'),
+      React.createElement('span', null, label)
+    ),
+    React.createElement('div', { className: 'h-1.5 bg-slate-700 rounded-full overflow-hidden' },
+      React.createElement('div', { className: 'h-full bg-blue-500 transition-all duration-300', style: { width: `${percent}%` } })
+    )
+  );
+};
+
+// Explains why a reply ended early: the token limit, the Stop button or a dropped connection.
+const ResponseNotice = ({ message }) => {
+  const notice = message.truncated
+    ? { text: 'Response truncated: the model hit the max tokens limit. Raise Max Tokens in settings or ask it to continue.', className: 'border-amber-500/40 bg-amber-500/10 text-amber-300' }
+    : message.stopped
+      ? { text: 'Generation stopped. The partial answer above was kept.', className: 'border-slate-600 bg-slate-900/60 text-slate-400' }
+      : message.withheld
+      ? { text: 'Not sent: the redaction review was cancelled. Regenerate to review it again.', className: 'border-slate-600 bg-slate-900/60 text-slate-400' }
+      : { text: `Response interrupted: ${message.interrupted}`, className: 'border-red-500/40 bg-red-500/10 text-red-300' };
+
+  return React.createElement('div', { className: `response-notice mt-3 px-3 py-2 rounded-lg border text-xs ${notice.className}` }, notice.text);
+};
+
+// Says what was left out of a request to fit the model's context window.
+const ContextNotice = ({ context }) => {
+  const parts = [
+    context.summarizedMessages ? `${context.summarizedMessages} earlier message${context.summarizedMessages === 1 ? ' was' : 's were'} summarized` : null,
+    context.excerptPages !== undefined ? `the documents were trimmed to ${context.excerptPages} of ${context.totalPages} pages` : null
+  ].filter(Boolean);
+  if (parts.length === 0) return null;
+
+  return React.createElement('div', {
+    className: 'context-notice mt-3 px-3 py-2 rounded-lg border border-slate-600 bg-slate-900/60 text-xs text-slate-400',
+    title: `About ${formatTokens(context.originalTokens)} tokens in full, ${formatTokens(context.tokens)} as sent`
+  }, `To fit the context window, ${parts.join(' and ')}.`);
+};
+
+// The library passages a reply was given, in the order its [n] markers count them. A passage that
+// has since been removed from the library resolves to null.
+const resolveCitations = (citations) => citations ? citations.ids.map(findRegulationPassage) : [];
+
+// Lists the passages under a reply; ones the reply never cites are dimmed.
+const CitationList = ({ message, onOpen }) => {
+  const passages = resolveCitations(message.citations);
+  const cited = new Set([...(message.content || '').matchAll(/\[(\d+)\]/g)].map(m => Number(m[1])));
+
+  return React.createElement('div', { className: 'citation-list mt-3 pt-2 border-t border-slate-700 text-xs' },
+    React.createElement('div', { className: 'text-slate-500 mb-1' },
+      `Sources · regulation library v${message.citations.version}${message.citations.version !== REGULATION_LIBRARY.version ? ` (now v${REGULATION_LIBRARY.version})` : ''}`
+    ),
+    passages.map((passage, i) => passage
+      ? React.createElement('button', {
+          key: i,
+          onClick: () => onOpen(passage),
+          title: cited.has(i + 1) ? 'Open the source passage' : 'Provided to the model but not cited',
+          className: `citation-source block text-left hover:text-blue-300 transition-colors ${cited.has(i + 1) ? 'text-slate-300' : 'text-slate-500'}`
+        }, `[${i + 1}] ${passage.citation} — ${passage.title}`)
+      : React.createElement('div', { key: i, className: 'text-slate-600' }, `[${i + 1}] ${message.citations.ids[i]} (no longer in the library)`)
+    )
+  );
+};
+
+const RetryNotice = ({ status }) => {
+  return React.createElement('div', { className: 'retry-notice mt-3 text-xs text-amber-300' },
+    `${status.reason}. Retrying in ${Math.max(1, Math.round(status.delay / 1000))}s (attempt ${status.attempt} of ${status.retries})…`
+  );
+};
+
+// "< 2/3 >" switcher for messages that have alternate versions, plus edit and regenerate actions.
+const MessageFooter = ({ message, siblings, busy, onSelectBranch, onEdit, onRegenerate }) => {
+  const index = siblings.findIndex(m => m.id === message.id);
+  const isUser = message.role === 'user';
+  const actionClass = `transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${isUser ? 'hover:text-white' : 'hover:text-slate-200'}`;
+
+  return React.createElement('div', { className: `message-footer flex items-center gap-3 text-xs mt-2 ${isUser ? 'text-blue-200' : 'text-slate-500'}` },
+    React.createElement('span', null, new Date(message.timestamp).toLocaleTimeString()),
+    message.model && React.createElement('span', { className: 'model-badge', title: 'Model that wrote this reply' }, message.model),
+    message.usage
+      ? React.createElement('span', {
+          className: 'token-count tabular-nums',
+          title: `Tokens ${message.usage.estimated ? 'estimated' : 'reported by the provider'} for this reply${message.usage.cost ? `, about ${formatUsageCost(message.usage.cost)}` : ''}`
+        }, `${formatTokens(message.usage.promptTokens)} in · ${formatTokens(message.usage.completionTokens)} out`)
+      : message.content && React.createElement('span', { className: 'token-count tabular-nums', title: 'Estimated tokens' }, `~${formatTokens(estimateTokens(message.content))} tokens`),
+    message.redactedCount > 0 && React.createElement('span', {
+      className: 'redaction-badge',
+      title: `${message.redactedCount} personal detail${message.redactedCount === 1 ? ' was' : 's were'} replaced with placeholders before the request was sent`
+    }, `🛡 ${message.redactedCount} redacted`),
+    siblings.length > 1 && React.createElement('div', { className: 'branch-switcher flex items-center gap-1' },
+      React.createElement('button', {
+        onClick: () => onSelectBranch(siblings[index - 1]),
+        disabled: busy || index === 0,
+        title: 'Previous version',
+        className: `px-1 ${actionClass}`
+      }, '<'),
+      React.createElement('span', { className: 'tabular-nums' }, `${index + 1}/${siblings.length}`),
+      React.createElement('button', {
+        onClick: () => onSelectBranch(siblings[index + 1]),
+        disabled: busy || index === siblings.length - 1,
+        title: 'Next version',
+        className: `px-1 ${actionClass}`
+      }, '>')
+    ),
+    onEdit && React.createElement('button', { onClick: onEdit, disabled: busy, className: `edit-message-btn ${actionClass}` }, 'Edit'),
+    onRegenerate && React.createElement('button', { onClick: onRegenerate, disabled: busy, className: `regenerate-btn ${actionClass}` }, 'Regenerate')
+  );
+};
+
+const MessageEditor = ({ message, onSubmit, onCancel }) => {
+  const [text, setText] = useState(message.content);
+
+  return React.createElement('div', { className: 'message-editor space-y-2' },
+    React.createElement('textarea', {
+      value: text,
+      onChange: (e) => setText(e.target.value),
+      autoFocus: true,
+      rows: Math.min(12, Math.max(3, text.split('\n').length)),
+      className: 'w-full min-w-[280px] bg-blue-700/60 text-white placeholder-blue-200 rounded-lg px-3 py-2 outline-none resize-y'
+    }),
+    React.createElement('div', { className: 'flex justify-end gap-2' },
+      React.createElement('button', {
+        onClick: onCancel,
+        className: 'px-3 py-1.5 text-sm text-blue-100 hover:text-white rounded-lg transition-all'
+      }, 'Cancel'),
+      React.createElement('button', {
+        onClick: () => onSubmit(text),
+        disabled: !text.trim(),
+        className: 'px-3 py-1.5 text-sm bg-white text-blue-700 hover:bg-blue-50 disabled:opacity-50 rounded-lg font-medium transition-all'
+      }, 'Save & Submit')
+    )
+  );
+};
+
+const SectionFindings = ({ analysis }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  return React.createElement('div', { className: 'section-findings mb-3 rounded-lg border border-slate-700 bg-slate-900/60 overflow-hidden' },
+    React.createElement('button', {
+      onClick: () => setExpanded(!expanded),
+      className: 'w-full flex items-center justify-between gap-3 px-3 py-2 text-left hover:bg-slate-800/60 transition-colors'
+    },
+      React.createElement('span', { className: 'text-xs font-medium text-slate-200' },
+        `📑 Long-document analysis · ${analysis.sections.length} section${analysis.sections.length === 1 ? '' : 's'} reviewed`
+      ),
+      React.createElement('svg', { className: `w-4 h-4 text-slate-500 transition-transform ${expanded ? 'rotate-180' : ''}`, fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+        React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M19 9l-7 7-7-7' })
+      )
+    ),
+    expanded && React.createElement('div', { className: 'border-t border-slate-700 divide-y divide-slate-800 max-h-96 overflow-y-auto' },
+      analysis.sections.map(section =>
+        React.createElement('div', { key: section.index, className: 'px-3 py-2' },
+          React.createElement('div', { className: 'text-xs font-medium text-blue-300 mb-1' }, section.label),
+          React.createElement('div', { className: 'text-xs text-slate-300 whitespace-pre-wrap' }, section.findings)
+        )
+      )
+    )
+  );
+};
+
+// Both answers while they stream; the finished reply replaces this with a SecondOpinionPanel.
+const SecondOpinionStreams = ({ streams }) => {
+  return React.createElement('div', { className: 'second-opinion-stream grid grid-cols-2 gap-3' },
+    streams.map((stream, i) =>
+      React.createElement('div', { key: i, className: 'second-opinion-column min-w-0 rounded-lg border border-slate-700 bg-slate-900/50 p-3' },
+        React.createElement('div', { className: 'text-xs font-medium text-slate-400 mb-2' }, describeProfile(stream)),
+        stream.text
+          ? React.createElement(MessageContent, { content: stream.text })
+          : React.createElement('div', { className: 'text-xs text-slate-500' }, 'Waiting for the first tokens…')
+      )
+    )
+  );
+};
+
+// Two answers to the same question with their differences highlighted. The user keeps one, or asks
+// a third profile to adjudicate; either way every answer stays on the message.
+const SecondOpinionPanel = ({ message, profiles, busy, onKeep, onAdjudicate, onOpenCitation, clauseIds, onOpenClause }) => {
+  const { answers, reconciliation, adjudication, chosen } = message.secondOpinion;
+  const [expanded, setExpanded] = useState(chosen == null);
+  const [judgeId, setJudgeId] = useState(() => (profiles.find(p => !answers.some(a => a.profileId === p.id)) || profiles[0])?.id);
+  const keptName = chosen === 'adjudication' ? `${adjudication.profileName}'s adjudication` : `${answers[chosen]?.profileName}'s answer`;
+  const list = (items, empty) => items.length ? items.join(', ') : empty;
+
+  const reconciliationRow = (label, values, differ) =>
+    React.createElement('div', { className: 'grid grid-cols-3 gap-2 py-1' },
+      React.createElement('span', { className: 'text-slate-500' }, label),
+      values.map((value, i) => React.createElement('span', { key: i, className: differ ? 'text-amber-300' : 'text-slate-300' }, value))
+    );
+
+  return React.createElement('div', { className: 'second-opinion mb-3 rounded-lg border border-indigo-500/30 bg-slate-900/60 overflow-hidden' },
+    React.createElement('button', {
+      onClick: () => setExpanded(!expanded),
+      className: 'w-full flex items-center justify-between gap-3 px-3 py-2 text-left hover:bg-slate-800/60 transition-colors'
+    },
+      React.createElement('span', { className: 'text-xs font-medium text-slate-200' },
+        chosen == null
+          ? `⚖️ Second opinion · ${reconciliation.disagreements === 0 ? 'no differences detected' : `${reconciliation.disagreements} difference${reconciliation.disagreements === 1 ? '' : 's'} to review`}`
+          : `⚖️ Second opinion · kept ${keptName}`
+      ),
+      React.createElement('svg', { className: `w-4 h-4 text-slate-500 transition-transform ${expanded ? 'rotate-180' : ''}`, fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+        React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M19 9l-7 7-7-7' })
+      )
+    ),
+    expanded && React.createElement('div', { className: 'border-t border-slate-700 p-3 space-y-3' },
+      React.createElement('div', { className: 'reconciliation text-xs' },
+        reconciliationRow('', answers.map(a => describeProfile({ name: a.profileName, model: a.model })), false),
+        reconciliationRow('Recommendation', reconciliation.verdicts.map(describeVerdict), reconciliation.verdicts[0] !== reconciliation.verdicts[1]),
+        reconciliationRow('Figures only here', reconciliation.figures.only.map(f => list(f.map(x => x.text), '—')),
+          reconciliation.figures.only.some(f => f.length)),
+        reconciliationRow('Flagged only here', reconciliation.flags.only.map(f => list(f.map(x => x.title), '—')),
+          reconciliation.flags.only.some(f => f.length)),
+        reconciliation.flags.shared.length > 0 && React.createElement('div', { className: 'text-slate-500 pt-1' },
+          `Both flagged: ${reconciliation.flags.shared.map(f => f.title).join(', ')}`
+        ),
+        React.createElement('div', { className: 'text-slate-500 pt-1' },
+          `${reconciliation.figures.shared} figure${reconciliation.figures.shared === 1 ? '' : 's'} agree. Differences are detected from the text; check them before relying on either answer.`
+        )
+      ),
+      React.createElement('div', { className: 'grid grid-cols-2 gap-3' },
+        answers.map((answer, i) =>
+          React.createElement('div', {
+            key: i,
+            className: `second-opinion-column min-w-0 rounded-lg border p-3 ${chosen === i ? 'border-emerald-500/50' : 'border-slate-700'}`
+          },
+            answer.toolCalls && React.createElement(ToolCallList, { calls: answer.toolCalls }),
+            React.createElement(MessageContent, {
+              content: answer.content,
+              highlight: reconciliation.figures.only[i].map(f => f.text),
+              highlightClass: 'disagreement',
+              citations: resolveCitations(answer.citations),
+              onOpenCitation,
+              clauseIds,
+              onOpenClause
+            }),
+            (answer.truncated || answer.stopped || answer.interrupted) && React.createElement(ResponseNotice, { message: answer }),
+            React.createElement('button', {
+              onClick: () => onKeep(i),
+              disabled: busy || chosen === i,
+              className: 'keep-answer-btn mt-3 px-3 py-1.5 text-xs bg-slate-700 hover:bg-slate-600 disabled:opacity-60 text-white rounded-lg transition-all'
+            }, chosen === i ? '✓ Kept' : `Keep ${answer.profileName}'s answer`)
+          )
+        )
+      ),
+      adjudication && React.createElement('div', {
+        className: `adjudication rounded-lg border p-3 ${chosen === 'adjudication' ? 'border-emerald-500/50' : 'border-slate-700'}`
+      },
+        React.createElement('div', { className: 'text-xs font-medium text-slate-400 mb-2' }, `Adjudicated by ${describeProfile({ name: adjudication.profileName, model: adjudication.model })}`),
+        React.createElement(MessageContent, {
+          content: adjudication.content,
+          citations: resolveCitations(adjudication.citations),
+          onOpenCitation,
+          clauseIds,
+          onOpenClause
+        }),
+        (adjudication.truncated || adjudication.stopped || adjudication.interrupted) && React.createElement(ResponseNotice, { message: adjudication }),
+        React.createElement('button', {
+          onClick: () => onKeep('adjudication'),
+          disabled: busy || chosen === 'adjudication',
+          className: 'keep-answer-btn mt-3 px-3 py-1.5 text-xs bg-slate-700 hover:bg-slate-600 disabled:opacity-60 text-white rounded-lg transition-all'
+        }, chosen === 'adjudication' ? '✓ Kept' : 'Keep adjudicated answer')
+      ),
+      profiles.length > 0 && React.createElement('div', { className: 'flex items-center gap-2 text-xs' },
+        React.createElement('span', { className: 'text-slate-500' }, adjudication ? 'Adjudicate again with' : 'Ask a third model:'),
+        React.createElement('select', {
+          value: judgeId,
+          onChange: (e) => setJudgeId(e.target.value),
+          className: 'adjudicator-select px-2 py-1 bg-slate-800 border border-slate-700 rounded-lg text-slate-200 outline-none focus:border-blue-500'
+        },
+          profiles.map(p => React.createElement('option', { key: p.id, value: p.id }, describeProfile(p)))
+        ),
+        React.createElement('button', {
+          onClick: () => onAdjudicate(judgeId),
+          disabled: busy || !judgeId,
+          className: 'adjudicate-btn px-3 py-1.5 bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 text-white rounded-lg transition-all'
+        }, 'Adjudicate')
+      )
+    )
+  );
+};
+
+const LoanCalculatorModal = ({ isOpen, onClose, onCalculate, initialLoan, onOpenAprCheck }) => {
+  const [loan, setLoan] = useState(DEFAULT_LOAN_INPUT);
+  const [lumpMonth, setLumpMonth] = useState('');
+  const [lumpAmount, setLumpAmount] = useState('');
+
+  useEffect(() => {
+    if (isOpen) setLoan({ ...DEFAULT_LOAN_INPUT, ...(initialLoan || {}) });
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const updateLoan = (key, value) => setLoan(prev => ({ ...prev, [key]: value }));
+  const updateArm = (key, value) => setLoan(prev => ({ ...prev, arm: { ...prev.arm, [key]: value } }));
+
+  const addLumpSum = () => {
+    if (!(Number(lumpMonth) > 0) || !(Number(lumpAmount) > 0)) return;
+    updateLoan('extraPayments', [...loan.extraPayments, { month: Number(lumpMonth), amount: Number(lumpAmount) }]);
+    setLumpMonth('');
+    setLumpAmount('');
+  };
+
+  const inputClass = 'w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none';
+
+  const numberField = (label, value, onChange, step = 'any') =>
+    React.createElement('div', null,
+      React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, label),
+      React.createElement('input', {
+        type: 'number',
+        step,
+        value,
+        onChange: (e) => onChange(e.target.value),
+        className: inputClass
+      })
+    );
+
+  const preview = calculateLoanSchedule(loan, { includeBaseline: false }).summary;
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4',
+    onClick: (e) => e.target === e.currentTarget && onClose()
+  },
+    React.createElement('div', { className: 'settings-modal bg-slate-900 rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden shadow-2xl border border-slate-700' },
+      React.createElement('div', { className: 'flex items-center justify-between p-6 border-b border-slate-700' },
+        React.createElement('h2', { className: 'text-xl font-semibold text-white' }, 'Loan Calculator'),
+        React.createElement('button', { onClick: onClose, className: 'text-slate-400 hover:text-white transition-colors' },
+          React.createElement('svg', { className: 'w-6 h-6', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+            React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M6 18L18 6M6 6l12 12' })
+          )
+        )
+      ),
+      React.createElement('div', { className: 'p-6 overflow-y-auto max-h-[60vh] space-y-6' },
+        React.createElement('div', { className: 'grid grid-cols-2 sm:grid-cols-4 gap-2' },
+          LOAN_TYPES.map(type =>
+            React.createElement('button', {
+              key: type.id,
+              onClick: () => updateLoan('loanType', type.id),
+              className: `px-3 py-2 rounded-lg text-sm font-medium transition-all ${loan.loanType === type.id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`
+            }, type.label)
+          )
+        ),
+        React.createElement('div', { className: 'grid grid-cols-1 sm:grid-cols-3 gap-4' },
+          numberField('Loan Amount ($)', loan.principal, (v) => updateLoan('principal', v), '1000'),
+          numberField(loan.loanType === 'arm' ? 'Initial Rate (%)' : 'Interest Rate (%)', loan.annualRate, (v) => updateLoan('annualRate', v), '0.125'),
+          numberField('Term (months)', loan.termMonths, (v) => updateLoan('termMonths', v), '12')
+        ),
+        loan.loanType === 'interestOnly' && numberField('Interest-Only Period (months)', loan.interestOnlyMonths, (v) => updateLoan('interestOnlyMonths', v), '12'),
+        loan.loanType === 'balloon' && numberField('Amortization Period (months)', loan.balloonAmortizationMonths, (v) => updateLoan('balloonAmortizationMonths', v), '12'),
+        loan.loanType === 'arm' && React.createElement('div', { className: 'space-y-4' },
+          React.createElement('div', { className: 'grid grid-cols-1 sm:grid-cols-3 gap-4' },
+            numberField('Initial Fixed Period (months)', loan.arm.initialFixedMonths, (v) => updateArm('initialFixedMonths', v), '12'),
+            numberField('Adjusts Every (months)', loan.arm.adjustmentIntervalMonths, (v) => updateArm('adjustmentIntervalMonths', v), '6'),
+            numberField('Index Rate (%)', loan.arm.indexRate, (v) => updateArm('indexRate', v), '0.125')
+          ),
+          React.createElement('div', { className: 'grid grid-cols-2 sm:grid-cols-4 gap-4' },
+            numberField('Margin (%)', loan.arm.margin, (v) => updateArm('margin', v), '0.125'),
+            numberField('Initial Cap', loan.arm.initialCap, (v) => updateArm('initialCap', v), '0.5'),
+            numberField('Periodic Cap', loan.arm.periodicCap, (v) => updateArm('periodicCap', v), '0.5'),
+            numberField('Lifetime Cap', loan.arm.lifetimeCap, (v) => updateArm('lifetimeCap', v), '0.5')
+          ),
+          React.createElement('div', { className: 'grid grid-cols-2 gap-2' },
+            [{ id: 'indexed', label: 'Index stays flat' }, { id: 'worstCase', label: 'Worst case (max caps)' }].map(s =>
+              React.createElement('button', {
+                key: s.id,
+                onClick: () => updateArm('scenario', s.id),
+                className: `px-3 py-2 rounded-lg text-sm font-medium transition-all ${loan.arm.scenario === s.id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`
+              }, s.label)
+            )
+          )
+        ),
+        React.createElement('div', null,
+          React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'Compounding'),
+          React.createElement('select', {
+            value: loan.compounding,
+            onChange: (e) => updateLoan('compounding', e.target.value),
+            className: inputClass
+          },
+            COMPOUNDING_OPTIONS.map(c => React.createElement('option', { key: c.id, value: c.id }, c.label))
+          )
+        ),
+        numberField('Extra Principal Each Month ($)', loan.extraMonthly, (v) => updateLoan('extraMonthly', v), '50'),
+        React.createElement('div', null,
+          React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'One-Time Extra Payments'),
+          React.createElement('div', { className: 'flex gap-2' },
+            React.createElement('input', { type: 'number', value: lumpMonth, onChange: (e) => setLumpMonth(e.target.value), placeholder: 'Month #', className: inputClass }),
+            React.createElement('input', { type: 'number', value: lumpAmount, onChange: (e) => setLumpAmount(e.target.value), placeholder: 'Amount ($)', className: inputClass }),
+            React.createElement('button', {
+              onClick: addLumpSum,
+              className: 'px-4 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-medium transition-all'
+            }, 'Add')
+          ),
+          loan.extraPayments.length > 0 && React.createElement('div', { className: 'flex flex-wrap gap-2 mt-3' },
+            loan.extraPayments.map((p, i) =>
+              React.createElement('button', {
+                key: i,
+                onClick: () => updateLoan('extraPayments', loan.extraPayments.filter((_, j) => j !== i)),
+                className: 'px-3 py-1 bg-slate-800 border border-slate-700 rounded-full text-xs text-slate-300 hover:border-red-500'
+              }, `Month ${p.month}: ${formatCurrency(p.amount)} ✕`)
+            )
+          )
+        )
+      ),
+      React.createElement('div', { className: 'flex items-center justify-between gap-3 p-6 border-t border-slate-700' },
+        React.createElement('div', { className: 'text-sm text-slate-400' },
+          'Payment: ',
+          React.createElement('span', { className: 'font-mono text-white' }, formatCurrency(preview.monthlyPayment))
+        ),
+        React.createElement('div', { className: 'flex gap-3' },
+          React.createElement('button', {
+            onClick: () => { onClose(); onOpenAprCheck(); },
+            className: 'px-4 py-2.5 text-blue-400 hover:text-blue-300 text-sm font-medium transition-all'
+          }, 'APR Check'),
+          React.createElement('button', {
+            onClick: onClose,
+            className: 'px-6 py-2.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-medium transition-all'
+          }, 'Cancel'),
+          React.createElement('button', {
+            onClick: () => { onCalculate(normalizeLoanInput(loan)); onClose(); },
+            className: 'px-6 py-2.5 bg-blue-600 hover:bg-blue-500 text-white rounded-lg font-medium transition-all'
+          }, 'Add to Chat')
+        )
+      )
+    )
+  );
+};
+
+const AprCheckCard = ({ result }) => {
+  const { check } = result;
+  return React.createElement('div', { className: 'apr-check-card my-2 rounded-lg border border-slate-700 bg-slate-900/60 p-3 space-y-2' },
+    React.createElement('div', { className: 'flex items-center justify-between gap-3' },
+      React.createElement('div', null,
+        React.createElement('div', { className: 'text-xs text-slate-500' }, 'APR · Regulation Z Appendix J'),
+        React.createElement('div', { className: 'text-lg font-semibold text-white tabular-nums' }, formatPercent(result.apr))
+      ),
+      check && React.createElement('span', {
+        className: `px-2.5 py-1 rounded-lg text-xs font-semibold ${check.withinTolerance ? 'bg-emerald-600/20 text-emerald-300' : 'bg-red-600/20 text-red-300'}`
+      }, check.withinTolerance ? 'PASS' : 'FAIL')
+    ),
+    check && React.createElement('div', { className: 'text-xs text-slate-400' },
+      `Disclosed ${formatPercent(check.disclosedApr)} · off by ${Math.abs(check.difference).toFixed(3)} pts · tolerance ${check.tolerance === APR_TOLERANCES.irregular ? '1/4' : '1/8'} pt (${result.irregular ? 'irregular' : 'regular'} transaction)`
+    ),
+    React.createElement('div', { className: 'grid grid-cols-2 gap-x-4 gap-y-1 text-xs' },
+      [
+        ['Amount financed', formatCurrency(result.amountFinanced)],
+        ['Finance charge', formatCurrency(result.financeCharge)],
+        ['Total of payments', formatCurrency(result.totalOfPayments)],
+        ['First period', `${result.oddFirstPeriod.days} days`]
+      ].map(([label, value]) =>
+        React.createElement('div', { key: label, className: 'flex justify-between gap-2' },
+          React.createElement('span', { className: 'text-slate-500' }, label),
+          React.createElement('span', { className: 'text-slate-200 tabular-nums' }, value)
+        )
+      )
+    )
+  );
+};
+
+const DEFAULT_APR_INPUT = {
+  loanAmount: 300000,
+  annualRate: 6.5,
+  termMonths: 360,
+  payment: '',
+  financeCharges: 0,
+  amountFinanced: '',
+  unitPeriod: 'monthly',
+  firstPeriodMode: 'days',
+  firstPeriodDays: 30,
+  consummationDate: '',
+  firstPaymentDate: '',
+  useSchedule: false,
+  paymentSchedule: [{ amount: '', count: '' }],
+  disclosedApr: ''
+};
+
+const aprInputToRequest = (input) => ({
+  loanAmount: input.loanAmount,
+  annualRate: input.annualRate,
+  termMonths: input.termMonths,
+  payment: input.payment,
+  financeCharges: input.financeCharges,
+  amountFinanced: input.amountFinanced,
+  unitPeriod: input.unitPeriod,
+  ...(input.firstPeriodMode === 'dates'
+    ? { consummationDate: input.consummationDate, firstPaymentDate: input.firstPaymentDate }
+    : { firstPeriodDays: input.firstPeriodDays }),
+  ...(input.useSchedule ? { paymentSchedule: input.paymentSchedule.filter(s => Number(s.amount) > 0 && Number(s.count) > 0) } : {}),
+  disclosedApr: input.disclosedApr
+});
+
+const AprCheckModal = ({ isOpen, onClose, onCheck, initialValues }) => {
+  const [input, setInput] = useState(DEFAULT_APR_INPUT);
+
+  useEffect(() => {
+    if (isOpen) setInput({ ...DEFAULT_APR_INPUT, ...(initialValues || {}) });
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const update = (key, value) => setInput(prev => ({ ...prev, [key]: value }));
+  const updateStream = (index, key, value) => update('paymentSchedule', input.paymentSchedule.map((s, i) => i === index ? { ...s, [key]: value } : s));
+
+  let preview = null;
+  let previewError = null;
+  try {
+    preview = calculateApr(aprInputToRequest(input));
+  } catch (e) {
+    previewError = e.message;
+  }
+
+  const inputClass = 'w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none';
+
+  const field = (label, key, props = {}) =>
+    React.createElement('div', null,
+      React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, label),
+      React.createElement('input', {
+        type: 'number',
+        step: 'any',
+        value: input[key],
+        onChange: (e) => update(key, e.target.value),
+        className: inputClass,
+        ...props
+      })
+    );
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4',
+    onClick: (e) => e.target === e.currentTarget && onClose()
+  },
+    React.createElement('div', { className: 'settings-modal bg-slate-900 rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden shadow-2xl border border-slate-700' },
+      React.createElement('div', { className: 'flex items-center justify-between p-6 border-b border-slate-700' },
+        React.createElement('h2', { className: 'text-xl font-semibold text-white' }, 'APR Check (Regulation Z)'),
+        React.createElement('button', { onClick: onClose, className: 'text-slate-400 hover:text-white transition-colors' },
+          React.createElement('svg', { className: 'w-6 h-6', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+            React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M6 18L18 6M6 6l12 12' })
+          )
+        )
+      ),
+      React.createElement('div', { className: 'p-6 overflow-y-auto max-h-[60vh] space-y-6' },
+        React.createElement('div', { className: 'grid grid-cols-1 sm:grid-cols-3 gap-4' },
+          field('Loan Amount ($)', 'loanAmount', { step: '1000' }),
+          field('Note Rate (%)', 'annualRate', { step: '0.125' }),
+          field('Term (months)', 'termMonths', { step: '12' })
+        ),
+        React.createElement('div', { className: 'grid grid-cols-1 sm:grid-cols-3 gap-4' },
+          field('Prepaid Finance Charges ($)', 'financeCharges', { step: '100' }),
+          field('Amount Financed ($)', 'amountFinanced', { placeholder: 'Loan amount − charges' }),
+          field('Regular Payment ($)', 'payment', { placeholder: 'Fully amortizing' })
+        ),
+        React.createElement('div', { className: 'grid grid-cols-1 sm:grid-cols-2 gap-4' },
+          React.createElement('div', null,
+            React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'Payment Frequency'),
+            React.createElement('select', {
+              value: input.unitPeriod,
+              onChange: (e) => update('unitPeriod', e.target.value),
+              className: inputClass
+            },
+              Object.entries(APR_UNIT_PERIODS).map(([id, unit]) => React.createElement('option', { key: id, value: id }, unit.label))
+            )
+          ),
+          field('Disclosed APR (%)', 'disclosedApr', { step: '0.001', placeholder: 'From the lender\'s disclosure' })
+        ),
+        React.createElement('div', null,
+          React.createElement('div', { className: 'flex items-center justify-between mb-2' },
+            React.createElement('label', { className: 'text-sm font-medium text-slate-300' }, 'First Period'),
+            React.createElement('div', { className: 'flex gap-2' },
+              [{ id: 'days', label: 'Days' }, { id: 'dates', label: 'Dates' }].map(mode =>
+                React.createElement('button', {
+                  key: mode.id,
+                  onClick: () => update('firstPeriodMode', mode.id),
+                  className: `px-3 py-1 rounded-lg text-xs font-medium transition-all ${input.firstPeriodMode === mode.id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`
+                }, mode.label)
+              )
+            )
+          ),
+          input.firstPeriodMode === 'days'
+            ? React.createElement('input', {
+                type: 'number',
+                step: 1,
+                value: input.firstPeriodDays,
+                onChange: (e) => update('firstPeriodDays', e.target.value),
+                placeholder: 'Days from consummation to first payment',
+                className: inputClass
+              })
+            : React.createElement('div', { className: 'grid grid-cols-2 gap-4' },
+                React.createElement('input', { type: 'date', value: input.consummationDate, onChange: (e) => update('consummationDate', e.target.value), className: inputClass, title: 'Consummation date' }),
+                React.createElement('input', { type: 'date', value: input.firstPaymentDate, onChange: (e) => update('firstPaymentDate', e.target.value), className: inputClass, title: 'First payment date' })
+              )
+        ),
+        React.createElement('div', null,
+          React.createElement('label', { className: 'flex items-center gap-2 text-sm font-medium text-slate-300 mb-2' },
+            React.createElement('input', {
+              type: 'checkbox',
+              checked: input.useSchedule,
+              onChange: (e) => update('useSchedule', e.target.checked)
+            }),
+            'Irregular payment schedule'
+          ),
+          input.useSchedule && React.createElement('div', { className: 'space-y-2' },
+            input.paymentSchedule.map((stream, i) =>
+              React.createElement('div', { key: i, className: 'flex gap-2' },
+                React.createElement('input', { type: 'number', value: stream.count, onChange: (e) => updateStream(i, 'count', e.target.value), placeholder: 'Number of payments', className: inputClass }),
+                React.createElement('input', { type: 'number', value: stream.amount, onChange: (e) => updateStream(i, 'amount', e.target.value), placeholder: 'Amount ($)', className: inputClass }),
+                React.createElement('button', {
+                  onClick: () => update('paymentSchedule', input.paymentSchedule.filter((_, j) => j !== i)),
+                  disabled: input.paymentSchedule.length === 1,
+                  className: 'px-3 text-slate-500 hover:text-red-400'
+                }, '✕')
+              )
+            ),
+            React.createElement('button', {
+              onClick: () => update('paymentSchedule', [...input.paymentSchedule, { amount: '', count: '' }]),
+              className: 'px-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-medium transition-all'
+            }, 'Add payment stream')
+          )
+        ),
+        preview && React.createElement(AprCheckCard, { result: preview }),
+        previewError && React.createElement('div', { className: 'text-sm text-red-300' }, `⚠️ ${previewError}`)
+      ),
+      React.createElement('div', { className: 'flex justify-end gap-3 p-6 border-t border-slate-700' },
+        React.createElement('button', {
+          onClick: onClose,
+          className: 'px-6 py-2.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-medium transition-all'
+        }, 'Cancel'),
+        React.createElement('button', {
+          onClick: () => { onCheck(aprInputToRequest(input)); onClose(); },
+          disabled: !preview,
+          className: `px-6 py-2.5 rounded-lg font-medium transition-all ${preview ? 'bg-blue-600 hover:bg-blue-500 text-white' : 'bg-slate-800 text-slate-600 cursor-not-allowed'}`
+        }, 'Add to Chat')
+      )
+    )
+  );
+};
+
+const COMPARISON_COLORS = ['#60a5fa', '#f472b6', '#34d399', '#fbbf24', '#a78bfa'];
+
+const ComparisonChart = ({ comparison }) => {
+  const width = 640;
+  const height = 220;
+  const pad = { left: 64, right: 16, top: 12, bottom: 28 };
+  const { results, lifetimeMonths, holdingMonths } = comparison;
+  const maxCost = Math.max(1, ...results.map(r => r.lifetimeCost));
+  const x = (month) => pad.left + (month / lifetimeMonths) * (width - pad.left - pad.right);
+  const y = (cost) => height - pad.bottom - (cost / maxCost) * (height - pad.top - pad.bottom);
+  const yearStep = Math.max(1, Math.ceil(lifetimeMonths / 12 / 6));
+  const ticks = [];
+  for (let year = 0; year * 12 <= lifetimeMonths; year += yearStep) ticks.push(year);
+
+  return React.createElement('div', { className: 'comparison-chart' },
+    React.createElement('svg', { viewBox: `0 0 ${width} ${height}`, className: 'w-full h-auto' },
+      [0, 0.5, 1].map(f =>
+        React.createElement('g', { key: f },
+          React.createElement('line', { x1: pad.left, x2: width - pad.right, y1: y(maxCost * f), y2: y(maxCost * f), stroke: '#334155', strokeWidth: 1 }),
+          React.createElement('text', { x: pad.left - 6, y: y(maxCost * f) + 4, textAnchor: 'end', fontSize: 10, fill: '#94a3b8' },
+            `$${Math.round(maxCost * f / 1000).toLocaleString('en-US')}k`
+          )
+        )
+      ),
+      ticks.map(year =>
+        React.createElement('text', { key: year, x: x(year * 12), y: height - 8, textAnchor: 'middle', fontSize: 10, fill: '#94a3b8' }, `Yr ${year}`)
+      ),
+      React.createElement('line', {
+        x1: x(holdingMonths), x2: x(holdingMonths), y1: pad.top, y2: height - pad.bottom,
+        stroke: '#94a3b8', strokeWidth: 1, strokeDasharray: '4 4'
+      }),
+      results.map((r, i) =>
+        React.createElement('polyline', {
+          key: i,
+          fill: 'none',
+          stroke: COMPARISON_COLORS[i % COMPARISON_COLORS.length],
+          strokeWidth: 2,
+          points: [`${x(0)},${y(r.upfrontCost)}`, ...r.series.map((cost, m) => `${x(m + 1)},${y(cost)}`).filter((_, m) => m % 3 === 2 || m === r.series.length - 1)].join(' ')
+        })
+      )
+    ),
+    React.createElement('div', { className: 'flex flex-wrap gap-4 mt-2 text-xs text-slate-400' },
+      results.map((r, i) =>
+        React.createElement('span', { key: i, className: 'flex items-center gap-1.5' },
+          React.createElement('span', { className: 'inline-block w-3 h-0.5', style: { backgroundColor: COMPARISON_COLORS[i % COMPARISON_COLORS.length] } }),
+          offerLabel(r.offer, i)
+        )
+      ),
+      React.createElement('span', null, `Dashed line: ${formatTerm(holdingMonths)} holding period`)
+    )
+  );
+};
+
+const LoanComparisonModal = ({ isOpen, onClose, comparison, onChange, chats, onSendToModel }) => {
+  if (!isOpen) return null;
+
+  const { offers, holdingYears } = comparison;
+  const result = offers.length ? compareLoanOffers(offers, Number(holdingYears) * 12) : null;
+  const profileChats = chats.filter(c => Object.keys(profileToLoanInput(c.loanProfile)).length > 0);
+
+  const updateOffer = (id, key, value) => onChange({ ...comparison, offers: offers.map(o => o.id === id ? { ...o, [key]: value } : o) });
+  const removeOffer = (id) => onChange({ ...comparison, offers: offers.filter(o => o.id !== id) });
+  const addOffer = (offer) => {
+    if (offers.length >= MAX_COMPARISON_OFFERS) return;
+    onChange({ ...comparison, offers: [...offers, { ...DEFAULT_COMPARISON_OFFER, ...offer, id: generateId() }] });
+  };
+
+  const addFromChat = (chatId) => {
+    const chat = chats.find(c => c.id === chatId);
+    if (!chat) return;
+    addOffer({
+      ...profileToLoanInput(chat.loanProfile),
+      label: chat.title.slice(0, 40),
+      lenderFees: chat.loanProfile?.fields?.fees?.value || 0,
+      sourceChatId: chat.id
+    });
+  };
+
+  const inputClass = 'w-full px-2 py-1.5 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:border-blue-500 outline-none';
+  const columns = `160px repeat(${Math.max(1, offers.length)}, minmax(150px, 1fr))`;
+
+  const inputRow = (label, key, step = 'any') =>
+    React.createElement('div', { className: 'grid gap-2 items-center', style: { gridTemplateColumns: columns } },
+      React.createElement('div', { className: 'text-xs text-slate-400' }, label),
+      offers.map(o =>
+        React.createElement('input', {
+          key: o.id,
+          type: 'number',
+          step,
+          value: o[key],
+          onChange: (e) => updateOffer(o.id, key, e.target.value),
+          className: inputClass
+        })
+      )
+    );
+
+  const resultRow = (label, render, bestIndex) =>
+    React.createElement('div', { className: 'grid gap-2 items-center', style: { gridTemplateColumns: columns } },
+      React.createElement('div', { className: 'text-xs text-slate-400' }, label),
+      result.results.map((r, i) =>
+        React.createElement('div', {
+          key: i,
+          className: `px-2 py-1.5 rounded-lg text-sm tabular-nums ${i === bestIndex && result.results.length > 1 ? 'bg-emerald-600/20 text-emerald-300 font-medium' : 'text-slate-200'}`
+        }, render(r, i))
+      )
+    );
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4',
+    onClick: (e) => e.target === e.currentTarget && onClose()
+  },
+    React.createElement('div', { className: 'settings-modal bg-slate-900 rounded-2xl w-full max-w-6xl max-h-[90vh] flex flex-col overflow-hidden shadow-2xl border border-slate-700' },
+      React.createElement('div', { className: 'flex items-center justify-between p-6 border-b border-slate-700' },
+        React.createElement('div', null,
+          React.createElement('h2', { className: 'text-xl font-semibold text-white' }, 'Compare Loan Offers'),
+          React.createElement('div', { className: 'text-xs text-slate-500 mt-1' }, `${offers.length} of ${MAX_COMPARISON_OFFERS} offers · all figures computed locally`)
+        ),
+        React.createElement('button', { onClick: onClose, className: 'text-slate-400 hover:text-white transition-colors' },
+          React.createElement('svg', { className: 'w-6 h-6', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+            React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M6 18L18 6M6 6l12 12' })
+          )
+        )
+      ),
+      React.createElement('div', { className: 'flex flex-wrap items-end gap-3 px-6 py-4 border-b border-slate-800' },
+        React.createElement('div', null,
+          React.createElement('label', { className: 'block text-xs font-medium text-slate-400 mb-1' }, 'Planned holding period (years)'),
+          React.createElement('input', {
+            type: 'number',
+            min: 1,
+            step: 1,
+            value: holdingYears,
+            onChange: (e) => onChange({ ...comparison, holdingYears: e.target.value }),
+            className: `${inputClass} w-32`
+          })
+        ),
+        React.createElement('button', {
+          onClick: () => addOffer({}),
+          disabled: offers.length >= MAX_COMPARISON_OFFERS,
+          className: `px-4 py-2 rounded-lg text-sm font-medium transition-all ${offers.length < MAX_COMPARISON_OFFERS ? 'bg-slate-700 hover:bg-slate-600 text-slate-200' : 'bg-slate-800 text-slate-600 cursor-not-allowed'}`
+        }, 'Add offer'),
+        profileChats.length > 0 && React.createElement('select', {
+          value: '',
+          onChange: (e) => addFromChat(e.target.value),
+          disabled: offers.length >= MAX_COMPARISON_OFFERS,
+          className: 'px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white outline-none'
+        },
+          React.createElement('option', { value: '' }, 'Add from chat…'),
+          profileChats.map(c => React.createElement('option', { key: c.id, value: c.id }, c.title))
+        )
+      ),
+      React.createElement('div', { className: 'flex-1 overflow-auto p-6 space-y-2' },
+        offers.length === 0 && React.createElement('p', { className: 'text-sm text-slate-500' },
+          'Add two to five offers by hand or from chats with a loan profile to compare them side by side.'
+        ),
+        offers.length > 0 && React.createElement('div', { className: 'grid gap-2 items-center', style: { gridTemplateColumns: columns } },
+          React.createElement('div', null),
+          offers.map((o, i) =>
+            React.createElement('div', { key: o.id, className: 'flex items-center gap-1' },
+              React.createElement('span', { className: 'inline-block w-2 h-2 rounded-full flex-shrink-0', style: { backgroundColor: COMPARISON_COLORS[i % COMPARISON_COLORS.length] } }),
+              React.createElement('input', {
+                type: 'text',
+                value: o.label,
+                placeholder: offerLabel(o, i),
+                onChange: (e) => updateOffer(o.id, 'label', e.target.value),
+                className: inputClass
+              }),
+              React.createElement('button', {
+                onClick: () => removeOffer(o.id),
+                title: 'Remove offer',
+                className: 'p-1 text-slate-500 hover:text-red-400'
+              }, '✕')
+            )
+          )
+        ),
+        offers.length > 0 && React.createElement('div', { className: 'grid gap-2 items-center', style: { gridTemplateColumns: columns } },
+          React.createElement('div', { className: 'text-xs text-slate-400' }, 'Loan type'),
+          offers.map(o =>
+            React.createElement('select', {
+              key: o.id,
+              value: o.loanType,
+              onChange: (e) => updateOffer(o.id, 'loanType', e.target.value),
+              className: inputClass
+            },
+              LOAN_TYPES.map(t => React.createElement('option', { key: t.id, value: t.id }, t.label))
+            )
+          )
+        ),
+        offers.length > 0 && inputRow('Loan amount ($)', 'principal', '1000'),
+        offers.length > 0 && inputRow('Interest rate (%)', 'annualRate', '0.125'),
+        offers.length > 0 && inputRow('Term (months)', 'termMonths', '12'),
+        offers.length > 0 && inputRow('Discount points (%)', 'pointsPercent', '0.125'),
+        offers.length > 0 && inputRow('Lender fees ($)', 'lenderFees', '100'),
+        offers.length > 0 && inputRow('Third-party fees ($)', 'thirdPartyFees', '100'),
+        offers.length > 0 && inputRow('Lender credit ($)', 'lenderCredit', '100'),
+        offers.length > 0 && inputRow('Down payment ($)', 'downPayment', '1000'),
+        result && React.createElement('div', { className: 'pt-4 mt-4 border-t border-slate-800 space-y-2' },
+          resultRow('Monthly payment', r => formatCurrency(r.summary.monthlyPayment), result.best.monthlyPayment),
+          resultRow('Cash to close', r => formatCurrency(r.cashToClose), result.best.cashToClose),
+          resultRow(`Interest over ${formatTerm(result.holdingMonths)}`, r => formatCurrency(r.interestOverHolding)),
+          resultRow(`Total cost over ${formatTerm(result.holdingMonths)}`, r => formatCurrency(r.costOverHolding), result.best.costOverHolding),
+          resultRow(`Balance after ${formatTerm(result.holdingMonths)}`, r => formatCurrency(r.balanceAtHorizon)),
+          resultRow(`Break-even vs ${offerLabel(result.results[result.baselineIndex].offer, result.baselineIndex)}`,
+            (r, i) => i === result.baselineIndex ? 'Baseline (lowest upfront)' : r.breakEvenMonth ? `Month ${r.breakEvenMonth} (${formatTerm(r.breakEvenMonth)})` : 'Never'
+          ),
+          resultRow('Lifetime cost (fees + interest)', r => formatCurrency(r.lifetimeCost), result.best.lifetimeCost)
+        ),
+        result && React.createElement('div', { className: 'pt-4 mt-4 border-t border-slate-800' },
+          React.createElement('h3', { className: 'text-sm font-semibold text-white mb-3' }, 'Cumulative cost over the life of each loan'),
+          React.createElement(ComparisonChart, { comparison: result })
+        )
+      ),
+      React.createElement('div', { className: 'flex justify-end gap-3 p-6 border-t border-slate-700' },
+        React.createElement('button', {
+          onClick: onClose,
+          className: 'px-6 py-3 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-medium transition-all'
+        }, 'Close'),
+        React.createElement('button', {
+          onClick: () => onSendToModel(result),
+          disabled: !result || result.results.length < 2,
+          className: `px-6 py-3 rounded-lg font-medium transition-all ${result && result.results.length >= 2 ? 'bg-blue-600 hover:bg-blue-500 text-white' : 'bg-slate-800 text-slate-600 cursor-not-allowed'}`
+        }, 'Ask AI for a recommendation')
+      )
+    )
+  );
+};
+
+const VAULT_AUTO_LOCK_OPTIONS = [
+  { value: 5, label: 'After 5 minutes' },
+  { value: 15, label: 'After 15 minutes' },
+  { value: 30, label: 'After 30 minutes' },
+  { value: 60, label: 'After 1 hour' },
+  { value: 0, label: 'Never' }
+];
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const LockIcon = ({ className }) => React.createElement('svg', { className, fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+  React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z' })
+);
+
+// Replaces the sidebar and chat while the vault is locked; nothing decrypted is rendered behind it.
+const VaultLockScreen = ({ onUnlock, onReset }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [confirmingReset, setConfirmingReset] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!passphrase || busy) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await onUnlock(passphrase);
+    } catch (err) {
+      setError(err.message);
+      setPassphrase('');
+      setBusy(false);
+    }
+  };
+
+  return React.createElement('div', { className: 'vault-lock-screen flex h-screen items-center justify-center bg-slate-950 p-6' },
+    React.createElement('div', { className: 'w-full max-w-sm bg-slate-900 rounded-2xl border border-slate-700 shadow-2xl p-8 text-center' },
+      React.createElement('div', { className: 'w-16 h-16 mx-auto mb-5 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-2xl flex items-center justify-center' },
+        React.createElement(LockIcon, { className: 'w-8 h-8 text-white' })
+      ),
+      React.createElement('h2', { className: 'text-xl font-semibold text-white mb-1' }, 'LoanLens is locked'),
+      React.createElement('p', { className: 'text-sm text-slate-400 mb-6' }, 'Enter your vault passphrase to decrypt your chats.'),
+      confirmingReset
+        ? React.createElement('div', { className: 'space-y-4' },
+            React.createElement('p', { className: 'text-sm text-red-300' },
+              'Encrypted chats and API keys cannot be recovered without the passphrase. Erasing the vault deletes them permanently.'
+            ),
+            React.createElement('div', { className: 'flex gap-3' },
+              React.createElement('button', {
+                onClick: () => setConfirmingReset(false),
+                className: 'flex-1 py-2.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-medium transition-all'
+              }, 'Cancel'),
+              React.createElement('button', {
+                onClick: onReset,
+                className: 'flex-1 py-2.5 bg-red-600 hover:bg-red-500 text-white rounded-lg font-medium transition-all'
+              }, 'Erase Everything')
+            )
+          )
+        : React.createElement('form', { onSubmit: submit, className: 'space-y-4' },
+            React.createElement('input', {
+              type: 'password',
+              value: passphrase,
+              onChange: (e) => setPassphrase(e.target.value),
+              autoFocus: true,
+              placeholder: 'Passphrase',
+              className: 'w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none'
+            }),
+            error && React.createElement('div', { className: 'text-sm text-red-400' }, error),
+            React.createElement('button', {
+              type: 'submit',
+              disabled: !passphrase || busy,
+              className: 'w-full py-3 bg-blue-600 hover:bg-blue-500 disabled:bg-slate-700 disabled:text-slate-500 text-white rounded-lg font-medium transition-all'
+            }, busy ? 'Unlocking…' : 'Unlock'),
+            React.createElement('button', {
+              type: 'button',
+              onClick: () => setConfirmingReset(true),
+              className: 'text-xs text-slate-500 hover:text-slate-300'
+            }, 'Forgot your passphrase?')
+          )
+    )
+  );
+};
+
+const VaultModal = ({ isOpen, onClose, vault, supported, autoLockMinutes, onAutoLockChange, onEnable, onChangePassphrase, onDisable, onLock }) => {
+  const [selectedMode, setMode] = useState(null);
+  const [current, setCurrent] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setMode(null);
+    setCurrent('');
+    setPassphrase('');
+    setConfirmation('');
+    setError(null);
+    setNotice(null);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const mode = vault.meta ? selectedMode : 'enable';
+
+  const needsNewPassphrase = mode === 'enable' || mode === 'change';
+  const validationError = needsNewPassphrase && passphrase && passphrase.length < MIN_PASSPHRASE_LENGTH
+    ? `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`
+    : needsNewPassphrase && confirmation && passphrase !== confirmation
+      ? 'The passphrases do not match.'
+      : null;
+  const canSubmit = !busy && !validationError && (
+    mode === 'enable' ? passphrase && confirmation
+      : mode === 'change' ? current && passphrase && confirmation
+        : mode === 'disable' ? current : false
+  );
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    setBusy(true);
+    setError(null);
+    try {
+      if (mode === 'enable') await onEnable(passphrase);
+      if (mode === 'change') await onChangePassphrase(current, passphrase);
+      if (mode === 'disable') await onDisable(current);
+      setNotice(mode === 'enable' ? 'Vault enabled. Your chats and API keys are now encrypted.'
+        : mode === 'change' ? 'Passphrase changed. Everything was re-encrypted with the new key.'
+          : 'Vault disabled. Chats are stored unencrypted again.');
+      setMode(null);
+      setCurrent('');
+      setPassphrase('');
+      setConfirmation('');
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  const inputClass = 'w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none';
+  const labelClass = 'block text-sm font-medium text-slate-300 mb-2';
+  const passwordField = (label, value, onChange) => React.createElement('div', null,
+    React.createElement('label', { className: labelClass }, label),
+    React.createElement('input', { type: 'password', value, onChange: (e) => onChange(e.target.value), className: inputClass })
+  );
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4',
+    onClick: (e) => e.target === e.currentTarget && onClose()
+  },
+    React.createElement('div', { className: 'vault-modal bg-slate-900 rounded-2xl w-full max-w-md overflow-hidden shadow-2xl border border-slate-700' },
+      React.createElement('div', { className: 'p-6 border-b border-slate-700' },
+        React.createElement('h2', { className: 'text-xl font-semibold text-white' }, 'Vault'),
+        React.createElement('p', { className: 'text-sm text-slate-400 mt-1' },
+          'Encrypts chats, attachments and API keys on this device with a key derived from your passphrase.'
+        )
+      ),
+      React.createElement('div', { className: 'p-6 space-y-4' },
+        !supported
+          ? React.createElement('p', { className: 'text-sm text-amber-300' }, 'The vault needs IndexedDB, which this browser does not provide.')
+          : React.createElement(React.Fragment, null,
+              vault.meta && React.createElement('div', { className: 'flex items-center justify-between gap-3 p-4 bg-emerald-500/10 border border-emerald-500/30 rounded-xl' },
+                React.createElement('div', { className: 'flex items-center gap-3 text-sm text-emerald-300' },
+                  React.createElement(LockIcon, { className: 'w-5 h-5' }),
+                  'Vault on · AES-GCM, PBKDF2 key'
+                ),
+                React.createElement('button', {
+                  onClick: onLock,
+                  className: 'px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg text-sm font-medium transition-all'
+                }, 'Lock Now')
+              ),
+              vault.meta && React.createElement('div', null,
+                React.createElement('label', { className: labelClass }, 'Auto-lock when idle'),
+                React.createElement('select', {
+                  value: autoLockMinutes,
+                  onChange: (e) => onAutoLockChange(Number(e.target.value)),
+                  className: inputClass
+                },
+                  VAULT_AUTO_LOCK_OPTIONS.map(o => React.createElement('option', { key: o.value, value: o.value }, o.label))
+                )
+              ),
+              notice && React.createElement('div', { className: 'text-sm text-emerald-400' }, notice),
+              vault.meta && !mode && React.createElement('div', { className: 'flex gap-3' },
+                React.createElement('button', {
+                  onClick: () => setMode('change'),
+                  className: 'flex-1 py-2.5 bg-slate-800 hover:bg-slate-700 text-slate-200 rounded-lg text-sm font-medium transition-all'
+                }, 'Change Passphrase'),
+                React.createElement('button', {
+                  onClick: () => setMode('disable'),
+                  className: 'flex-1 py-2.5 bg-slate-800 hover:bg-slate-700 text-red-300 rounded-lg text-sm font-medium transition-all'
+                }, 'Turn Off Vault')
+              ),
+              mode && React.createElement('form', { onSubmit: submit, className: 'space-y-4' },
+                mode !== 'enable' && passwordField('Current passphrase', current, setCurrent),
+                needsNewPassphrase && passwordField(mode === 'change' ? 'New passphrase' : 'Passphrase', passphrase, setPassphrase),
+                needsNewPassphrase && passwordField('Confirm passphrase', confirmation, setConfirmation),
+                mode === 'enable' && React.createElement('p', { className: 'text-xs text-amber-300' },
+                  'There is no recovery: if you forget this passphrase, the encrypted chats cannot be opened.'
+                ),
+                mode === 'disable' && React.createElement('p', { className: 'text-xs text-slate-400' },
+                  'Chats and API keys will be decrypted and stored in plain form on this device.'
+                ),
+                (validationError || error) && React.createElement('div', { className: 'text-sm text-red-400' }, validationError || error),
+                React.createElement('div', { className: 'flex gap-3' },
+                  vault.meta && React.createElement('button', {
+                    type: 'button',
+                    onClick: () => { setMode(null); setError(null); },
+                    className: 'flex-1 py-2.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-medium transition-all'
+                  }, 'Cancel'),
+                  React.createElement('button', {
+                    type: 'submit',
+                    disabled: !canSubmit,
+                    className: `flex-1 py-2.5 ${mode === 'disable' ? 'bg-red-600 hover:bg-red-500' : 'bg-blue-600 hover:bg-blue-500'} disabled:bg-slate-700 disabled:text-slate-500 text-white rounded-lg font-medium transition-all`
+                  }, busy
+                    ? mode === 'disable' ? 'Decrypting…' : 'Encrypting…'
+                    : mode === 'enable' ? 'Enable Vault' : mode === 'change' ? 'Re-encrypt' : 'Turn Off')
+                )
+              )
+            )
+      ),
+      React.createElement('div', { className: 'p-6 border-t border-slate-700' },
+        React.createElement('button', {
+          onClick: onClose,
+          className: 'w-full py-2.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-medium transition-all'
+        }, 'Close')
+      )
+    )
+  );
+};
+
+// Shown before a request leaves the browser. Unticking an item sends that value as-is, and the choice
+// is remembered for the rest of the chat.
+const RedactionReviewModal = ({ review, provider }) => {
+  const [kept, setKept] = useState(() => new Set(review.items));
+
+  const toggle = (item) => {
+    setKept(prev => {
+      const next = new Set(prev);
+      if (next.has(item)) next.delete(item);
+      else next.add(item);
+      return next;
+    });
+  };
+
+  return React.createElement('div', { className: 'fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4' },
+    React.createElement('div', { className: 'redaction-review bg-slate-900 rounded-2xl w-full max-w-lg max-h-[85vh] flex flex-col overflow-hidden shadow-2xl border border-slate-700' },
+      React.createElement('div', { className: 'p-6 border-b border-slate-700' },
+        React.createElement('h2', { className: 'text-xl font-semibold text-white' }, 'Review Redactions'),
+        React.createElement('p', { className: 'text-sm text-slate-400 mt-1' },
+          `These details will be replaced with placeholders before the request is sent to ${provider}. Real values are restored in the reply on this device.`
+        )
+      ),
+      React.createElement('div', { className: 'p-6 space-y-4 overflow-y-auto' },
+        PII_TYPES.filter(type => review.items.some(item => item.type === type.id)).map(type =>
+          React.createElement('div', { key: type.id },
+            React.createElement('h3', { className: 'text-xs font-semibold uppercase tracking-wide text-slate-500 mb-2' }, type.label),
+            React.createElement('div', { className: 'space-y-1' },
+              review.items.filter(item => item.type === type.id).map(item =>
+                React.createElement('label', {
+                  key: item.placeholder,
+                  className: 'flex items-center gap-3 px-3 py-2 rounded-lg bg-slate-800/60 hover:bg-slate-800 cursor-pointer'
+                },
+                  React.createElement('input', { type: 'checkbox', checked: kept.has(item), onChange: () => toggle(item), className: 'accent-blue-500' }),
+                  React.createElement('span', { className: `flex-1 text-sm text-white break-all ${kept.has(item) ? '' : 'opacity-60'}` }, item.value),
+                  React.createElement('code', { className: 'text-xs text-blue-300' }, kept.has(item) ? item.placeholder : 'sent as-is')
+                )
+              )
+            )
+          )
+        )
+      ),
+      React.createElement('div', { className: 'p-6 border-t border-slate-700 flex gap-3' },
+        React.createElement('button', {
+          onClick: () => review.resolve(null),
+          className: 'flex-1 py-2.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-medium transition-all'
+        }, 'Cancel'),
+        React.createElement('button', {
+          onClick: () => review.resolve(review.items.filter(item => kept.has(item))),
+          className: 'flex-1 py-2.5 bg-blue-600 hover:bg-blue-500 text-white rounded-lg font-medium transition-all'
+        }, kept.size ? `Send Redacted (${kept.size})` : 'Send Unredacted')
+      )
+    )
+  );
+};
+
+const SettingsModal = ({ isOpen, onClose, settings, onSave }) => {
+  const [activeTab, setActiveTab] = useState('api');
+  const [localSettings, setLocalSettings] = useState(settings);
+  const [selectedProfileId, setSelectedProfileId] = useState(settings.activeProfileId);
+  const [testStatus, setTestStatus] = useState(null);
+  const [availableModels, setAvailableModels] = useState([]);
+
+  useEffect(() => {
+    setLocalSettings(settings);
+  }, [settings]);
+
+  useEffect(() => {
+    if (isOpen) setSelectedProfileId(settings.activeProfileId);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const updateSetting = (key, value) => {
+    setLocalSettings(prev => ({ ...prev, [key]: value }));
+  };
+
+  const profile = localSettings.profiles.find(p => p.id === selectedProfileId) || localSettings.profiles[0];
+  const adapter = PROVIDER_ADAPTERS[profile.provider] || openAiAdapter;
+
+  const updateProfile = (patch, profileId = profile.id) => {
+    setLocalSettings(prev => ({ ...prev, profiles: prev.profiles.map(p => p.id === profileId ? { ...p, ...patch } : p) }));
+  };
+
+  const selectProfile = (id) => {
+    setSelectedProfileId(id);
+    setAvailableModels([]);
+    setTestStatus(null);
+  };
+
+  const addProfile = (base) => {
+    const added = base
+      ? { ...base, id: generateId(), name: `${base.name} (copy)` }
+      : createProviderProfile('cloud', { name: 'New Profile' });
+    setLocalSettings(prev => ({ ...prev, profiles: [...prev.profiles, added] }));
+    selectProfile(added.id);
+  };
+
+  // Chats that used a deleted profile fall back to the default one.
+  const deleteProfile = () => {
+    const remaining = localSettings.profiles.filter(p => p.id !== profile.id);
+    setLocalSettings(prev => ({
+      ...prev,
+      profiles: remaining,
+      activeProfileId: prev.activeProfileId === profile.id ? remaining[0].id : prev.activeProfileId
+    }));
+    selectProfile(remaining[0].id);
+  };
+
+  // Switching format also swaps the endpoint when it was still the previous format's default.
+  const changeProvider = (id) => {
+    updateProfile({
+      provider: id,
+      ...(!profile.endpoint || trimEndpoint(profile.endpoint) === adapter.defaultEndpoint ? { endpoint: PROVIDER_ADAPTERS[id].defaultEndpoint } : {})
+    });
+    setAvailableModels([]);
+  };
+
+  const testConnection = async () => {
+    setTestStatus('testing');
+    try {
+      const models = await listModels(profile);
+      setAvailableModels(models);
+      setTestStatus('success');
+    } catch (e) {
+      setAvailableModels([]);
+      setTestStatus('error');
+    }
+    setTimeout(() => setTestStatus(null), 3000);
+  };
+
+  const inputClass = 'w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none';
+
+  const providerSelect = React.createElement('div', null,
+    React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'API Format'),
+    React.createElement('select', {
+      value: adapter.id,
+      onChange: (e) => changeProvider(e.target.value),
+      className: inputClass
+    },
+      Object.values(PROVIDER_ADAPTERS).map(a => React.createElement('option', { key: a.id, value: a.id }, `${a.label} — ${a.description}`))
+    )
+  );
+
+  // Generation and privacy settings belong to one profile at a time.
+  const profilePicker = React.createElement('div', null,
+    React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'Profile'),
+    React.createElement('select', {
+      value: profile.id,
+      onChange: (e) => selectProfile(e.target.value),
+      className: inputClass
+    },
+      localSettings.profiles.map(p => React.createElement('option', { key: p.id, value: p.id }, describeProfile(p)))
+    )
+  );
+
+  const rules = profile.redaction;
+  const updateRules = (patch) => updateProfile({ redaction: { ...rules, ...patch } });
+  const redactionToggle = (key, title, description) => React.createElement('div', { className: 'flex items-center justify-between' },
+    React.createElement('div', null,
+      React.createElement('div', { className: 'text-sm font-medium text-slate-300' }, title),
+      React.createElement('div', { className: 'text-xs text-slate-500' }, description)
+    ),
+    React.createElement('button', {
+      onClick: () => updateRules({ [key]: !rules[key] }),
+      className: `relative w-12 h-6 rounded-full transition-colors ${rules[key] ? 'bg-blue-600' : 'bg-slate-700'}`
+    },
+      React.createElement('div', {
+        className: `absolute top-1 w-4 h-4 rounded-full bg-white transition-transform ${rules[key] ? 'translate-x-7' : 'translate-x-1'}`
+      })
+    )
+  );
+
+  const handleSave = () => {
+    onSave({ ...localSettings, profiles: localSettings.profiles.map(p => ({ ...p, contextWindow: clampContextWindow(p.contextWindow, p.maxTokens) })) });
+    onClose();
+  };
+
+  const tabs = [
+    { id: 'api', label: 'API Config' },
+    { id: 'generation', label: 'Generation' },
+    { id: 'privacy', label: 'Privacy' },
+    { id: 'system', label: 'System Prompt' }
+  ];
+
+  return React.createElement('div', { 
+    className: 'fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4',
+    onClick: (e) => e.target === e.currentTarget && onClose()
+  },
+    React.createElement('div', { className: 'settings-modal bg-slate-900 rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden shadow-2xl border border-slate-700' },
+      React.createElement('div', { className: 'flex items-center justify-between p-6 border-b border-slate-700' },
+        React.createElement('h2', { className: 'text-xl font-semibold text-white' }, 'Settings'),
+        React.createElement('button', { onClick: onClose, className: 'text-slate-400 hover:text-white transition-colors' },
+          React.createElement('svg', { className: 'w-6 h-6', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+            React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M6 18L18 6M6 6l12 12' })
+          )
+        )
+      ),
+      React.createElement('div', { className: 'flex border-b border-slate-700' },
+        tabs.map(tab => 
+          React.createElement('button', {
+            key: tab.id,
+            onClick: () => setActiveTab(tab.id),
+            className: `px-6 py-3 text-sm font-medium transition-colors ${activeTab === tab.id ? 'text-blue-400 border-b-2 border-blue-400' : 'text-slate-400 hover:text-white'}`
+          }, tab.label)
+        )
+      ),
+      React.createElement('div', { className: 'p-6 overflow-y-auto max-h-[60vh]' },
+        activeTab === 'api' && React.createElement('div', { className: 'space-y-6' },
+          React.createElement('div', { className: 'profile-list flex flex-wrap gap-2' },
+            localSettings.profiles.map(p => React.createElement('button', {
+              key: p.id,
+              onClick: () => selectProfile(p.id),
+              className: `px-3 py-2 rounded-lg text-sm font-medium transition-all ${p.id === profile.id ? 'bg-blue-600 text-white' : 'bg-slate-800 hover:bg-slate-700 text-slate-300'}`
+            },
+              `${PROFILE_KINDS[p.kind].icon} ${p.name}`,
+              p.id === localSettings.activeProfileId && React.createElement('span', { className: 'ml-2 text-xs opacity-70' }, 'default')
+            )),
+            React.createElement('button', {
+              onClick: () => addProfile(null),
+              className: 'px-3 py-2 rounded-lg text-sm font-medium border border-dashed border-slate-600 text-slate-400 hover:text-white hover:border-slate-500 transition-all'
+            }, '+ Add Profile')
+          ),
+          React.createElement('div', null,
+            React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'Profile Name'),
+            React.createElement('input', {
+              type: 'text',
+              value: profile.name,
+              onChange: (e) => updateProfile({ name: e.target.value }),
+              placeholder: 'Hosted GPT-4o, Local Mistral…',
+              className: inputClass
+            })
+          ),
+          React.createElement('div', { className: 'grid grid-cols-2 gap-4' },
+            React.createElement('button', {
+              onClick: () => updateProfile({ kind: 'cloud' }),
+              className: `p-4 rounded-xl border-2 transition-all ${profile.kind === 'cloud' ? 'border-blue-500 bg-blue-500/10' : 'border-slate-700 hover:border-slate-600'}`
+            },
+              React.createElement('div', { className: 'text-left' },
+                React.createElement('div', { className: 'font-medium text-white mb-1' }, '☁️ Cloud API'),
+                React.createElement('div', { className: 'text-xs text-slate-400' }, 'OpenAI, Anthropic, etc.')
+              )
+            ),
+            React.createElement('button', {
+              onClick: () => updateProfile({ kind: 'local' }),
+              className: `p-4 rounded-xl border-2 transition-all ${profile.kind === 'local' ? 'border-blue-500 bg-blue-500/10' : 'border-slate-700 hover:border-slate-600'}`
+            },
+              React.createElement('div', { className: 'text-left' },
+                React.createElement('div', { className: 'font-medium text-white mb-1' }, '💻 Local Model'),
+                React.createElement('div', { className: 'text-xs text-slate-400' }, 'Ollama, LM Studio')
+              )
+            )
+          ),
+          React.createElement('div', { className: 'space-y-4' },
+            providerSelect,
+            React.createElement('div', null,
+              React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'API Endpoint'),
+              React.createElement('input', {
+                type: 'text',
+                value: profile.endpoint,
+                onChange: (e) => updateProfile({ endpoint: e.target.value }),
+                placeholder: adapter.id === 'openai' ? PROFILE_KINDS[profile.kind].endpoint : adapter.defaultEndpoint,
+                className: inputClass
+              })
+            ),
+            React.createElement('div', null,
+              React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'API Key'),
+              React.createElement('input', {
+                type: 'password',
+                value: profile.apiKey,
+                onChange: (e) => updateProfile({ apiKey: e.target.value }),
+                placeholder: profile.kind === 'local' ? 'Usually not needed for local models' : 'sk-...',
+                className: inputClass
+              })
+            ),
+            React.createElement('div', null,
+              React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'Model'),
+              availableModels.length > 0
+                ? React.createElement('select', {
+                    value: availableModels.includes(profile.model) ? profile.model : '',
+                    onChange: (e) => updateProfile({ model: e.target.value }),
+                    className: `model-select ${inputClass}`
+                  },
+                    !availableModels.includes(profile.model) && React.createElement('option', { value: '' }, profile.model ? `${profile.model} (not listed)` : 'Choose a model'),
+                    availableModels.map(id => React.createElement('option', { key: id, value: id }, id))
+                  )
+                : React.createElement('input', {
+                    type: 'text',
+                    value: profile.model,
+                    onChange: (e) => updateProfile({ model: e.target.value }),
+                    placeholder: `${adapter.modelPlaceholder} — or test the connection to list models`,
+                    className: inputClass
+                  })
+            ),
+            React.createElement('div', null,
+              React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'Context Window (tokens)'),
+              React.createElement('input', {
+                type: 'number',
+                min: profile.maxTokens + MIN_INPUT_TOKENS,
+                value: profile.contextWindow,
+                onChange: (e) => updateProfile({ contextWindow: parseInt(e.target.value) || 0 }),
+                onBlur: () => updateProfile({ contextWindow: clampContextWindow(profile.contextWindow, profile.maxTokens) }),
+                placeholder: String(PROFILE_KINDS[profile.kind].contextWindow),
+                className: inputClass
+              })
+            ),
+            React.createElement('div', null,
+              React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'Price per Million Tokens (USD)'),
+              React.createElement('div', { className: 'grid grid-cols-2 gap-3' },
+                [['inputPrice', 'Input'], ['outputPrice', 'Output']].map(([key, label]) =>
+                  React.createElement('input', {
+                    key,
+                    type: 'number',
+                    min: '0',
+                    step: 'any',
+                    value: profile[key],
+                    onChange: (e) => updateProfile({ [key]: parseFloat(e.target.value) || 0 }),
+                    title: `${label} price, used for the cost estimate in the status bar`,
+                    placeholder: label,
+                    className: `price-input ${inputClass}`
+                  })
+                )
+              ),
+              React.createElement('p', { className: 'text-xs text-slate-500 mt-2' }, 'Input and output prices from your provider, used to estimate what each chat costs. Leave at 0 for local or free models.')
+            )
+          ),
+          React.createElement('button', {
+            onClick: testConnection,
+            className: `w-full py-3 rounded-lg font-medium transition-all ${testStatus === 'success' ? 'bg-emerald-600 text-white' : testStatus === 'error' ? 'bg-red-600 text-white' : 'bg-slate-700 hover:bg-slate-600 text-white'}`
+          }, testStatus === 'testing' ? 'Testing...' : testStatus === 'success' ? `✓ Connected! ${availableModels.length} model${availableModels.length === 1 ? '' : 's'} available` : testStatus === 'error' ? '✗ Connection Failed' : 'Test Connection'),
+          React.createElement('div', { className: 'flex gap-2' },
+            React.createElement('button', {
+              onClick: () => updateSetting('activeProfileId', profile.id),
+              disabled: localSettings.activeProfileId === profile.id,
+              className: 'flex-1 py-2 px-4 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-slate-300 rounded-lg text-sm font-medium transition-all'
+            }, 'Use for New Chats'),
+            React.createElement('button', {
+              onClick: () => addProfile(profile),
+              className: 'flex-1 py-2 px-4 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-medium transition-all'
+            }, 'Duplicate'),
+            React.createElement('button', {
+              onClick: deleteProfile,
+              disabled: localSettings.profiles.length === 1,
+              className: 'flex-1 py-2 px-4 bg-red-600/20 hover:bg-red-600/30 disabled:opacity-50 text-red-300 rounded-lg text-sm font-medium transition-all'
+            }, 'Delete Profile')
+          )
+        ),
+        activeTab === 'generation' && React.createElement('div', { className: 'space-y-6' },
+          profilePicker,
+          React.createElement('div', null,
+            React.createElement('div', { className: 'flex items-center justify-between mb-3' },
+              React.createElement('label', { className: 'text-sm font-medium text-slate-300' }, 'Temperature'),
+              React.createElement('span', { className: 'text-sm text-blue-400 font-mono' }, profile.temperature.toFixed(2))
+            ),
+            React.createElement('input', {
+              type: 'range',
+              min: '0',
+              max: '2',
+              step: '0.1',
+              value: profile.temperature,
+              onChange: (e) => updateProfile({ temperature: parseFloat(e.target.value) }),
+              className: 'w-full accent-blue-500'
+            }),
+            React.createElement('div', { className: 'flex justify-between text-xs text-slate-500 mt-1' },
+              React.createElement('span', null, 'Precise'),
+              React.createElement('span', null, 'Creative')
+            )
+          ),
+          React.createElement('div', null,
+            React.createElement('div', { className: 'flex items-center justify-between mb-3' },
+              React.createElement('label', { className: 'text-sm font-medium text-slate-300' }, 'Top P'),
+              React.createElement('span', { className: 'text-sm text-blue-400 font-mono' }, profile.topP.toFixed(2))
+            ),
+            React.createElement('input', {
+              type: 'range',
+              min: '0',
+              max: '1',
+              step: '0.05',
+              value: profile.topP,
+              onChange: (e) => updateProfile({ topP: parseFloat(e.target.value) }),
+              className: 'w-full accent-blue-500'
+            })
+          ),
+          React.createElement('div', null,
+            React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-3' }, 'Max Tokens'),
+            React.createElement('div', { className: 'flex gap-2 flex-wrap' },
+              [512, 1024, 2048, 4096].map(tokens =>
+                React.createElement('button', {
+                  key: tokens,
+                  onClick: () => updateProfile({ maxTokens: tokens, contextWindow: clampContextWindow(profile.contextWindow, tokens) }),
+                  className: `px-4 py-2 rounded-lg text-sm font-medium transition-all ${profile.maxTokens === tokens ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`
+                }, tokens.toLocaleString())
+              )
+            )
+          ),
+          React.createElement('div', { className: 'flex items-center justify-between' },
+            React.createElement('div', null,
+              React.createElement('div', { className: 'text-sm font-medium text-slate-300' }, 'Streaming Responses'),
+              React.createElement('div', { className: 'text-xs text-slate-500' }, 'Show response as it\'s generated')
+            ),
+            React.createElement('button', {
+              onClick: () => updateSetting('streaming', !localSettings.streaming),
+              className: `relative w-12 h-6 rounded-full transition-colors ${localSettings.streaming ? 'bg-blue-600' : 'bg-slate-700'}`
+            },
+              React.createElement('div', {
+                className: `absolute top-1 w-4 h-4 rounded-full bg-white transition-transform ${localSettings.streaming ? 'translate-x-7' : 'translate-x-1'}`
+              })
+            )
+          ),
+          React.createElement('div', { className: 'flex items-center justify-between' },
+            React.createElement('div', null,
+              React.createElement('div', { className: 'text-sm font-medium text-slate-300' }, 'Calculator Tools'),
+              React.createElement('div', { className: 'text-xs text-slate-500' }, 'Let the model call LoanLens calculators instead of doing math itself')
+            ),
+            React.createElement('button', {
+              onClick: () => updateSetting('enableTools', !localSettings.enableTools),
+              className: `relative w-12 h-6 rounded-full transition-colors ${localSettings.enableTools ? 'bg-blue-600' : 'bg-slate-700'}`
+            },
+              React.createElement('div', {
+                className: `absolute top-1 w-4 h-4 rounded-full bg-white transition-transform ${localSettings.enableTools ? 'translate-x-7' : 'translate-x-1'}`
+              })
+            )
+          ),
+          React.createElement('div', { className: 'flex items-center justify-between' },
+            React.createElement('div', null,
+              React.createElement('div', { className: 'text-sm font-medium text-slate-300' }, 'Long-Document Mode'),
+              React.createElement('div', { className: 'text-xs text-slate-500' }, 'Analyze documents larger than the context window section by section')
+            ),
+            React.createElement('button', {
+              onClick: () => updateSetting('longDocumentMode', !localSettings.longDocumentMode),
+              className: `relative w-12 h-6 rounded-full transition-colors ${localSettings.longDocumentMode ? 'bg-blue-600' : 'bg-slate-700'}`
+            },
+              React.createElement('div', {
+                className: `absolute top-1 w-4 h-4 rounded-full bg-white transition-transform ${localSettings.longDocumentMode ? 'translate-x-7' : 'translate-x-1'}`
+              })
+            )
+          ),
+          React.createElement('div', { className: 'flex items-center justify-between' },
+            React.createElement('div', null,
+              React.createElement('div', { className: 'text-sm font-medium text-slate-300' }, 'Context Management'),
+              React.createElement('div', { className: 'text-xs text-slate-500' }, 'Near the context window, summarize older turns and keep only the most relevant document pages')
+            ),
+            React.createElement('button', {
+              onClick: () => updateSetting('contextManagement', !localSettings.contextManagement),
+              className: `relative w-12 h-6 rounded-full transition-colors ${localSettings.contextManagement ? 'bg-blue-600' : 'bg-slate-700'}`
+            },
+              React.createElement('div', {
+                className: `absolute top-1 w-4 h-4 rounded-full bg-white transition-transform ${localSettings.contextManagement ? 'translate-x-7' : 'translate-x-1'}`
+              })
+            )
+          ),
+          React.createElement('div', { className: 'flex items-center justify-between' },
+            React.createElement('div', null,
+              React.createElement('div', { className: 'text-sm font-medium text-slate-300' }, 'Regulation Library'),
+              React.createElement('div', { className: 'text-xs text-slate-500' }, 'Add matching regulation passages to each question and cite them in the answer')
+            ),
+            React.createElement('button', {
+              onClick: () => updateSetting('regulationLibrary', !localSettings.regulationLibrary),
+              className: `relative w-12 h-6 rounded-full transition-colors ${localSettings.regulationLibrary ? 'bg-blue-600' : 'bg-slate-700'}`
+            },
+              React.createElement('div', {
+                className: `absolute top-1 w-4 h-4 rounded-full bg-white transition-transform ${localSettings.regulationLibrary ? 'translate-x-7' : 'translate-x-1'}`
+              })
+            )
+          ),
+          React.createElement('div', { className: 'flex gap-2 pt-4' },
+            React.createElement('button', {
+              onClick: () => updateProfile({ temperature: 0.3, topP: 0.9 }),
+              className: 'flex-1 py-2 px-4 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-medium transition-all'
+            }, '🎯 Precise'),
+            React.createElement('button', {
+              onClick: () => updateProfile({ temperature: 0.7, topP: 0.95 }),
+              className: 'flex-1 py-2 px-4 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-medium transition-all'
+            }, '⚖️ Balanced'),
+            React.createElement('button', {
+              onClick: () => updateProfile({ temperature: 1.2, topP: 1 }),
+              className: 'flex-1 py-2 px-4 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-medium transition-all'
+            }, '✨ Creative')
+          )
+        ),
+        activeTab === 'privacy' && React.createElement('div', { className: 'space-y-6' },
+          React.createElement('p', { className: 'text-sm text-slate-400' },
+            'Personal details are replaced with placeholders such as [ACCOUNT_1] before a request leaves the browser, and put back when the reply is shown.'
+          ),
+          profilePicker,
+          React.createElement('div', { className: 'space-y-4 p-4 rounded-xl border border-slate-700' },
+            React.createElement('div', { className: 'font-medium text-white' }, profile.name),
+            redactionToggle('enabled', 'Redact Personal Details', `Applies to every chat that uses ${profile.name}`),
+            rules.enabled && redactionToggle('review', 'Review Before Sending', 'Show what will be redacted and let you keep values in the request'),
+            rules.enabled && React.createElement('div', { className: 'grid grid-cols-2 gap-2' },
+              PII_TYPES.map(type => React.createElement('label', { key: type.id, className: 'flex items-center gap-2 text-sm text-slate-300 cursor-pointer' },
+                React.createElement('input', {
+                  type: 'checkbox',
+                  checked: rules.types.includes(type.id),
+                  onChange: () => updateRules({
+                    types: rules.types.includes(type.id) ? rules.types.filter(t => t !== type.id) : [...rules.types, type.id]
+                  }),
+                  className: 'accent-blue-500'
+                }),
+                type.label
+              ))
+            )
+          )
+        ),
+        activeTab === 'system' && React.createElement('div', { className: 'space-y-4' },
+          React.createElement('textarea', {
+            value: localSettings.systemPrompt,
+            onChange: (e) => updateSetting('systemPrompt', e.target.value),
+            rows: 12,
+            className: 'w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none resize-none font-mono text-sm'
+          }),
+          React.createElement('button', {
+            onClick: () => updateSetting('systemPrompt', DEFAULT_SYSTEM_PROMPT),
+            className: 'px-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-medium transition-all'
+          }, 'Reset to Default')
+        )
+      ),
+      React.createElement('div', { className: 'flex justify-end gap-3 p-6 border-t border-slate-700' },
+        React.createElement('button', {
+          onClick: onClose,
+          className: 'px-6 py-2.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-medium transition-all'
+        }, 'Cancel'),
+        React.createElement('button', {
+          onClick: handleSave,
+          className: 'px-6 py-2.5 bg-blue-600 hover:bg-blue-500 text-white rounded-lg font-medium transition-all'
+        }, 'Save Changes')
+      )
+    )
+  );
+};
+
+const AttachmentChip = ({ document, status, error, onOpen, onRemove, light }) => {
+  return React.createElement('div', {
+    className: `attachment-chip inline-flex items-center gap-2 max-w-xs px-3 py-1.5 rounded-lg border text-xs ${error ? 'border-red-500/50 bg-red-600/10 text-red-300' : light ? 'border-blue-400/40 bg-blue-500/30 text-white' : 'border-slate-700 bg-slate-900 text-slate-300'}`
+  },
+    React.createElement('button', {
+      onClick: onOpen,
+      disabled: !onOpen,
+      className: 'flex items-center gap-2 min-w-0 text-left'
+    },
+      React.createElement('svg', { className: 'w-4 h-4 flex-shrink-0', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+        React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M7 21h10a2 2 0 002-2V9.414a1 1 0 00-.293-.707l-5.414-5.414A1 1 0 0012.586 3H7a2 2 0 00-2 2v14a2 2 0 002 2z' })
+      ),
+      React.createElement('span', { className: 'truncate font-medium' }, document.name),
+      React.createElement('span', { className: 'flex-shrink-0 opacity-70' },
+        status === 'extracting' ? 'extracting…' : error ? 'failed' : `${document.pages.length} p.`
+      )
+    ),
+    onRemove && React.createElement('button', {
+      onClick: onRemove,
+      className: 'flex-shrink-0 opacity-60 hover:opacity-100'
+    }, '✕')
+  );
+};
+
+const highlightFindings = (text, findings) => {
+  const ranges = findings
+    .filter(f => f.source.end > f.source.start)
+    .sort((a, b) => a.source.start - b.source.start);
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(f => {
+    if (f.source.start < cursor) return;
+    if (f.source.start > cursor) parts.push(text.slice(cursor, f.source.start));
+    parts.push(React.createElement('mark', {
+      key: f.id,
+      id: `finding-${f.id}`,
+      title: `${SEVERITY_STYLES[f.severity].label}: ${f.title}`,
+      className: `scanner-mark rounded px-0.5 ${SEVERITY_STYLES[f.severity].mark}`
+    }, text.slice(f.source.start, f.source.end)));
+    cursor = f.source.end;
+  });
+  parts.push(text.slice(cursor));
+  return parts;
+};
+
+const SeverityBadge = ({ severity }) =>
+  React.createElement('span', {
+    className: `inline-block px-2 py-0.5 text-[10px] font-semibold uppercase tracking-wide rounded border ${SEVERITY_STYLES[severity].badge}`
+  }, SEVERITY_STYLES[severity].label);
+
+const ScanFindingsList = ({ findings, onOpenSource }) => {
+  const groups = groupFindings(findings);
+  if (groups.length === 0) {
+    return React.createElement('div', { className: 'text-sm text-slate-500' }, 'No red flags matched.');
+  }
+  return React.createElement('div', { className: 'space-y-2' },
+    groups.map(group =>
+      React.createElement('div', { key: group.ruleId, className: 'rounded-lg border border-slate-700 bg-slate-900/60 p-3' },
+        React.createElement('div', { className: 'flex items-center gap-2' },
+          React.createElement(SeverityBadge, { severity: group.severity }),
+          React.createElement('span', { className: 'text-sm font-medium text-white' }, group.title)
+        ),
+        React.createElement('p', { className: 'text-xs text-slate-400 mt-1.5' }, group.explanation),
+        React.createElement('div', { className: 'flex flex-wrap gap-1.5 mt-2' },
+          group.findings.map(f => f.source
+            ? React.createElement('button', {
+                key: f.id,
+                onClick: () => onOpenSource(f.source, f),
+                title: f.source.excerpt,
+                className: 'text-xs text-blue-400 hover:text-blue-300'
+              }, `${f.source.name} p. ${f.source.page}`)
+            : React.createElement('span', { key: f.id, className: 'text-xs text-slate-500' }, 'From loan profile')
+          )
+        )
+      )
+    )
+  );
+};
+
+const DocumentViewerModal = ({ document, initialPage, findings = [], focusFindingId, onOpenClauses, onClose }) => {
+  const pageRefs = useRef({});
+  const [showFindings, setShowFindings] = useState(true);
+
+  useEffect(() => {
+    const mark = focusFindingId && window.document.getElementById(`finding-${focusFindingId}`);
+    if (mark) {
+      mark.scrollIntoView({ block: 'center' });
+    } else if (document && initialPage && pageRefs.current[initialPage]) {
+      pageRefs.current[initialPage].scrollIntoView({ block: 'start' });
+    }
+  }, [document, initialPage, focusFindingId]);
+
+  if (!document) return null;
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4',
+    onClick: (e) => e.target === e.currentTarget && onClose()
+  },
+    React.createElement('div', { className: 'settings-modal bg-slate-900 rounded-2xl w-full max-w-3xl max-h-[90vh] flex flex-col overflow-hidden shadow-2xl border border-slate-700' },
+      React.createElement('div', { className: 'flex items-center justify-between gap-4 p-6 border-b border-slate-700' },
+        React.createElement('div', { className: 'min-w-0' },
+          React.createElement('h2', { className: 'text-xl font-semibold text-white truncate' }, document.name),
+          React.createElement('div', { className: 'text-xs text-slate-500 mt-1' },
+            `${document.pages.length} page${document.pages.length === 1 ? '' : 's'} · ${document.kind.toUpperCase()} · extracted locally`
+          )
+        ),
+        React.createElement('div', { className: 'flex items-center gap-3' },
+          onOpenClauses && React.createElement('button', {
+            onClick: onOpenClauses,
+            className: 'px-3 py-2 bg-slate-800 hover:bg-slate-700 text-slate-300 rounded-lg text-sm font-medium transition-all'
+          }, 'Clause view'),
+          React.createElement('select', {
+            onChange: (e) => pageRefs.current[e.target.value]?.scrollIntoView({ block: 'start', behavior: 'smooth' }),
+            defaultValue: initialPage || 1,
+            className: 'px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white outline-none'
+          },
+            document.pages.map(p => React.createElement('option', { key: p.number, value: p.number }, `Page ${p.number}`))
+          ),
+          React.createElement('button', { onClick: onClose, className: 'text-slate-400 hover:text-white transition-colors' },
+            React.createElement('svg', { className: 'w-6 h-6', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+              React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M6 18L18 6M6 6l12 12' })
+            )
+          )
+        )
+      ),
+      findings.length > 0 && React.createElement('div', { className: 'border-b border-slate-700 px-6 py-3' },
+        React.createElement('button', {
+          onClick: () => setShowFindings(!showFindings),
+          className: 'text-sm font-medium text-slate-300 hover:text-white'
+        }, `${showFindings ? '▾' : '▸'} Red-flag scan: ${groupFindings(findings).length} issue${groupFindings(findings).length === 1 ? '' : 's'} in this document`),
+        showFindings && React.createElement('div', { className: 'mt-3 max-h-56 overflow-y-auto' },
+          React.createElement(ScanFindingsList, {
+            findings,
+            onOpenSource: (source, finding) => window.document.getElementById(`finding-${finding.id}`)?.scrollIntoView({ block: 'center', behavior: 'smooth' })
+          })
+        )
+      ),
+      React.createElement('div', { className: 'document-pages flex-1 overflow-y-auto p-6 space-y-6' },
+        document.pages.map(page => {
+          const pageFindings = findings.filter(f => f.source.page === page.number);
+          return React.createElement('div', {
+            key: page.number,
+            ref: (el) => { pageRefs.current[page.number] = el; },
+            className: `document-page rounded-xl border ${page.number === initialPage ? 'border-blue-500' : 'border-slate-700'} bg-slate-950/60`
+          },
+            React.createElement('div', { className: 'px-4 py-2 border-b border-slate-800 text-xs font-medium text-slate-500' }, `Page ${page.number}`),
+            React.createElement('pre', { className: 'px-4 py-3 text-sm text-slate-300 whitespace-pre-wrap break-words font-mono' },
+              page.text ? highlightFindings(page.text, pageFindings) : '(no text on this page)'
+            )
+          );
+        })
+      )
+    )
+  );
+};
+
+// The document as numbered clauses, with margin notes: the risk level, the model's plain-English
+// explanation, scanner findings and the replies that discuss the clause. Clicking a clause starts a
+// question about it.
+const ClauseViewModal = ({ view, source, findings, focusClauseId, discussions, progress, busy, error, onAnnotate, onStop, onAsk, onOpenMessage, onClose }) => {
+  const clauseRefs = useRef({});
+
+  useEffect(() => {
+    if (focusClauseId) clauseRefs.current[focusClauseId]?.scrollIntoView({ block: 'center' });
+  }, [view?.sourceKey, focusClauseId]);
+
+  if (!view || !source) return null;
+
+  const explained = view.clauses.filter(c => view.notes[c.id]).length;
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4',
+    onClick: (e) => e.target === e.currentTarget && onClose()
+  },
+    React.createElement('div', { className: 'clause-view bg-slate-900 rounded-2xl w-full max-w-5xl max-h-[90vh] flex flex-col overflow-hidden shadow-2xl border border-slate-700' },
+      React.createElement('div', { className: 'flex items-center justify-between gap-4 p-6 border-b border-slate-700' },
+        React.createElement('div', { className: 'min-w-0' },
+          React.createElement('h2', { className: 'text-xl font-semibold text-white truncate' }, `${view.name} · Clauses`),
+          React.createElement('div', { className: 'text-xs text-slate-500 mt-1' },
+            `${view.clauses.length} clause${view.clauses.length === 1 ? '' : 's'} · ${explained ? `${explained} explained${view.model ? ` by ${view.model}` : ''}` : 'not explained yet'} · click a clause to ask about it`
+          )
+        ),
+        React.createElement('div', { className: 'flex items-center gap-3' },
+          React.createElement('button', {
+            onClick: progress ? onStop : onAnnotate,
+            disabled: busy && !progress,
+            title: progress ? 'Stop explaining; notes already written are kept' : busy ? 'Wait for the current reply to finish' : undefined,
+            className: 'explain-clauses-btn px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:opacity-60 text-white rounded-lg text-sm font-medium transition-all'
+          }, progress ? `Stop · ${progress.done}/${progress.total} explained` : explained ? 'Explain again' : 'Explain clauses'),
+          React.createElement('button', { onClick: onClose, className: 'text-slate-400 hover:text-white transition-colors' },
+            React.createElement('svg', { className: 'w-6 h-6', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+              React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M6 18L18 6M6 6l12 12' })
+            )
+          )
+        )
+      ),
+      error && React.createElement('div', { className: 'px-6 py-2 text-sm text-red-400 border-b border-slate-700' }, error),
+      React.createElement('div', { className: 'flex-1 overflow-y-auto p-6 space-y-3' },
+        view.clauses.map(clause => {
+          const note = view.notes[clause.id];
+          const flagged = findingsInClause(findings, view.sourceKey, clause);
+          const risk = clauseRisk(note, flagged);
+          const replies = discussions[clause.id] || [];
+          const shifted = flagged.map(f => ({ ...f, source: { ...f.source, start: f.source.start - clause.start, end: Math.min(f.source.end, clause.end) - clause.start } }));
+
+          return React.createElement('div', {
+            key: clause.id,
+            id: `clause-${clause.id}`,
+            ref: (el) => { clauseRefs.current[clause.id] = el; },
+            className: `clause-row grid grid-cols-3 gap-4 rounded-xl border ${clause.id === focusClauseId ? 'border-blue-500' : 'border-slate-700'} bg-slate-950/60`
+          },
+            React.createElement('button', {
+              onClick: () => onAsk(clause),
+              title: `Ask about ${clause.id}`,
+              className: 'clause-text col-span-2 text-left px-4 py-3 hover:bg-slate-800/60 rounded-l-xl transition-colors'
+            },
+              React.createElement('div', { className: 'text-xs font-semibold text-blue-300 mb-1' },
+                `${clause.id}${source.pages.length > 1 ? ` · p. ${clause.page}` : ''}`
+              ),
+              React.createElement('div', { className: 'text-sm text-slate-300 whitespace-pre-wrap break-words' }, highlightFindings(clauseTextOf(source, clause), shifted))
+            ),
+            React.createElement('div', { className: 'clause-notes px-4 py-3 border-l border-slate-800 space-y-2 text-xs' },
+              risk
+                ? React.createElement('span', {
+                    className: `inline-block px-2 py-0.5 text-[10px] font-semibold uppercase tracking-wide rounded border ${CLAUSE_RISK_STYLES[risk].badge}`
+                  }, `Risk: ${CLAUSE_RISK_STYLES[risk].label}`)
+                : React.createElement('span', { className: 'text-slate-600' }, 'Not reviewed'),
+              note && React.createElement('p', { className: 'text-slate-300' }, note.explanation),
+              flagged.length > 0 && React.createElement('div', { className: 'space-y-1' },
+                groupFindings(flagged).map(group => React.createElement('div', { key: group.ruleId, title: group.explanation, className: 'flex items-center gap-1.5' },
+                  React.createElement(SeverityBadge, { severity: group.severity }),
+                  React.createElement('span', { className: 'text-slate-400' }, group.title)
+                ))
+              ),
+              replies.length > 0 && React.createElement('div', { className: 'flex flex-wrap items-center gap-1.5 text-slate-500' },
+                'Discussed in',
+                replies.map((message, i) => React.createElement('button', {
+                  key: message.id,
+                  onClick: () => onOpenMessage(message.id),
+                  className: 'text-blue-400 hover:text-blue-300'
+                }, `reply ${i + 1}`))
+              )
+            )
+          );
+        })
+      )
+    )
+  );
+};
+
+const LoanProfileField = ({ field, record, onChange, onOpenSource }) => {
+  const [showSource, setShowSource] = useState(false);
+  const inputClass = 'w-full px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:border-blue-500 outline-none';
+  const value = record?.value ?? '';
+
+  const update = (patch) => onChange({ ...(record || {}), ...patch, method: 'manual', edited: true });
+
+  let input;
+  if (field.type === 'yesno') {
+    input = React.createElement('div', { className: 'space-y-2' },
+      React.createElement('select', {
+        value: value === '' ? '' : value ? 'yes' : 'no',
+        onChange: (e) => update({ value: e.target.value === '' ? null : e.target.value === 'yes' }),
+        className: inputClass
+      },
+        React.createElement('option', { value: '' }, 'Unknown'),
+        React.createElement('option', { value: 'yes' }, 'Yes'),
+        React.createElement('option', { value: 'no' }, 'No')
+      ),
+      value === true && React.createElement('input', {
+        type: 'text',
+        value: record?.note || '',
+        onChange: (e) => update({ note: e.target.value }),
+        placeholder: 'Details',
+        className: inputClass
+      })
+    );
+  } else {
+    input = React.createElement('input', {
+      type: field.type === 'text' ? 'text' : 'number',
+      step: 'any',
+      value,
+      onChange: (e) => update({ value: field.type === 'text' ? e.target.value : (e.target.value === '' ? null : parseFloat(e.target.value)) }),
+      placeholder: field.type === 'months' ? 'Months' : field.type === 'percent' ? '%' : field.type === 'currency' ? '$' : '',
+      className: inputClass
+    });
+  }
+
+  return React.createElement('div', { className: 'profile-field' },
+    React.createElement('div', { className: 'flex items-center justify-between mb-1.5' },
+      React.createElement('label', { className: 'text-xs font-medium text-slate-400' }, field.label),
+      React.createElement('div', { className: 'flex items-center gap-2' },
+        record?.edited && React.createElement('span', { className: 'text-[10px] uppercase tracking-wide text-amber-400' }, 'edited'),
+        record?.source && React.createElement('button', {
+          onClick: () => setShowSource(!showSource),
+          className: 'text-[10px] uppercase tracking-wide text-blue-400 hover:text-blue-300'
+        }, `${record.source.name.length > 14 ? record.source.name.slice(0, 12) + '…' : record.source.name} p.${record.source.page}`)
+      )
+    ),
+    input,
+    showSource && record?.source && React.createElement('div', { className: 'mt-2 p-2 rounded-lg bg-slate-950/60 border border-slate-800 text-xs text-slate-400' },
+      React.createElement('div', { className: 'italic mb-1' }, `“…${record.source.excerpt}…”`),
+      React.createElement('button', {
+        onClick: () => onOpenSource(record.source),
+        className: 'text-blue-400 hover:text-blue-300'
+      }, record.source.documentId ? `Open ${record.source.name}, page ${record.source.page}` : 'Show in chat')
+    )
+  );
+};
+
+const LoanProfilePanel = ({ chat, onClose, onChange, onExtract, onExtractWithAi, extracting, error, onOpenSource, onScan, onScanOptionsChange, onOpenAprCheck }) => {
+  const profile = chat.loanProfile;
+  const aprCheck = verifyProfileApr(profile);
+  const filled = LOAN_PROFILE_FIELDS.filter(f => profile?.fields?.[f.id] && profile.fields[f.id].value !== null && profile.fields[f.id].value !== '').length;
+  const hasSources = collectProfileSources(chat).length > 0;
+
+  const updateField = (id, record) => {
+    onChange({ ...(profile || {}), fields: { ...(profile?.fields || {}), [id]: record }, updatedAt: new Date().toISOString() });
+  };
+
+  return React.createElement('aside', { className: 'loan-profile-panel w-80 flex-shrink-0 bg-slate-900 border-l border-slate-800 flex flex-col' },
+    React.createElement('div', { className: 'flex items-center justify-between px-4 py-4 border-b border-slate-800' },
+      React.createElement('div', null,
+        React.createElement('h2', { className: 'text-sm font-semibold text-white' }, 'Loan Profile'),
+        React.createElement('div', { className: 'text-xs text-slate-500' }, `${filled} of ${LOAN_PROFILE_FIELDS.length} fields`)
+      ),
+      React.createElement('button', { onClick: onClose, className: 'text-slate-400 hover:text-white transition-colors' },
+        React.createElement('svg', { className: 'w-5 h-5', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+          React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M6 18L18 6M6 6l12 12' })
+        )
+      )
+    ),
+    React.createElement('div', { className: 'flex gap-2 px-4 py-3 border-b border-slate-800' },
+      React.createElement('button', {
+        onClick: onExtract,
+        disabled: !hasSources,
+        className: `flex-1 py-2 rounded-lg text-xs font-medium transition-all ${hasSources ? 'bg-slate-700 hover:bg-slate-600 text-slate-200' : 'bg-slate-800 text-slate-600 cursor-not-allowed'}`
+      }, 'Extract'),
+      React.createElement('button', {
+        onClick: onExtractWithAi,
+        disabled: !hasSources || extracting,
+        className: `flex-1 py-2 rounded-lg text-xs font-medium transition-all ${hasSources && !extracting ? 'bg-blue-600 hover:bg-blue-500 text-white' : 'bg-slate-800 text-slate-600 cursor-not-allowed'}`
+      }, extracting ? 'Extracting…' : 'Extract with AI')
+    ),
+    error && React.createElement('div', { className: 'px-4 py-2 bg-red-600/10 border-b border-red-500/30 text-xs text-red-300' }, `⚠️ ${error}`),
+    React.createElement('div', { className: 'flex-1 overflow-y-auto px-4 py-4 space-y-4' },
+      !hasSources && filled === 0 && React.createElement('p', { className: 'text-xs text-slate-500' },
+        'Attach or paste a loan document to fill the profile automatically, or enter the terms by hand. Corrected values are used by later analyses, comparisons and exports.'
+      ),
+      LOAN_PROFILE_FIELDS.map(field =>
+        React.createElement(LoanProfileField, {
+          key: field.id,
+          field,
+          record: profile?.fields?.[field.id],
+          onChange: (record) => updateField(field.id, record),
+          onOpenSource
+        })
+      ),
+      React.createElement('div', { className: 'pt-4 border-t border-slate-800 space-y-2' },
+        React.createElement('div', { className: 'flex items-center justify-between' },
+          React.createElement('h3', { className: 'text-sm font-semibold text-white' }, 'APR Check'),
+          React.createElement('button', {
+            onClick: onOpenAprCheck,
+            className: 'px-3 py-1.5 rounded-lg text-xs font-medium bg-slate-700 hover:bg-slate-600 text-slate-200 transition-all'
+          }, 'Details')
+        ),
+        aprCheck
+          ? React.createElement('div', null,
+              React.createElement(AprCheckCard, { result: aprCheck }),
+              aprCheck.assumedAmountFinanced && React.createElement('p', { className: 'text-xs text-slate-500' },
+                'Amount financed assumed to be principal minus fees. Enter the disclosed amount financed for an exact check.'
+              )
+            )
+          : React.createElement('p', { className: 'text-xs text-slate-500' },
+              'Needs the APR, term, principal or amount financed, and note rate or payment.'
+            )
+      ),
+      React.createElement('div', { className: 'pt-4 border-t border-slate-800 space-y-3' },
+        React.createElement('div', { className: 'flex items-center justify-between' },
+          React.createElement('div', null,
+            React.createElement('h3', { className: 'text-sm font-semibold text-white' }, 'Red Flags'),
+            React.createElement('div', { className: 'text-xs text-slate-500' },
+              chat.scan ? `Rules v${chat.scan.rulesetVersion} · ${new Date(chat.scan.scannedAt).toLocaleString()}` : 'Not scanned yet'
+            )
+          ),
+          React.createElement('button', {
+            onClick: onScan,
+            className: 'px-3 py-1.5 rounded-lg text-xs font-medium bg-slate-700 hover:bg-slate-600 text-slate-200 transition-all'
+          }, chat.scan ? 'Rescan' : 'Scan')
+        ),
+        React.createElement('div', null,
+          React.createElement('label', { className: 'block text-xs font-medium text-slate-400 mb-1' }, 'Average prime offer rate (%)'),
+          React.createElement('input', {
+            type: 'number',
+            step: 'any',
+            value: chat.scanOptions?.apor ?? '',
+            onChange: (e) => onScanOptionsChange({ ...(chat.scanOptions || {}), apor: e.target.value === '' ? null : parseFloat(e.target.value) }),
+            placeholder: 'Needed for the HOEPA APR test',
+            className: 'w-full px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:border-blue-500 outline-none'
+          })
+        ),
+        chat.scan && React.createElement(ScanFindingsList, { findings: chat.scan.findings, onOpenSource })
+      )
+    )
+  );
+};
+
+const ExportModal = ({ isOpen, onClose, chat }) => {
+  const [reportOpen, setReportOpen] = useState(false);
+  const [reportOptions, setReportOptions] = useState({ analysis: true, monthlySchedule: false, transcript: false });
+
+  useEffect(() => {
+    if (isOpen) setReportOpen(false);
+  }, [isOpen]);
+
+  if (!isOpen || !chat) return null;
+
+  const exportAsJson = () => {
+    const data = JSON.stringify(chat, null, 2);
+    const blob = new Blob([data], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `loanlens-chat-${chat.id}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    onClose();
+  };
+
+  const exportAsMarkdown = () => {
+    let md = `# ${chat.title}\n\nExported: ${new Date().toLocaleString()}\n\n---\n\n`;
+    const profileLines = LOAN_PROFILE_FIELDS
+      .filter(field => chat.loanProfile?.fields?.[field.id])
+      .map(field => `| ${field.label} | ${formatProfileValue(field, chat.loanProfile.fields[field.id])} | ${chat.loanProfile.fields[field.id].edited ? 'Edited' : chat.loanProfile.fields[field.id].source ? `${chat.loanProfile.fields[field.id].source.name}, p. ${chat.loanProfile.fields[field.id].source.page}` : ''} |`);
+    if (profileLines.length) {
+      md += `## Loan Profile\n\n| Term | Value | Source |\n| --- | --- | --- |\n${profileLines.join('\n')}\n\n---\n\n`;
+    }
+    const formatMessage = (msg, heading) => {
+      const siblings = getSiblings(chat, msg);
+      const version = siblings.length > 1 ? ` (version ${siblings.indexOf(msg) + 1} of ${siblings.length})` : '';
+      const sources = resolveCitations(msg.citations)
+        .map((p, i) => `${i + 1}. ${p ? `${p.citation}: ${p.title}${p.url ? ` (${p.url})` : ''}` : msg.citations.ids[i]}`);
+      const sourceList = sources.length ? `**Sources** (regulation library v${msg.citations.version})\n\n${sources.join('\n')}\n\n` : '';
+      const about = msg.clause ? ` (about clause ${msg.clause.id})` : '';
+      return `${heading} ${msg.role === 'user' ? '👤 User' : '🤖 LoanLens AI'}${version}${about}\n\n${msg.content}\n\n${sourceList}---\n\n`;
+    };
+    const exported = new Set();
+    getActiveBranch(chat).forEach(msg => {
+      md += formatMessage(msg, '##');
+      exported.add(msg.id);
+    });
+    // Every other version is reachable from some leaf; print each one from the point it forks off.
+    const leaves = chat.messages.filter(m => !chat.messages.some(c => c.parentId === m.id) && !exported.has(m.id));
+    if (leaves.length) md += '# Other Branches\n\n';
+    leaves.forEach((leaf, i) => {
+      const branch = getBranch(chat, leaf.id);
+      const forkIndex = branch.findIndex(m => !exported.has(m.id));
+      const forkParent = branch[forkIndex - 1];
+      md += `## Branch ${i + 1}\n\n${forkParent ? `Continues after: "${forkParent.content.slice(0, 80).replace(/\s+/g, ' ')}${forkParent.content.length > 80 ? '…' : ''}"` : 'Starts a new conversation'}\n\n---\n\n`;
+      branch.slice(forkIndex).forEach(msg => {
+        md += formatMessage(msg, '###');
+        exported.add(msg.id);
+      });
+    });
+    const blob = new Blob([md], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `loanlens-chat-${chat.id}.md`;
+    a.click();
+    URL.revokeObjectURL(url);
+    onClose();
+  };
+
+  const exportReportHtml = () => {
+    const blob = new Blob([buildLoanReportHtml(chat, reportOptions)], { type: 'text/html' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `loanlens-report-${chat.id}.html`;
+    a.click();
+    URL.revokeObjectURL(url);
+    onClose();
+  };
+
+  const exportReportPdf = () => {
+    printReport(buildLoanReportHtml(chat, reportOptions));
+    onClose();
+  };
+
+  const reportOption = (key, label, description) => React.createElement('label', { key, className: 'flex items-start gap-3 cursor-pointer' },
+    React.createElement('input', {
+      type: 'checkbox',
+      checked: reportOptions[key],
+      onChange: (e) => setReportOptions(prev => ({ ...prev, [key]: e.target.checked })),
+      className: 'mt-1 accent-blue-500'
+    }),
+    React.createElement('div', null,
+      React.createElement('div', { className: 'text-sm text-white' }, label),
+      React.createElement('div', { className: 'text-xs text-slate-400' }, description)
+    )
+  );
 
   return React.createElement('div', { 
     className: 'fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4',
     onClick: (e) => e.target === e.currentTarget && onClose()
   },
-    React.createElement('div', { className: 'settings-modal bg-slate-900 rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden shadow-2xl border border-slate-700' },
-      React.createElement('div', { className: 'flex items-center justify-between p-6 border-b border-slate-700' },
-        React.createElement('h2', { className: 'text-xl font-semibold text-white' }, 'Settings'),
-        React.createElement('button', { onClick: onClose, className: 'text-slate-400 hover:text-white transition-colors' },
-          React.createElement('svg', { className: 'w-6 h-6', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
-            React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M6 18L18 6M6 6l12 12' })
-          )
-        )
+    React.createElement('div', { className: 'bg-slate-900 rounded-2xl w-full max-w-md overflow-hidden shadow-2xl border border-slate-700' },
+      React.createElement('div', { className: 'p-6 border-b border-slate-700' },
+        React.createElement('h2', { className: 'text-xl font-semibold text-white' }, reportOpen ? 'Loan Report' : 'Export Chat')
       ),
-      React.createElement('div', { className: 'flex border-b border-slate-700' },
-        tabs.map(tab => 
+      reportOpen && React.createElement('div', { className: 'report-options p-6 space-y-4' },
+        React.createElement('p', { className: 'text-sm text-slate-400' },
+          'Includes an executive summary, loan terms, red-flag findings, payment schedules with charts, and a disclaimer.'
+        ),
+        reportOption('analysis', 'Latest AI analysis', 'Add the most recent model reply to the summary, marked as AI-written'),
+        reportOption('monthlySchedule', 'Monthly schedules', 'Append month-by-month amortization tables'),
+        reportOption('transcript', 'Full transcript', 'Append the conversation shown on screen'),
+        React.createElement('div', { className: 'flex gap-3 pt-2' },
           React.createElement('button', {
-            key: tab.id,
-            onClick: () => setActiveTab(tab.id),
-            className: `px-6 py-3 text-sm font-medium transition-colors ${activeTab === tab.id ? 'text-blue-400 border-b-2 border-blue-400' : 'text-slate-400 hover:text-white'}`
-          }, tab.label)
+            onClick: exportReportPdf,
+            className: 'flex-1 py-2.5 bg-blue-600 hover:bg-blue-500 text-white rounded-lg font-medium transition-all'
+          }, 'Print / Save as PDF'),
+          React.createElement('button', {
+            onClick: exportReportHtml,
+            className: 'flex-1 py-2.5 bg-slate-800 hover:bg-slate-700 text-white rounded-lg font-medium transition-all'
+          }, 'Download HTML')
         )
       ),
-      React.createElement('div', { className: 'p-6 overflow-y-auto max-h-[60vh]' },
-        activeTab === 'api' && React.createElement('div', { className: 'space-y-6' },
-          React.createElement('div', { className: 'grid grid-cols-2 gap-4' },
-            React.createElement('button', {
-              onClick: () => updateSetting('connectionType', 'cloud'),
-              className: `p-4 rounded-xl border-2 transition-all ${localSettings.connectionType === 'cloud' ? 'border-blue-500 bg-blue-500/10' : 'border-slate-700 hover:border-slate-600'}`
-            },
-              React.createElement('div', { className: 'text-left' },
-                React.createElement('div', { className: 'font-medium text-white mb-1' }, '☁️ Cloud API'),
-                React.createElement('div', { className: 'text-xs text-slate-400' }, 'OpenAI, Anthropic, etc.')
-              )
-            ),
-            React.createElement('button', {
-              onClick: () => updateSetting('connectionType', 'local'),
-              className: `p-4 rounded-xl border-2 transition-all ${localSettings.connectionType === 'local' ? 'border-blue-500 bg-blue-500/10' : 'border-slate-700 hover:border-slate-600'}`
-            },
-              React.createElement('div', { className: 'text-left' },
-                React.createElement('div', { className: 'font-medium text-white mb-1' }, '💻 Local Model'),
-                React.createElement('div', { className: 'text-xs text-slate-400' }, 'Ollama, LM Studio')
+      !reportOpen && React.createElement('div', { className: 'p-6 space-y-3' },
+        React.createElement('button', {
+          onClick: () => setReportOpen(true),
+          className: 'w-full p-4 bg-slate-800 hover:bg-slate-700 rounded-xl text-left transition-all group'
+        },
+          React.createElement('div', { className: 'flex items-center gap-3' },
+            React.createElement('div', { className: 'w-10 h-10 bg-indigo-600 rounded-lg flex items-center justify-center' },
+              React.createElement('svg', { className: 'w-5 h-5 text-white', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+                React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z' })
               )
-            )
-          ),
-          localSettings.connectionType === 'cloud' && React.createElement('div', { className: 'space-y-4' },
-            React.createElement('div', null,
-              React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'API Endpoint'),
-              React.createElement('input', {
-                type: 'text',
-                value: localSettings.cloudEndpoint,
-                onChange: (e) => updateSetting('cloudEndpoint', e.target.value),
-                placeholder: 'https://api.openai.com/v1',
-                className: 'w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none'
-              })
-            ),
-            React.createElement('div', null,
-              React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'API Key'),
-              React.createElement('input', {
-                type: 'password',
-                value: localSettings.apiKey,
-                onChange: (e) => updateSetting('apiKey', e.target.value),
-                placeholder: 'sk-...',
-                className: 'w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none'
-              })
             ),
             React.createElement('div', null,
-              React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'Model'),
-              React.createElement('input', {
-                type: 'text',
-                value: localSettings.model,
-                onChange: (e) => updateSetting('model', e.target.value),
-                placeholder: 'gpt-4, claude-3, etc.',
-                className: 'w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none'
-              })
+              React.createElement('div', { className: 'font-medium text-white' }, 'Loan Report'),
+              React.createElement('div', { className: 'text-sm text-slate-400' }, 'PDF or offline HTML to share with a borrower or advisor')
             )
-          ),
-          localSettings.connectionType === 'local' && React.createElement('div', { className: 'space-y-4' },
-            React.createElement('div', null,
-              React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'Local Endpoint'),
-              React.createElement('input', {
-                type: 'text',
-                value: localSettings.localEndpoint,
-                onChange: (e) => updateSetting('localEndpoint', e.target.value),
-                placeholder: 'http://localhost:11434/v1',
-                className: 'w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none'
-              })
+          )
+        ),
+        React.createElement('button', {
+          onClick: exportAsJson,
+          className: 'w-full p-4 bg-slate-800 hover:bg-slate-700 rounded-xl text-left transition-all group'
+        },
+          React.createElement('div', { className: 'flex items-center gap-3' },
+            React.createElement('div', { className: 'w-10 h-10 bg-blue-600 rounded-lg flex items-center justify-center' },
+              React.createElement('span', { className: 'text-white font-mono text-sm' }, '{ }')
             ),
             React.createElement('div', null,
-              React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, 'Model Name'),
-              React.createElement('input', {
-                type: 'text',
-                value: localSettings.localModel,
-                onChange: (e) => updateSetting('localModel', e.target.value),
-                placeholder: 'llama2, mistral, etc.',
-                className: 'w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none'
-              })
+              React.createElement('div', { className: 'font-medium text-white' }, 'Export as JSON'),
+              React.createElement('div', { className: 'text-sm text-slate-400' }, 'Structured data format')
             )
-          ),
-          React.createElement('button', {
-            onClick: testConnection,
-            className: `w-full py-3 rounded-lg font-medium transition-all ${testStatus === 'success' ? 'bg-emerald-600 text-white' : testStatus === 'error' ? 'bg-red-600 text-white' : 'bg-slate-700 hover:bg-slate-600 text-white'}`
-          }, testStatus === 'testing' ? 'Testing...' : testStatus === 'success' ? '✓ Connected!' : testStatus === 'error' ? '✗ Connection Failed' : 'Test Connection')
+          )
         ),
-        activeTab === 'generation' && React.createElement('div', { className: 'space-y-6' },
-          React.createElement('div', null,
-            React.createElement('div', { className: 'flex items-center justify-between mb-3' },
-              React.createElement('label', { className: 'text-sm font-medium text-slate-300' }, 'Temperature'),
-              React.createElement('span', { className: 'text-sm text-blue-400 font-mono' }, localSettings.temperature.toFixed(2))
-            ),
-            React.createElement('input', {
-              type: 'range',
-              min: '0',
-              max: '2',
-              step: '0.1',
-              value: localSettings.temperature,
-              onChange: (e) => updateSetting('temperature', parseFloat(e.target.value)),
-              className: 'w-full accent-blue-500'
-            }),
-            React.createElement('div', { className: 'flex justify-between text-xs text-slate-500 mt-1' },
-              React.createElement('span', null, 'Precise'),
-              React.createElement('span', null, 'Creative')
-            )
-          ),
-          React.createElement('div', null,
-            React.createElement('div', { className: 'flex items-center justify-between mb-3' },
-              React.createElement('label', { className: 'text-sm font-medium text-slate-300' }, 'Top P'),
-              React.createElement('span', { className: 'text-sm text-blue-400 font-mono' }, localSettings.topP.toFixed(2))
+        React.createElement('button', {
+          onClick: exportAsMarkdown,
+          className: 'w-full p-4 bg-slate-800 hover:bg-slate-700 rounded-xl text-left transition-all group'
+        },
+          React.createElement('div', { className: 'flex items-center gap-3' },
+            React.createElement('div', { className: 'w-10 h-10 bg-emerald-600 rounded-lg flex items-center justify-center' },
+              React.createElement('span', { className: 'text-white font-bold' }, 'M↓')
             ),
-            React.createElement('input', {
-              type: 'range',
-              min: '0',
-              max: '1',
-              step: '0.05',
-              value: localSettings.topP,
-              onChange: (e) => updateSetting('topP', parseFloat(e.target.value)),
-              className: 'w-full accent-blue-500'
-            })
-          ),
-          React.createElement('div', null,
-            React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-3' }, 'Max Tokens'),
-            React.createElement('div', { className: 'flex gap-2 flex-wrap' },
-              [512, 1024, 2048, 4096].map(tokens =>
-                React.createElement('button', {
-                  key: tokens,
-                  onClick: () => updateSetting('maxTokens', tokens),
-                  className: `px-4 py-2 rounded-lg text-sm font-medium transition-all ${localSettings.maxTokens === tokens ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`
-                }, tokens.toLocaleString())
-              )
-            )
-          ),
-          React.createElement('div', { className: 'flex items-center justify-between' },
             React.createElement('div', null,
-              React.createElement('div', { className: 'text-sm font-medium text-slate-300' }, 'Streaming Responses'),
-              React.createElement('div', { className: 'text-xs text-slate-500' }, 'Show response as it\'s generated')
-            ),
-            React.createElement('button', {
-              onClick: () => updateSetting('streaming', !localSettings.streaming),
-              className: `relative w-12 h-6 rounded-full transition-colors ${localSettings.streaming ? 'bg-blue-600' : 'bg-slate-700'}`
-            },
-              React.createElement('div', {
-                className: `absolute top-1 w-4 h-4 rounded-full bg-white transition-transform ${localSettings.streaming ? 'translate-x-7' : 'translate-x-1'}`
-              })
+              React.createElement('div', { className: 'font-medium text-white' }, 'Export as Markdown'),
+              React.createElement('div', { className: 'text-sm text-slate-400' }, 'Human-readable format')
             )
-          ),
-          React.createElement('div', { className: 'flex gap-2 pt-4' },
-            React.createElement('button', {
-              onClick: () => { updateSetting('temperature', 0.3); updateSetting('topP', 0.9); },
-              className: 'flex-1 py-2 px-4 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-medium transition-all'
-            }, '🎯 Precise'),
-            React.createElement('button', {
-              onClick: () => { updateSetting('temperature', 0.7); updateSetting('topP', 0.95); },
-              className: 'flex-1 py-2 px-4 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-medium transition-all'
-            }, '⚖️ Balanced'),
-            React.createElement('button', {
-              onClick: () => { updateSetting('temperature', 1.2); updateSetting('topP', 1); },
-              className: 'flex-1 py-2 px-4 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-medium transition-all'
-            }, '✨ Creative')
+          )
+        )
+      ),
+      React.createElement('div', { className: 'p-6 border-t border-slate-700' },
+        React.createElement('button', {
+          onClick: reportOpen ? () => setReportOpen(false) : onClose,
+          className: 'w-full py-2.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-medium transition-all'
+        }, reportOpen ? 'Back' : 'Cancel')
+      )
+    )
+  );
+};
+
+// Browses and searches the bundled regulation library; citations in replies open their passage here.
+const RegulationLibraryModal = ({ isOpen, passageId, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setQuery('');
+    setSelectedId(passageId || REGULATION_LIBRARY.passages[0].id);
+  }, [isOpen, passageId]);
+
+  const results = useMemo(() => query.trim()
+    ? searchIndex(REGULATION_INDEX, query, 12).map(r => r.doc)
+    : REGULATION_LIBRARY.passages,
+  [query]);
+
+  if (!isOpen) return null;
+
+  const selected = findRegulationPassage(selectedId);
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4',
+    onClick: (e) => e.target === e.currentTarget && onClose()
+  },
+    React.createElement('div', { className: 'regulation-library bg-slate-900 rounded-2xl w-full max-w-4xl max-h-[90vh] flex flex-col overflow-hidden shadow-2xl border border-slate-700' },
+      React.createElement('div', { className: 'flex items-center justify-between gap-4 p-6 border-b border-slate-700' },
+        React.createElement('div', null,
+          React.createElement('h2', { className: 'text-xl font-semibold text-white' }, 'Regulation Library'),
+          React.createElement('p', { className: 'text-sm text-slate-400 mt-1' },
+            `v${REGULATION_LIBRARY.version} · ${REGULATION_LIBRARY.passages.length} passages as of ${REGULATION_LIBRARY.asOf} · works offline`
           )
         ),
-        activeTab === 'system' && React.createElement('div', { className: 'space-y-4' },
-          React.createElement('textarea', {
-            value: localSettings.systemPrompt,
-            onChange: (e) => updateSetting('systemPrompt', e.target.value),
-            rows: 12,
-            className: 'w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none resize-none font-mono text-sm'
-          }),
-          React.createElement('button', {
-            onClick: () => updateSetting('systemPrompt', DEFAULT_SYSTEM_PROMPT),
-            className: 'px-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-medium transition-all'
-          }, 'Reset to Default')
+        React.createElement('button', { onClick: onClose, className: 'p-2 text-slate-400 hover:text-white transition-colors' },
+          React.createElement('svg', { className: 'w-5 h-5', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+            React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M6 18L18 6M6 6l12 12' })
+          )
+        )
+      ),
+      React.createElement('div', { className: 'flex flex-1 min-h-0' },
+        React.createElement('div', { className: 'w-2/5 flex flex-col border-r border-slate-700' },
+          React.createElement('div', { className: 'p-4' },
+            React.createElement('input', {
+              value: query,
+              onChange: (e) => setQuery(e.target.value),
+              placeholder: 'Search regulations and terms',
+              className: 'regulation-search w-full px-4 py-2.5 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:border-blue-500 outline-none'
+            })
+          ),
+          React.createElement('div', { className: 'flex-1 overflow-y-auto px-2 pb-4' },
+            results.length === 0 && React.createElement('p', { className: 'text-sm text-slate-500 text-center py-6' }, 'No passages found.'),
+            results.map(passage => React.createElement('button', {
+              key: passage.id,
+              onClick: () => setSelectedId(passage.id),
+              className: `regulation-result w-full text-left px-3 py-2 rounded-lg transition-colors ${passage.id === selectedId ? 'bg-slate-800' : 'hover:bg-slate-800/60'}`
+            },
+              React.createElement('div', { className: 'text-sm text-white' }, passage.title),
+              React.createElement('div', { className: 'text-xs text-slate-500' }, passage.citation)
+            ))
+          )
+        ),
+        React.createElement('div', { className: 'regulation-passage flex-1 p-6 overflow-y-auto' },
+          selected
+            ? React.createElement('div', { className: 'space-y-3' },
+                React.createElement('div', { className: 'text-xs font-medium text-blue-300' }, selected.source),
+                React.createElement('h3', { className: 'text-lg font-semibold text-white' }, selected.title),
+                React.createElement('div', { className: 'text-sm text-slate-400' }, selected.citation),
+                React.createElement('p', { className: 'text-sm text-slate-200 leading-relaxed' }, selected.text),
+                React.createElement('p', { className: 'text-xs text-slate-500' },
+                  'Condensed from the source; check the official text before relying on it.',
+                  selected.url && ' ',
+                  selected.url && React.createElement('a', { href: selected.url, target: '_blank', rel: 'noopener noreferrer', className: 'text-blue-400 hover:underline' }, 'Official text ↗')
+                )
+              )
+            : React.createElement('p', { className: 'text-sm text-slate-500' }, 'Select a passage.')
         )
+      )
+    )
+  );
+};
+
+// Fills a template's variables before it is placed in the composer.
+const TemplateVariablesModal = ({ template, onClose, onApply }) => {
+  const variables = extractTemplateVariables(template);
+  const [values, setValues] = useState({});
+  const missing = variables.filter(name => !values[name]?.trim());
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (missing.length) return;
+    onApply(values);
+  };
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4',
+    onClick: (e) => e.target === e.currentTarget && onClose()
+  },
+    React.createElement('form', { onSubmit: submit, className: 'template-variables bg-slate-900 rounded-2xl w-full max-w-md overflow-hidden shadow-2xl border border-slate-700' },
+      React.createElement('div', { className: 'p-6 border-b border-slate-700' },
+        React.createElement('h2', { className: 'text-xl font-semibold text-white' }, template.name),
+        template.description && React.createElement('p', { className: 'text-sm text-slate-400 mt-1' }, template.description)
       ),
-      React.createElement('div', { className: 'flex justify-end gap-3 p-6 border-t border-slate-700' },
+      React.createElement('div', { className: 'p-6 space-y-4' },
+        variables.map((name, i) => React.createElement('div', { key: name },
+          React.createElement('label', { className: 'block text-sm font-medium text-slate-300 mb-2' }, describeTemplateVariable(name)),
+          React.createElement('input', {
+            value: values[name] || '',
+            autoFocus: i === 0,
+            onChange: (e) => setValues(prev => ({ ...prev, [name]: e.target.value })),
+            className: 'w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none'
+          })
+        ))
+      ),
+      React.createElement('div', { className: 'flex gap-3 p-6 border-t border-slate-700' },
         React.createElement('button', {
+          type: 'button',
           onClick: onClose,
-          className: 'px-6 py-2.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-medium transition-all'
+          className: 'flex-1 py-2.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-medium transition-all'
         }, 'Cancel'),
         React.createElement('button', {
-          onClick: handleSave,
-          className: 'px-6 py-2.5 bg-blue-600 hover:bg-blue-500 text-white rounded-lg font-medium transition-all'
-        }, 'Save Changes')
+          type: 'submit',
+          disabled: missing.length > 0,
+          className: 'flex-1 py-2.5 bg-blue-600 hover:bg-blue-500 disabled:bg-slate-700 disabled:text-slate-500 text-white rounded-lg font-medium transition-all'
+        }, 'Use Template')
       )
     )
   );
 };
 
-const ExportModal = ({ isOpen, onClose, chat }) => {
-  if (!isOpen || !chat) return null;
+const EMPTY_TEMPLATE = { name: '', description: '', prompt: '', systemPrompt: '', generation: {}, favorite: false };
 
-  const exportAsJson = () => {
-    const data = JSON.stringify(chat, null, 2);
+const TemplateEditor = ({ template, onSave, onCancel }) => {
+  const [draft, setDraft] = useState({ ...EMPTY_TEMPLATE, ...template, generation: { ...template.generation } });
+  const update = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+  const updateGeneration = (key, value) => setDraft(prev => {
+    const generation = { ...prev.generation };
+    if (value === '') delete generation[key];
+    else generation[key] = Number(value);
+    return { ...prev, generation };
+  });
+  const variables = extractTemplateVariables(draft);
+  const inputClass = 'w-full px-4 py-3 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none';
+  const labelClass = 'block text-sm font-medium text-slate-300 mb-2';
+
+  return React.createElement('div', { className: 'template-editor space-y-4' },
+    React.createElement('div', null,
+      React.createElement('label', { className: labelClass }, 'Name'),
+      React.createElement('input', { value: draft.name, onChange: (e) => update('name', e.target.value), placeholder: 'FHA closing disclosure audit', className: inputClass })
+    ),
+    React.createElement('div', null,
+      React.createElement('label', { className: labelClass }, 'Description'),
+      React.createElement('input', { value: draft.description, onChange: (e) => update('description', e.target.value), className: inputClass })
+    ),
+    React.createElement('div', null,
+      React.createElement('label', { className: labelClass }, 'Prompt'),
+      React.createElement('textarea', {
+        value: draft.prompt,
+        onChange: (e) => update('prompt', e.target.value),
+        rows: 6,
+        placeholder: 'Review this {{loan_type}} offer for a borrower in {{state}}…',
+        className: `${inputClass} resize-y text-sm`
+      }),
+      React.createElement('p', { className: 'text-xs text-slate-500 mt-1' },
+        variables.length
+          ? `Variables: ${variables.map(v => `{{${v}}}`).join(', ')}`
+          : 'Write {{variable_name}} for values to fill in each time the template is used.'
+      )
+    ),
+    React.createElement('div', null,
+      React.createElement('label', { className: labelClass }, 'System Prompt (optional)'),
+      React.createElement('textarea', {
+        value: draft.systemPrompt || '',
+        onChange: (e) => update('systemPrompt', e.target.value),
+        rows: 4,
+        placeholder: 'Leave empty to use the system prompt from settings',
+        className: `${inputClass} resize-y font-mono text-xs`
+      })
+    ),
+    React.createElement('div', null,
+      React.createElement('label', { className: labelClass }, 'Generation Settings (optional)'),
+      React.createElement('div', { className: 'grid grid-cols-3 gap-3' },
+        [
+          { key: 'temperature', label: 'Temperature', step: 0.1, min: 0, max: 2 },
+          { key: 'topP', label: 'Top P', step: 0.05, min: 0, max: 1 },
+          { key: 'maxTokens', label: 'Max Tokens', step: 256, min: 256, max: 32768 }
+        ].map(field => React.createElement('div', { key: field.key },
+          React.createElement('div', { className: 'text-xs text-slate-500 mb-1' }, field.label),
+          React.createElement('input', {
+            type: 'number',
+            value: draft.generation[field.key] ?? '',
+            step: field.step,
+            min: field.min,
+            max: field.max,
+            placeholder: 'Default',
+            onChange: (e) => updateGeneration(field.key, e.target.value),
+            className: 'w-full px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:border-blue-500 outline-none'
+          })
+        ))
+      )
+    ),
+    React.createElement('label', { className: 'flex items-center gap-2 text-sm text-slate-300 cursor-pointer' },
+      React.createElement('input', { type: 'checkbox', checked: draft.favorite, onChange: (e) => update('favorite', e.target.checked), className: 'accent-blue-500' }),
+      'Show on the welcome screen'
+    ),
+    React.createElement('div', { className: 'flex gap-3' },
+      React.createElement('button', {
+        onClick: onCancel,
+        className: 'flex-1 py-2.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-medium transition-all'
+      }, 'Cancel'),
+      React.createElement('button', {
+        onClick: () => onSave(normalizeTemplate(draft)),
+        disabled: !draft.name.trim() || !draft.prompt.trim(),
+        className: 'flex-1 py-2.5 bg-blue-600 hover:bg-blue-500 disabled:bg-slate-700 disabled:text-slate-500 text-white rounded-lg font-medium transition-all'
+      }, 'Save Template')
+    )
+  );
+};
+
+const TemplateLibraryModal = ({ isOpen, onClose, templates, onChange, onUse }) => {
+  const [query, setQuery] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setQuery('');
+    setEditing(null);
+    setError(null);
+    setNotice(null);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const needle = query.trim().toLowerCase();
+  const visible = templates.filter(t => !needle || `${t.name} ${t.description} ${t.prompt}`.toLowerCase().includes(needle));
+
+  const saveTemplate = (template) => {
+    onChange(templates.some(t => t.id === template.id) ? templates.map(t => t.id === template.id ? template : t) : [...templates, template]);
+    setEditing(null);
+  };
+
+  const exportTemplates = () => {
+    const data = JSON.stringify({ format: TEMPLATE_EXPORT_FORMAT, version: 1, templates }, null, 2);
     const blob = new Blob([data], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `loanlens-chat-${chat.id}.json`;
+    a.download = 'loanlens-templates.json';
     a.click();
     URL.revokeObjectURL(url);
-    onClose();
   };
 
-  const exportAsMarkdown = () => {
-    let md = `# ${chat.title}\n\nExported: ${new Date().toLocaleString()}\n\n---\n\n`;
-    chat.messages.forEach(msg => {
-      md += `## ${msg.role === 'user' ? '👤 User' : '🤖 LoanLens AI'}\n\n${msg.content}\n\n---\n\n`;
-    });
-    const blob = new Blob([md], { type: 'text/markdown' });
+  const importTemplates = async (file) => {
+    if (!file) return;
+    setError(null);
+    setNotice(null);
+    try {
+      const imported = parseTemplateFile(await file.text());
+      const replaced = imported.filter(i => templates.some(t => t.id === i.id)).length;
+      onChange(mergeTemplates(templates, imported));
+      setNotice(`Imported ${imported.length} template${imported.length === 1 ? '' : 's'}${replaced ? ` (${replaced} updated)` : ''}.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const iconButton = (title, onClick, d, className = 'text-slate-400 hover:text-white') => React.createElement('button', {
+    title,
+    onClick,
+    className: `p-1.5 rounded-md hover:bg-slate-700 transition-all ${className}`
+  },
+    React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+      React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d })
+    )
+  );
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4',
+    onClick: (e) => e.target === e.currentTarget && onClose()
+  },
+    React.createElement('div', { className: 'template-library bg-slate-900 rounded-2xl w-full max-w-2xl max-h-[90vh] flex flex-col overflow-hidden shadow-2xl border border-slate-700' },
+      React.createElement('div', { className: 'flex items-center justify-between gap-4 p-6 border-b border-slate-700' },
+        React.createElement('div', null,
+          React.createElement('h2', { className: 'text-xl font-semibold text-white' }, editing ? (editing.id ? 'Edit Template' : 'New Template') : 'Prompt Templates'),
+          !editing && React.createElement('p', { className: 'text-sm text-slate-400 mt-1' }, 'Starred templates appear on the welcome screen.')
+        ),
+        !editing && React.createElement('button', {
+          onClick: () => setEditing({ ...EMPTY_TEMPLATE }),
+          className: 'px-4 py-2 bg-blue-600 hover:bg-blue-500 text-white rounded-lg text-sm font-medium transition-all'
+        }, 'New Template')
+      ),
+      React.createElement('div', { className: 'p-6 space-y-4 overflow-y-auto' },
+        editing
+          ? React.createElement(TemplateEditor, { template: editing, onSave: saveTemplate, onCancel: () => setEditing(null) })
+          : React.createElement(React.Fragment, null,
+              React.createElement('input', {
+                value: query,
+                onChange: (e) => setQuery(e.target.value),
+                placeholder: 'Search templates',
+                className: 'w-full px-4 py-2.5 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:border-blue-500 outline-none'
+              }),
+              error && React.createElement('div', { className: 'text-sm text-red-400' }, error),
+              notice && React.createElement('div', { className: 'text-sm text-emerald-400' }, notice),
+              visible.length === 0 && React.createElement('p', { className: 'text-sm text-slate-500 text-center py-6' }, 'No templates found.'),
+              visible.map(template => React.createElement('div', { key: template.id, className: 'template-item flex items-start gap-3 p-4 bg-slate-800/60 rounded-xl' },
+                React.createElement('button', {
+                  title: template.favorite ? 'Remove from favorites' : 'Add to favorites',
+                  onClick: () => onChange(templates.map(t => t.id === template.id ? { ...t, favorite: !t.favorite } : t)),
+                  className: `favorite-btn text-lg leading-none ${template.favorite ? 'text-amber-300' : 'text-slate-600 hover:text-slate-400'}`
+                }, template.favorite ? '★' : '☆'),
+                React.createElement('div', { className: 'flex-1 min-w-0' },
+                  React.createElement('div', { className: 'font-medium text-white' }, template.name),
+                  template.description && React.createElement('div', { className: 'text-sm text-slate-400' }, template.description),
+                  React.createElement('div', { className: 'flex flex-wrap gap-1.5 mt-2 text-xs' },
+                    extractTemplateVariables(template).map(v => React.createElement('span', { key: v, className: 'px-1.5 py-0.5 rounded bg-slate-700 text-slate-300 font-mono' }, `{{${v}}}`)),
+                    template.systemPrompt && React.createElement('span', { className: 'px-1.5 py-0.5 rounded bg-indigo-500/20 text-indigo-300' }, 'System prompt'),
+                    template.generation && React.createElement('span', { className: 'px-1.5 py-0.5 rounded bg-indigo-500/20 text-indigo-300' },
+                      Object.entries(template.generation).map(([k, v]) => `${k === 'topP' ? 'Top P' : k === 'maxTokens' ? 'Max tokens' : 'Temp'} ${v}`).join(' · ')
+                    )
+                  )
+                ),
+                React.createElement('div', { className: 'flex items-center gap-1' },
+                  React.createElement('button', {
+                    onClick: () => onUse(template),
+                    className: 'px-3 py-1.5 bg-blue-600 hover:bg-blue-500 text-white rounded-lg text-sm font-medium transition-all'
+                  }, 'Use'),
+                  iconButton('Edit', () => setEditing(template), 'M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z'),
+                  iconButton('Duplicate', () => setEditing({ ...template, id: undefined, name: `${template.name} (copy)` }), 'M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z'),
+                  iconButton('Delete', () => onChange(templates.filter(t => t.id !== template.id)), 'M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16', 'text-red-400 hover:bg-red-600/20')
+                )
+              ))
+            )
+      ),
+      !editing && React.createElement('div', { className: 'flex gap-3 p-6 border-t border-slate-700' },
+        React.createElement('input', {
+          ref: fileInputRef,
+          type: 'file',
+          accept: '.json,application/json',
+          className: 'hidden',
+          onChange: (e) => { importTemplates(e.target.files[0]); e.target.value = ''; }
+        }),
+        React.createElement('button', {
+          onClick: () => fileInputRef.current.click(),
+          className: 'px-4 py-2.5 bg-slate-800 hover:bg-slate-700 text-slate-300 rounded-lg text-sm font-medium transition-all'
+        }, 'Import'),
+        React.createElement('button', {
+          onClick: exportTemplates,
+          disabled: templates.length === 0,
+          className: 'px-4 py-2.5 bg-slate-800 hover:bg-slate-700 disabled:opacity-50 text-slate-300 rounded-lg text-sm font-medium transition-all'
+        }, 'Export'),
+        React.createElement('button', {
+          onClick: onClose,
+          className: 'ml-auto px-6 py-2.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-medium transition-all'
+        }, 'Close')
+      )
+    )
+  );
+};
+
+const IMPORT_ACTION_LABELS = {
+  add: { label: 'Add', className: 'bg-emerald-500/15 text-emerald-300' },
+  copy: { label: 'Add as copy', className: 'bg-blue-500/15 text-blue-300' },
+  overwrite: { label: 'Overwrite', className: 'bg-amber-500/15 text-amber-300' },
+  skip: { label: 'Keep local', className: 'bg-slate-700 text-slate-300' },
+  unchanged: { label: 'Unchanged', className: 'bg-slate-700 text-slate-400' },
+  delete: { label: 'Delete', className: 'bg-red-500/15 text-red-300' }
+};
+
+const BackupModal = ({ isOpen, onClose, chats, settings, templates, comparison, vaultEnabled, onImport }) => {
+  const [imported, setImported] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [collisions, setCollisions] = useState('copy');
+  const [restoreSettings, setRestoreSettings] = useState(true);
+  const [restoreTemplates, setRestoreTemplates] = useState(true);
+  const [restoreComparison, setRestoreComparison] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setImported(null);
+    setFileName('');
+    setMode('merge');
+    setCollisions('copy');
+    setError(null);
+    setNotice(null);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const downloadBackup = () => {
+    const data = JSON.stringify(buildWorkspaceBackup({ chats, settings, templates, comparison }), null, 2);
+    const blob = new Blob([data], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `loanlens-chat-${chat.id}.md`;
+    a.download = `loanlens-backup-${new Date().toISOString().slice(0, 10)}.json`;
     a.click();
     URL.revokeObjectURL(url);
-    onClose();
   };
 
-  return React.createElement('div', { 
+  const readFile = async (file) => {
+    if (!file) return;
+    setError(null);
+    setNotice(null);
+    setFileName(file.name);
+    try {
+      const result = parseImportFile(await file.text());
+      setImported(result);
+      setMode(result.kind === 'workspace' ? mode : 'merge');
+      setRestoreSettings(!!result.settings);
+      setRestoreTemplates(!!result.templates?.length);
+      setRestoreComparison(!!result.comparison);
+    } catch (err) {
+      setImported(null);
+      setError(err.message);
+    }
+  };
+
+  const changes = imported ? planImport(chats, imported.chats, { mode, collisions }) : [];
+  const counts = changes.reduce((acc, c) => ({ ...acc, [c.action]: (acc[c.action] || 0) + 1 }), {});
+  const willApplySettings = !!imported?.settings && restoreSettings;
+  const willApplyTemplates = !!imported?.templates?.length && restoreTemplates;
+  const willApplyComparison = !!imported?.comparison && restoreComparison;
+  const hasEffect = changes.some(c => c.action !== 'unchanged' && c.action !== 'skip') || willApplySettings || willApplyTemplates || willApplyComparison;
+
+  const applyImport = () => {
+    onImport({
+      chats: applyImportPlan(chats, changes, mode),
+      settings: willApplySettings ? imported.settings : null,
+      templates: willApplyTemplates ? (mode === 'replace' ? imported.templates : mergeTemplates(templates, imported.templates)) : null,
+      comparison: willApplyComparison ? imported.comparison : null
+    });
+    setNotice(`Imported from ${fileName}: ${Object.entries(counts).map(([action, n]) => `${n} ${IMPORT_ACTION_LABELS[action].label.toLowerCase()}`).join(', ')}.`);
+    setImported(null);
+  };
+
+  const optionButton = (active, onClick, label) => React.createElement('button', {
+    onClick,
+    className: `flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-all ${active ? 'bg-blue-600 text-white' : 'bg-slate-800 hover:bg-slate-700 text-slate-300'}`
+  }, label);
+  const checkbox = (checked, onChange, label) => React.createElement('label', { className: 'flex items-center gap-2 text-sm text-slate-300 cursor-pointer' },
+    React.createElement('input', { type: 'checkbox', checked, onChange: (e) => onChange(e.target.checked), className: 'accent-blue-500' }),
+    label
+  );
+
+  return React.createElement('div', {
     className: 'fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4',
     onClick: (e) => e.target === e.currentTarget && onClose()
   },
-    React.createElement('div', { className: 'bg-slate-900 rounded-2xl w-full max-w-md overflow-hidden shadow-2xl border border-slate-700' },
+    React.createElement('div', { className: 'backup-modal bg-slate-900 rounded-2xl w-full max-w-lg max-h-[90vh] flex flex-col overflow-hidden shadow-2xl border border-slate-700' },
       React.createElement('div', { className: 'p-6 border-b border-slate-700' },
-        React.createElement('h2', { className: 'text-xl font-semibold text-white' }, 'Export Chat')
+        React.createElement('h2', { className: 'text-xl font-semibold text-white' }, 'Backup & Import'),
+        React.createElement('p', { className: 'text-sm text-slate-400 mt-1' }, 'Move chats, settings and templates between machines. API keys are never included.')
       ),
-      React.createElement('div', { className: 'p-6 space-y-3' },
-        React.createElement('button', {
-          onClick: exportAsJson,
-          className: 'w-full p-4 bg-slate-800 hover:bg-slate-700 rounded-xl text-left transition-all group'
-        },
-          React.createElement('div', { className: 'flex items-center gap-3' },
-            React.createElement('div', { className: 'w-10 h-10 bg-blue-600 rounded-lg flex items-center justify-center' },
-              React.createElement('span', { className: 'text-white font-mono text-sm' }, '{ }')
-            ),
-            React.createElement('div', null,
-              React.createElement('div', { className: 'font-medium text-white' }, 'Export as JSON'),
-              React.createElement('div', { className: 'text-sm text-slate-400' }, 'Structured data format')
-            )
+      React.createElement('div', { className: 'p-6 space-y-5 overflow-y-auto' },
+        React.createElement('div', { className: 'space-y-2' },
+          React.createElement('button', {
+            onClick: downloadBackup,
+            className: 'w-full py-2.5 bg-slate-800 hover:bg-slate-700 text-white rounded-lg font-medium transition-all'
+          }, `Download Workspace Backup (${chats.length} chat${chats.length === 1 ? '' : 's'})`),
+          vaultEnabled && React.createElement('p', { className: 'text-xs text-amber-300' },
+            'The backup file is not encrypted, even though the vault is on. Store it somewhere safe.'
           )
         ),
-        React.createElement('button', {
-          onClick: exportAsMarkdown,
-          className: 'w-full p-4 bg-slate-800 hover:bg-slate-700 rounded-xl text-left transition-all group'
-        },
-          React.createElement('div', { className: 'flex items-center gap-3' },
-            React.createElement('div', { className: 'w-10 h-10 bg-emerald-600 rounded-lg flex items-center justify-center' },
-              React.createElement('span', { className: 'text-white font-bold' }, 'M↓')
+        React.createElement('div', { className: 'space-y-3 pt-5 border-t border-slate-800' },
+          React.createElement('div', { className: 'text-sm font-medium text-slate-300' }, 'Import a chat export or workspace backup'),
+          React.createElement('input', {
+            ref: fileInputRef,
+            type: 'file',
+            accept: '.json,application/json',
+            className: 'hidden',
+            onChange: (e) => { readFile(e.target.files[0]); e.target.value = ''; }
+          }),
+          React.createElement('button', {
+            onClick: () => fileInputRef.current.click(),
+            className: 'w-full py-2.5 border border-dashed border-slate-600 hover:border-blue-500 text-slate-300 rounded-lg text-sm transition-all'
+          }, fileName && imported ? fileName : 'Choose File…'),
+          error && React.createElement('div', { className: 'text-sm text-red-400' }, error),
+          notice && React.createElement('div', { className: 'text-sm text-emerald-400' }, notice),
+          imported && React.createElement('div', { className: 'import-preview space-y-4' },
+            React.createElement('div', { className: 'text-xs text-slate-500' },
+              imported.kind === 'workspace'
+                ? `Workspace backup${imported.exportedAt ? ` from ${new Date(imported.exportedAt).toLocaleString()}` : ''} · ${imported.chats.length} chat${imported.chats.length === 1 ? '' : 's'}`
+                : 'Single chat export'
             ),
-            React.createElement('div', null,
-              React.createElement('div', { className: 'font-medium text-white' }, 'Export as Markdown'),
-              React.createElement('div', { className: 'text-sm text-slate-400' }, 'Human-readable format')
-            )
+            imported.kind === 'workspace' && React.createElement('div', { className: 'flex gap-2' },
+              optionButton(mode === 'merge', () => setMode('merge'), 'Merge'),
+              optionButton(mode === 'replace', () => setMode('replace'), 'Replace Everything')
+            ),
+            mode === 'merge' && changes.some(c => ['copy', 'overwrite', 'skip'].includes(c.action)) && React.createElement('div', null,
+              React.createElement('div', { className: 'text-xs text-slate-400 mb-2' }, 'When a chat already exists here with different content:'),
+              React.createElement('div', { className: 'flex gap-2' },
+                optionButton(collisions === 'copy', () => setCollisions('copy'), 'Keep Both'),
+                optionButton(collisions === 'overwrite', () => setCollisions('overwrite'), 'Overwrite'),
+                optionButton(collisions === 'skip', () => setCollisions('skip'), 'Keep Local')
+              )
+            ),
+            (imported.settings || imported.templates?.length || imported.comparison) && React.createElement('div', { className: 'space-y-2' },
+              imported.settings && checkbox(restoreSettings, setRestoreSettings, 'Restore settings and provider profiles (your API keys are kept)'),
+              imported.templates?.length > 0 && checkbox(restoreTemplates, setRestoreTemplates,
+                `${mode === 'replace' ? 'Replace' : 'Merge'} prompt templates (${imported.templates.length} template${imported.templates.length === 1 ? '' : 's'})`
+              ),
+              imported.comparison && checkbox(restoreComparison, setRestoreComparison, `Restore comparison (${imported.comparison.offers.length} offer${imported.comparison.offers.length === 1 ? '' : 's'})`)
+            ),
+            React.createElement('div', { className: 'rounded-lg border border-slate-700 divide-y divide-slate-800 max-h-56 overflow-y-auto' },
+              changes.map((change, i) => React.createElement('div', { key: `${change.action}-${change.chat.id}-${i}`, className: 'flex items-center justify-between gap-3 px-3 py-2' },
+                React.createElement('div', { className: 'min-w-0' },
+                  React.createElement('div', { className: 'text-sm text-white truncate' }, change.chat.title),
+                  React.createElement('div', { className: 'text-xs text-slate-500' },
+                    `${change.chat.messages.length} message${change.chat.messages.length === 1 ? '' : 's'}${change.chat.documents?.length ? ` · ${change.chat.documents.length} attachment${change.chat.documents.length === 1 ? '' : 's'}` : ''}`
+                  )
+                ),
+                React.createElement('span', { className: `shrink-0 px-2 py-0.5 rounded text-xs font-medium ${IMPORT_ACTION_LABELS[change.action].className}` }, IMPORT_ACTION_LABELS[change.action].label)
+              ))
+            ),
+            imported.rejected.length > 0 && React.createElement('div', { className: 'text-xs text-amber-300 space-y-1' },
+              imported.rejected.map((r, i) => React.createElement('div', { key: i }, `Skipped "${r.title}": ${r.problems.join(', ')}`))
+            ),
+            React.createElement('button', {
+              onClick: applyImport,
+              disabled: !hasEffect,
+              className: `w-full py-2.5 ${mode === 'replace' ? 'bg-red-600 hover:bg-red-500' : 'bg-blue-600 hover:bg-blue-500'} disabled:bg-slate-700 disabled:text-slate-500 text-white rounded-lg font-medium transition-all`
+            }, !hasEffect ? 'Nothing to Import' : mode === 'replace' ? 'Replace Workspace' : 'Import')
           )
         )
       ),
@@ -439,12 +7282,126 @@ const ExportModal = ({ isOpen, onClose, chat }) => {
         React.createElement('button', {
           onClick: onClose,
           className: 'w-full py-2.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-medium transition-all'
-        }, 'Cancel')
+        }, 'Close')
       )
     )
   );
 };
 
+const HighlightedText = ({ text, query }) => {
+  const index = query ? text.toLowerCase().indexOf(query.toLowerCase()) : -1;
+  if (index === -1) return text;
+  return React.createElement(React.Fragment, null,
+    text.slice(0, index),
+    React.createElement('mark', { className: 'search-hit' }, text.slice(index, index + query.length)),
+    React.createElement(HighlightedText, { text: text.slice(index + query.length), query })
+  );
+};
+
+const ChatListItem = ({ chat, active, result, query, folders, onSelect, onDelete, onTogglePin, onRename, onMove, onSetTags, onTagClick, onOpenHit }) => {
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState('');
+  // Enter and Escape close the editor, and the input then blurs; this keeps the blur from committing again.
+  const closedRef = useRef(false);
+
+  const startEditing = (field, value) => {
+    closedRef.current = false;
+    setEditing(field);
+    setDraft(value);
+  };
+
+  const cancel = () => {
+    closedRef.current = true;
+    setEditing(null);
+  };
+
+  const commit = () => {
+    if (closedRef.current) return;
+    closedRef.current = true;
+    if (editing === 'title' && draft.trim()) onRename(draft.trim());
+    if (editing === 'folder') onMove(draft.trim() || null);
+    if (editing === 'tags') onSetTags(parseTags(draft));
+    setEditing(null);
+  };
+
+  const action = (title, onClick, d, className = 'text-slate-400 hover:text-white') => React.createElement('button', {
+    title,
+    onClick: (e) => { e.stopPropagation(); onClick(); },
+    className: `p-1 rounded-md hover:bg-slate-700 transition-all ${className}`
+  },
+    React.createElement('svg', { className: 'w-3.5 h-3.5', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+      React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d })
+    )
+  );
+
+  const placeholders = { title: 'Chat title', folder: 'Folder name (empty to remove)', tags: 'Tags, separated by commas' };
+
+  return React.createElement('div', {
+    onClick: onSelect,
+    className: `chat-item group p-3 rounded-xl cursor-pointer transition-all ${active ? 'bg-slate-800' : 'hover:bg-slate-800/50'}`
+  },
+    editing
+      ? React.createElement('div', { onClick: (e) => e.stopPropagation() },
+          React.createElement('input', {
+            value: draft,
+            autoFocus: true,
+            list: editing === 'folder' ? 'chat-folder-options' : undefined,
+            placeholder: placeholders[editing],
+            onChange: (e) => setDraft(e.target.value),
+            onKeyDown: (e) => {
+              if (e.key === 'Enter') commit();
+              if (e.key === 'Escape') cancel();
+            },
+            onBlur: commit,
+            className: 'chat-item-editor w-full px-2 py-1 bg-slate-950 border border-blue-500 rounded-md text-sm text-white outline-none'
+          }),
+          editing === 'folder' && React.createElement('datalist', { id: 'chat-folder-options' },
+            folders.map(folder => React.createElement('option', { key: folder, value: folder }))
+          )
+        )
+      : React.createElement('div', { className: 'flex items-start justify-between gap-2' },
+          React.createElement('div', { className: 'flex-1 min-w-0' },
+            React.createElement('div', { className: 'flex items-center gap-1.5 text-sm font-medium text-white' },
+              chat.pinned && React.createElement('span', { className: 'text-amber-300 text-xs', title: 'Pinned' }, '★'),
+              React.createElement('span', { className: 'truncate' }, React.createElement(HighlightedText, { text: chat.title, query }))
+            ),
+            React.createElement('div', { className: 'flex items-center gap-2 text-xs text-slate-500 mt-1' },
+              new Date(chatLastActivity(chat)).toLocaleDateString(),
+              result?.count > 0 && React.createElement('span', { className: 'text-amber-300' }, `${result.count} match${result.count === 1 ? '' : 'es'}`)
+            ),
+            chat.tags?.length > 0 && React.createElement('div', { className: 'flex flex-wrap gap-1 mt-1.5' },
+              chat.tags.map(tag => React.createElement('button', {
+                key: tag,
+                onClick: (e) => { e.stopPropagation(); onTagClick(tag); },
+                className: 'chat-tag px-1.5 py-0.5 rounded bg-slate-700/70 hover:bg-slate-600 text-[11px] text-slate-300'
+              }, `#${tag}`))
+            )
+          ),
+          React.createElement('div', { className: 'flex opacity-0 group-hover:opacity-100 transition-all' },
+            action(chat.pinned ? 'Unpin' : 'Pin', onTogglePin, 'M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z', chat.pinned ? 'text-amber-300' : undefined),
+            action('Rename', () => startEditing('title', chat.title), 'M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z'),
+            action('Move to folder', () => startEditing('folder', chat.folder || ''), 'M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z'),
+            action('Edit tags', () => startEditing('tags', (chat.tags || []).join(', ')), 'M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z'),
+            action('Delete', onDelete, 'M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16', 'text-red-400 hover:bg-red-600/20')
+          )
+        ),
+    result?.hits.length > 0 && React.createElement('div', { className: 'search-hits mt-2 space-y-1' },
+      result.hits.map((hit, i) => React.createElement('button', {
+        key: i,
+        onClick: (e) => { e.stopPropagation(); onOpenHit(hit); },
+        className: 'block w-full text-left px-2 py-1 rounded-md bg-slate-950/60 hover:bg-slate-950 text-xs text-slate-400'
+      },
+        React.createElement('span', { className: 'text-slate-500' },
+          hit.kind === 'attachment' ? `${hit.name}, p. ${hit.page}: ` : hit.role === 'user' ? 'You: ' : 'AI: '
+        ),
+        hit.snippet.before,
+        React.createElement('mark', { className: 'search-hit' }, hit.snippet.match),
+        hit.snippet.after
+      ))
+    )
+  );
+};
+
 const App = () => {
   const [chats, setChats] = useState([]);
   const [activeChat, setActiveChat] = useState(null);
@@ -453,49 +7410,179 @@ const App = () => {
   const [sidebarOpen, setSidebarOpen] = useState(true);
   const [settingsOpen, setSettingsOpen] = useState(false);
   const [exportOpen, setExportOpen] = useState(false);
+  const [calculatorOpen, setCalculatorOpen] = useState(false);
+  const [comparisonOpen, setComparisonOpen] = useState(false);
+  const [aprCheckOpen, setAprCheckOpen] = useState(false);
+  const [comparison, setComparison] = useState({ holdingYears: 7, offers: [] });
+  const [pendingDocuments, setPendingDocuments] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const [viewingDocument, setViewingDocument] = useState(null);
+  const [profileOpen, setProfileOpen] = useState(false);
+  const [profileExtracting, setProfileExtracting] = useState(false);
+  const [profileError, setProfileError] = useState(null);
   const [settings, setSettings] = useState({
-    connectionType: 'cloud',
-    cloudEndpoint: 'https://text.pollinations.ai/openai',
-    apiKey: '',
-    model: 'openai',
-    localEndpoint: 'http://localhost:11434/v1',
-    localModel: 'llama2',
-    temperature: 0.7,
-    topP: 0.95,
-    maxTokens: 2048,
+    profiles: DEFAULT_PROVIDER_PROFILES,
+    activeProfileId: 'cloud',
     streaming: true,
+    enableTools: true,
+    longDocumentMode: true,
+    contextManagement: true,
+    regulationLibrary: true,
+    vaultAutoLockMinutes: 15,
+    chatSort: 'activity',
     systemPrompt: DEFAULT_SYSTEM_PROMPT
   });
   const [streamingMessage, setStreamingMessage] = useState('');
+  const [streamingToolCalls, setStreamingToolCalls] = useState([]);
+  const [analysisProgress, setAnalysisProgress] = useState(null);
+  const [retryStatus, setRetryStatus] = useState(null);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [redactionReview, setRedactionReview] = useState(null);
+  const [storageReady, setStorageReady] = useState(false);
+  const [storageUsage, setStorageUsage] = useState(null);
+  const [storageError, setStorageError] = useState(null);
+  // Set when saved chats could not be opened; settings are not written either, since a vault that
+  // could not be read would otherwise have its API keys saved in plain text.
+  const [storageBlocked, setStorageBlocked] = useState(false);
+  const chatStoreRef = useRef(null);
+  const savedChatsRef = useRef(new Map());
+  const [vault, setVault] = useState({ meta: null, locked: false });
+  const [vaultOpen, setVaultOpen] = useState(false);
+  const [backupOpen, setBackupOpen] = useState(false);
+  const [templates, setTemplates] = useState(DEFAULT_PROMPT_TEMPLATES);
+  const [templatesOpen, setTemplatesOpen] = useState(false);
+  const [regulationView, setRegulationView] = useState(null);
+  const [clauseView, setClauseView] = useState(null);
+  const [clauseProgress, setClauseProgress] = useState(null);
+  const [clauseError, setClauseError] = useState(null);
+  const [composerClause, setComposerClause] = useState(null);
+  const [runningTemplate, setRunningTemplate] = useState(null);
+  const [composerTemplate, setComposerTemplate] = useState(null);
+  const [secondOpinionProfileId, setSecondOpinionProfileId] = useState('');
+  const [secondOpinionStreams, setSecondOpinionStreams] = useState(null);
+  const [chatQuery, setChatQuery] = useState('');
+  const [collapsedFolders, setCollapsedFolders] = useState([]);
+  const scrollTargetRef = useRef(null);
+  const lastActivityRef = useRef(Date.now());
+  const abortControllerRef = useRef(null);
   const messagesEndRef = useRef(null);
   const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
 
-  useEffect(() => {
-    const savedChats = localStorage.getItem('loanlens-chats');
-    const savedSettings = localStorage.getItem('loanlens-settings');
+  const refreshStorageUsage = () => {
+    estimateStorage().then(setStorageUsage).catch(() => setStorageUsage(null));
+  };
+
+  const loadStoredChats = async () => {
     const savedActiveChat = localStorage.getItem('loanlens-active-chat');
-    
-    if (savedChats) {
-      const parsedChats = JSON.parse(savedChats);
-      setChats(parsedChats);
-      if (savedActiveChat && parsedChats.find(c => c.id === savedActiveChat)) {
-        setActiveChat(savedActiveChat);
-      } else if (parsedChats.length > 0) {
-        setActiveChat(parsedChats[0].id);
-      }
+    const loadedChats = await chatStoreRef.current.loadChats();
+    savedChatsRef.current = new Map(loadedChats.map(c => [c.id, c]));
+    // Scans saved under older rules are redone, so fixed rules stop showing their old findings.
+    setChats(loadedChats.map(c => c.scan && c.scan.rulesetVersion !== SCANNER_RULESET.version ? withScan(c) : c));
+    if (savedActiveChat && loadedChats.find(c => c.id === savedActiveChat)) {
+      setActiveChat(savedActiveChat);
+    } else if (loadedChats.length > 0) {
+      setActiveChat(loadedChats[0].id);
     }
+    setStorageReady(true);
+    refreshStorageUsage();
+  };
+
+  useEffect(() => {
+    const savedSettings = localStorage.getItem('loanlens-settings');
+    const savedComparison = localStorage.getItem('loanlens-comparison');
+    const savedTemplates = localStorage.getItem(PROMPT_TEMPLATES_KEY);
+
+    createChatStore()
+      .then(async store => {
+        chatStoreRef.current = store;
+        const vaultMeta = await store.loadVault();
+        if (vaultMeta) {
+          setVault({ meta: vaultMeta, locked: true });
+          return;
+        }
+        await loadStoredChats();
+      })
+      .catch(error => {
+        setStorageBlocked(true);
+        setStorageError(describeStorageError(error, 'open saved chats'));
+      });
     if (savedSettings) {
-      setSettings(prev => ({ ...prev, ...JSON.parse(savedSettings) }));
+      setSettings(prev => ({ ...prev, ...migrateProviderSettings(JSON.parse(savedSettings)) }));
+    }
+    if (savedComparison) {
+      setComparison(JSON.parse(savedComparison));
+    }
+    if (savedTemplates) {
+      setTemplates(JSON.parse(savedTemplates).map(normalizeTemplate).filter(Boolean));
     }
   }, []);
 
+  // Chats are immutable, so a changed reference means a changed chat; only those are rewritten.
   useEffect(() => {
-    localStorage.setItem('loanlens-chats', JSON.stringify(chats));
-  }, [chats]);
+    if (!storageReady) return;
+    const saved = savedChatsRef.current;
+    const changed = chats.filter(c => saved.get(c.id) !== c);
+    const removedIds = [...saved.keys()].filter(id => !chats.some(c => c.id === id));
+    if (changed.length === 0 && removedIds.length === 0) return;
 
+    chatStoreRef.current.saveChats(changed, removedIds)
+      .then(() => {
+        changed.forEach(c => saved.set(c.id, c));
+        removedIds.forEach(id => saved.delete(id));
+        setStorageError(null);
+        refreshStorageUsage();
+      })
+      .catch(error => setStorageError(describeStorageError(error, 'save your chats')));
+  }, [chats, storageReady]);
+
+  // With the vault on, the API keys are kept out of localStorage and saved encrypted instead.
   useEffect(() => {
-    localStorage.setItem('loanlens-settings', JSON.stringify(settings));
-  }, [settings]);
+    if (storageBlocked) return;
+    try {
+      localStorage.setItem('loanlens-settings', JSON.stringify(vault.meta ? withoutSecrets(settings) : settings));
+    } catch (error) {
+      setStorageError(describeStorageError(error, 'save settings'));
+    }
+    if (vault.meta && !vault.locked) {
+      chatStoreRef.current.saveSecrets(collectProfileSecrets(settings))
+        .catch(error => setStorageError(describeStorageError(error, 'save the encrypted API keys')));
+    }
+  }, [settings, vault, storageBlocked]);
+
+  useEffect(() => {
+    if (!vault.meta || vault.locked || !settings.vaultAutoLockMinutes) return;
+    const touch = () => {
+      lastActivityRef.current = Date.now();
+    };
+    const events = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+    events.forEach(name => window.addEventListener(name, touch, { passive: true }));
+    touch();
+    // A reply still streaming would be lost if the chats were cleared, so locking waits for it.
+    const timer = setInterval(() => {
+      if (!isLoading && Date.now() - lastActivityRef.current >= settings.vaultAutoLockMinutes * 60000) lockVault();
+    }, 15000);
+    return () => {
+      events.forEach(name => window.removeEventListener(name, touch));
+      clearInterval(timer);
+    };
+  }, [vault, settings.vaultAutoLockMinutes, isLoading]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem('loanlens-comparison', JSON.stringify(comparison));
+    } catch (error) {
+      setStorageError(describeStorageError(error, 'save the comparison'));
+    }
+  }, [comparison]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(PROMPT_TEMPLATES_KEY, JSON.stringify(templates));
+    } catch (error) {
+      setStorageError(describeStorageError(error, 'save your templates'));
+    }
+  }, [templates]);
 
   useEffect(() => {
     if (activeChat) {
@@ -504,16 +7591,40 @@ const App = () => {
   }, [activeChat]);
 
   useEffect(() => {
+    // Opening a search hit scrolls to that message instead of the end of the chat.
+    const target = scrollTargetRef.current && document.getElementById(`message-${scrollTargetRef.current}`);
+    if (target) {
+      scrollTargetRef.current = null;
+      target.scrollIntoView({ block: 'center' });
+      return;
+    }
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [chats, streamingMessage]);
+  }, [chats, activeChat, streamingMessage]);
 
   const currentChat = chats.find(c => c.id === activeChat);
+  const chatProfile = resolveProfile(settings, currentChat?.profileId);
+  const chatInputBudget = chatProfile.contextWindow - chatProfile.maxTokens;
+  const requestTokens = useMemo(() => estimateChatTokens(currentChat, settings.systemPrompt, inputValue, composerClause), [currentChat, settings.systemPrompt, inputValue, composerClause]);
+  const chatUsage = useMemo(() => summarizeChatUsage(currentChat), [currentChat]);
+  const activeBranch = getActiveBranch(currentChat);
+
+  const searchResults = useMemo(() => chatQuery.trim() ? searchChats(chats, chatQuery) : null, [chats, chatQuery]);
+  const searchText = parseChatQuery(chatQuery).text;
+  const folders = [...new Set(chats.map(c => c.folder).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  const sidebarChats = sortChatsForSidebar(searchResults ? chats.filter(c => searchResults.has(c.id)) : chats, settings.chatSort);
+  const sidebarSections = [
+    { id: 'pinned', label: 'Pinned', chats: sidebarChats.filter(c => c.pinned) },
+    ...folders.map(folder => ({ id: `folder:${folder}`, label: folder, folder: true, chats: sidebarChats.filter(c => !c.pinned && c.folder === folder) })),
+    { id: 'chats', label: folders.length ? 'Other Chats' : null, chats: sidebarChats.filter(c => !c.pinned && !c.folder) }
+  ].filter(section => section.chats.length > 0);
 
   const createNewChat = () => {
     const newChat = {
       id: generateId(),
       title: 'New Chat',
       messages: [],
+      currentLeafId: null,
+      profileId: settings.activeProfileId,
       createdAt: new Date().toISOString()
     };
     setChats(prev => [newChat, ...prev]);
@@ -521,6 +7632,172 @@ const App = () => {
     setInputValue('');
   };
 
+  const updateChat = (chatId, updater) => {
+    setChats(prev => prev.map(c => c.id === chatId ? updater(c) : c));
+  };
+
+  const getConnection = (chat) => resolveProfile(settings, chat?.profileId);
+
+  // The header switcher changes the profile of the open chat and makes it the default for new chats.
+  const switchProfile = (profileId) => {
+    if (currentChat) updateChat(currentChat.id, c => ({ ...c, profileId }));
+    setSettings(prev => ({ ...prev, activeProfileId: profileId }));
+  };
+
+  // Resolves with the detected items the user still wants hidden, or null if they cancelled the send.
+  const reviewRedactions = (items, connection) => new Promise(resolve => {
+    setRedactionReview({
+      items,
+      provider: connection.name,
+      resolve: (kept) => {
+        setRedactionReview(null);
+        resolve(kept);
+      }
+    });
+  });
+
+  const extractProfile = (chat) => {
+    updateChat(chat.id, c => withScan({ ...c, loanProfile: mergeLoanProfile(c.loanProfile, extractLoanProfile(collectProfileSources(c))) }));
+  };
+
+  const extractProfileWithAi = async (chat) => {
+    const sources = collectProfileSources(chat);
+    const connection = getConnection(chat);
+    const redactor = connection.redaction.enabled ? createRedactor(chat.redactionMap, connection.redaction.types) : null;
+    const budget = Math.floor((connection.contextWindow - connection.maxTokens) * 0.75) - estimateTokens(PROFILE_EXTRACTION_PROMPT);
+    const sections = splitDocumentsIntoSections(sources, Math.max(512, budget));
+    const found = {};
+    setProfileExtracting(true);
+    setProfileError(null);
+    try {
+      for (const section of sections) {
+        const reply = await requestCompletion(connection, {
+          messages: [
+            { role: 'system', content: PROFILE_EXTRACTION_PROMPT },
+            { role: 'user', content: redactor ? redactor.redact(section.text) : section.text }
+          ],
+          temperature: 0,
+          topP: 1,
+          maxTokens: Math.min(connection.maxTokens, 1024)
+        });
+        const fields = profileFieldsFromModel(parseJsonObject(redactor ? redactor.restore(reply) : reply), sources);
+        Object.entries(fields).forEach(([id, record]) => { if (!found[id]) found[id] = record; });
+      }
+      updateChat(chat.id, c => withScan({
+        ...c,
+        loanProfile: mergeLoanProfile(c.loanProfile, found),
+        ...(redactor ? { redactionMap: redactor.toMap() } : {})
+      }));
+    } catch (error) {
+      setProfileError(error.message);
+    }
+    setProfileExtracting(false);
+  };
+
+  const openRegulation = (passage) => setRegulationView({ passageId: passage.id });
+
+  // Opens a document's clause view, splitting the document into clauses the first time.
+  const openClauseView = (sourceKey, clauseId) => {
+    const chat = currentChat;
+    const source = chat && findClauseSource(chat, sourceKey);
+    if (!source) return;
+    if (!(chat.clauseViews || []).some(v => v.sourceKey === sourceKey)) {
+      updateChat(chat.id, c => ({ ...c, clauseViews: [...(c.clauseViews || []), createClauseView(source)] }));
+    }
+    setClauseError(null);
+    setViewingDocument(null);
+    setClauseView({ sourceKey, clauseId: clauseId || null });
+  };
+
+  // Asks the chat's profile to explain and rate every clause, a batch at a time. Notes are saved
+  // after each batch, so a failure part-way keeps what was already explained.
+  const annotateClauses = async (chat, view) => {
+    if (isLoading) return;
+    const source = findClauseSource(chat, view.sourceKey);
+    const connection = getConnection(chat);
+    const redactor = connection.redaction.enabled ? createRedactor(chat.redactionMap, connection.redaction.types) : null;
+    const budget = Math.floor((connection.contextWindow - connection.maxTokens) * 0.75) - estimateTokens(CLAUSE_ANNOTATION_PROMPT);
+    const batches = batchClausesForAnnotation(source, view, chat.scan?.findings || [], Math.max(512, budget));
+    setClauseError(null);
+    setClauseProgress({ done: 0, total: batches.length });
+    setIsLoading(true);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    try {
+      for (const [i, batch] of batches.entries()) {
+        const reply = await requestCompletion(connection, {
+          messages: [
+            { role: 'system', content: CLAUSE_ANNOTATION_PROMPT },
+            { role: 'user', content: redactor ? redactor.redact(batch.text) : batch.text }
+          ],
+          temperature: 0,
+          topP: 1,
+          maxTokens: Math.min(connection.maxTokens, 2048),
+          signal: controller.signal
+        });
+        const notes = clauseNotesFromModel(parseJsonObject(redactor ? redactor.restore(reply) : reply), batch.ids);
+        updateChat(chat.id, c => ({
+          ...c,
+          clauseViews: (c.clauseViews || []).map(v => v.sourceKey === view.sourceKey
+            ? { ...v, notes: { ...v.notes, ...notes }, model: connection.model, annotatedAt: new Date().toISOString() }
+            : v),
+          ...(redactor ? { redactionMap: redactor.toMap() } : {})
+        }));
+        setClauseProgress({ done: i + 1, total: batches.length });
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') setClauseError(error.message);
+    }
+    abortControllerRef.current = null;
+    setIsLoading(false);
+    setClauseProgress(null);
+  };
+
+  // A clause question carries the clause with it, so the reply gets the clause's full text as context.
+  const askAboutClause = (view, clause) => {
+    setComposerClause({ sourceKey: view.sourceKey, id: clause.id, title: clause.title });
+    setInputValue(`What does clause ${clause.id} mean for me, and is anything in it unusual or risky?`);
+    setClauseView(null);
+    textareaRef.current?.focus();
+  };
+
+  const openMessage = (messageId) => {
+    setClauseView(null);
+    document.getElementById(`message-${messageId}`)?.scrollIntoView({ block: 'start', behavior: 'smooth' });
+  };
+
+  // Pasted text opens as a one-page pseudo-document so scanner highlights work the same as for attachments.
+  const openSource = (source, finding) => {
+    const doc = (currentChat?.documents || []).find(d => d.id === source.documentId);
+    const message = !doc && source.messageId && (currentChat?.messages || []).find(m => m.id === source.messageId);
+    if (doc) {
+      setViewingDocument({ document: doc, page: source.page, findingId: finding?.id });
+    } else if (message) {
+      setViewingDocument({
+        document: { id: message.id, name: 'Pasted text', kind: 'txt', pages: [{ number: 1, text: message.content }] },
+        page: 1,
+        findingId: finding?.id
+      });
+    }
+  };
+
+  const openSearchHit = (chat, hit) => {
+    setActiveChat(chat.id);
+    if (hit.kind === 'attachment') {
+      const doc = (chat.documents || []).find(d => d.id === hit.documentId);
+      if (doc) setViewingDocument({ document: doc, page: hit.page });
+      return;
+    }
+    scrollTargetRef.current = hit.messageId;
+    updateChat(chat.id, c => getBranch(c, c.currentLeafId).some(m => m.id === hit.messageId)
+      ? c
+      : { ...c, currentLeafId: findLeaf(c, hit.messageId) });
+  };
+
+  const toggleFolder = (folderId) => {
+    setCollapsedFolders(prev => prev.includes(folderId) ? prev.filter(id => id !== folderId) : [...prev, folderId]);
+  };
+
   const deleteChat = (chatId) => {
     setChats(prev => prev.filter(c => c.id !== chatId));
     if (activeChat === chatId) {
@@ -529,8 +7806,38 @@ const App = () => {
     }
   };
 
-  const sendMessage = async () => {
-    if (!inputValue.trim() || isLoading) return;
+  const attachFiles = (files) => {
+    Array.from(files || []).forEach(file => {
+      const pendingId = generateId();
+      setPendingDocuments(prev => [...prev, { pendingId, status: 'extracting', document: { name: file.name, pages: [] } }]);
+      extractDocument(file)
+        .then(document => setPendingDocuments(prev => prev.map(p => p.pendingId === pendingId ? { pendingId, status: 'ready', document } : p)))
+        .catch(error => setPendingDocuments(prev => prev.map(p => p.pendingId === pendingId ? { ...p, status: 'error', error: error.message } : p)));
+    });
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    attachFiles(e.dataTransfer.files);
+  };
+
+  const readyDocuments = pendingDocuments.filter(p => p.status === 'ready').map(p => p.document);
+  const isExtracting = pendingDocuments.some(p => p.status === 'extracting');
+  const canSend = (inputValue.trim() || readyDocuments.length > 0) && !isLoading && !isExtracting;
+
+  // `text` sends a prepared prompt (e.g. from the comparison view) without touching the composer.
+  // `editOf` resends an edited copy of an earlier user message as a new branch beside it.
+  const sendMessage = async (text, { editOf } = {}) => {
+    const isPrepared = typeof text === 'string';
+    if (isPrepared ? isLoading : !canSend) return;
+
+    const attachedDocuments = isPrepared ? [] : readyDocuments;
+    const messageText = isPrepared
+      ? text
+      : inputValue.trim()
+      ? inputValue
+      : `Please analyze the attached document${attachedDocuments.length === 1 ? '' : 's'}: ${attachedDocuments.map(d => d.name).join(', ')}`;
 
     let chatId = activeChat;
     let updatedChats = [...chats];
@@ -538,8 +7845,10 @@ const App = () => {
     if (!chatId) {
       const newChat = {
         id: generateId(),
-        title: inputValue.slice(0, 50) + (inputValue.length > 50 ? '...' : ''),
+        title: messageText.slice(0, 50) + (messageText.length > 50 ? '...' : ''),
         messages: [],
+        currentLeafId: null,
+        profileId: settings.activeProfileId,
         createdAt: new Date().toISOString()
       };
       updatedChats = [newChat, ...updatedChats];
@@ -547,144 +7856,652 @@ const App = () => {
       setActiveChat(chatId);
     }
 
+    const attachmentIds = editOf ? editOf.attachments || [] : attachedDocuments.map(d => d.id);
+    const template = editOf ? editOf.template : isPrepared ? null : composerTemplate;
+    const clause = editOf ? editOf.clause : isPrepared ? null : composerClause;
     const userMessage = {
       id: generateId(),
       role: 'user',
-      content: inputValue,
+      content: messageText,
+      ...(attachmentIds.length ? { attachments: attachmentIds } : {}),
+      ...(template ? { template } : {}),
+      ...(clause ? { clause } : {}),
       timestamp: new Date().toISOString()
     };
 
     const chatIndex = updatedChats.findIndex(c => c.id === chatId);
     if (chatIndex !== -1) {
+      const chat = updatedChats[chatIndex];
       updatedChats[chatIndex] = {
-        ...updatedChats[chatIndex],
-        messages: [...updatedChats[chatIndex].messages, userMessage],
-        title: updatedChats[chatIndex].messages.length === 0 
-          ? inputValue.slice(0, 50) + (inputValue.length > 50 ? '...' : '')
-          : updatedChats[chatIndex].title
+        ...appendMessages(chat, [userMessage], editOf ? editOf.parentId : chat.currentLeafId),
+        documents: [...(chat.documents || []), ...attachedDocuments],
+        profileId: resolveProfile(settings, chat.profileId).id,
+        title: chat.messages.length === 0 
+          ? messageText.slice(0, 50) + (messageText.length > 50 ? '...' : '')
+          : chat.title
       };
+      if (attachedDocuments.length || messageText.length >= PASTED_DOCUMENT_MIN_LENGTH) {
+        const chat = updatedChats[chatIndex];
+        updatedChats[chatIndex] = withScan({ ...chat, loanProfile: mergeLoanProfile(chat.loanProfile, extractLoanProfile(collectProfileSources(chat))) });
+      }
     }
 
     setChats(updatedChats);
-    setInputValue('');
-    setIsLoading(true);
-    setStreamingMessage('');
+    if (!isPrepared) {
+      setInputValue('');
+      setPendingDocuments([]);
+      setComposerTemplate(null);
+      setComposerClause(null);
+    }
+    await generateReply(updatedChats[chatIndex], userMessage);
+  };
 
-    try {
-      const endpoint = settings.connectionType === 'cloud' 
-        ? settings.cloudEndpoint 
-        : settings.localEndpoint;
-      
-      const model = settings.connectionType === 'cloud'
-        ? settings.model
-        : settings.localModel;
-
-      const messages = [
-        { role: 'system', content: settings.systemPrompt },
-        ...updatedChats[chatIndex].messages.map(m => ({ role: m.role, content: m.content }))
-      ];
+  // Builds the system context and the branch that leads to userMessage; the same request goes to
+  // every profile that answers it. `messages` is the request in full; runReply compacts it for
+  // profiles whose context window it does not fit.
+  const buildReplyRequest = (chat, userMessage) => {
+    const documents = chat.documents || [];
+    // A message written from a template keeps that template's system prompt and generation settings.
+    const history = getBranch(chat, userMessage.id);
+    const regulations = settings.regulationLibrary ? retrieveRegulations(userMessage.content) : [];
+    // Only a clause question carries its document's clause list; it is too large to send with every turn.
+    const clauseView = userMessage.clause && (chat.clauseViews || []).find(v => v.sourceKey === userMessage.clause.sourceKey);
+    const request = {
+      messageText: userMessage.content,
+      documents,
+      scan: chat.scan,
+      loanProfile: chat.loanProfile,
+      systemPrompt: userMessage.template?.systemPrompt || settings.systemPrompt,
+      documentContext: buildDocumentContext(documents),
+      profileContext: buildLoanProfileContext(chat.loanProfile),
+      scanContext: buildScanContext(chat.scan),
+      clauseContext: clauseView
+        ? buildClauseContext(clauseView, findClauseSource(chat, clauseView.sourceKey), chat.scan?.findings || [], userMessage.clause?.id)
+        : '',
+      clauseSource: clauseView?.sourceKey,
+      regulationContext: buildRegulationContext(regulations),
+      citations: regulations.map(p => p.id),
+      generation: userMessage.template?.generation,
+      history,
+      pageNote: buildPageReferenceNote(resolvePageReferences(userMessage.content, documents)),
+      summary: findContextSummary(history)
+    };
+    return { ...request, messages: assembleReplyMessages({ ...request, summary: null }) };
+  };
 
-      const headers = {
-        'Content-Type': 'application/json'
-      };
+  // Returns a redactor for requests to `connection`, or null when its profile does not redact.
+  // Values already in the map were reviewed before, so only new ones are shown.
+  const prepareRedactor = async (redactionMap, connection, messages) => {
+    if (!connection.redaction.enabled) return null;
+    const redactor = createRedactor(redactionMap, connection.redaction.types);
+    const found = redactor.detect(messages.map(m => m.content).join('\n\n'));
+    if (connection.redaction.review && found.length) {
+      const kept = await reviewRedactions(found, connection);
+      if (!kept) throw Object.assign(new Error('Redaction review cancelled'), { name: 'RedactionCancelled' });
+      found.filter(item => !kept.includes(item)).forEach(item => redactor.allow(item.value));
+    }
+    return redactor;
+  };
 
-      if (settings.connectionType === 'cloud' && settings.apiKey) {
-        headers['Authorization'] = `Bearer ${settings.apiKey}`;
-      }
+  // Runs one request to the end, through long-document analysis and tool rounds, and returns the
+  // assistant message. Failures become a partial or error message rather than throwing, so one
+  // profile failing does not discard the other's answer in a second opinion.
+  const runReply = async (request, connection, redactor, { signal, onText, onToolCalls, onProgress, onRetry }) => {
+    const { messageText, documents, systemPrompt, profileContext, scanContext, clauseContext, regulationContext } = request;
+    const adapter = adapterFor(connection);
+    const transport = { signal, onRetry };
+    const generation = {
+      temperature: connection.temperature,
+      topP: connection.topP,
+      maxTokens: connection.maxTokens,
+      ...request.generation
+    };
+    let messages = [...request.messages];
+    let assistantContent = '';
+    const toolCalls = [];
+    let reply = null;
+    let analysis = null;
+    let context = null;
+    let truncated = false;
+    let usage = null;
+    // The passages the reply's [n] markers refer to, in prompt order.
+    const citations = request.citations?.length ? { version: REGULATION_LIBRARY.version, ids: request.citations } : null;
+    // Replies reference the placeholders the model was sent; the real values are swapped back in here.
+    const restore = (text) => redactor ? redactor.restore(text) : text;
+    const outbound = (list) => redactor
+      ? list.map(m => typeof m.content === 'string' ? { ...m, content: redactor.redact(m.content) } : m)
+      : list;
+    // Tokens are counted from the provider's usage report, or estimated when there is none.
+    const track = (reported, sent, received) => {
+      const counted = reported || { promptTokens: estimateMessagesTokens(sent), completionTokens: estimateTokens(received), estimated: true };
+      usage = addUsage(usage || { promptTokens: 0, completionTokens: 0, cost: 0, estimated: false }, { ...counted, cost: estimateCost(counted, connection) });
+    };
+    // Side requests (section analysis, summaries) return text only, so they are always estimated.
+    const complete = async (list, options) => {
+      const text = await requestCompletion(connection, { messages: outbound(list), ...generation, ...options, ...transport });
+      track(null, list, text);
+      return restore(text);
+    };
 
-      const response = await fetch(endpoint + '/chat/completions', {
-        method: 'POST',
-        headers,
-        body: JSON.stringify({
-          model,
-          messages,
-          temperature: settings.temperature,
-          top_p: settings.topP,
-          max_tokens: settings.maxTokens,
-          stream: settings.streaming
-        })
-      });
+    try {
+      const inputBudget = connection.contextWindow - generation.maxTokens;
+      const isLongPaste = estimateTokens(messageText) > inputBudget / 2;
 
-      if (!response.ok) {
-        throw new Error(`API Error: ${response.status}`);
+      if (settings.longDocumentMode && (documents.length || isLongPaste) && estimateMessagesTokens(messages) > inputBudget) {
+        // Only the documents go through map-reduce; the turns before this question are kept as they
+        // are, as many of the newest as fit in a fifth of the budget.
+        const earlier = request.history.slice(0, -1);
+        const historyBudget = Math.floor(inputBudget * 0.2);
+        const recent = earlier.length ? toApiMessages(splitHistoryForBudget(earlier, historyBudget).recent) : [];
+        const result = await analyzeLongDocuments({
+          documents: documents.length ? documents : [{ name: 'Pasted text', pages: [{ number: 1, text: messageText }] }],
+          question: isLongPaste
+            ? `${LONG_PASTE_QUESTION}\n\nThe user's message began: "${messageText.slice(0, 300)}…"`
+            : messageText,
+          systemPrompt: [systemPrompt, profileContext, scanContext, clauseContext, regulationContext].filter(Boolean).join('\n\n'),
+          history: estimateMessagesTokens(recent) <= historyBudget ? recent : [],
+          inputBudget,
+          complete: (sectionMessages) => complete(sectionMessages, { maxTokens: Math.min(generation.maxTokens, 1024) }),
+          onProgress
+        });
+        messages = result.messages;
+        analysis = { sections: result.sections };
+      } else if (settings.contextManagement) {
+        const fitted = await fitRequestToContext({
+          request,
+          inputBudget,
+          summarize: (transcript) => complete([
+            { role: 'system', content: CONTEXT_SUMMARY_PROMPT },
+            { role: 'user', content: transcript }
+          ], { maxTokens: Math.min(generation.maxTokens, 1024) })
+        });
+        messages = fitted.messages;
+        context = fitted.context;
       }
 
-      let assistantContent = '';
-
-      if (settings.streaming) {
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          const chunk = decoder.decode(value);
-          const lines = chunk.split('\n').filter(line => line.trim() !== '');
-
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              const data = line.slice(6);
-              if (data === '[DONE]') continue;
-              
-              try {
-                const parsed = JSON.parse(data);
-                const content = parsed.choices?.[0]?.delta?.content || '';
-                assistantContent += content;
-                setStreamingMessage(assistantContent);
-              } catch (e) {
-                // Skip malformed JSON
-              }
+      for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        const useTools = settings.enableTools && round < MAX_TOOL_ROUNDS;
+        const response = await sendChatRequest(connection, {
+          messages: outbound(messages),
+          ...generation,
+          stream: settings.streaming,
+          tools: useTools ? LOAN_TOOLS : null,
+          ...transport
+        });
+        onRetry(null);
+
+        if (!response.ok) {
+          throw await apiError(response);
+        }
+
+        if (settings.streaming) {
+          reply = newStreamState();
+          await readStream(response, adapter.streamFormat, (data) => {
+            try {
+              adapter.parseStreamEvent(data, reply);
+            } catch (e) {
+              // Skip malformed JSON; errors reported by the provider still end the turn
+              if (!(e instanceof SyntaxError)) throw e;
             }
-          }
+            onText(restore(assistantContent + reply.content));
+          });
+        } else {
+          reply = adapter.parseCompletion(await response.json());
         }
-      } else {
-        const data = await response.json();
-        assistantContent = data.choices?.[0]?.message?.content || 'No response received.';
+
+        const { content: roundContent, finishReason } = reply;
+        let roundCalls = reply.toolCalls;
+        track(reply.usage, messages, roundContent + roundCalls.map(c => c?.arguments || '').join(''));
+        reply = null;
+
+        assistantContent += roundContent;
+        roundCalls = roundCalls.filter(Boolean).map(c => ({ ...c, id: c.id || generateId() }));
+        if (roundCalls.length === 0) {
+          truncated = finishReason === 'length';
+          break;
+        }
+
+        messages.push({
+          role: 'assistant',
+          content: roundContent || null,
+          tool_calls: roundCalls.map(c => ({ id: c.id, type: 'function', function: { name: c.name, arguments: c.arguments || '{}' } }))
+        });
+        roundCalls.forEach(call => {
+          const executed = executeToolCall(call);
+          toolCalls.push({ ...executed, round });
+          messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(executed.result) });
+        });
+        onToolCalls([...toolCalls]);
+        if (assistantContent) assistantContent += '\n\n';
+      }
+
+      if (!assistantContent.trim() && toolCalls.length === 0) {
+        assistantContent = 'No response received.';
       }
 
-      const assistantMessage = {
+      return {
         id: generateId(),
         role: 'assistant',
-        content: assistantContent,
+        content: restore(assistantContent.trim()),
+        ...(toolCalls.length ? { toolCalls } : {}),
+        ...(analysis ? { analysis } : {}),
+        ...(truncated ? { truncated: true } : {}),
+        ...(redactor?.usedCount() ? { redactedCount: redactor.usedCount() } : {}),
+        ...(context ? { context } : {}),
+        ...(usage ? { usage } : {}),
+        ...(citations ? { citations } : {}),
+        ...(request.clauseSource ? { clauseSource: request.clauseSource } : {}),
+        model: connection.model,
         timestamp: new Date().toISOString()
       };
+    } catch (error) {
+      // Whatever streamed before a stop or a dropped connection is kept rather than thrown away.
+      const partial = restore(assistantContent + (reply ? reply.content : '')).trim();
+      const stopped = error.name === 'AbortError';
 
-      setChats(prev => {
-        const newChats = [...prev];
-        const idx = newChats.findIndex(c => c.id === chatId);
-        if (idx !== -1) {
-          newChats[idx] = {
-            ...newChats[idx],
-            messages: [...newChats[idx].messages, assistantMessage]
+      return stopped || partial || toolCalls.length
+        ? {
+            id: generateId(),
+            role: 'assistant',
+            content: partial,
+            ...(toolCalls.length ? { toolCalls } : {}),
+            ...(analysis ? { analysis } : {}),
+            ...(stopped ? { stopped: true } : { interrupted: error.message }),
+            ...(usage ? { usage } : {}),
+            ...(citations ? { citations } : {}),
+            ...(request.clauseSource ? { clauseSource: request.clauseSource } : {}),
+            timestamp: new Date().toISOString()
+          }
+        : {
+            id: generateId(),
+            role: 'assistant',
+            content: `⚠️ Error: ${error.message}\n\nPlease check your API settings and try again.`,
+            timestamp: new Date().toISOString()
           };
-        }
-        return newChats;
-      });
+    }
+  };
+
+  // Asks the chat's profile for a reply to userMessage, using the branch that leads to it as history.
+  // The reply is added as a new child of userMessage, so regenerating keeps the earlier replies.
+  // With a second-opinion profile selected, both profiles answer in parallel and the reply keeps
+  // both answers until the user picks one.
+  const generateReply = async (chat, userMessage) => {
+    const chatId = chat.id;
+    const connection = getConnection(chat);
+    const secondConnection = secondOpinionProfileId && secondOpinionProfileId !== connection.id
+      ? settings.profiles.find(p => p.id === secondOpinionProfileId)
+      : null;
+    const connections = secondConnection ? [connection, secondConnection] : [connection];
+
+    setIsLoading(true);
+    setStreamingMessage('');
+    setStreamingToolCalls([]);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const request = buildReplyRequest(chat, userMessage);
+    let redactionMap = chat.redactionMap;
+    let assistantMessage;
+
+    try {
+      // Reviews run one after the other; the second profile's redactor starts from the first one's
+      // map, so values already reviewed are not asked about twice.
+      const redactors = [];
+      for (const profile of connections) {
+        const redactor = await prepareRedactor(redactionMap, profile, request.messages);
+        if (redactor) redactionMap = redactor.toMap();
+        redactors.push(redactor);
+      }
 
+      if (!secondConnection) {
+        assistantMessage = await runReply(request, connection, redactors[0], {
+          signal: controller.signal,
+          onText: setStreamingMessage,
+          onToolCalls: setStreamingToolCalls,
+          onProgress: setAnalysisProgress,
+          onRetry: setRetryStatus
+        });
+      } else {
+        setSecondOpinionStreams(connections.map(profile => ({ name: profile.name, model: profile.model, text: '' })));
+        const replies = await Promise.all(connections.map((profile, i) => runReply(request, profile, redactors[i], {
+          signal: controller.signal,
+          onText: (text) => setSecondOpinionStreams(prev => prev && prev.map((stream, j) => j === i ? { ...stream, text } : stream)),
+          onToolCalls: () => {},
+          onProgress: i === 0 ? setAnalysisProgress : () => {},
+          onRetry: i === 0 ? setRetryStatus : () => {}
+        })));
+        const answers = replies.map((reply, i) => toSecondOpinionAnswer(reply, connections[i]));
+        assistantMessage = {
+          id: generateId(),
+          role: 'assistant',
+          content: answers[0].content,
+          secondOpinion: {
+            answers,
+            reconciliation: reconcileAnswers(answers[0].content, answers[1].content),
+            chosen: null
+          },
+          timestamp: new Date().toISOString()
+        };
+      }
+      // The last redactor started from every earlier map, so its map covers all of them.
+      const lastRedactor = redactors.filter(Boolean).pop();
+      if (lastRedactor) redactionMap = lastRedactor.toMap();
     } catch (error) {
-      const errorMessage = {
+      // Only a cancelled redaction review gets here; runReply turns every other failure into a message.
+      redactionMap = chat.redactionMap;
+      assistantMessage = { id: generateId(), role: 'assistant', content: '', withheld: true, timestamp: new Date().toISOString() };
+    }
+
+    updateChat(chatId, c => appendMessages(
+      redactionMap === c.redactionMap ? c : { ...c, redactionMap },
+      [assistantMessage],
+      userMessage.id
+    ));
+
+    abortControllerRef.current = null;
+    setRetryStatus(null);
+    setIsLoading(false);
+    setStreamingMessage('');
+    setStreamingToolCalls([]);
+    setSecondOpinionStreams(null);
+    setAnalysisProgress(null);
+  };
+
+  // Appends locally computed messages to the active chat, creating one if needed.
+  const appendToChat = (title, update) => {
+    let chatId = chats.some(c => c.id === activeChat) ? activeChat : null;
+
+    if (!chatId) {
+      const newChat = {
         id: generateId(),
-        role: 'assistant',
-        content: `⚠️ Error: ${error.message}\n\nPlease check your API settings and try again.`,
-        timestamp: new Date().toISOString()
+        title,
+        messages: [],
+        currentLeafId: null,
+        profileId: settings.activeProfileId,
+        createdAt: new Date().toISOString()
       };
+      chatId = newChat.id;
+      setChats(prev => [newChat, ...prev]);
+      setActiveChat(chatId);
+    }
 
-      setChats(prev => {
-        const newChats = [...prev];
-        const idx = newChats.findIndex(c => c.id === chatId);
-        if (idx !== -1) {
-          newChats[idx] = {
-            ...newChats[idx],
-            messages: [...newChats[idx].messages, errorMessage]
-          };
-        }
-        return newChats;
+    setChats(prev => prev.map(c => c.id === chatId
+      ? { ...update(c), title: c.messages.length === 0 ? title : c.title }
+      : c
+    ));
+  };
+
+  const addCalculation = (input) => {
+    const schedule = calculateLoanSchedule(input);
+    const description = describeLoanInput(schedule.inputs);
+    const label = `Calculation: ${description}`;
+    const timestamp = new Date().toISOString();
+
+    const userMessage = {
+      id: generateId(),
+      role: 'user',
+      content: `Calculate the payments for a ${description}.`,
+      timestamp
+    };
+
+    const assistantMessage = {
+      id: generateId(),
+      role: 'assistant',
+      content: summarizeLoanSchedule(schedule),
+      calculation: { inputs: schedule.inputs, summary: schedule.summary },
+      timestamp
+    };
+
+    appendToChat(label.slice(0, 50) + (label.length > 50 ? '...' : ''), c => appendMessages(c, [userMessage, assistantMessage]));
+  };
+
+  const addAprCheck = (request) => {
+    const result = calculateApr(request);
+    const timestamp = new Date().toISOString();
+    const userMessage = {
+      id: generateId(),
+      role: 'user',
+      content: result.check
+        ? `Check the disclosed APR of ${formatPercent(result.check.disclosedApr)} on an amount financed of ${formatCurrency(result.amountFinanced)}.`
+        : `Calculate the APR on an amount financed of ${formatCurrency(result.amountFinanced)}.`,
+      timestamp
+    };
+    const assistantMessage = {
+      id: generateId(),
+      role: 'assistant',
+      content: describeAprCheck(result),
+      aprCheck: result,
+      timestamp
+    };
+    appendToChat('APR check', c => appendMessages(c, [userMessage, assistantMessage]));
+  };
+
+  // Runs the rule scanner over attached or pasted text without calling a provider.
+  // With nothing to scan it falls back to filling the composer, like the other quick prompts.
+  const reviewRedFlags = () => {
+    const pasted = inputValue.trim().length >= PASTED_DOCUMENT_MIN_LENGTH ? inputValue : '';
+    const attachedDocuments = readyDocuments;
+    const chat = currentChat || { messages: [], currentLeafId: null, documents: [] };
+    if (!pasted && attachedDocuments.length === 0 && collectProfileSources(chat).length === 0) {
+      setInputValue('Review for red flags');
+      textareaRef.current?.focus();
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const userMessage = {
+      id: generateId(),
+      role: 'user',
+      content: pasted || (attachedDocuments.length
+        ? `Review ${attachedDocuments.map(d => d.name).join(', ')} for red flags.`
+        : 'Review the documents in this chat for red flags.'),
+      ...(attachedDocuments.length ? { attachments: attachedDocuments.map(d => d.id) } : {}),
+      timestamp
+    };
+
+    appendToChat('Red-flag review', c => {
+      const withInput = {
+        ...appendMessages(c, [userMessage]),
+        documents: [...(c.documents || []), ...attachedDocuments]
+      };
+      const scanned = withScan({ ...withInput, loanProfile: mergeLoanProfile(withInput.loanProfile, extractLoanProfile(collectProfileSources(withInput))) });
+      return appendMessages(scanned, [{
+        id: generateId(),
+        role: 'assistant',
+        content: summarizeScan(scanned.scan),
+        scanReport: scanned.scan,
+        timestamp
+      }]);
+    });
+    setInputValue('');
+    setPendingDocuments([]);
+  };
+
+  const sendComparison = (result) => {
+    setComparisonOpen(false);
+    sendMessage(
+      `Compare these ${result.results.length} loan offers and recommend one for a borrower who plans to keep the loan for ${formatTerm(result.holdingMonths)}. ` +
+      'Every figure below was computed by the LoanLens calculator; use them as given rather than recalculating. ' +
+      'Explain the trade-offs between payment, cash to close and long-run cost, and say when a different offer would be better.\n\n' +
+      describeComparison(result)
+    );
+  };
+
+  const regenerateReply = (message) => {
+    const parent = currentChat.messages.find(m => m.id === message.parentId);
+    if (isLoading || !parent || parent.role !== 'user') return;
+    const chat = { ...currentChat, currentLeafId: parent.id };
+    updateChat(chat.id, c => ({ ...c, currentLeafId: parent.id }));
+    generateReply(chat, parent);
+  };
+
+  const submitEdit = (message, text) => {
+    setEditingMessageId(null);
+    if (text.trim() && text !== message.content) sendMessage(text, { editOf: message });
+  };
+
+  const selectBranch = (message) => {
+    updateChat(currentChat.id, c => ({ ...c, currentLeafId: findLeaf(c, message.id) }));
+  };
+
+  const keepSecondOpinion = (message, choice) => {
+    updateChat(currentChat.id, c => ({ ...c, messages: c.messages.map(m => m.id === message.id ? keepSecondOpinionAnswer(m, choice) : m) }));
+  };
+
+  // A third profile reads the question and both answers and writes a corrected answer. It is stored
+  // next to the two answers; the user still decides which one the chat keeps.
+  const adjudicateSecondOpinion = async (message, profileId) => {
+    const chat = currentChat;
+    const question = chat.messages.find(m => m.id === message.parentId);
+    const profile = resolveProfile(settings, profileId);
+    if (isLoading || !question) return;
+
+    setIsLoading(true);
+    setStreamingMessage('');
+    setStreamingToolCalls([]);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const messageText = buildAdjudicationRequest(question.content, message.secondOpinion);
+    // The same passages as the two answers, so their [n] markers mean the same thing to the adjudicator.
+    const regulations = (message.secondOpinion.answers.find(a => a.citations)?.citations.ids || [])
+      .map(findRegulationPassage).filter(Boolean);
+    const clauseView = (chat.clauseViews || []).find(v => v.sourceKey === message.secondOpinion.answers.find(a => a.clauseSource)?.clauseSource);
+    const request = {
+      messageText,
+      documents: [],
+      systemPrompt: ADJUDICATION_PROMPT,
+      documentContext: '',
+      profileContext: buildLoanProfileContext(chat.loanProfile),
+      scanContext: buildScanContext(chat.scan),
+      clauseContext: clauseView
+        ? buildClauseContext(clauseView, findClauseSource(chat, clauseView.sourceKey), chat.scan?.findings || [], question.clause?.id)
+        : '',
+      clauseSource: clauseView?.sourceKey,
+      regulationContext: buildRegulationContext(regulations),
+      citations: regulations.map(p => p.id),
+      history: [{ id: generateId(), role: 'user', content: messageText }],
+      pageNote: '',
+      summary: null
+    };
+    request.messages = assembleReplyMessages(request);
+
+    try {
+      const redactor = await prepareRedactor(chat.redactionMap, profile, request.messages);
+      const reply = await runReply(request, profile, redactor, {
+        signal: controller.signal,
+        onText: setStreamingMessage,
+        onToolCalls: setStreamingToolCalls,
+        onProgress: setAnalysisProgress,
+        onRetry: setRetryStatus
       });
+      const adjudication = toSecondOpinionAnswer(reply, profile);
+      updateChat(chat.id, c => ({
+        ...c,
+        ...(redactor ? { redactionMap: redactor.toMap() } : {}),
+        messages: c.messages.map(m => m.id === message.id ? { ...m, secondOpinion: { ...m.secondOpinion, adjudication } } : m)
+      }));
+    } catch (error) {
+      // Only a cancelled redaction review gets here; nothing was sent, so there is nothing to store.
     }
 
+    abortControllerRef.current = null;
+    setRetryStatus(null);
     setIsLoading(false);
     setStreamingMessage('');
+    setStreamingToolCalls([]);
+    setAnalysisProgress(null);
+  };
+
+  const importWorkspace = ({ chats: importedChats, settings: importedSettings, templates: importedTemplates, comparison: importedComparison }) => {
+    setChats(importedChats);
+    if (!importedChats.some(c => c.id === activeChat)) setActiveChat(importedChats.length ? importedChats[0].id : null);
+    if (importedSettings) setSettings(prev => mergeImportedSettings(prev, importedSettings));
+    if (importedTemplates) setTemplates(importedTemplates);
+    if (importedComparison) setComparison(importedComparison);
+  };
+
+  // Templates with variables ask for their values first; the filled prompt lands in the composer for review.
+  const startTemplate = (template) => {
+    setTemplatesOpen(false);
+    if (extractTemplateVariables(template).length) {
+      setRunningTemplate(template);
+    } else {
+      applyTemplate(template, {});
+    }
+  };
+
+  const applyTemplate = (template, values) => {
+    setRunningTemplate(null);
+    setInputValue(fillTemplate(template.prompt, values));
+    setComposerTemplate({
+      id: template.id,
+      name: template.name,
+      ...(template.systemPrompt ? { systemPrompt: fillTemplate(template.systemPrompt, values) } : {}),
+      ...(template.generation ? { generation: template.generation } : {})
+    });
+    textareaRef.current?.focus();
+  };
+
+  const stopGeneration = () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  };
+
+  // Locking drops the decrypted chats, the API keys and the derived key from memory. storageReady is
+  // cleared in the same update so the save effect does not mistake the empty list for deletions.
+  const lockVault = () => {
+    stopGeneration();
+    setStorageReady(false);
+    savedChatsRef.current = new Map();
+    chatStoreRef.current.setVaultKey(null);
+    setChats([]);
+    setActiveChat(null);
+    setInputValue('');
+    setPendingDocuments([]);
+    setViewingDocument(null);
+    setEditingMessageId(null);
+    setVaultOpen(false);
+    setSettings(prev => withoutSecrets(prev));
+    setVault(prev => ({ ...prev, locked: true }));
+  };
+
+  const unlockVault = async (passphrase) => {
+    const key = await unlockVaultKey(vault.meta, passphrase);
+    const store = chatStoreRef.current;
+    store.setVaultKey(key);
+    const secrets = await store.loadSecrets();
+    if (secrets) setSettings(prev => restoreProfileSecrets(prev, secrets));
+    await loadStoredChats();
+    setVault(prev => ({ ...prev, locked: false }));
+  };
+
+  const enableVault = async (passphrase) => {
+    const { key, meta } = await createVault(passphrase);
+    await chatStoreRef.current.rewriteAll(chats, { key, meta, secrets: collectProfileSecrets(settings) });
+    savedChatsRef.current = new Map(chats.map(c => [c.id, c]));
+    setVault({ meta, locked: false });
+  };
+
+  // A new passphrase gets a new salt and key, and every record is re-encrypted with it.
+  const changeVaultPassphrase = async (currentPassphrase, newPassphrase) => {
+    await unlockVaultKey(vault.meta, currentPassphrase);
+    const { key, meta } = await createVault(newPassphrase);
+    await chatStoreRef.current.rewriteAll(chats, { key, meta, secrets: collectProfileSecrets(settings) });
+    savedChatsRef.current = new Map(chats.map(c => [c.id, c]));
+    setVault({ meta, locked: false });
+  };
+
+  const disableVault = async (passphrase) => {
+    await unlockVaultKey(vault.meta, passphrase);
+    await chatStoreRef.current.rewriteAll(chats, { key: null, meta: null, secrets: null });
+    savedChatsRef.current = new Map(chats.map(c => [c.id, c]));
+    setVault({ meta: null, locked: false });
+  };
+
+  // A forgotten passphrase cannot be recovered; the only way back in is to erase the vault.
+  const resetVault = async () => {
+    await chatStoreRef.current.rewriteAll([], { key: null, meta: null, secrets: null });
+    setVault({ meta: null, locked: false });
+    await loadStoredChats();
   };
 
   const handleKeyDown = (e) => {
@@ -695,12 +8512,16 @@ const App = () => {
   };
 
   const quickPrompts = [
-    'Analyze a loan agreement',
-    'Calculate monthly payments',
-    'Explain APR vs interest rate',
-    'Review for red flags'
+    ...templates.filter(t => t.favorite).map(t => ({ label: t.name, description: t.description, onSelect: () => startTemplate(t) })),
+    { label: 'Calculate monthly payments', onSelect: () => setCalculatorOpen(true) },
+    { label: 'Review for red flags', onSelect: reviewRedFlags },
+    { label: 'Browse templates', description: `${templates.length} saved`, onSelect: () => setTemplatesOpen(true) }
   ];
 
+  if (vault.locked) {
+    return React.createElement(VaultLockScreen, { onUnlock: unlockVault, onReset: resetVault });
+  }
+
   return React.createElement('div', { className: 'app-container flex h-screen bg-slate-950' },
     React.createElement('div', { 
       className: `sidebar ${sidebarOpen ? 'w-72' : 'w-0'} transition-all duration-300 bg-slate-900 border-r border-slate-800 flex flex-col overflow-hidden`
@@ -716,33 +8537,68 @@ const App = () => {
           'New Chat'
         )
       ),
-      React.createElement('div', { className: 'flex-1 overflow-y-auto p-3 space-y-2' },
-        chats.map(chat => 
-          React.createElement('div', {
-            key: chat.id,
-            onClick: () => setActiveChat(chat.id),
-            className: `chat-item group p-3 rounded-xl cursor-pointer transition-all ${activeChat === chat.id ? 'bg-slate-800' : 'hover:bg-slate-800/50'}`
+      React.createElement('div', { className: 'px-3 pt-3 space-y-2' },
+        React.createElement('div', { className: 'relative' },
+          React.createElement('svg', { className: 'absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-500', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+            React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z' })
+          ),
+          React.createElement('input', {
+            value: chatQuery,
+            onChange: (e) => setChatQuery(e.target.value),
+            onKeyDown: (e) => e.key === 'Escape' && setChatQuery(''),
+            placeholder: 'Search chats and attachments',
+            className: 'chat-search w-full pl-9 pr-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:border-blue-500 outline-none'
+          })
+        ),
+        React.createElement('div', { className: 'flex items-center justify-between text-xs text-slate-500' },
+          React.createElement('span', null, searchResults ? `${sidebarChats.length} of ${chats.length} chats` : 'Sort by'),
+          React.createElement('select', {
+            value: settings.chatSort,
+            onChange: (e) => setSettings(prev => ({ ...prev, chatSort: e.target.value })),
+            className: 'chat-sort bg-transparent text-slate-400 hover:text-white outline-none cursor-pointer'
           },
-            React.createElement('div', { className: 'flex items-start justify-between gap-2' },
-              React.createElement('div', { className: 'flex-1 min-w-0' },
-                React.createElement('div', { className: 'text-sm font-medium text-white truncate' }, chat.title),
-                React.createElement('div', { className: 'text-xs text-slate-500 mt-1' }, 
-                  new Date(chat.createdAt).toLocaleDateString()
-                )
-              ),
-              React.createElement('button', {
-                onClick: (e) => { e.stopPropagation(); deleteChat(chat.id); },
-                className: 'opacity-0 group-hover:opacity-100 p-1.5 hover:bg-red-600/20 rounded-lg transition-all'
-              },
-                React.createElement('svg', { className: 'w-4 h-4 text-red-400', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
-                  React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16' })
-                )
-              )
-            )
+            CHAT_SORTS.map(sort => React.createElement('option', { key: sort.id, value: sort.id, className: 'bg-slate-900' }, sort.label))
           )
         )
       ),
-      React.createElement('div', { className: 'p-4 border-t border-slate-800' },
+      React.createElement('div', { className: 'flex-1 overflow-y-auto p-3 space-y-3' },
+        searchResults && sidebarChats.length === 0 && React.createElement('div', { className: 'px-2 py-6 text-center text-sm text-slate-500' }, 'No chats match your search.'),
+        sidebarSections.map(section => {
+          const collapsed = section.folder && !searchResults && collapsedFolders.includes(section.id);
+          return React.createElement('div', { key: section.id, className: 'chat-section space-y-1' },
+            section.label && React.createElement('button', {
+              onClick: () => section.folder && toggleFolder(section.id),
+              className: `w-full flex items-center justify-between px-2 py-1 text-xs font-semibold uppercase tracking-wide text-slate-500 ${section.folder ? 'hover:text-slate-300' : 'cursor-default'}`
+            },
+              React.createElement('span', { className: 'truncate' }, section.folder ? `${collapsed ? '▸' : '▾'} ${section.label}` : section.label),
+              React.createElement('span', { className: 'font-normal' }, section.chats.length)
+            ),
+            !collapsed && section.chats.map(chat =>
+              React.createElement(ChatListItem, {
+                key: chat.id,
+                chat,
+                active: activeChat === chat.id,
+                result: searchResults?.get(chat.id),
+                query: searchText,
+                folders,
+                onSelect: () => setActiveChat(chat.id),
+                onDelete: () => deleteChat(chat.id),
+                onTogglePin: () => updateChat(chat.id, c => ({ ...c, pinned: !c.pinned })),
+                onRename: (title) => updateChat(chat.id, c => ({ ...c, title })),
+                onMove: (folder) => updateChat(chat.id, c => ({ ...c, folder })),
+                onSetTags: (tags) => updateChat(chat.id, c => ({ ...c, tags })),
+                onTagClick: (tag) => setChatQuery(`#${tag}`),
+                onOpenHit: (hit) => openSearchHit(chat, hit)
+              })
+            )
+          );
+        })
+      ),
+      React.createElement('div', { className: 'p-4 border-t border-slate-800 flex items-center justify-between gap-2' },
+        React.createElement('button', {
+          onClick: () => setBackupOpen(true),
+          className: 'backup-btn text-xs text-slate-400 hover:text-white transition-colors'
+        }, 'Backup & Import'),
         React.createElement('a', { 
           href: 'https://mochiyaki.github.io', 
           target: '_blank',
@@ -750,7 +8606,18 @@ const App = () => {
         }, 'Powered by mochiyaki')
       )
     ),
-    React.createElement('div', { className: 'flex-1 flex flex-col min-w-0' },
+    React.createElement('div', {
+      className: 'relative flex-1 flex flex-col min-w-0',
+      onDragOver: (e) => { e.preventDefault(); setDragActive(true); },
+      onDragLeave: (e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false); },
+      onDrop: handleDrop
+    },
+      dragActive && React.createElement('div', { className: 'drop-overlay absolute inset-0 z-30 flex items-center justify-center bg-slate-950/80 border-2 border-dashed border-blue-500 rounded-xl pointer-events-none' },
+        React.createElement('div', { className: 'text-center' },
+          React.createElement('div', { className: 'text-lg font-medium text-white' }, 'Drop loan documents to attach'),
+          React.createElement('div', { className: 'text-sm text-slate-400 mt-1' }, 'PDF, DOCX or TXT · text is extracted in your browser, nothing is uploaded')
+        )
+      ),
       React.createElement('header', { className: 'header-bar flex items-center justify-between px-6 py-4 bg-slate-900 border-b border-slate-800' },
         React.createElement('div', { className: 'flex items-center gap-4' },
           React.createElement('button', {
@@ -771,6 +8638,17 @@ const App = () => {
               React.createElement('h1', { className: 'text-lg font-semibold text-white' }, 'LoanLens AI'),
               React.createElement('p', { className: 'text-xs text-slate-500' }, 'Loan Document Analysis')
             )
+          ),
+          React.createElement('select', {
+            value: chatProfile.id,
+            onChange: (e) => switchProfile(e.target.value),
+            disabled: isLoading,
+            title: currentChat ? 'Provider profile for this chat' : 'Provider profile for new chats',
+            className: 'model-switcher max-w-[14rem] px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-sm text-slate-300 focus:border-blue-500 outline-none disabled:opacity-50'
+          },
+            settings.profiles.map(profile => React.createElement('option', { key: profile.id, value: profile.id },
+              `${PROFILE_KINDS[profile.kind].icon} ${describeProfile(profile)}`
+            ))
           )
         ),
         React.createElement('div', { className: 'flex items-center gap-2' },
@@ -783,6 +8661,51 @@ const App = () => {
             ),
             'New'
           ),
+          React.createElement('button', {
+            onClick: () => setCalculatorOpen(true),
+            className: 'hidden sm:flex items-center gap-2 px-4 py-2 bg-slate-800 hover:bg-slate-700 text-slate-300 rounded-lg text-sm font-medium transition-all'
+          },
+            React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+              React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M9 7h6m0 10v-3m-3 3h.01M9 17h.01M9 14h.01M12 14h.01M15 11h.01M12 11h.01M9 11h.01M7 21h10a2 2 0 002-2V5a2 2 0 00-2-2H7a2 2 0 00-2 2v14a2 2 0 002 2z' })
+            ),
+            'Calculator'
+          ),
+          React.createElement('button', {
+            onClick: () => setTemplatesOpen(true),
+            className: 'hidden sm:flex items-center gap-2 px-4 py-2 bg-slate-800 hover:bg-slate-700 text-slate-300 rounded-lg text-sm font-medium transition-all'
+          },
+            React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+              React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10' })
+            ),
+            'Templates'
+          ),
+          React.createElement('button', {
+            onClick: () => setRegulationView({ passageId: null }),
+            className: 'hidden sm:flex items-center gap-2 px-4 py-2 bg-slate-800 hover:bg-slate-700 text-slate-300 rounded-lg text-sm font-medium transition-all'
+          },
+            React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+              React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253' })
+            ),
+            'Regulations'
+          ),
+          React.createElement('button', {
+            onClick: () => setComparisonOpen(true),
+            className: 'hidden sm:flex items-center gap-2 px-4 py-2 bg-slate-800 hover:bg-slate-700 text-slate-300 rounded-lg text-sm font-medium transition-all'
+          },
+            React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+              React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2' })
+            ),
+            'Compare'
+          ),
+          currentChat && React.createElement('button', {
+            onClick: () => setProfileOpen(!profileOpen),
+            className: `hidden sm:flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all ${profileOpen ? 'bg-blue-600 text-white' : 'bg-slate-800 hover:bg-slate-700 text-slate-300'}`
+          },
+            React.createElement('svg', { className: 'w-4 h-4', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+              React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01' })
+            ),
+            'Profile'
+          ),
           currentChat && React.createElement('button', {
             onClick: () => setExportOpen(true),
             className: 'hidden sm:flex items-center gap-2 px-4 py-2 bg-slate-800 hover:bg-slate-700 text-slate-300 rounded-lg text-sm font-medium transition-all'
@@ -792,6 +8715,13 @@ const App = () => {
             ),
             'Export'
           ),
+          React.createElement('button', {
+            onClick: () => setVaultOpen(true),
+            title: vault.meta ? 'Vault on' : 'Vault',
+            className: `vault-btn p-2 rounded-lg transition-all ${vault.meta ? 'bg-emerald-600/20 hover:bg-emerald-600/30 text-emerald-300' : 'bg-slate-800 hover:bg-slate-700 text-slate-300'}`
+          },
+            React.createElement(LockIcon, { className: 'w-5 h-5' })
+          ),
           React.createElement('button', {
             onClick: () => setSettingsOpen(true),
             className: 'p-2 bg-slate-800 hover:bg-slate-700 text-slate-300 rounded-lg transition-all'
@@ -804,7 +8734,7 @@ const App = () => {
         )
       ),
       React.createElement('main', { className: 'flex-1 overflow-y-auto' },
-        (!currentChat || currentChat.messages.length === 0) && !streamingMessage
+        activeBranch.length === 0 && !streamingMessage
           ? React.createElement('div', { className: 'h-full flex flex-col items-center justify-center p-6' },
               React.createElement('div', { className: 'welcome-logo w-20 h-20 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-2xl flex items-center justify-center mb-6' },
                 React.createElement('svg', { className: 'w-12 h-12 text-white', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
@@ -819,18 +8749,20 @@ const App = () => {
                 quickPrompts.map((prompt, i) => 
                   React.createElement('button', {
                     key: i,
-                    onClick: () => { setInputValue(prompt); textareaRef.current?.focus(); },
+                    onClick: prompt.onSelect,
                     className: 'quick-prompt p-4 bg-slate-800/50 hover:bg-slate-800 border border-slate-700 rounded-xl text-left transition-all'
                   },
-                    React.createElement('span', { className: 'text-sm text-slate-300' }, prompt)
+                    React.createElement('span', { className: 'block text-sm text-slate-300' }, prompt.label),
+                    prompt.description && React.createElement('span', { className: 'block text-xs text-slate-500 mt-1' }, prompt.description)
                   )
                 )
               )
             )
           : React.createElement('div', { className: 'messages-container max-w-4xl mx-auto p-6 space-y-6' },
-              currentChat?.messages.map(message => 
+              activeBranch.map(message => 
                 React.createElement('div', {
                   key: message.id,
+                  id: `message-${message.id}`,
                   className: `message flex gap-4 ${message.role === 'user' ? 'flex-row-reverse' : ''}`
                 },
                   React.createElement('div', { 
@@ -847,25 +8779,95 @@ const App = () => {
                   React.createElement('div', { 
                     className: `message-bubble flex-1 max-w-[85%] ${message.role === 'user' ? 'bg-blue-600 text-white rounded-2xl rounded-tr-md px-5 py-4' : 'bg-slate-800 text-slate-200 rounded-2xl rounded-tl-md px-5 py-4'}`
                   },
-                    React.createElement(MessageContent, { content: message.content }),
-                    React.createElement('div', { className: `text-xs mt-2 ${message.role === 'user' ? 'text-blue-200' : 'text-slate-500'}` },
-                      new Date(message.timestamp).toLocaleTimeString()
-                    )
+                    message.toolCalls && React.createElement(ToolCallList, { calls: message.toolCalls }),
+                    message.attachments && React.createElement('div', { className: 'flex flex-wrap gap-2 mb-2' },
+                      message.attachments
+                        .map(id => (currentChat.documents || []).find(d => d.id === id))
+                        .filter(Boolean)
+                        .map(doc => React.createElement(AttachmentChip, {
+                          key: doc.id,
+                          document: doc,
+                          light: message.role === 'user',
+                          onOpen: () => setViewingDocument({ document: doc })
+                        }))
+                    ),
+                    message.clause && React.createElement('button', {
+                      onClick: () => openClauseView(message.clause.sourceKey, message.clause.id),
+                      title: message.clause.title,
+                      className: 'clause-chip inline-flex items-center gap-1.5 mb-2 px-2.5 py-1 rounded-lg bg-blue-500/30 hover:bg-blue-500/50 text-xs text-blue-50 transition-colors'
+                    }, `📑 About ${message.clause.id}`),
+                    message.analysis && React.createElement(SectionFindings, { analysis: message.analysis }),
+                    message.secondOpinion && React.createElement(SecondOpinionPanel, {
+                      message,
+                      profiles: settings.profiles,
+                      busy: isLoading,
+                      onKeep: (choice) => keepSecondOpinion(message, choice),
+                      onAdjudicate: (profileId) => adjudicateSecondOpinion(message, profileId),
+                      onOpenCitation: openRegulation,
+                      clauseIds: (currentChat.clauseViews || []).find(v => v.sourceKey === message.secondOpinion.answers.find(a => a.clauseSource)?.clauseSource)?.clauses.map(c => c.id),
+                      onOpenClause: (id) => openClauseView(message.secondOpinion.answers.find(a => a.clauseSource).clauseSource, id)
+                    }),
+                    editingMessageId === message.id
+                      ? React.createElement(MessageEditor, {
+                          message,
+                          onSubmit: (text) => submitEdit(message, text),
+                          onCancel: () => setEditingMessageId(null)
+                        })
+                      : message.scanReport
+                      ? React.createElement('div', { className: 'space-y-3' },
+                          React.createElement('div', { className: 'text-sm font-medium text-white' },
+                            `LoanLens red-flag scan · rules v${message.scanReport.rulesetVersion} · no AI used`
+                          ),
+                          React.createElement(ScanFindingsList, { findings: message.scanReport.findings, onOpenSource: openSource })
+                        )
+                      : message.secondOpinion && message.secondOpinion.chosen == null
+                      ? null
+                      : React.createElement(MessageContent, {
+                          content: message.content,
+                          highlight: searchResults ? searchText : '',
+                          citations: resolveCitations(message.citations),
+                          onOpenCitation: openRegulation,
+                          clauseIds: (currentChat.clauseViews || []).find(v => v.sourceKey === message.clauseSource)?.clauses.map(c => c.id),
+                          onOpenClause: (id) => openClauseView(message.clauseSource, id)
+                        }),
+                    message.role === 'user' && message.content.length >= PASTED_DOCUMENT_MIN_LENGTH && editingMessageId !== message.id && React.createElement('button', {
+                      onClick: () => openClauseView(message.id),
+                      className: 'clause-view-btn mt-3 px-3 py-1.5 text-xs bg-blue-500/30 hover:bg-blue-500/50 text-white rounded-lg transition-colors'
+                    }, '📑 Clause view'),
+                    (message.truncated || message.stopped || message.withheld || message.interrupted) && React.createElement(ResponseNotice, { message }),
+                    message.context && React.createElement(ContextNotice, { context: message.context }),
+                    message.citations && !(message.secondOpinion && message.secondOpinion.chosen == null) && React.createElement(CitationList, { message, onOpen: openRegulation }),
+                    message.calculation && React.createElement(AmortizationTable, { calculation: message.calculation }),
+                    message.aprCheck && React.createElement(AprCheckCard, { result: message.aprCheck }),
+                    React.createElement(MessageFooter, {
+                      message,
+                      siblings: getSiblings(currentChat, message),
+                      busy: isLoading,
+                      onSelectBranch: selectBranch,
+                      onEdit: message.role === 'user' && editingMessageId !== message.id ? () => setEditingMessageId(message.id) : null,
+                      onRegenerate: message.role === 'assistant' && !message.calculation && !message.scanReport && !message.aprCheck
+                        ? () => regenerateReply(message)
+                        : null
+                    })
                   )
                 )
               ),
-              streamingMessage && React.createElement('div', { className: 'message flex gap-4' },
+              (streamingMessage || streamingToolCalls.length > 0 || secondOpinionStreams) && React.createElement('div', { className: 'message flex gap-4' },
                 React.createElement('div', { className: 'avatar flex-shrink-0 w-10 h-10 rounded-xl flex items-center justify-center bg-slate-700' },
                   React.createElement('svg', { className: 'w-5 h-5 text-blue-400', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
                     React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z' })
                   )
                 ),
                 React.createElement('div', { className: 'message-bubble flex-1 max-w-[85%] bg-slate-800 text-slate-200 rounded-2xl rounded-tl-md px-5 py-4' },
-                  React.createElement(MessageContent, { content: streamingMessage }),
-                  React.createElement('span', { className: 'inline-block w-2 h-5 bg-blue-400 animate-pulse ml-1' })
+                  streamingToolCalls.length > 0 && React.createElement(ToolCallList, { calls: streamingToolCalls }),
+                  secondOpinionStreams
+                    ? React.createElement(SecondOpinionStreams, { streams: secondOpinionStreams })
+                    : React.createElement(MessageContent, { content: streamingMessage }),
+                  React.createElement('span', { className: 'inline-block w-2 h-5 bg-blue-400 animate-pulse ml-1' }),
+                  retryStatus && React.createElement(RetryNotice, { status: retryStatus })
                 )
               ),
-              isLoading && !streamingMessage && React.createElement('div', { className: 'message flex gap-4' },
+              isLoading && !streamingMessage && streamingToolCalls.length === 0 && !secondOpinionStreams && !clauseProgress && React.createElement('div', { className: 'message flex gap-4' },
                 React.createElement('div', { className: 'avatar flex-shrink-0 w-10 h-10 rounded-xl flex items-center justify-center bg-slate-700' },
                   React.createElement('svg', { className: 'w-5 h-5 text-blue-400', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
                     React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z' })
@@ -876,7 +8878,9 @@ const App = () => {
                     React.createElement('div', { className: 'w-2 h-2 bg-blue-400 rounded-full animate-bounce', style: { animationDelay: '0ms' } }),
                     React.createElement('div', { className: 'w-2 h-2 bg-blue-400 rounded-full animate-bounce', style: { animationDelay: '150ms' } }),
                     React.createElement('div', { className: 'w-2 h-2 bg-blue-400 rounded-full animate-bounce', style: { animationDelay: '300ms' } })
-                  )
+                  ),
+                  analysisProgress && React.createElement(AnalysisProgress, { progress: analysisProgress }),
+                  retryStatus && React.createElement(RetryNotice, { status: retryStatus })
                 )
               ),
               React.createElement('div', { ref: messagesEndRef })
@@ -884,7 +8888,64 @@ const App = () => {
       ),
       React.createElement('div', { className: 'input-area p-4 bg-slate-900 border-t border-slate-800' },
         React.createElement('div', { className: 'max-w-4xl mx-auto' },
+          storageError && React.createElement('div', { className: 'storage-error flex items-start justify-between gap-3 mb-2 px-3 py-2 rounded-lg border border-red-500/40 bg-red-500/10 text-xs text-red-300' },
+            React.createElement('span', null, `⚠️ ${storageError}`),
+            React.createElement('button', {
+              onClick: () => setStorageError(null),
+              title: 'Dismiss',
+              className: 'text-red-300 hover:text-white'
+            }, '×')
+          ),
+          pendingDocuments.length > 0 && React.createElement('div', { className: 'flex flex-wrap gap-2 mb-2' },
+            pendingDocuments.map(p =>
+              React.createElement(AttachmentChip, {
+                key: p.pendingId,
+                document: p.document,
+                status: p.status,
+                error: p.error,
+                onOpen: p.status === 'ready' ? () => setViewingDocument({ document: p.document }) : null,
+                onRemove: () => setPendingDocuments(prev => prev.filter(x => x.pendingId !== p.pendingId))
+              })
+            )
+          ),
+          pendingDocuments.some(p => p.error) && React.createElement('div', { className: 'text-xs text-red-400 mb-2 px-2' },
+            pendingDocuments.filter(p => p.error).map(p => p.error).join(' ')
+          ),
+          composerClause && React.createElement('div', { className: 'composer-clause-chip inline-flex items-center gap-2 mb-2 mr-2 px-3 py-1.5 bg-blue-500/15 border border-blue-500/30 rounded-lg text-xs text-blue-200' },
+            React.createElement('span', { title: composerClause.title }, `About clause ${composerClause.id}`),
+            React.createElement('button', {
+              onClick: () => setComposerClause(null),
+              title: 'Ask without the clause',
+              className: 'text-blue-300 hover:text-white'
+            }, '×')
+          ),
+          composerTemplate && React.createElement('div', { className: 'template-chip inline-flex items-center gap-2 mb-2 px-3 py-1.5 bg-indigo-500/15 border border-indigo-500/30 rounded-lg text-xs text-indigo-200' },
+            React.createElement('span', null, `Template: ${composerTemplate.name}`),
+            (composerTemplate.systemPrompt || composerTemplate.generation) && React.createElement('span', { className: 'text-indigo-300/70' }, 'custom settings'),
+            React.createElement('button', {
+              onClick: () => setComposerTemplate(null),
+              title: 'Send without the template settings',
+              className: 'text-indigo-300 hover:text-white'
+            }, '×')
+          ),
           React.createElement('div', { className: 'relative flex items-end gap-3 bg-slate-800 rounded-2xl border border-slate-700 focus-within:border-blue-500 transition-colors' },
+            React.createElement('input', {
+              ref: fileInputRef,
+              type: 'file',
+              multiple: true,
+              accept: DOCUMENT_ACCEPT,
+              className: 'hidden',
+              onChange: (e) => { attachFiles(e.target.files); e.target.value = ''; }
+            }),
+            React.createElement('button', {
+              onClick: () => fileInputRef.current?.click(),
+              title: 'Attach PDF, DOCX or TXT',
+              className: 'attach-btn m-2 mr-0 p-3 rounded-xl text-slate-400 hover:text-white hover:bg-slate-700 transition-all'
+            },
+              React.createElement('svg', { className: 'w-5 h-5', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+                React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13' })
+              )
+            ),
             React.createElement('textarea', {
               ref: textareaRef,
               value: inputValue,
@@ -892,57 +8953,199 @@ const App = () => {
               onKeyDown: handleKeyDown,
               placeholder: 'Ask about loan documents, terms, rates, or paste document text for analysis...',
               rows: 1,
-              className: 'flex-1 bg-transparent text-white placeholder-slate-500 px-5 py-4 resize-none outline-none min-h-[56px] max-h-40'
+              className: 'flex-1 bg-transparent text-white placeholder-slate-500 px-2 py-4 resize-none outline-none min-h-[56px] max-h-40'
             }),
-            React.createElement('button', {
-              onClick: sendMessage,
-              disabled: isLoading || !inputValue.trim(),
-              className: `m-2 p-3 rounded-xl transition-all ${inputValue.trim() && !isLoading ? 'bg-blue-600 hover:bg-blue-500 text-white' : 'bg-slate-700 text-slate-500 cursor-not-allowed'}`
-            },
-              React.createElement('svg', { className: 'w-5 h-5', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
-                React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M12 19l9 2-9-18-9 18 9-2zm0 0v-8' })
-              )
-            )
+            isLoading
+              ? React.createElement('button', {
+                  onClick: stopGeneration,
+                  title: 'Stop generating',
+                  className: 'stop-btn m-2 p-3 rounded-xl transition-all bg-slate-700 hover:bg-red-600 text-white'
+                },
+                  React.createElement('svg', { className: 'w-5 h-5', fill: 'currentColor', viewBox: '0 0 24 24' },
+                    React.createElement('rect', { x: 6, y: 6, width: 12, height: 12, rx: 2 })
+                  )
+                )
+              : React.createElement('button', {
+                  onClick: () => sendMessage(),
+                  disabled: !canSend,
+                  className: `send-btn m-2 p-3 rounded-xl transition-all ${canSend ? 'bg-blue-600 hover:bg-blue-500 text-white' : 'bg-slate-700 text-slate-500 cursor-not-allowed'}`
+                },
+                  React.createElement('svg', { className: 'w-5 h-5', fill: 'none', stroke: 'currentColor', viewBox: '0 0 24 24' },
+                    React.createElement('path', { strokeLinecap: 'round', strokeLinejoin: 'round', strokeWidth: 2, d: 'M12 19l9 2-9-18-9 18 9-2zm0 0v-8' })
+                  )
+                )
           ),
           React.createElement('div', { className: 'flex items-center justify-between mt-2 px-2' },
-            React.createElement('span', { className: 'text-xs text-slate-500' }, 'Enter to send, Shift+Enter for new line'),
-            React.createElement('span', { className: 'text-xs text-slate-500' }, `${inputValue.length} chars`)
+            React.createElement('span', { className: 'text-xs text-slate-500' }, 'Enter to send, Shift+Enter for new line, drop PDF/DOCX/TXT to attach'),
+            React.createElement('div', { className: 'flex items-center gap-3' },
+              settings.profiles.length > 1 && React.createElement('label', { className: 'flex items-center gap-1.5 text-xs text-slate-500' },
+                'Second opinion',
+                React.createElement('select', {
+                  value: secondOpinionProfileId,
+                  onChange: (e) => setSecondOpinionProfileId(e.target.value),
+                  title: 'Also send each question to this profile and compare the two answers',
+                  className: 'second-opinion-select px-2 py-0.5 bg-slate-800 border border-slate-700 rounded-md text-slate-300 outline-none focus:border-blue-500'
+                },
+                  React.createElement('option', { value: '' }, 'Off'),
+                  settings.profiles.filter(p => p.id !== chatProfile.id).map(p =>
+                    React.createElement('option', { key: p.id, value: p.id }, describeProfile(p))
+                  )
+                )
+              ),
+              React.createElement('span', {
+                className: `request-tokens text-xs ${requestTokens > chatInputBudget * CONTEXT_TARGET ? 'text-amber-400' : 'text-slate-500'}`,
+                title: `Estimated size of the next request; ${chatProfile.name} leaves ${formatTokens(chatInputBudget)} tokens for input after reserving ${formatTokens(chatProfile.maxTokens)} for the reply`
+              }, `${inputValue.length} chars · ~${formatTokens(requestTokens)} / ${formatTokens(chatInputBudget)} tokens`)
+            )
           )
         )
       ),
       React.createElement('div', { className: 'status-bar flex items-center justify-between px-6 py-2 bg-slate-900/80 border-t border-slate-800 text-xs' },
         React.createElement('div', { className: 'flex items-center gap-4' },
           React.createElement('div', { className: 'flex items-center gap-2' },
-            React.createElement('div', { className: `w-2 h-2 rounded-full ${settings.cloudEndpoint || settings.localEndpoint ? 'bg-emerald-400' : 'bg-red-400'}` }),
-            React.createElement('span', { className: 'text-slate-500' }, 
-              settings.connectionType === 'cloud' ? 'Cloud API' : 'Local Model'
-            )
+            React.createElement('div', { className: `w-2 h-2 rounded-full ${chatProfile.endpoint ? 'bg-emerald-400' : 'bg-red-400'}` }),
+            React.createElement('span', { className: 'text-slate-500' }, chatProfile.name)
           ),
           React.createElement('span', { className: 'text-slate-600' }, '|'),
-          React.createElement('span', { className: 'text-slate-500' }, 
-            settings.connectionType === 'cloud' ? settings.model : settings.localModel
+          React.createElement('span', { className: 'text-slate-500' }, chatProfile.model),
+          chatUsage.promptTokens + chatUsage.completionTokens > 0 && React.createElement(React.Fragment, null,
+            React.createElement('span', { className: 'text-slate-600' }, '|'),
+            React.createElement('span', {
+              className: 'chat-usage text-slate-500 tabular-nums',
+              title: `Tokens used by this chat, all branches included${chatUsage.estimated ? '; some counts are estimated because the provider did not report them' : ''}. Cost uses the prices set on each profile.`
+            }, `${chatUsage.estimated ? '~' : ''}${formatTokens(chatUsage.promptTokens)} in · ${formatTokens(chatUsage.completionTokens)} out · ${formatUsageCost(chatUsage.cost)}`)
           )
         ),
         React.createElement('div', { className: 'flex items-center gap-4' },
+          storageReady && React.createElement('span', {
+            className: `storage-usage ${chatStoreRef.current.fallbackReason || (storageUsage && storageUsage.usage / storageUsage.quota > 0.8) ? 'text-amber-400' : 'text-slate-500'}`,
+            title: chatStoreRef.current.fallbackReason
+              ? `Chats are saved in ${chatStoreRef.current.kind}, which holds only a few MB, because IndexedDB could not be opened: ${chatStoreRef.current.fallbackReason}`
+              : `Chats are saved in ${chatStoreRef.current.kind}`
+          },
+            storageUsage && !chatStoreRef.current.fallbackReason ? `Storage: ${formatBytes(storageUsage.usage)} of ${formatBytes(storageUsage.quota)}` : `Storage: ${chatStoreRef.current.kind}`
+          ),
           React.createElement('span', { className: 'text-slate-500' }, 
             `Streaming: ${settings.streaming ? 'ON' : 'OFF'}`
           ),
           React.createElement('span', { className: 'text-slate-500' }, 
-            `Temp: ${settings.temperature}`
+            `Temp: ${chatProfile.temperature}`
           )
         )
       )
     ),
+    profileOpen && currentChat && React.createElement(LoanProfilePanel, {
+      chat: currentChat,
+      onClose: () => setProfileOpen(false),
+      onChange: (loanProfile) => updateChat(currentChat.id, c => c.scan ? withScan({ ...c, loanProfile }) : { ...c, loanProfile }),
+      onExtract: () => extractProfile(currentChat),
+      onExtractWithAi: () => extractProfileWithAi(currentChat),
+      extracting: profileExtracting,
+      error: profileError,
+      onOpenSource: openSource,
+      onScan: () => updateChat(currentChat.id, withScan),
+      onOpenAprCheck: () => setAprCheckOpen(true),
+      onScanOptionsChange: (scanOptions) => updateChat(currentChat.id, c => c.scan ? withScan({ ...c, scanOptions }) : { ...c, scanOptions })
+    }),
+    React.createElement(VaultModal, {
+      isOpen: vaultOpen,
+      onClose: () => setVaultOpen(false),
+      vault,
+      supported: !!chatStoreRef.current?.supportsVault,
+      autoLockMinutes: settings.vaultAutoLockMinutes,
+      onAutoLockChange: (minutes) => setSettings(prev => ({ ...prev, vaultAutoLockMinutes: minutes })),
+      onEnable: enableVault,
+      onChangePassphrase: changeVaultPassphrase,
+      onDisable: disableVault,
+      onLock: lockVault
+    }),
     React.createElement(SettingsModal, {
       isOpen: settingsOpen,
       onClose: () => setSettingsOpen(false),
       settings,
       onSave: setSettings
     }),
+    redactionReview && React.createElement(RedactionReviewModal, {
+      review: redactionReview,
+      provider: redactionReview.provider
+    }),
+    React.createElement(BackupModal, {
+      isOpen: backupOpen,
+      onClose: () => setBackupOpen(false),
+      chats,
+      settings,
+      templates,
+      comparison,
+      vaultEnabled: !!vault.meta,
+      onImport: importWorkspace
+    }),
+    React.createElement(TemplateLibraryModal, {
+      isOpen: templatesOpen,
+      onClose: () => setTemplatesOpen(false),
+      templates,
+      onChange: setTemplates,
+      onUse: startTemplate
+    }),
+    React.createElement(RegulationLibraryModal, {
+      isOpen: !!regulationView,
+      passageId: regulationView?.passageId,
+      onClose: () => setRegulationView(null)
+    }),
+    runningTemplate && React.createElement(TemplateVariablesModal, {
+      template: runningTemplate,
+      onClose: () => setRunningTemplate(null),
+      onApply: (values) => applyTemplate(runningTemplate, values)
+    }),
     React.createElement(ExportModal, {
       isOpen: exportOpen,
       onClose: () => setExportOpen(false),
       chat: currentChat
+    }),
+    React.createElement(DocumentViewerModal, {
+      document: viewingDocument?.document,
+      initialPage: viewingDocument?.page,
+      findings: (currentChat?.scan?.findings || []).filter(f => f.source && (f.source.documentId || f.source.messageId) === viewingDocument?.document?.id),
+      focusFindingId: viewingDocument?.findingId,
+      onOpenClauses: currentChat && viewingDocument && findClauseSource(currentChat, viewingDocument.document.id)
+        ? () => openClauseView(viewingDocument.document.id)
+        : null,
+      onClose: () => setViewingDocument(null)
+    }),
+    clauseView && currentChat && React.createElement(ClauseViewModal, {
+      view: (currentChat.clauseViews || []).find(v => v.sourceKey === clauseView.sourceKey),
+      source: findClauseSource(currentChat, clauseView.sourceKey),
+      findings: currentChat.scan?.findings || [],
+      focusClauseId: clauseView.clauseId,
+      discussions: collectClauseDiscussions(activeBranch, clauseView.sourceKey),
+      progress: clauseProgress,
+      busy: isLoading,
+      error: clauseError,
+      onAnnotate: () => annotateClauses(currentChat, currentChat.clauseViews.find(v => v.sourceKey === clauseView.sourceKey)),
+      onStop: stopGeneration,
+      onAsk: (clause) => askAboutClause(clauseView, clause),
+      onOpenMessage: openMessage,
+      onClose: () => setClauseView(null)
+    }),
+    React.createElement(LoanCalculatorModal, {
+      isOpen: calculatorOpen,
+      onClose: () => setCalculatorOpen(false),
+      onCalculate: addCalculation,
+      initialLoan: profileToLoanInput(currentChat?.loanProfile),
+      onOpenAprCheck: () => setAprCheckOpen(true)
+    }),
+    React.createElement(AprCheckModal, {
+      isOpen: aprCheckOpen,
+      onClose: () => setAprCheckOpen(false),
+      onCheck: addAprCheck,
+      initialValues: profileToAprInput(currentChat?.loanProfile)
+    }),
+    React.createElement(LoanComparisonModal, {
+      isOpen: comparisonOpen,
+      onClose: () => setComparisonOpen(false),
+      comparison,
+      onChange: setComparison,
+      chats,
+      onSendToModel: sendComparison
     })
   );
 };